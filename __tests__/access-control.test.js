@@ -0,0 +1,79 @@
+import { describe, test, expect } from 'bun:test';
+import { generateToken, parseList, getHostname, readCookie, createAccessControl } from '../access-control.js';
+
+// Minimal stand-in for an Express request
+function makeRequest(headers = {}, query = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { get: (name) => lower[name.toLowerCase()], query };
+}
+
+const TOKEN = 'a'.repeat(64);
+
+describe('generateToken', () => {
+  test('returns a fresh 256-bit hex token', () => {
+    const token = generateToken();
+    expect(token).toMatch(/^[a-f0-9]{64}$/);
+    expect(generateToken()).not.toBe(token);
+  });
+});
+
+describe('parseList', () => {
+  test('splits, trims and lower-cases entries', () => {
+    expect(parseList(' App://Interpreter , ,http://localhost:3000')).toEqual(['app://interpreter', 'http://localhost:3000']);
+    expect(parseList(undefined)).toEqual([]);
+  });
+});
+
+describe('getHostname', () => {
+  test('drops the port, keeping IPv6 brackets', () => {
+    expect(getHostname('LocalHost:38123')).toBe('localhost');
+    expect(getHostname('[::1]:38123')).toBe('[::1]');
+    expect(getHostname(undefined)).toBe('');
+  });
+});
+
+describe('readCookie', () => {
+  test('finds a cookie among others', () => {
+    expect(readCookie('a=1; oo_editors_token=abc; b=2', 'oo_editors_token')).toBe('abc');
+    expect(readCookie('a=1', 'oo_editors_token')).toBe(null);
+    expect(readCookie(undefined, 'oo_editors_token')).toBe(null);
+  });
+});
+
+describe('createAccessControl', () => {
+  test('accepts loopback Host headers only, plus configured names', () => {
+    const access = createAccessControl({ token: TOKEN, port: 38123, allowedHosts: ['editor.local'] });
+    expect(access.isAllowedHost('localhost:38123')).toBe(true);
+    expect(access.isAllowedHost('127.0.0.1:38123')).toBe(true);
+    expect(access.isAllowedHost('[::1]:38123')).toBe(true);
+    expect(access.isAllowedHost('editor.local:38123')).toBe(true);
+    expect(access.isAllowedHost('attacker.example:38123')).toBe(false);
+    expect(access.isAllowedHost('localhost.attacker.example')).toBe(false);
+    expect(access.isAllowedHost(undefined)).toBe(false);
+  });
+
+  test('allows its own origins and configured ones, never others', () => {
+    const access = createAccessControl({ token: TOKEN, port: 38123, allowedOrigins: ['app://interpreter/'] });
+    expect(access.isAllowedOrigin('http://localhost:38123')).toBe(true);
+    expect(access.isAllowedOrigin('http://127.0.0.1:38123')).toBe(true);
+    expect(access.isAllowedOrigin('app://interpreter')).toBe(true);
+    expect(access.isAllowedOrigin('http://localhost:3000')).toBe(false);
+    expect(access.isAllowedOrigin('https://evil.example')).toBe(false);
+    expect(access.isAllowedOrigin('null')).toBe(false);
+  });
+
+  test('takes the token from the header, the query or the cookie', () => {
+    const access = createAccessControl({ token: TOKEN, port: 38123 });
+    expect(access.hasValidToken(makeRequest({ 'X-OO-Editors-Token': TOKEN }))).toBe(true);
+    expect(access.hasValidToken(makeRequest({}, { token: TOKEN }))).toBe(true);
+    expect(access.hasValidToken(makeRequest({ Cookie: `theme=dark; oo_editors_token=${TOKEN}` }))).toBe(true);
+  });
+
+  test('rejects missing, wrong and malformed tokens', () => {
+    const access = createAccessControl({ token: TOKEN, port: 38123 });
+    expect(access.hasValidToken(makeRequest())).toBe(false);
+    expect(access.hasValidToken(makeRequest({ 'X-OO-Editors-Token': 'b'.repeat(64) }))).toBe(false);
+    expect(access.hasValidToken(makeRequest({ 'X-OO-Editors-Token': 'short' }))).toBe(false);
+    expect(access.hasValidToken(makeRequest({}, { token: [TOKEN] }))).toBe(false);
+  });
+});
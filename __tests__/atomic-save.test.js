@@ -0,0 +1,171 @@
+import { afterEach, describe, test, expect } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createTempPath,
+  validateOutputFile,
+  commitTempFile,
+  writeFileAtomic
+} from '../atomic-save.js';
+
+const FIXTURES_DIR = path.resolve(import.meta.dir, '..', '.github/assets');
+const tempDirs = [];
+
+function makeTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oo-editors-atomic-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+afterEach(() => {
+  while (tempDirs.length > 0) {
+    fs.rmSync(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+describe('createTempPath', () => {
+  test('creates a hidden sibling that keeps the extension', () => {
+    const tempPath = createTempPath('/docs/report.xlsx');
+    expect(path.dirname(tempPath)).toBe('/docs');
+    expect(path.basename(tempPath)).toMatch(/^\.report\.xlsx\.[a-f0-9]{8}\.saving\.xlsx$/);
+  });
+
+  test('returns a different path each call', () => {
+    expect(createTempPath('/docs/a.docx')).not.toBe(createTempPath('/docs/a.docx'));
+  });
+});
+
+describe('validateOutputFile', () => {
+  test('accepts a valid OOXML package', () => {
+    expect(validateOutputFile(path.join(FIXTURES_DIR, 'simple.docx'), '.docx')).toEqual({ valid: true });
+  });
+
+  test('expects an OOXML package for macro-enabled and template formats', () => {
+    const dir = makeTempDir();
+    const text = path.join(dir, 'macros.docm');
+    fs.writeFileSync(text, 'not a package');
+
+    expect(validateOutputFile(path.join(FIXTURES_DIR, 'simple.xlsx'), '.xltm')).toEqual({ valid: true });
+    expect(validateOutputFile(text, '.docm')).toEqual({ valid: false, reason: 'output is not a valid ZIP archive' });
+  });
+
+  test('rejects missing and empty files', () => {
+    const dir = makeTempDir();
+    const empty = path.join(dir, 'empty.csv');
+    fs.writeFileSync(empty, '');
+    expect(validateOutputFile(path.join(dir, 'missing.xlsx'), '.xlsx').valid).toBe(false);
+    expect(validateOutputFile(empty, '.csv')).toEqual({ valid: false, reason: 'output file is empty' });
+  });
+
+  test('rejects a truncated ZIP', () => {
+    const dir = makeTempDir();
+    const truncated = path.join(dir, 'broken.xlsx');
+    const data = fs.readFileSync(path.join(FIXTURES_DIR, 'simple.xlsx'));
+    fs.writeFileSync(truncated, data.subarray(0, Math.floor(data.length / 2)));
+    expect(validateOutputFile(truncated, '.xlsx').valid).toBe(false);
+  });
+
+  test('only checks size for non-ZIP formats', () => {
+    const dir = makeTempDir();
+    const csv = path.join(dir, 'data.csv');
+    fs.writeFileSync(csv, 'a,b\n1,2\n');
+    expect(validateOutputFile(csv, '.csv')).toEqual({ valid: true });
+  });
+
+  test('checks the header of PDF output', () => {
+    const dir = makeTempDir();
+    const pdf = path.join(dir, 'doc.pdf');
+    fs.writeFileSync(pdf, '%PDF-1.7\n%%EOF\n');
+    const broken = path.join(dir, 'broken.pdf');
+    fs.writeFileSync(broken, '<html>error</html>');
+
+    expect(validateOutputFile(pdf, '.pdf')).toEqual({ valid: true });
+    expect(validateOutputFile(broken, '.pdf')).toEqual({ valid: false, reason: 'output does not start with %PDF-' });
+  });
+
+  test('checks the header of RTF output', () => {
+    const dir = makeTempDir();
+    const rtf = path.join(dir, 'doc.rtf');
+    fs.writeFileSync(rtf, '{\\rtf1\\ansi hello}');
+    const docx = path.join(dir, 'docx.rtf');
+    fs.writeFileSync(docx, 'PK\x03\x04');
+
+    expect(validateOutputFile(rtf, '.rtf')).toEqual({ valid: true });
+    expect(validateOutputFile(docx, '.rtf').valid).toBe(false);
+  });
+
+  test('expects an OLE compound file for encrypted OOXML', () => {
+    const dir = makeTempDir();
+    const encrypted = path.join(dir, 'locked.xlsx');
+    fs.writeFileSync(encrypted, Buffer.concat([
+      Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]),
+      Buffer.alloc(504)
+    ]));
+
+    expect(validateOutputFile(encrypted, '.xlsx', { encrypted: true })).toEqual({ valid: true });
+    expect(validateOutputFile(encrypted, '.xlsx').valid).toBe(false);
+    expect(validateOutputFile(path.join(FIXTURES_DIR, 'simple.xlsx'), '.xlsx', { encrypted: true })).toEqual({
+      valid: false,
+      reason: 'encrypted output is not an OLE compound file'
+    });
+  });
+});
+
+describe('commitTempFile / writeFileAtomic', () => {
+  test('replaces the target and runs beforeReplace first', () => {
+    const dir = makeTempDir();
+    const target = path.join(dir, 'data.csv');
+    fs.writeFileSync(target, 'old');
+    let seenBeforeReplace = null;
+
+    const result = writeFileAtomic(target, Buffer.from('new,data'), {
+      beforeReplace: () => { seenBeforeReplace = fs.readFileSync(target, 'utf8'); }
+    });
+
+    expect(result.size).toBe(8);
+    expect(seenBeforeReplace).toBe('old');
+    expect(fs.readFileSync(target, 'utf8')).toBe('new,data');
+    expect(fs.readdirSync(dir)).toEqual(['data.csv']);
+  });
+
+  test('leaves the original untouched when validation fails', () => {
+    const dir = makeTempDir();
+    const target = path.join(dir, 'book.xlsx');
+    fs.copyFileSync(path.join(FIXTURES_DIR, 'simple.xlsx'), target);
+    const original = fs.readFileSync(target);
+
+    let error = null;
+    try {
+      writeFileAtomic(target, Buffer.from('PK garbage'));
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).toBe('EVALIDATION');
+    expect(fs.readFileSync(target).equals(original)).toBe(true);
+    expect(fs.readdirSync(dir)).toEqual(['book.xlsx']);
+  });
+
+  test('commitTempFile removes a rejected temp file', () => {
+    const dir = makeTempDir();
+    const target = path.join(dir, 'doc.docx');
+    const tempPath = createTempPath(target);
+    fs.writeFileSync(tempPath, '');
+
+    expect(() => commitTempFile(tempPath, target)).toThrow('output file is empty');
+    expect(fs.existsSync(tempPath)).toBe(false);
+    expect(fs.existsSync(target)).toBe(false);
+  });
+
+  test('aborts the commit when beforeReplace throws', () => {
+    const dir = makeTempDir();
+    const target = path.join(dir, 'data.csv');
+    fs.writeFileSync(target, 'theirs');
+
+    expect(() => writeFileAtomic(target, Buffer.from('mine'), {
+      beforeReplace: () => { throw new Error('conflict'); }
+    })).toThrow('conflict');
+    expect(fs.readFileSync(target, 'utf8')).toBe('theirs');
+    expect(fs.readdirSync(dir)).toEqual(['data.csv']);
+  });
+});
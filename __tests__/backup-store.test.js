@@ -0,0 +1,113 @@
+import { afterEach, describe, test, expect } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createBackupStore } from '../backup-store.js';
+
+const tempDirs = [];
+
+function makeTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oo-editors-backup-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+afterEach(() => {
+  while (tempDirs.length > 0) {
+    fs.rmSync(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+function setup(options = {}) {
+  const docsDir = makeTempDir();
+  const store = createBackupStore({ rootDir: makeTempDir(), ...options });
+  const filepath = path.join(docsDir, 'report.csv');
+  return { store, filepath };
+}
+
+describe('createBackupStore', () => {
+  test('backs up the current contents of a file', () => {
+    const { store, filepath } = setup();
+    fs.writeFileSync(filepath, 'v1');
+
+    const version = store.backup(filepath);
+    expect(version.id).toMatch(/^\d{13}-[a-f0-9]{8}$/);
+    expect(version.size).toBe(2);
+    expect(fs.readFileSync(store.getVersionPath(filepath, version.id), 'utf8')).toBe('v1');
+  });
+
+  test('skips missing and empty files', () => {
+    const { store, filepath } = setup();
+    expect(store.backup(filepath)).toBe(null);
+    fs.writeFileSync(filepath, '');
+    expect(store.backup(filepath)).toBe(null);
+    expect(store.list(filepath)).toEqual([]);
+  });
+
+  test('lists versions newest first and keeps only maxVersions', () => {
+    const { store, filepath } = setup({ maxVersions: 2 });
+    for (const content of ['v1', 'v2', 'v3']) {
+      fs.writeFileSync(filepath, content);
+      store.backup(filepath);
+    }
+
+    const versions = store.list(filepath);
+    expect(versions.length).toBe(2);
+    expect(fs.readFileSync(store.getVersionPath(filepath, versions[0].id), 'utf8')).toBe('v3');
+    expect(fs.readFileSync(store.getVersionPath(filepath, versions[1].id), 'utf8')).toBe('v2');
+  });
+
+  test('prunes versions older than maxAgeMs', () => {
+    const { store, filepath } = setup({ maxAgeMs: 1000 });
+    fs.writeFileSync(filepath, 'v1');
+    const version = store.backup(filepath);
+
+    const versionPath = store.getVersionPath(filepath, version.id);
+    const oldId = `${Date.now() - 5000}-deadbeef`;
+    fs.renameSync(versionPath, path.join(path.dirname(versionPath), oldId + '.csv'));
+
+    expect(store.prune(filepath)).toBe(1);
+    expect(store.list(filepath)).toEqual([]);
+  });
+
+  test('rejects malformed version ids', () => {
+    const { store, filepath } = setup();
+    fs.writeFileSync(filepath, 'v1');
+    store.backup(filepath);
+
+    expect(store.getVersionPath(filepath, '../../etc/passwd')).toBe(null);
+    expect(store.getVersionPath(filepath, 'meta')).toBe(null);
+    expect(store.getVersionPath(filepath, undefined)).toBe(null);
+  });
+
+  test('keeps callback history and changes with the replaced version', () => {
+    const { store, filepath } = setup({ maxVersions: 1 });
+    const changesPath = path.join(path.dirname(filepath), 'changes.zip');
+    fs.writeFileSync(changesPath, 'zip');
+    fs.writeFileSync(filepath, 'v1');
+    const history = { serverVersion: '8.1.0', changes: [{ created: '2026-01-02 03:04:05', user: { id: 'u1' } }] };
+
+    const version = store.backup(filepath, { history, changesPath });
+    expect(version).toMatchObject({ history, changes: true });
+    expect(fs.readFileSync(store.getChangesPath(filepath, version.id), 'utf8')).toBe('zip');
+    expect(store.getChangesPath(filepath, '../x')).toBe(null);
+
+    // Pruning a version takes its attachments along
+    fs.writeFileSync(filepath, 'v2');
+    store.backup(filepath);
+    expect(store.list(filepath).length).toBe(1);
+    expect(store.getChangesPath(filepath, version.id)).toBe(null);
+    expect(fs.readdirSync(path.dirname(store.getVersionPath(filepath, store.list(filepath)[0].id))).length).toBe(2);
+  });
+
+  test('keeps versions of different files apart', () => {
+    const { store, filepath } = setup();
+    const other = path.join(path.dirname(filepath), 'other.csv');
+    fs.writeFileSync(filepath, 'a');
+    fs.writeFileSync(other, 'b');
+    store.backup(filepath);
+
+    expect(store.list(filepath).length).toBe(1);
+    expect(store.list(other)).toEqual([]);
+  });
+});
@@ -0,0 +1,127 @@
+import { afterEach, describe, test, expect } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createFileHasher,
+  getConverterVersion,
+  createCacheKeyResolver,
+  manifestMatches,
+  writeManifest,
+  clearManifest
+} from '../cache-key.js';
+
+const tempDirs = [];
+
+function makeTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oo-editors-cachekey-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+afterEach(() => {
+  while (tempDirs.length > 0) {
+    fs.rmSync(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+// A converter dir with a VERSION file and a font dir with metadata
+function setupInstall(dir) {
+  fs.mkdirSync(path.join(dir, 'converter'));
+  fs.writeFileSync(path.join(dir, 'converter', 'x2t'), 'binary');
+  fs.writeFileSync(path.join(dir, 'converter', 'VERSION'), 'v9.1.0\n');
+  fs.mkdirSync(path.join(dir, 'fonts'));
+  fs.writeFileSync(path.join(dir, 'fonts', 'AllFonts.js'), 'window["__fonts_files"] = ["a"];');
+  fs.writeFileSync(path.join(dir, 'fonts', 'font_selection.bin'), 'selection');
+  return { x2tPath: path.join(dir, 'converter', 'x2t'), fontDir: path.join(dir, 'fonts') };
+}
+
+describe('createFileHasher', () => {
+  test('rehashes only after the file changes', () => {
+    const dir = makeTempDir();
+    const file = path.join(dir, 'a.txt');
+    fs.writeFileSync(file, 'one');
+    const hashFile = createFileHasher();
+
+    const first = hashFile(file);
+    expect(first).toMatch(/^[a-f0-9]{64}$/);
+    expect(hashFile(file)).toBe(first);
+
+    fs.writeFileSync(file, 'two!');
+    expect(hashFile(file)).not.toBe(first);
+  });
+});
+
+describe('getConverterVersion', () => {
+  test('reads the VERSION file next to x2t, falling back to the binary stats', () => {
+    const dir = makeTempDir();
+    const { x2tPath } = setupInstall(dir);
+    expect(getConverterVersion(x2tPath)).toBe('v9.1.0');
+
+    fs.unlinkSync(path.join(dir, 'converter', 'VERSION'));
+    expect(getConverterVersion(x2tPath)).toMatch(/^unknown:6:/);
+  });
+});
+
+describe('createCacheKeyResolver', () => {
+  test('gives identical files at different paths the same key', () => {
+    const dir = makeTempDir();
+    const resolve = createCacheKeyResolver(setupInstall(dir));
+    fs.writeFileSync(path.join(dir, 'a.docx'), 'same bytes');
+    fs.writeFileSync(path.join(dir, 'copy of a.docx'), 'same bytes');
+    fs.writeFileSync(path.join(dir, 'b.docx'), 'other bytes');
+
+    const a = resolve(path.join(dir, 'a.docx'));
+    expect(a.key).toMatch(/^[a-f0-9]{32}$/);
+    expect(resolve(path.join(dir, 'copy of a.docx')).key).toBe(a.key);
+    expect(resolve(path.join(dir, 'b.docx')).key).not.toBe(a.key);
+  });
+
+  test('changes the key when the converter, fonts or extension change', () => {
+    const dir = makeTempDir();
+    const install = setupInstall(dir);
+    const resolve = createCacheKeyResolver(install);
+    const source = path.join(dir, 'data.csv');
+    fs.writeFileSync(source, 'a,b\n1,2\n');
+    fs.writeFileSync(path.join(dir, 'data.txt'), 'a,b\n1,2\n');
+
+    const original = resolve(source).key;
+    expect(resolve(path.join(dir, 'data.txt')).key).not.toBe(original);
+
+    fs.writeFileSync(path.join(dir, 'converter', 'VERSION'), 'v9.2.0\n');
+    const upgraded = resolve(source).key;
+    expect(upgraded).not.toBe(original);
+
+    fs.writeFileSync(path.join(install.fontDir, 'AllFonts.js'), 'window["__fonts_files"] = ["a", "b"];');
+    expect(resolve(source).key).not.toBe(upgraded);
+  });
+
+  test('keys files read with import options separately', () => {
+    const dir = makeTempDir();
+    const resolve = createCacheKeyResolver(setupInstall(dir));
+    const source = path.join(dir, 'data.csv');
+    fs.writeFileSync(source, 'a;b\n1,5;2\n');
+
+    const plain = resolve(source);
+    const semicolon = resolve(source, '{"delimiter":";"}');
+    expect(plain.manifest.importOptions).toBeUndefined();
+    expect(semicolon.manifest.importOptions).toBe('{"delimiter":";"}');
+    expect(semicolon.key).not.toBe(plain.key);
+    expect(resolve(source, '{"delimiter":","}').key).not.toBe(semicolon.key);
+  });
+});
+
+describe('manifests', () => {
+  test('match only the inputs they were written for', () => {
+    const dir = makeTempDir();
+    const manifest = { sourceHash: 'abc', sourceFormat: 'docx', converterVersion: 'v9.1.0', fontFingerprint: 'f1' };
+
+    expect(manifestMatches(dir, manifest)).toBe(false);
+    writeManifest(dir, manifest);
+    expect(manifestMatches(dir, manifest)).toBe(true);
+    expect(manifestMatches(dir, { ...manifest, fontFingerprint: 'f2' })).toBe(false);
+
+    clearManifest(dir);
+    expect(manifestMatches(dir, manifest)).toBe(false);
+  });
+});
@@ -0,0 +1,176 @@
+import { afterEach, describe, test, expect } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createCacheStore, getDefaultCacheDir, getDirectorySize } from '../cache-store.js';
+import { generateFileHash } from '../server-utils.js';
+
+const tempDirs = [];
+
+function makeTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oo-editors-cache-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+afterEach(() => {
+  while (tempDirs.length > 0) {
+    fs.rmSync(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+// Create a source file and a cache entry of `size` bytes last used `ageMs` ago
+function addEntry(store, dir, name, size, ageMs) {
+  const source = path.join(dir, name);
+  fs.writeFileSync(source, 'source');
+  const hash = generateFileHash(source);
+  store.touch(hash, source);
+  fs.writeFileSync(path.join(store.getEntryDir(hash), 'Editor.bin'), Buffer.alloc(size));
+  const metaPath = path.join(store.getEntryDir(hash), 'meta.json');
+  const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+  fs.writeFileSync(metaPath, JSON.stringify({ ...meta, lastAccess: Date.now() - ageMs }));
+  return { source, hash };
+}
+
+describe('getDefaultCacheDir', () => {
+  test('lives outside the install directory', () => {
+    const dir = getDefaultCacheDir();
+    expect(dir.endsWith('oo-editors') || dir.endsWith(path.join('oo-editors', 'Cache'))).toBe(true);
+    expect(dir.startsWith(path.resolve(import.meta.dir, '..'))).toBe(false);
+  });
+});
+
+describe('getDirectorySize', () => {
+  test('sums nested files', () => {
+    const dir = makeTempDir();
+    fs.mkdirSync(path.join(dir, 'media'));
+    fs.writeFileSync(path.join(dir, 'Editor.bin'), Buffer.alloc(100));
+    fs.writeFileSync(path.join(dir, 'media', 'image1.png'), Buffer.alloc(50));
+    expect(getDirectorySize(dir)).toBe(150);
+    expect(getDirectorySize(path.join(dir, 'missing'))).toBe(0);
+  });
+});
+
+describe('createCacheStore', () => {
+  test('lists entries most recently used first with their source', () => {
+    const dir = makeTempDir();
+    const store = createCacheStore({ rootDir: path.join(dir, 'cache') });
+    const old = addEntry(store, dir, 'old.docx', 10, 60000);
+    const recent = addEntry(store, dir, 'recent.docx', 20, 1000);
+
+    const entries = store.list();
+    expect(entries.map((entry) => entry.hash)).toEqual([recent.hash, old.hash]);
+    expect(entries[0]).toMatchObject({ filepaths: [recent.source], sourceExists: true });
+    expect(entries[0].size).toBeGreaterThanOrEqual(20);
+  });
+
+  test('keeps every path an entry was used for', () => {
+    const dir = makeTempDir();
+    const store = createCacheStore({ rootDir: path.join(dir, 'cache') });
+    const hash = 'a'.repeat(32);
+    store.touch(hash, '/docs/a.docx');
+    store.touch(hash, '/docs/copy.docx');
+    store.touch(hash, '/docs/a.docx');
+    expect(store.list()[0].filepaths).toEqual(['/docs/a.docx', '/docs/copy.docx']);
+    expect(store.list()[0].sourceExists).toBe(false);
+  });
+
+  test('reads entries recorded with a single filepath', () => {
+    const dir = makeTempDir();
+    const store = createCacheStore({ rootDir: dir });
+    const hash = 'b'.repeat(32);
+    fs.mkdirSync(path.join(dir, hash));
+    fs.writeFileSync(path.join(dir, hash, 'meta.json'), JSON.stringify({ filepath: '/docs/old.xlsx', lastAccess: 1 }));
+    expect(store.list()[0]).toMatchObject({ filepaths: ['/docs/old.xlsx'], lastAccess: 1 });
+  });
+
+  test('ignores directories that are not cache entries', () => {
+    const dir = makeTempDir();
+    const store = createCacheStore({ rootDir: dir });
+    fs.mkdirSync(path.join(dir, 'not-a-hash'));
+    expect(store.list()).toEqual([]);
+    expect(store.remove('../etc')).toBe(false);
+  });
+
+  test('resolves files of an entry for /api/doc-base without leaving it', () => {
+    const dir = makeTempDir();
+    const store = createCacheStore({ rootDir: path.join(dir, 'cache') });
+    const { hash } = addEntry(store, dir, 'a.docx', 10, 0);
+    fs.writeFileSync(path.join(dir, 'secret.txt'), 'secret');
+
+    expect(store.getEntryFile(hash, 'media/image1.png')).toBe(path.join(store.getEntryDir(hash), 'media', 'image1.png'));
+    // /api/doc-base/%2e%2e/secret.txt arrives as filehash '..'
+    expect(store.getEntryFile('..', 'secret.txt')).toBe(null);
+    expect(store.getEntryFile('.', '../secret.txt')).toBe(null);
+    expect(store.getEntryFile(hash, '../../secret.txt')).toBe(null);
+    expect(store.getEntryFile(hash, 'media/../../other/Editor.bin')).toBe(null);
+    expect(store.getEntryFile(hash, path.join(dir, 'secret.txt'))).toBe(null);
+    expect(store.getEntryFile(hash, '.')).toBe(null);
+  });
+
+  test('evicts entries whose source file is gone', () => {
+    const dir = makeTempDir();
+    const store = createCacheStore({ rootDir: path.join(dir, 'cache') });
+    const kept = addEntry(store, dir, 'kept.xlsx', 10, 0);
+    const gone = addEntry(store, dir, 'gone.xlsx', 10, 0);
+    fs.unlinkSync(gone.source);
+
+    expect(store.evictOrphans()).toEqual([gone.hash]);
+    expect(store.list().map((entry) => entry.hash)).toEqual([kept.hash]);
+  });
+
+  test('evicts least recently used entries over the size cap', () => {
+    const dir = makeTempDir();
+    const store = createCacheStore({ rootDir: path.join(dir, 'cache'), maxBytes: 2500 });
+    const oldest = addEntry(store, dir, 'a.pptx', 1000, 30000);
+    const middle = addEntry(store, dir, 'b.pptx', 1000, 20000);
+    const newest = addEntry(store, dir, 'c.pptx', 1000, 10000);
+
+    expect(store.enforceLimit({ keep: oldest.hash })).toEqual([middle.hash]);
+    expect(store.list().map((entry) => entry.hash)).toEqual([newest.hash, oldest.hash]);
+  });
+
+  test('never evicts leased entries', () => {
+    const dir = makeTempDir();
+    const store = createCacheStore({ rootDir: path.join(dir, 'cache'), maxBytes: 1500 });
+    const oldest = addEntry(store, dir, 'a.pptx', 1000, 30000);
+    const newest = addEntry(store, dir, 'b.pptx', 1000, 10000);
+    fs.unlinkSync(oldest.source);
+
+    const release = store.lease(oldest.hash);
+    const second = store.lease(oldest.hash);
+    expect(store.evictOrphans()).toEqual([]);
+    expect(store.enforceLimit()).toEqual([newest.hash]);
+    release();
+    release();
+    expect(store.evictOrphans()).toEqual([]);
+    second();
+    expect(store.evictOrphans()).toEqual([oldest.hash]);
+  });
+
+  test('never evicts without a cap', () => {
+    const dir = makeTempDir();
+    const store = createCacheStore({ rootDir: path.join(dir, 'cache') });
+    addEntry(store, dir, 'a.docx', 5000, 0);
+    expect(store.enforceLimit()).toEqual([]);
+  });
+
+  test('keeps private entries outside the cache until they go unused', () => {
+    const dir = makeTempDir();
+    const store = createCacheStore({ rootDir: path.join(dir, 'cache'), privateEntryTtlMs: 1000 });
+    const entry = store.createPrivateEntry();
+    tempDirs.push(entry.dir);
+
+    expect(entry.hash).toMatch(/^[a-f0-9]{32}$/);
+    expect(entry.dir.startsWith(store.rootDir)).toBe(false);
+    expect(store.getEntryDir(entry.hash)).toBe(entry.dir);
+    expect(store.getEntryFile(entry.hash, 'media/image1.png')).toBe(path.join(entry.dir, 'media', 'image1.png'));
+    expect(store.list()).toEqual([]);
+
+    // Using the entry keeps it
+    expect(store.expirePrivateEntries(Date.now() + 500)).toEqual([]);
+    expect(store.expirePrivateEntries(Date.now() + 1500)).toEqual([entry.hash]);
+    expect(fs.existsSync(entry.dir)).toBe(false);
+    expect(store.getEntryDir(entry.hash)).toBe(path.join(store.rootDir, entry.hash));
+  });
+});
@@ -0,0 +1,72 @@
+import { afterEach, describe, test, expect } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseArgs, parseJobs, listDocuments, mapWithConcurrency } from '../cli.js';
+
+const tempDirs = [];
+
+function makeTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oo-editors-cli-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+afterEach(() => {
+  while (tempDirs.length > 0) {
+    fs.rmSync(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+describe('parseArgs', () => {
+  test('separates the command, positionals, CLI flags and export options', () => {
+    const args = parseArgs(['convert', 'in.xlsx', 'out.pdf', '--json', '--sheets', '0,2', '--to=pdfa', '--fitToPage', '1']);
+    expect(args.command).toBe('convert');
+    expect(args.positionals).toEqual(['in.xlsx', 'out.pdf']);
+    expect(args.flags).toEqual({ json: true, to: 'pdfa' });
+    expect(args.exportOptions).toEqual({ sheets: '0,2', fitToPage: '1' });
+  });
+
+  test('rejects a flag without a value', () => {
+    expect(() => parseArgs(['export-dir', 'docs', '--to'])).toThrow(/--to needs a value/);
+    expect(() => parseArgs(['export-dir', 'docs', '--jobs', '--json'])).toThrow();
+  });
+});
+
+describe('parseJobs', () => {
+  test('defaults and validates the job count', () => {
+    expect(parseJobs(undefined)).toBe(2);
+    expect(parseJobs('4')).toBe(4);
+    expect(() => parseJobs('0')).toThrow();
+    expect(() => parseJobs('two')).toThrow();
+  });
+});
+
+describe('listDocuments', () => {
+  test('finds supported documents, skipping hidden files', () => {
+    const dir = makeTempDir();
+    fs.mkdirSync(path.join(dir, 'sub'));
+    for (const name of ['b.docx', 'a.xlsx', 'notes.md', '.a.xlsx.1234.saving.xlsx', 'sub/c.pptx']) {
+      fs.writeFileSync(path.join(dir, name), '');
+    }
+
+    expect(listDocuments(dir, false)).toEqual([path.join(dir, 'a.xlsx'), path.join(dir, 'b.docx')]);
+    expect(listDocuments(dir, true)).toContain(path.join(dir, 'sub', 'c.pptx'));
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  test('keeps result order and never exceeds the limit', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 5], 2, async (ms) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise((resolve) => setTimeout(resolve, ms));
+      running--;
+      return ms * 2;
+    });
+    expect(results).toEqual([60, 20, 40, 10]);
+    expect(peak).toBe(2);
+  });
+});
@@ -0,0 +1,347 @@
+import { afterEach, describe, test, expect } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createCacheStore } from '../cache-store.js';
+import { createConversionService, createSecretParamsPath, removeSecretParams } from '../conversion.js';
+import { extractZipEntries, writeZipEntries } from '../zip-reader.js';
+
+const tempDirs = [];
+
+function makeTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oo-editors-conversion-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+afterEach(() => {
+  while (tempDirs.length > 0) {
+    fs.rmSync(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+// Stands in for the x2t scheduler: writes the params, then "converts" by
+// writing `output` (or what output(xml) returns) to <m_sFileTo> and exiting
+// with `code` (or what code(xml) returns)
+function createFakeScheduler({ code = 0, output = 'converted' } = {}) {
+  const jobs = [];
+  return {
+    jobs,
+    run(spec) {
+      spec.prepare();
+      const xml = fs.readFileSync(spec.paramsPath, 'utf8');
+      jobs.push({ key: spec.key, xml });
+      const outputPath = xml.match(/<m_sFileTo>(.*)<\/m_sFileTo>/)[1];
+      const exitCode = typeof code === 'function' ? code(xml) : code;
+      if (exitCode === 0 && output) fs.writeFileSync(outputPath, typeof output === 'function' ? output(xml) : output);
+      spec.cleanup();
+      return Promise.resolve({ code: exitCode, stdout: '', stderr: exitCode ? 'boom' : '' });
+    }
+  };
+}
+
+function setup(schedulerOptions) {
+  const dir = makeTempDir();
+  const source = path.join(dir, 'report.docx');
+  fs.writeFileSync(source, 'source');
+  fs.mkdirSync(path.join(dir, 'fonts'));
+  fs.writeFileSync(path.join(dir, 'fonts', 'AllFonts.js'), 'window["__fonts_files"] = [];');
+  const scheduler = createFakeScheduler(schedulerOptions);
+  const conversion = createConversionService({
+    scheduler,
+    x2tPath: path.join(dir, 'x2t'),
+    fontDir: path.join(dir, 'fonts'),
+    themeDir: path.join(dir, 'themes'),
+    cache: createCacheStore({ rootDir: path.join(dir, 'cache') })
+  });
+  return { dir, source, scheduler, conversion };
+}
+
+describe('createSecretParamsPath', () => {
+  test('gives a path in a directory only the owner can enter', () => {
+    const paramsPath = createSecretParamsPath();
+    try {
+      expect(fs.statSync(path.dirname(paramsPath)).mode & 0o777).toBe(0o700);
+      expect(fs.existsSync(paramsPath)).toBe(false);
+    } finally {
+      removeSecretParams(paramsPath);
+    }
+    expect(fs.existsSync(path.dirname(paramsPath))).toBe(false);
+  });
+});
+
+describe('convertToEditorBin', () => {
+  test('converts once and then serves the cached binary', async () => {
+    const { source, scheduler, conversion } = setup();
+
+    const first = await conversion.convertToEditorBin(source);
+    expect(first.cacheHit).toBe(false);
+    expect(first.outputPath).toBe(path.join(conversion.getCacheDir(source), 'Editor.bin'));
+    expect(scheduler.jobs[0].xml).toContain('<m_nFormatTo>8192</m_nFormatTo>');
+    expect(fs.existsSync(path.join(conversion.getCacheDir(source), 'params_temp.xml'))).toBe(false);
+
+    const second = await conversion.convertToEditorBin(source);
+    expect(second.cacheHit).toBe(true);
+    expect(scheduler.jobs.length).toBe(1);
+  });
+
+  test('shares one conversion between copies of a file', async () => {
+    const { dir, source, scheduler, conversion } = setup();
+    const copy = path.join(dir, 'renamed copy.docx');
+    fs.copyFileSync(source, copy);
+
+    const first = await conversion.convertToEditorBin(source);
+    const second = await conversion.convertToEditorBin(copy);
+    expect(second).toMatchObject({ cacheHit: true, fileHash: first.fileHash });
+    expect(scheduler.jobs.length).toBe(1);
+
+    const meta = JSON.parse(fs.readFileSync(path.join(conversion.getCacheDir(source), 'meta.json'), 'utf8'));
+    expect(meta.filepaths).toEqual([source, copy]);
+  });
+
+  test('reconverts when the font set changes', async () => {
+    const { dir, source, scheduler, conversion } = setup();
+    const first = await conversion.convertToEditorBin(source);
+
+    fs.writeFileSync(path.join(dir, 'fonts', 'AllFonts.js'), 'window["__fonts_files"] = ["new"];');
+    const second = await conversion.convertToEditorBin(source);
+    expect(second.cacheHit).toBe(false);
+    expect(second.fileHash).not.toBe(first.fileHash);
+    expect(scheduler.jobs.length).toBe(2);
+  });
+
+  test('does not trust an Editor.bin without a manifest', async () => {
+    const { source, scheduler, conversion } = setup();
+    await conversion.convertToEditorBin(source);
+    fs.unlinkSync(path.join(conversion.getCacheDir(source), 'manifest.json'));
+
+    expect((await conversion.convertToEditorBin(source)).cacheHit).toBe(false);
+    expect(scheduler.jobs.length).toBe(2);
+  });
+
+  test('reports password protected documents', async () => {
+    const { source, conversion } = setup({ code: 91 });
+    await expect(conversion.convertToEditorBin(source)).rejects.toMatchObject({
+      code: 'EPASSWORD',
+      passwordGiven: false
+    });
+    await expect(conversion.convertToEditorBin(source, { password: 'x' })).rejects.toThrow('The password is incorrect');
+  });
+
+  test('keeps a decrypted document out of the cache', async () => {
+    const { source, scheduler, conversion } = setup({ code: (xml) => (xml.includes('<m_sPassword>') ? 0 : 91) });
+
+    const unlocked = await conversion.convertToEditorBin(source, { password: 'secret' });
+    tempDirs.push(path.dirname(unlocked.outputPath));
+    expect(unlocked.cacheHit).toBe(false);
+    expect(unlocked.fileHash).not.toBe(conversion.getCacheKey(source));
+    expect(path.dirname(unlocked.outputPath)).not.toBe(conversion.getCacheDir(source));
+    expect(fs.existsSync(path.join(conversion.getCacheDir(source), 'Editor.bin'))).toBe(false);
+    expect(fs.existsSync(path.join(conversion.getCacheDir(source), 'manifest.json'))).toBe(false);
+
+    // Even while the decrypted copy is still being sent
+    await expect(conversion.convertToEditorBin(source)).rejects.toMatchObject({ code: 'EPASSWORD' });
+    unlocked.dispose();
+    expect(fs.existsSync(unlocked.outputPath)).toBe(false);
+    await expect(conversion.convertToEditorBin(source)).rejects.toMatchObject({ code: 'EPASSWORD' });
+    expect(scheduler.jobs.length).toBe(3);
+  });
+
+  test('serves the images of a decrypted document only under its private key', async () => {
+    const { source, conversion } = setup({
+      code: (xml) => (xml.includes('<m_sPassword>') ? 0 : 91),
+      // x2t writes the document's images to media/ next to Editor.bin
+      output: (xml) => {
+        const mediaDir = path.join(path.dirname(xml.match(/<m_sFileTo>(.*)<\/m_sFileTo>/)[1]), 'media');
+        fs.mkdirSync(mediaDir);
+        fs.writeFileSync(path.join(mediaDir, 'image1.png'), 'decrypted image');
+        return 'converted';
+      }
+    });
+
+    const unlocked = await conversion.convertToEditorBin(source, { password: 'secret' });
+    tempDirs.push(path.dirname(unlocked.outputPath));
+    unlocked.dispose();
+    expect(fs.existsSync(path.join(conversion.getCacheDir(source), 'media'))).toBe(false);
+    expect(fs.readFileSync(path.join(path.dirname(unlocked.outputPath), 'media', 'image1.png'), 'utf8')).toBe('decrypted image');
+  });
+
+  test('never evicts an entry while its conversion is pending or being sent', async () => {
+    const { dir } = setup();
+    const pending = path.join(dir, 'pending.docx');
+    const other = path.join(dir, 'other.docx');
+    fs.writeFileSync(pending, 'pending');
+    fs.writeFileSync(other, 'other');
+    const cache = createCacheStore({ rootDir: path.join(dir, 'cache'), maxBytes: 1500 });
+    let finishPending = null;
+    const conversion = createConversionService({
+      scheduler: {
+        run(spec) {
+          spec.prepare();
+          fs.writeFileSync(fs.readFileSync(spec.paramsPath, 'utf8').match(/<m_sFileTo>(.*)<\/m_sFileTo>/)[1], Buffer.alloc(1000));
+          spec.cleanup();
+          const result = { code: 0, stdout: '', stderr: '' };
+          if (finishPending) return Promise.resolve(result);
+          return new Promise((resolve) => {
+            finishPending = () => resolve(result);
+          });
+        }
+      },
+      x2tPath: path.join(dir, 'x2t'),
+      fontDir: path.join(dir, 'fonts'),
+      themeDir: path.join(dir, 'themes'),
+      cache
+    });
+
+    const converting = conversion.convertToEditorBin(pending);
+    // Finishing this one puts the cache over its cap
+    const done = await conversion.convertToEditorBin(other);
+    expect(fs.existsSync(path.join(conversion.getCacheDir(pending), 'Editor.bin'))).toBe(true);
+
+    finishPending();
+    const converted = await converting;
+    expect(fs.existsSync(done.outputPath)).toBe(true);
+    converted.dispose();
+    done.dispose();
+    expect(cache.enforceLimit()).toEqual([done.fileHash]);
+    expect(fs.existsSync(converted.outputPath)).toBe(true);
+  });
+
+  test('fails when x2t exits cleanly without output', async () => {
+    const { source, conversion } = setup({ output: null });
+    await expect(conversion.convertToEditorBin(source)).rejects.toMatchObject({
+      code: 'EX2T',
+      details: 'output file not created'
+    });
+  });
+
+  test('reads delimited text in its dialect and keys each dialect separately', async () => {
+    const { dir } = setup();
+    const source = path.join(dir, 'prices.csv');
+    fs.writeFileSync(source, "name;price\n'tea; green';1,5\n");
+    let dialect = { encoding: 'windows-1252', delimiter: ';', quote: "'", decimal: ',' };
+    const inputs = [];
+    const scheduler = createFakeScheduler();
+    const conversion = createConversionService({
+      scheduler: {
+        run(spec) {
+          const run = scheduler.run({ ...spec, prepare: () => {
+            spec.prepare();
+            const input = fs.readFileSync(spec.paramsPath, 'utf8').match(/<m_sFileFrom>(.*)<\/m_sFileFrom>/)[1];
+            inputs.push({ path: input, content: fs.readFileSync(input, 'utf8') });
+          } });
+          return run;
+        }
+      },
+      x2tPath: path.join(dir, 'x2t'),
+      fontDir: path.join(dir, 'fonts'),
+      themeDir: path.join(dir, 'themes'),
+      cache: createCacheStore({ rootDir: path.join(dir, 'cache') }),
+      getTextDialect: () => dialect
+    });
+
+    const first = await conversion.convertToEditorBin(source);
+    const xml = scheduler.jobs[0].xml;
+    expect(xml).toContain('<m_nFormatFrom>260</m_nFormatFrom>');
+    expect(xml).toContain('<m_nCsvTxtEncoding>44</m_nCsvTxtEncoding>\n<m_nCsvDelimiter>2</m_nCsvDelimiter>');
+    expect(xml).toContain('<m_nLcid>1031</m_nLcid>');
+    // x2t is given a double-quoted copy, removed once it is done
+    expect(inputs[0].content).toBe('name;price\n"tea; green";1,5\n');
+    expect(inputs[0].path).not.toBe(source);
+    expect(fs.existsSync(inputs[0].path)).toBe(false);
+
+    expect((await conversion.convertToEditorBin(source)).cacheHit).toBe(true);
+    dialect = { ...dialect, quote: '"' };
+    const second = await conversion.convertToEditorBin(source);
+    expect(second).toMatchObject({ cacheHit: false });
+    expect(second.fileHash).not.toBe(first.fileHash);
+    expect(conversion.getCacheKey(source)).toBe(second.fileHash);
+    expect(inputs[1].path).toBe(source);
+  });
+
+  test('removes the requoted copy when x2t times out, and never writes it into the cache entry', async () => {
+    const { dir } = setup();
+    const source = path.join(dir, 'prices.csv');
+    fs.writeFileSync(source, "name;price\n'tea; green';1,5\n");
+    let inputPath;
+    const conversion = createConversionService({
+      scheduler: {
+        run(spec) {
+          spec.prepare();
+          inputPath = fs.readFileSync(spec.paramsPath, 'utf8').match(/<m_sFileFrom>(.*)<\/m_sFileFrom>/)[1];
+          expect(fs.existsSync(inputPath)).toBe(true);
+          spec.cleanup();
+          return Promise.reject(Object.assign(new Error('x2t timed out'), { code: 'ETIMEDOUT' }));
+        }
+      },
+      x2tPath: path.join(dir, 'x2t'),
+      fontDir: path.join(dir, 'fonts'),
+      themeDir: path.join(dir, 'themes'),
+      cache: createCacheStore({ rootDir: path.join(dir, 'cache') }),
+      getTextDialect: () => ({ encoding: 'utf-8', delimiter: ';', quote: "'" })
+    });
+
+    await expect(conversion.convertToEditorBin(source)).rejects.toMatchObject({ code: 'ETIMEDOUT' });
+    expect(inputPath.startsWith(path.join(dir, 'cache'))).toBe(false);
+    expect(fs.existsSync(inputPath)).toBe(false);
+    expect(fs.readdirSync(conversion.getCacheDir(source))).toEqual([]);
+  });
+});
+
+describe('exportFile', () => {
+  test('writes the export into a temp directory removed by dispose()', async () => {
+    const { source, scheduler, conversion } = setup();
+
+    const exported = await conversion.exportFile(source, 'pdf', { pages: '1-2' });
+    expect(exported.format.ext).toBe('pdf');
+    expect(fs.readFileSync(exported.outputPath, 'utf8')).toBe('converted');
+    expect(scheduler.jobs[0].xml).toContain('<m_nFormatTo>513</m_nFormatTo>');
+
+    exported.dispose();
+    expect(fs.existsSync(path.dirname(exported.outputPath))).toBe(false);
+  });
+
+  test('rejects options before running x2t', async () => {
+    const { source, scheduler, conversion } = setup();
+    await expect(conversion.exportFile(source, 'xlsx')).rejects.toMatchObject({ code: 'EINVALIDOPTION' });
+    expect(scheduler.jobs.length).toBe(0);
+  });
+
+  test('writes a chosen sheet to CSV through an XLSX copy with that sheet active', async () => {
+    const workbookXml = '<workbook><bookViews><workbookView activeTab="0"/></bookViews><sheets>'
+      + '<sheet name="Data" sheetId="1"/><sheet name="Q&amp;A" sheetId="2"/></sheets></workbook>';
+    // XLSX output is a workbook; CSV output names the sheet that was active in its input
+    const { dir, scheduler, conversion } = setup({
+      output: (xml) => {
+        if (xml.includes('<m_nFormatTo>257</m_nFormatTo>')) {
+          const file = path.join(dir, 'workbook.xlsx');
+          writeZipEntries(file, [{ name: 'xl/workbook.xml', data: Buffer.from(workbookXml) }]);
+          return fs.readFileSync(file);
+        }
+        const input = xml.match(/<m_sFileFrom>(.*)<\/m_sFileFrom>/)[1];
+        const workbook = extractZipEntries(input).find((e) => e.name === 'xl/workbook.xml').data.toString();
+        return `sheet ${workbook.match(/activeTab="(\d+)"/)[1]}`;
+      }
+    });
+    const source = path.join(dir, 'book.ods');
+    fs.writeFileSync(source, 'ods');
+
+    const exported = await conversion.exportFile(source, 'csv', { sheet: '1' });
+    expect(fs.readFileSync(exported.outputPath, 'utf8')).toBe('sheet 1');
+    expect(exported.sheet).toEqual({ index: 1, name: 'Q&A' });
+    expect(scheduler.jobs.map((job) => job.xml.match(/<m_nFormatTo>(\d+)/)[1])).toEqual(['257', '260']);
+    exported.dispose();
+
+    await expect(conversion.exportFile(source, 'csv', { sheet: '5' })).rejects.toMatchObject({
+      code: 'EINVALIDOPTION',
+      message: 'sheet 5 does not exist; the workbook has 2 sheets'
+    });
+  });
+
+  test('cleans up after a failed export', async () => {
+    const { source, conversion } = setup({ code: 1 });
+    const before = fs.readdirSync(os.tmpdir()).filter((name) => name.startsWith('oo-export-')).length;
+    await expect(conversion.exportFile(source, 'odt')).rejects.toMatchObject({ code: 'EX2T', exitCode: 1 });
+    expect(fs.readdirSync(os.tmpdir()).filter((name) => name.startsWith('oo-export-')).length).toBe(before);
+  });
+});
@@ -0,0 +1,275 @@
+import { afterEach, describe, test, expect } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import {
+  CONVERT_ERRORS,
+  readConvertRequest,
+  getRegionLcid,
+  parseConvertParams,
+  downloadToFile,
+  createConvertApi
+} from '../convert-api.js';
+import { signJwt } from '../jwt.js';
+
+const tempDirs = [];
+const servers = [];
+
+function makeTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oo-editors-convert-api-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+afterEach(() => {
+  while (servers.length > 0) {
+    servers.pop().close();
+  }
+  while (tempDirs.length > 0) {
+    fs.rmSync(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+// Stands in for the x2t scheduler: runs prepare(), then hands the params to `convert`
+function makeScheduler(convert) {
+  const runs = [];
+  return {
+    runs,
+    run: async (spec) => {
+      spec.prepare();
+      const xml = fs.readFileSync(spec.paramsPath, 'utf8');
+      runs.push(xml);
+      const input = xml.match(/<m_sFileFrom>(.*)<\/m_sFileFrom>/)[1];
+      const output = xml.match(/<m_sFileTo>(.*)<\/m_sFileTo>/)[1];
+      return convert(input, output, xml);
+    }
+  };
+}
+
+const copyConvert = (input, output) => {
+  fs.copyFileSync(input, output);
+  return { code: 0 };
+};
+
+function makeApi(options = {}) {
+  const dir = makeTempDir();
+  const source = path.join(dir, 'report.docx');
+  fs.writeFileSync(source, 'docx bytes');
+  const outputDir = path.join(dir, 'converted');
+  const scheduler = options.scheduler || makeScheduler(copyConvert);
+  const api = createConvertApi({
+    scheduler,
+    fontDir: '/fonts',
+    themeDir: '/themes',
+    outputDir,
+    getResultUrl: (name) => `http://localhost:1/converted/${name}`,
+    resolveLocalPath: (filepath) => {
+      if (!filepath.startsWith(dir)) {
+        throw Object.assign(new Error(`Access denied: ${filepath}`), { code: 'EPATHDENIED' });
+      }
+      return filepath;
+    },
+    logger: { info() {}, warn() {}, error() {} },
+    ...options
+  });
+  return { api, dir, source, outputDir, scheduler };
+}
+
+describe('readConvertRequest', () => {
+  const params = { filetype: 'docx', key: 'k1', outputtype: 'pdf', url: '/tmp/a.docx' };
+
+  test('reports token problems as error -8', () => {
+    expect(readConvertRequest({ token: signJwt(params, 's') }, { secret: 's' })).toEqual(params);
+    expect(() => readConvertRequest({ token: signJwt(params, 'other') }, { secret: 's' }))
+      .toThrow(expect.objectContaining({ errorCode: CONVERT_ERRORS.TOKEN }));
+    expect(() => readConvertRequest(params, { secret: 's', tokenRequired: true }))
+      .toThrow(expect.objectContaining({ errorCode: CONVERT_ERRORS.TOKEN }));
+  });
+});
+
+describe('parseConvertParams', () => {
+  const base = { filetype: 'docx', key: 'k1', outputtype: 'pdf', url: '/tmp/a.docx' };
+
+  test('maps the request onto x2t settings', () => {
+    const params = parseConvertParams({
+      ...base,
+      filetype: 'csv',
+      outputtype: 'xlsx',
+      async: true,
+      codePage: 932,
+      delimiter: 2,
+      region: 'ja_JP',
+      spreadsheetLayout: { fitToWidth: 1 }
+    });
+    expect(params).toMatchObject({
+      async: true, formatCode: 257, fileType: 'xlsx', codePage: 932, delimiter: 2, lcid: 1041,
+      jsonParams: { spreadsheetLayout: { fitToWidth: 1 } }, title: 'k1.csv'
+    });
+  });
+
+  test('resolves ooxml and odf from the input type', () => {
+    expect(parseConvertParams({ ...base, filetype: 'xls', outputtype: 'ooxml' }).fileType).toBe('xlsx');
+    expect(parseConvertParams({ ...base, filetype: 'ppt', outputtype: 'odf' }).fileType).toBe('odp');
+    expect(() => parseConvertParams({ ...base, filetype: 'pdf', outputtype: 'ooxml' }))
+      .toThrow(expect.objectContaining({ errorCode: CONVERT_ERRORS.OUTPUT_FORMAT }));
+  });
+
+  test('writes vsdx although diagrams are never saved back', () => {
+    expect(parseConvertParams({ ...base, filetype: 'vsdx', outputtype: 'vsdx' })).toMatchObject({ formatCode: 16385, fileType: 'vsdx' });
+  });
+
+  test('returns every page of an image conversion as a zip', () => {
+    const params = parseConvertParams({ ...base, outputtype: 'png', thumbnail: { first: false, width: 200 } });
+    expect(params.fileType).toBe('zip');
+    expect(params.thumbnail).toEqual({ first: false, width: 200, format: 'png' });
+  });
+
+  test('refuses missing fields, bad keys and bad options as input errors', () => {
+    const expectInputError = (raw) => expect(() => parseConvertParams(raw))
+      .toThrow(expect.objectContaining({ errorCode: CONVERT_ERRORS.INPUT }));
+    expectInputError({ ...base, url: undefined });
+    expectInputError({ ...base, key: 'a/b' });
+    expectInputError({ ...base, outputtype: 'exe' });
+    expectInputError({ ...base, delimiter: 9 });
+  });
+
+  test('ignores unknown regions', () => {
+    expect(getRegionLcid('xx-YY')).toBeUndefined();
+    expect(getRegionLcid('en-GB')).toBe(2057);
+  });
+});
+
+describe('createConvertApi', () => {
+  test('converts synchronously and reuses the result for the same key', async () => {
+    const { api, source, outputDir, scheduler } = makeApi();
+    const request = { filetype: 'docx', key: 'doc-1', outputtype: 'pdf', url: source, region: 'de-DE' };
+
+    const first = await api.handleRequest(request, { trusted: true });
+    expect(first).toMatchObject({ endConvert: true, fileType: 'pdf', percent: 100 });
+    const name = first.fileUrl.split('/').pop();
+    expect(fs.readFileSync(path.join(outputDir, name), 'utf8')).toBe('docx bytes');
+    expect(api.getResultPath(name)).toBe(path.join(outputDir, name));
+    expect(api.getResultPath('../report.docx')).toBe(null);
+    expect(scheduler.runs[0]).toContain('<m_nLcid>1031</m_nLcid>');
+
+    expect(await api.handleRequest(request, { trusted: true })).toEqual(first);
+    expect(scheduler.runs).toHaveLength(1);
+  });
+
+  test('reports progress to async callers until the result is ready', async () => {
+    let finish;
+    const gate = new Promise((resolve) => { finish = resolve; });
+    const scheduler = makeScheduler(async (input, output) => {
+      await gate;
+      return copyConvert(input, output);
+    });
+    const { api, source } = makeApi({ scheduler });
+    const request = { filetype: 'docx', key: 'doc-2', outputtype: 'pdf', url: source, async: true };
+
+    expect(await api.handleRequest(request, { trusted: true })).toEqual({ endConvert: false, percent: 0 });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(await api.handleRequest(request, { trusted: true })).toEqual({ endConvert: false, percent: 10 });
+    finish();
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(await api.handleRequest(request, { trusted: true })).toMatchObject({ endConvert: true, percent: 100 });
+  });
+
+  test('maps failures to Document Server error codes and lets the key be retried', async () => {
+    const scheduler = makeScheduler((input, output, xml) => {
+      if (!xml.includes('<m_sPassword>')) return { code: 91 };
+      return copyConvert(input, output);
+    });
+    const { api, source } = makeApi({ scheduler });
+    const request = { filetype: 'docx', key: 'doc-3', outputtype: 'pdf', url: source };
+
+    expect(await api.handleRequest(request, { trusted: true })).toMatchObject({ error: CONVERT_ERRORS.PASSWORD });
+    expect(await api.handleRequest({ ...request, password: 'pw' }, { trusted: true })).toMatchObject({ endConvert: true });
+
+    const timedOut = makeApi({
+      scheduler: { run: async () => { throw Object.assign(new Error('timed out'), { code: 'ETIMEDOUT' }); } }
+    });
+    expect(await timedOut.api.handleRequest({ ...request, url: timedOut.source }, { trusted: true }))
+      .toMatchObject({ error: CONVERT_ERRORS.TIMEOUT });
+  });
+
+  test('downloads http inputs through the fetcher and refuses paths outside the sandbox', async () => {
+    const fetched = [];
+    const { api } = makeApi({
+      jwtSecret: 's',
+      fetchFile: async (url, destPath) => {
+        fetched.push(url);
+        if (url.includes('missing')) throw new Error('HTTP 404');
+        fs.writeFileSync(destPath, 'remote bytes');
+      }
+    });
+    const request = { filetype: 'xlsx', key: 'remote-1', outputtype: 'pdf', url: 'https://files.example/q3.xlsx' };
+
+    expect(await api.handleRequest({ token: signJwt(request, 's') })).toMatchObject({ endConvert: true });
+    expect(fetched).toEqual(['https://files.example/q3.xlsx']);
+    expect(await api.handleRequest(request)).toMatchObject({ error: CONVERT_ERRORS.TOKEN });
+    expect(await api.handleRequest({ ...request, key: 'remote-2', url: 'https://files.example/missing.xlsx' }, { trusted: true }))
+      .toMatchObject({ error: CONVERT_ERRORS.DOWNLOAD });
+    expect(await api.handleRequest({ ...request, key: 'local-1', url: '/etc/hosts' }, { trusted: true }))
+      .toMatchObject({ error: CONVERT_ERRORS.DOWNLOAD, message: 'Access denied: /etc/hosts' });
+  });
+
+  test('sweeps expired results and leftovers from earlier runs', async () => {
+    const { api, source, outputDir } = makeApi({ resultTtlMs: 1000 });
+    const result = await api.handleRequest({ filetype: 'docx', key: 'doc-4', outputtype: 'pdf', url: source }, { trusted: true });
+    const name = result.fileUrl.split('/').pop();
+    const leftover = path.join(outputDir, `${'0'.repeat(32)}.pdf`);
+    fs.writeFileSync(leftover, 'old');
+    const past = new Date(Date.now() - 5000);
+    fs.utimesSync(leftover, past, past);
+
+    expect(api.sweep()).toBe(1);
+    expect(fs.existsSync(leftover)).toBe(false);
+    expect(fs.existsSync(path.join(outputDir, name))).toBe(true);
+
+    expect(api.sweep(Date.now() + 2000)).toBe(1);
+    expect(fs.existsSync(path.join(outputDir, name))).toBe(false);
+  });
+
+  test('publishes files produced elsewhere until the TTL passes', () => {
+    const { api, dir } = makeApi({ resultTtlMs: 1000 });
+    const saved = path.join(dir, 'saved.xlsx');
+    fs.writeFileSync(saved, 'xlsx bytes');
+    const past = new Date(Date.now() - 5000);
+    fs.utimesSync(saved, past, past);
+
+    const url = api.publishResult(saved, 'xlsx');
+    const resultPath = api.getResultPath(url.split('/').pop());
+    expect(url).toMatch(/^http:\/\/localhost:1\/converted\/[0-9a-f]{32}\.xlsx$/);
+    expect(fs.readFileSync(resultPath, 'utf8')).toBe('xlsx bytes');
+    expect(fs.existsSync(saved)).toBe(false);
+
+    expect(api.sweep()).toBe(0);
+    expect(api.sweep(Date.now() + 2000)).toBe(1);
+  });
+});
+
+describe('downloadToFile', () => {
+  async function serve(body) {
+    const app = express();
+    app.get('/file', (req, res) => res.send(body));
+    app.get('/missing', (req, res) => res.sendStatus(404));
+    return new Promise((resolve) => {
+      const server = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+      servers.push(server);
+    });
+  }
+
+  test('writes the body and refuses errors and oversized files', async () => {
+    const base = await serve(Buffer.alloc(4096, 1));
+    const dest = path.join(makeTempDir(), 'input.xlsx');
+
+    await downloadToFile(`${base}/file`, dest);
+    expect(fs.statSync(dest).size).toBe(4096);
+
+    await expect(downloadToFile(`${base}/missing`, dest)).rejects.toThrow('HTTP 404');
+    fs.unlinkSync(dest);
+    await expect(downloadToFile(`${base}/file`, dest, { maxBytes: 1024 })).rejects.toThrow(/larger than 1024/);
+    expect(fs.existsSync(dest)).toBe(false);
+  });
+});
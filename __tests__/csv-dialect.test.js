@@ -0,0 +1,174 @@
+import { afterEach, describe, test, expect } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  getDialectKind,
+  getDefaultDialect,
+  detectEncoding,
+  decodeText,
+  parseRows,
+  formatRows,
+  sniffDialect,
+  sniffFileDialect,
+  normalizeDialect,
+  getX2TTextOptions,
+  requoteText,
+  createDialectStore
+} from '../csv-dialect.js';
+
+const tempDirs = [];
+
+function makeTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oo-editors-csv-dialect-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+afterEach(() => {
+  while (tempDirs.length > 0) {
+    fs.rmSync(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+describe('getDialectKind', () => {
+  test('tells tables from plain text', () => {
+    expect(getDialectKind('/data/a.CSV')).toBe('table');
+    expect(getDialectKind('/data/a.tsv')).toBe('table');
+    expect(getDialectKind('/data/a.txt')).toBe('text');
+    expect(getDialectKind('/data/a.xlsx')).toBe(null);
+    expect(getDefaultDialect('a.tsv').delimiter).toBe('\t');
+  });
+});
+
+describe('detectEncoding', () => {
+  test('reads byte order marks', () => {
+    expect(detectEncoding(Buffer.from([0xef, 0xbb, 0xbf, 0x61]))).toEqual({ encoding: 'utf-8', bom: true });
+    expect(detectEncoding(Buffer.from([0xff, 0xfe, 0x61, 0x00]))).toEqual({ encoding: 'utf-16le', bom: true });
+    expect(detectEncoding(Buffer.from([0xfe, 0xff, 0x00, 0x61]))).toEqual({ encoding: 'utf-16be', bom: true });
+  });
+
+  test('recognises UTF-16 without a BOM, UTF-8 and Windows-1252', () => {
+    expect(detectEncoding(Buffer.from('a;b\n1;2\n', 'utf16le')).encoding).toBe('utf-16le');
+    expect(detectEncoding(Buffer.from('a;b\n1;2\n', 'utf16le').swap16()).encoding).toBe('utf-16be');
+    expect(detectEncoding(Buffer.from('café;crème\n', 'utf8')).encoding).toBe('utf-8');
+    expect(detectEncoding(Buffer.from('café;crème\n', 'latin1')).encoding).toBe('windows-1252');
+    // A character cut off at the end of a sample is still UTF-8
+    expect(detectEncoding(Buffer.from('café', 'utf8').subarray(0, 4)).encoding).toBe('utf-8');
+  });
+
+  test('decodes without the BOM', () => {
+    expect(decodeText(Buffer.from('﻿a,b', 'utf16le'), 'utf-16le')).toBe('a,b');
+    expect(decodeText(Buffer.from([0x80]), 'windows-1252')).toBe('€');
+  });
+});
+
+describe('parseRows and formatRows', () => {
+  const dialect = { delimiter: ';', quote: '"' };
+
+  test('handles quoted delimiters, quotes and line breaks', () => {
+    const text = 'name;note\r\n"Smith; J.";"said ""hi""\nthen left"\r\n';
+    const rows = parseRows(text, dialect);
+    expect(rows).toEqual([['name', 'note'], ['Smith; J.', 'said "hi"\nthen left']]);
+    expect(formatRows(rows, dialect, '\r\n')).toBe(text);
+  });
+
+  test('stops after maxRows and keeps a last line without a line break', () => {
+    expect(parseRows('a\nb\nc', dialect, 2)).toEqual([['a'], ['b']]);
+    expect(parseRows('a\nb\nc', dialect)).toEqual([['a'], ['b'], ['c']]);
+  });
+});
+
+describe('sniffDialect', () => {
+  test('finds semicolons and decimal commas', () => {
+    const csv = 'Produkt;Preis;Menge\nTee;1,50;3\nKaffee;12,00;1\n';
+    expect(sniffDialect(Buffer.from(csv), 'prices.csv')).toEqual({ encoding: 'utf-8', delimiter: ';', quote: '"', decimal: ',' });
+  });
+
+  test('finds tabs in UTF-16 exports', () => {
+    const tsv = Buffer.from('﻿name\tvalue\nα\t1.5\nβ\t2.5\n', 'utf16le');
+    expect(sniffDialect(tsv, 'export.txt')).toMatchObject({ encoding: 'utf-16le', delimiter: '\t', decimal: '.' });
+  });
+
+  test('finds single quotes and keeps the comma default when nothing splits', () => {
+    expect(sniffDialect(Buffer.from("'a, b','c'\n'd','e'\n"), 'q.csv')).toMatchObject({ delimiter: ',', quote: "'" });
+    expect(sniffDialect(Buffer.from('one\ntwo\n'), 'list.csv').delimiter).toBe(',');
+    expect(sniffDialect(Buffer.from('one\ntwo\n'), 'list.tsv').delimiter).toBe('\t');
+  });
+
+  test('reads the start of a file, or gives the default for a missing one', () => {
+    const dir = makeTempDir();
+    const file = path.join(dir, 'old.csv');
+    fs.writeFileSync(file, Buffer.from('Stadt;Einwohner\nKöln;1,1\n', 'latin1'));
+    expect(sniffFileDialect(file)).toEqual({ encoding: 'windows-1252', delimiter: ';', quote: '"', decimal: ',' });
+    expect(sniffFileDialect(path.join(dir, 'new.tsv'))).toEqual(getDefaultDialect('new.tsv'));
+  });
+});
+
+describe('normalizeDialect', () => {
+  test('accepts delimiter names and fills in the rest from the base', () => {
+    const base = { encoding: 'windows-1252', delimiter: ',', quote: '"', decimal: '.' };
+    expect(normalizeDialect({ delimiter: 'semicolon', decimal: ',', encoding: 'UTF-8' }, base))
+      .toEqual({ encoding: 'utf-8', delimiter: ';', quote: '"', decimal: ',' });
+    expect(normalizeDialect({ delimiter: '|', quote: '' }, base)).toEqual({ ...base, delimiter: '|' });
+  });
+
+  test('refuses unknown values and a decimal separator that is the delimiter', () => {
+    const invalid = (options) => expect(() => normalizeDialect(options)).toThrow(expect.objectContaining({ code: 'EINVALIDOPTION' }));
+    invalid({ encoding: 'ebcdic' });
+    invalid({ delimiter: '#' });
+    invalid({ quote: '`' });
+    invalid({ decimal: ';' });
+    invalid({ decimal: ',' });
+  });
+});
+
+describe('getX2TTextOptions', () => {
+  test('maps a dialect onto x2t settings', () => {
+    expect(getX2TTextOptions({ encoding: 'windows-1252', delimiter: ';', quote: '"', decimal: ',' }, 'a.csv'))
+      .toEqual({ csv: { codePage: 44, delimiter: 2 }, formatFrom: 260, lcid: 1031 });
+    expect(getX2TTextOptions({ encoding: 'utf-8', delimiter: '\t', quote: '"', decimal: '.' }, 'a.tsv'))
+      .toEqual({ csv: { codePage: 46, delimiter: 1 }, formatFrom: 260 });
+    expect(getX2TTextOptions({ encoding: 'utf-8', delimiter: '|', quote: '"', decimal: '.' }, 'a.csv').csv)
+      .toEqual({ codePage: 46, delimiter: 0, delimiterChar: '|' });
+  });
+
+  test('only passes the encoding for plain text', () => {
+    expect(getX2TTextOptions({ encoding: 'utf-16le', delimiter: ';', quote: '"', decimal: ',' }, 'notes.txt'))
+      .toEqual({ csv: { codePage: 48 } });
+  });
+});
+
+describe('requoteText', () => {
+  test('swaps the quote character and back without touching the encoding', () => {
+    const single = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from("a;'b;c'\r\n'it''s';\"x\"\r\n", 'utf8')]);
+    const dialect = { encoding: 'utf-8', delimiter: ';' };
+    const double = requoteText(single, dialect, "'", '"');
+    expect(double.toString('utf8')).toBe('﻿a;"b;c"\r\nit\'s;"""x"""\r\n');
+    expect(requoteText(double, dialect, '"', "'").toString('utf8')).toBe('﻿a;\'b;c\'\r\n\'it\'\'s\';"x"\r\n');
+  });
+
+  test('rewrites UTF-16 and single-byte text', () => {
+    const utf16 = Buffer.from("﻿'é,1',2\n", 'utf16le').swap16();
+    expect(decodeText(requoteText(utf16, { encoding: 'utf-16be', delimiter: ',' }, "'", '"').swap16(), 'utf-16le'))
+      .toBe('"é,1",2\n');
+    const latin = Buffer.from("'Köln;Bonn';1\n", 'latin1');
+    expect(requoteText(latin, { encoding: 'windows-1252', delimiter: ';' }, "'", '"'))
+      .toEqual(Buffer.from('"Köln;Bonn";1\n', 'latin1'));
+  });
+});
+
+describe('createDialectStore', () => {
+  test('remembers a dialect per file', () => {
+    const dir = makeTempDir();
+    const store = createDialectStore({ rootDir: path.join(dir, 'dialects') });
+    const dialect = { encoding: 'utf-8', delimiter: ';', quote: "'", decimal: ',' };
+
+    expect(store.get('/data/a.csv')).toBe(null);
+    store.set('/data/a.csv', dialect);
+    expect(store.get('/data/a.csv')).toEqual(dialect);
+    expect(store.get('/data/b.csv')).toBe(null);
+    store.remove('/data/a.csv');
+    expect(store.get('/data/a.csv')).toBe(null);
+  });
+});
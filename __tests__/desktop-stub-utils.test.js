@@ -9,6 +9,9 @@ import {
   extractMediaFilename,
   buildMediaUrl,
   extractBlobUrl,
+  isServerApiUrl,
+  shouldForwardLog,
+  formatLogArgs,
   FONT_SPRITE_BASE_WIDTH,
   FONT_SPRITE_ROW_HEIGHT
 } from '../editors/desktop-stub-utils.js';
@@ -299,6 +302,23 @@ describe('extractBlobUrl', () => {
   });
 });
 
+describe('isServerApiUrl', () => {
+  const origin = 'http://localhost:38123';
+
+  test('matches same-origin API and converter requests', () => {
+    expect(isServerApiUrl('/api/convert?filepath=%2Fa.xlsx', origin)).toBe(true);
+    expect(isServerApiUrl('http://localhost:38123/api/save', origin)).toBe(true);
+    expect(isServerApiUrl('/converter', origin)).toBe(true);
+  });
+
+  test('ignores other paths, other origins and non-strings', () => {
+    expect(isServerApiUrl('/fonts/Arial.ttf', origin)).toBe(false);
+    expect(isServerApiUrl('/apis/x', origin)).toBe(false);
+    expect(isServerApiUrl('https://example.com/api/convert', origin)).toBe(false);
+    expect(isServerApiUrl(undefined, origin)).toBe(false);
+  });
+});
+
 describe('constants', () => {
   test('FONT_SPRITE_BASE_WIDTH is defined', () => {
     expect(FONT_SPRITE_BASE_WIDTH).toBe(300);
@@ -320,3 +340,24 @@ describe('APP_VERSION', () => {
     expect(match[1]).toBe(pkg.version);
   });
 });
+
+describe('shouldForwardLog', () => {
+  test('forwards [BROWSER] and [SAVE] lines only', () => {
+    expect(shouldForwardLog(['[BROWSER] GetOpenedFile called with:', 'x'])).toBe(true);
+    expect(shouldForwardLog(['[SAVE] Uploading'])).toBe(true);
+    expect(shouldForwardLog(['[FONT] Intercepting font request'])).toBe(false);
+    expect(shouldForwardLog([{ tag: '[SAVE]' }])).toBe(false);
+    expect(shouldForwardLog([])).toBe(false);
+  });
+});
+
+describe('formatLogArgs', () => {
+  test('joins strings, JSON and errors into one line', () => {
+    expect(formatLogArgs(['[SAVE] size:', 42, { ok: true }, new TypeError('bad'), undefined]))
+      .toBe('[SAVE] size: 42 {"ok":true} TypeError: bad undefined');
+  });
+
+  test('cuts long lines', () => {
+    expect(formatLogArgs(['x'.repeat(20)], 5)).toBe('xxxxx…');
+  });
+});
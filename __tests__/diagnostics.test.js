@@ -0,0 +1,209 @@
+import { afterEach, describe, test, expect } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  countFontFiles,
+  checkX2T,
+  checkFonts,
+  checkThemes,
+  checkSdkBundles,
+  checkCacheDir,
+  checkDiskSpace,
+  checkTestConversion,
+  runDiagnostics,
+  runDeepDiagnostics
+} from '../diagnostics.js';
+
+const tempDirs = [];
+
+function makeTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oo-editors-doctor-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+afterEach(() => {
+  while (tempDirs.length > 0) {
+    fs.rmSync(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+describe('checkX2T', () => {
+  test('fails when the binary is missing or not executable', () => {
+    const dir = makeTempDir();
+    expect(checkX2T(path.join(dir, 'x2t')).ok).toBe(false);
+
+    const x2t = path.join(dir, 'x2t');
+    fs.writeFileSync(x2t, '#!/bin/sh\n', { mode: 0o644 });
+    expect(checkX2T(x2t).message).toMatch(/not executable/);
+
+    fs.chmodSync(x2t, 0o755);
+    expect(checkX2T(x2t).ok).toBe(true);
+  });
+});
+
+describe('checkFonts', () => {
+  test('names the missing font metadata files', () => {
+    const dir = makeTempDir();
+    fs.writeFileSync(path.join(dir, 'AllFonts.js'), 'window["__fonts_files"] = [ "000" ];');
+    const check = checkFonts(dir);
+    expect(check.ok).toBe(false);
+    expect(check.message).toMatch(/font_selection\.bin/);
+
+    fs.writeFileSync(path.join(dir, 'font_selection.bin'), Buffer.from([1, 2, 3]));
+    expect(checkFonts(dir).ok).toBe(true);
+  });
+
+  test('fails without a font directory', () => {
+    expect(checkFonts(undefined).ok).toBe(false);
+  });
+
+  test('reports the font count and flags metadata older than the font directories', () => {
+    const dir = makeTempDir();
+    const sourceDir = path.join(dir, 'fonts');
+    fs.mkdirSync(sourceDir);
+    fs.writeFileSync(path.join(dir, 'AllFonts.js'), 'window["__fonts_files"] = [\n"000",\n"001"\n];');
+    fs.writeFileSync(path.join(dir, 'font_selection.bin'), Buffer.from([1]));
+
+    const past = new Date(Date.now() - 60000);
+    fs.utimesSync(sourceDir, past, past);
+    expect(checkFonts(dir, { sourceDirs: [sourceDir] })).toMatchObject({ ok: true, count: 2, stale: false });
+
+    fs.utimesSync(path.join(dir, 'AllFonts.js'), past, new Date(past.getTime() - 60000));
+    const stale = checkFonts(dir, { sourceDirs: [sourceDir, path.join(dir, 'missing')] });
+    expect(stale).toMatchObject({ ok: true, stale: true });
+    expect(stale.message).toMatch(/generate_office_fonts/);
+  });
+
+  test('fails when AllFonts.js lists no fonts', () => {
+    const dir = makeTempDir();
+    fs.writeFileSync(path.join(dir, 'AllFonts.js'), 'window["__fonts_files"] = [];');
+    fs.writeFileSync(path.join(dir, 'font_selection.bin'), Buffer.from([1]));
+    expect(checkFonts(dir)).toMatchObject({ ok: false, count: 0 });
+  });
+});
+
+describe('countFontFiles', () => {
+  test('counts the entries of __fonts_files', () => {
+    expect(countFontFiles('window["__all_fonts_js_version__"] = 2;\nwindow["__fonts_files"] = [\n"000",\n"001",\n"002"\n];')).toBe(3);
+    expect(countFontFiles('window.AllFonts = [];')).toBe(null);
+  });
+});
+
+describe('checkThemes', () => {
+  test('counts theme directories', () => {
+    const dir = makeTempDir();
+    expect(checkThemes(dir).ok).toBe(false);
+    fs.mkdirSync(path.join(dir, 'theme1'));
+    fs.mkdirSync(path.join(dir, 'theme2'));
+    expect(checkThemes(dir).message).toBe('2 themes found');
+  });
+});
+
+describe('checkSdkBundles', () => {
+  test('reports each editor whose bundle is missing', () => {
+    const dir = makeTempDir();
+    for (const editor of ['word', 'cell']) {
+      fs.mkdirSync(path.join(dir, editor));
+      fs.writeFileSync(path.join(dir, editor, 'sdk-all-min.js'), '/* sdk */');
+    }
+    const check = checkSdkBundles(dir);
+    expect(check.ok).toBe(false);
+    expect(check.editors).toEqual({ word: true, cell: true, slide: false, visio: false });
+    expect(check.message).toMatch(/slide, visio/);
+  });
+});
+
+describe('checkCacheDir', () => {
+  test('creates the directory and leaves no probe file behind', () => {
+    const dir = path.join(makeTempDir(), 'cache');
+    expect(checkCacheDir(dir).ok).toBe(true);
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  test('fails when the path is not a directory', () => {
+    const file = path.join(makeTempDir(), 'cache');
+    fs.writeFileSync(file, '');
+    expect(checkCacheDir(file).ok).toBe(false);
+  });
+});
+
+describe('checkDiskSpace', () => {
+  test('fails below the minimum free space', () => {
+    const dir = makeTempDir();
+    expect(checkDiskSpace(dir, 0)).toMatchObject({ ok: true, freeBytes: expect.any(Number) });
+    expect(checkDiskSpace(dir, Number.MAX_SAFE_INTEGER).ok).toBe(false);
+  });
+});
+
+describe('checkTestConversion', () => {
+  // Stands in for the x2t scheduler: runs prepare(), then "converts" by copying
+  function makeScheduler(convert) {
+    return {
+      run: async (spec) => {
+        spec.prepare();
+        const params = fs.readFileSync(spec.paramsPath, 'utf8');
+        const input = params.match(/<m_sFileFrom>(.*)<\/m_sFileFrom>/)[1];
+        const output = params.match(/<m_sFileTo>(.*)<\/m_sFileTo>/)[1];
+        return convert(input, output);
+      }
+    };
+  }
+
+  test('passes when x2t writes the output, and cleans up', async () => {
+    let workDir;
+    const check = await checkTestConversion({
+      fontDir: '/fonts',
+      themeDir: '/themes',
+      scheduler: makeScheduler((input, output) => {
+        workDir = path.dirname(input);
+        fs.copyFileSync(input, output);
+        return { code: 0 };
+      })
+    });
+    expect(check).toMatchObject({ name: 'conversion', ok: true });
+    expect(fs.existsSync(workDir)).toBe(false);
+  });
+
+  test('reports the exit code and scheduler errors', async () => {
+    const failed = await checkTestConversion({ scheduler: makeScheduler(() => ({ code: 89 })) });
+    expect(failed.message).toMatch(/exit code 89/);
+
+    const timedOut = await checkTestConversion({
+      scheduler: { run: async () => { throw Object.assign(new Error('timed out'), { code: 'ETIMEDOUT' }); } }
+    });
+    expect(timedOut).toMatchObject({ ok: false, message: 'test conversion failed (ETIMEDOUT)' });
+  });
+});
+
+describe('runDeepDiagnostics', () => {
+  test('skips the test conversion without x2t', async () => {
+    const dir = makeTempDir();
+    const scheduler = { run: async () => { throw new Error('should not run'); } };
+    const result = await runDeepDiagnostics({
+      x2tPath: path.join(dir, 'x2t'),
+      fontDir: dir,
+      themeDir: dir,
+      sdkDir: dir,
+      cacheDir: path.join(dir, 'cache'),
+      minFreeBytes: 0,
+      scheduler,
+      version: '1.2.3'
+    });
+    expect(result).toMatchObject({ ok: false, version: '1.2.3', converter: null });
+    expect(result.checks.map((check) => [check.name, check.ok])).toEqual([
+      ['x2t', false], ['fonts', false], ['themes', false], ['sdk', false],
+      ['cache', true], ['disk', true], ['conversion', false]
+    ]);
+  });
+});
+
+describe('runDiagnostics', () => {
+  test('is ok only when every check passes', () => {
+    const dir = makeTempDir();
+    const result = runDiagnostics({ x2tPath: path.join(dir, 'x2t'), fontDir: dir, themeDir: dir });
+    expect(result.ok).toBe(false);
+    expect(result.checks.map((check) => check.name)).toEqual(['x2t', 'fonts', 'themes']);
+  });
+});
@@ -0,0 +1,217 @@
+import { afterEach, describe, test, expect } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import {
+  CALLBACK_STATUS,
+  FORCE_SAVE_TYPES,
+  formatHistoryDate,
+  buildSaveCallback,
+  sendCallback,
+  createCallbackHandler
+} from '../document-callback.js';
+import { signJwt, verifyJwt } from '../jwt.js';
+
+const tempDirs = [];
+const servers = [];
+
+function makeTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oo-editors-callback-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+afterEach(() => {
+  while (servers.length > 0) {
+    servers.pop().close();
+  }
+  while (tempDirs.length > 0) {
+    fs.rmSync(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+// Serves `files` by URL path; saveDocument records what it was asked to write
+function makeHandler(files = {}, options = {}) {
+  const dir = makeTempDir();
+  const filepath = path.join(dir, 'report.docx');
+  fs.writeFileSync(filepath, 'v1');
+  const saves = [];
+  const handler = createCallbackHandler({
+    saveDocument: (save) => {
+      saves.push({
+        ...save,
+        content: fs.readFileSync(save.sourcePath, 'utf8'),
+        changes: save.changesPath ? fs.readFileSync(save.changesPath, 'utf8') : undefined
+      });
+    },
+    fetchFile: async (url, destPath) => {
+      const body = files[new URL(url).pathname];
+      if (body === undefined) throw new Error('HTTP 404');
+      fs.writeFileSync(destPath, body);
+    },
+    logger: { info() {}, warn() {}, error() {} },
+    ...options
+  });
+  return { handler, filepath, saves };
+}
+
+describe('buildSaveCallback', () => {
+  const base = {
+    key: 'k1',
+    url: 'http://localhost:1/converted/a.docx',
+    fileType: 'docx',
+    user: { id: 'local', name: 'Ana' },
+    serverVersion: '1.2.3',
+    now: new Date('2026-03-04T05:06:07.890Z')
+  };
+
+  test('describes a final save as status 2 with one history change', () => {
+    expect(buildSaveCallback(base)).toEqual({
+      key: 'k1',
+      status: CALLBACK_STATUS.MUST_SAVE,
+      url: base.url,
+      filetype: 'docx',
+      users: ['local'],
+      actions: [],
+      lastsave: '2026-03-04T05:06:07.890Z',
+      history: { serverVersion: '1.2.3', changes: [{ created: '2026-03-04 05:06:07', user: { id: 'local', name: 'Ana' } }] }
+    });
+  });
+
+  test('describes a force save as status 6 with its type', () => {
+    expect(buildSaveCallback({ ...base, forceSaveType: FORCE_SAVE_TYPES.BUTTON }))
+      .toMatchObject({ status: CALLBACK_STATUS.FORCE_SAVE, forcesavetype: 1 });
+    expect(formatHistoryDate(new Date('2026-12-31T23:59:59Z'))).toBe('2026-12-31 23:59:59');
+  });
+});
+
+describe('createCallbackHandler', () => {
+  test('writes the document and its history on status 2 and 6', async () => {
+    const { handler, filepath, saves } = makeHandler({ '/out.docx': 'v2', '/changes.zip': 'zip' });
+    const history = { serverVersion: '8.1', changes: [{ created: '2026-01-01 00:00:00', user: { id: 'u1' } }] };
+
+    expect(await handler.handleCallback(filepath, {
+      key: 'k1', status: 2, url: 'http://ds/out.docx', changesurl: 'http://ds/changes.zip', filetype: 'docx', history
+    }, { trusted: true })).toEqual({ error: 0 });
+    expect(await handler.handleCallback(filepath, {
+      key: 'k1', status: 6, url: 'http://ds/out.docx', forcesavetype: 1
+    }, { trusted: true })).toEqual({ error: 0 });
+
+    expect(saves).toEqual([
+      { filepath, sourcePath: expect.any(String), history, changesPath: expect.any(String), content: 'v2', changes: 'zip' },
+      { filepath, sourcePath: expect.any(String), history: undefined, changesPath: undefined, content: 'v2', changes: undefined }
+    ]);
+    // Downloads are cleaned up once the save is done
+    expect(fs.existsSync(saves[0].sourcePath)).toBe(false);
+  });
+
+  test('saves without the changes when changesurl cannot be fetched', async () => {
+    const { handler, filepath, saves } = makeHandler({ '/out.docx': 'v2' });
+    expect(await handler.handleCallback(filepath, {
+      key: 'k1', status: 2, url: 'http://ds/out.docx', changesurl: 'http://ds/gone.zip'
+    }, { trusted: true })).toEqual({ error: 0 });
+    expect(saves[0].changesPath).toBeUndefined();
+  });
+
+  test('reads URLs this server serves from disk', async () => {
+    const dir = makeTempDir();
+    const local = path.join(dir, 'result.docx');
+    fs.writeFileSync(local, 'local');
+    const { handler, filepath, saves } = makeHandler({}, {
+      resolveLocalUrl: (url) => (url === 'http://localhost:1/converted/r.docx' ? local : null)
+    });
+
+    await handler.handleCallback(filepath, { key: 'k1', status: 6, url: 'http://localhost:1/converted/r.docx' }, { trusted: true });
+    expect(saves[0].content).toBe('local');
+  });
+
+  test('answers error 1 for failed downloads, other formats, unknown statuses and missing keys', async () => {
+    const { handler, filepath, saves } = makeHandler({ '/out.pdf': 'pdf' });
+    const call = (body) => handler.handleCallback(filepath, body, { trusted: true });
+
+    expect(await call({ key: 'k1', status: 2, url: 'http://ds/missing.docx' })).toMatchObject({ error: 1 });
+    expect(await call({ key: 'k1', status: 2, url: 'http://ds/out.pdf', filetype: 'pdf' })).toMatchObject({ error: 1 });
+    expect(await call({ key: 'k1', status: 2, url: 'file:///etc/passwd' })).toMatchObject({ error: 1 });
+    expect(await call({ key: 'k1', status: 2 })).toMatchObject({ error: 1 });
+    expect(await call({ key: 'k1', status: 5 })).toMatchObject({ error: 1 });
+    expect(await call({ status: 4 })).toMatchObject({ error: 1 });
+    expect(saves).toEqual([]);
+  });
+
+  test('tracks editing sessions until the document is closed or saved', async () => {
+    const { handler, filepath } = makeHandler();
+    const call = (body) => handler.handleCallback(filepath, body, { trusted: true });
+
+    expect(await call({ key: 'k1', status: 1, users: ['u1'], actions: [{ type: 1, userid: 'u1' }] })).toEqual({ error: 0 });
+    expect(handler.getSession('k1')).toMatchObject({ filepath, users: ['u1'] });
+    expect(await call({ key: 'k1', status: 7 })).toEqual({ error: 0 });
+    expect(handler.getSession('k1')).not.toBe(null);
+    expect(await call({ key: 'k1', status: 4 })).toEqual({ error: 0 });
+    expect(handler.getSession('k1')).toBe(null);
+  });
+
+  test('forgets sessions that never get a final status', async () => {
+    const { handler, filepath } = makeHandler({}, { sessionTtlMs: 1000, maxSessions: 2 });
+    const call = (body) => handler.handleCallback(filepath, body, { trusted: true });
+
+    await call({ key: 'k1', status: 1 });
+    await call({ key: 'k2', status: 1 });
+    await call({ key: 'k1', status: 1 });
+    await call({ key: 'k3', status: 1 });
+    // Over the cap, the least recently updated session goes
+    expect(handler.getSession('k2')).toBe(null);
+    expect(handler.getSession('k1')).not.toBe(null);
+    expect(handler.getSession('k3')).not.toBe(null);
+
+    expect(handler.pruneSessions(Date.now())).toBe(0);
+    expect(handler.pruneSessions(Date.now() + 2000)).toBe(2);
+    expect(handler.getSession('k1')).toBe(null);
+    expect(handler.getSession('k3')).toBe(null);
+  });
+
+  test('requires a signed callback with a secret unless the request is trusted', async () => {
+    const { handler, filepath } = makeHandler({}, { jwtSecret: 's' });
+    const body = { key: 'k1', status: 4 };
+
+    expect(await handler.handleCallback(filepath, body)).toMatchObject({ error: 1 });
+    expect(await handler.handleCallback(filepath, { token: signJwt(body, 'other') })).toMatchObject({ error: 1 });
+    expect(await handler.handleCallback(filepath, {}, { authorization: `Bearer ${signJwt({ payload: body }, 's')}` }))
+      .toEqual({ error: 0 });
+    expect(await handler.handleCallback(filepath, body, { trusted: true })).toEqual({ error: 0 });
+  });
+});
+
+describe('sendCallback', () => {
+  async function serve(respond) {
+    const received = [];
+    const app = express();
+    app.use(express.json());
+    app.post('/callback', (req, res) => {
+      received.push({ body: req.body, authorization: req.get('Authorization'), extra: req.get('X-Extra') });
+      respond(res);
+    });
+    const base = await new Promise((resolve) => {
+      const server = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+      servers.push(server);
+    });
+    return { url: `${base}/callback`, received };
+  }
+
+  test('posts the callback signed into the JWT header', async () => {
+    const { url, received } = await serve((res) => res.json({ error: 0 }));
+    const callback = { key: 'k1', status: 6 };
+
+    expect(await sendCallback(url, callback, { secret: 's', headers: { 'X-Extra': 'yes' } })).toEqual({ error: 0 });
+    expect(received[0].body).toEqual(callback);
+    expect(received[0].extra).toBe('yes');
+    expect(verifyJwt(received[0].authorization.replace('Bearer ', ''), 's').payload).toEqual(callback);
+  });
+
+  test('fails when the integrator does not answer { error: 0 }', async () => {
+    const refused = await serve((res) => res.json({ error: 1 }));
+    await expect(sendCallback(refused.url, { key: 'k1', status: 2 })).rejects.toThrow(expect.objectContaining({ code: 'ECALLBACK' }));
+    const broken = await serve((res) => res.status(500).send('oops'));
+    await expect(sendCallback(broken.url, { key: 'k1', status: 2 })).rejects.toThrow(expect.objectContaining({ code: 'ECALLBACK' }));
+  });
+});
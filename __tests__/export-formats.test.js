@@ -0,0 +1,108 @@
+import { describe, test, expect } from 'bun:test';
+import {
+  getExportFormat,
+  getExportFormatsForDocType,
+  parsePageRanges,
+  buildExportOptions
+} from '../export-formats.js';
+
+describe('getExportFormat', () => {
+  test('returns x2t codes for export formats', () => {
+    expect(getExportFormat('pdf').code).toBe(513);
+    expect(getExportFormat('PDFA').code).toBe(521);
+    expect(getExportFormat('odt').code).toBe(67);
+    expect(getExportFormat('ods').code).toBe(259);
+    expect(getExportFormat('odp').code).toBe(131);
+    expect(getExportFormat('epub').code).toBe(72);
+  });
+
+  test('returns null for unknown formats', () => {
+    expect(getExportFormat('mp3')).toBe(null);
+    expect(getExportFormat(undefined)).toBe(null);
+  });
+});
+
+describe('getExportFormatsForDocType', () => {
+  test('lists spreadsheet formats', () => {
+    expect(getExportFormatsForDocType('cell')).toEqual(['pdf', 'pdfa', 'png', 'jpg', 'xlsx', 'ods', 'csv']);
+  });
+});
+
+describe('parsePageRanges', () => {
+  test('parses single pages and ranges', () => {
+    expect(parsePageRanges('1-3, 5')).toEqual([{ from: 1, to: 3 }, { from: 5, to: 5 }]);
+  });
+
+  test('rejects malformed or reversed ranges', () => {
+    expect(() => parsePageRanges('a-b')).toThrow();
+    expect(() => parsePageRanges('4-2')).toThrow();
+    expect(() => parsePageRanges('0')).toThrow();
+  });
+});
+
+describe('buildExportOptions', () => {
+  test('rejects formats that do not fit the document type', () => {
+    expect(() => buildExportOptions('odp', 'word')).toThrow(/supported: pdf/);
+    expect(() => buildExportOptions('exe', 'word')).toThrow(/Unsupported/);
+  });
+
+  test('prints documents without form highlight and passes page ranges', () => {
+    const { jsonParams } = buildExportOptions('pdf', 'word', { pages: '2-4,7' });
+    expect(jsonParams.documentLayout).toEqual({ drawPlaceHolders: false, drawFormHighlight: false, isPrint: true });
+    expect(jsonParams.nativeOptions).toEqual({ pages: '2-4,7' });
+  });
+
+  test('maps spreadsheet layout options', () => {
+    const { jsonParams } = buildExportOptions('pdfa', 'cell', {
+      pages: '2-3',
+      sheets: '0,2',
+      fitToPage: '1',
+      orientation: 'landscape',
+      gridLines: 'true'
+    });
+    expect(jsonParams.adjustOptions).toEqual({ startPageIndex: 1, endPageIndex: 2, activeSheetsArray: [0, 2] });
+    expect(jsonParams.spreadsheetLayout).toEqual({
+      ignorePrintArea: true,
+      fitToWidth: 1,
+      fitToHeight: 1,
+      orientation: 'landscape',
+      gridLines: true
+    });
+  });
+
+  test('rejects spreadsheet-only options elsewhere', () => {
+    expect(() => buildExportOptions('pdf', 'word', { sheets: '0' })).toThrow(/spreadsheets/);
+    expect(() => buildExportOptions('csv', 'cell', { fitToPage: '1' })).toThrow(/spreadsheets/);
+    expect(() => buildExportOptions('pdf', 'cell', { pages: '1,3' })).toThrow(/single page range/);
+  });
+
+  test('rejects comment and revision options the output cannot honour', () => {
+    expect(() => buildExportOptions('pdf', 'word', { comments: '1' })).toThrow();
+    expect(() => buildExportOptions('odt', 'word', { trackChanges: '0' })).toThrow();
+    expect(() => buildExportOptions('odt', 'word', { comments: '1' })).not.toThrow();
+  });
+
+  test('builds thumbnail settings for images', () => {
+    const single = buildExportOptions('jpg', 'slide', { width: '800' });
+    expect(single.thumbnail).toEqual({ format: 'jpg', first: true, width: 800, height: undefined });
+    expect(single.multiPage).toBe(false);
+
+    const all = buildExportOptions('png', 'slide', { pages: 'all' });
+    expect(all.thumbnail.first).toBe(false);
+    expect(all.multiPage).toBe(true);
+
+    expect(() => buildExportOptions('png', 'slide', { pages: '3' })).toThrow();
+    expect(() => buildExportOptions('pdf', 'slide', { width: '100' })).toThrow();
+  });
+
+  test('rejects pages for editable formats', () => {
+    expect(() => buildExportOptions('docx', 'word', { pages: '1' })).toThrow(/pages/);
+  });
+
+  test('picks the sheet written to CSV', () => {
+    expect(buildExportOptions('csv', 'cell', { sheet: '2' }).sheet).toBe(2);
+    expect(buildExportOptions('csv', 'cell').sheet).toBeUndefined();
+    expect(() => buildExportOptions('csv', 'cell', { sheet: '-1' })).toThrow(/0-based index/);
+    expect(() => buildExportOptions('xlsx', 'cell', { sheet: '0' })).toThrow(/CSV export/);
+  });
+});
@@ -0,0 +1,145 @@
+import { afterEach, describe, test, expect } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { makeETag, sendFileStream, receiveToFile, moveFileSync } from '../file-transfer.js';
+
+const tempDirs = [];
+const servers = [];
+
+function makeTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oo-editors-transfer-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+afterEach(() => {
+  while (servers.length > 0) {
+    servers.pop().close();
+  }
+  while (tempDirs.length > 0) {
+    fs.rmSync(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+// Serve `app` on a random loopback port and resolve to its base URL
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    servers.push(server);
+  });
+}
+
+describe('makeETag', () => {
+  test('quotes the parts and strips characters that would break the header', () => {
+    expect(makeETag(['0123abcd', 1700000000000])).toBe('"0123abcd-1700000000000"');
+    expect(makeETag(['a"b', 'c d'])).toBe('"ab-cd"');
+  });
+});
+
+describe('sendFileStream', () => {
+  async function serveFile(contents, options) {
+    const dir = makeTempDir();
+    // A dot-directory, like ~/.local/share, must still be served
+    fs.mkdirSync(path.join(dir, '.hidden'));
+    const filePath = path.join(dir, '.hidden', 'Editor.bin');
+    fs.writeFileSync(filePath, contents);
+    const app = express();
+    const ended = [];
+    app.get('/file', (req, res) => sendFileStream(res, filePath, {
+      ...options,
+      onEnd: (err) => ended.push(err)
+    }));
+    return { url: `${await listen(app)}/file`, ended };
+  }
+
+  test('sends the file with its validators and length', async () => {
+    const { url, ended } = await serveFile('0123456789', { etag: '"abc-1"', lastModified: 0 });
+    const res = await fetch(url);
+
+    expect(res.status).toBe(200);
+    expect(await res.text()).toBe('0123456789');
+    expect(res.headers.get('etag')).toBe('"abc-1"');
+    expect(res.headers.get('last-modified')).toBe(new Date(0).toUTCString());
+    expect(res.headers.get('content-length')).toBe('10');
+    expect(res.headers.get('accept-ranges')).toBe('bytes');
+    expect(res.headers.get('cache-control')).toBe('no-cache');
+    expect(ended).toEqual([null]);
+  });
+
+  test('answers byte ranges and conditional requests', async () => {
+    const { url } = await serveFile('0123456789', { etag: '"abc-1"' });
+
+    const partial = await fetch(url, { headers: { Range: 'bytes=2-5' } });
+    expect(partial.status).toBe(206);
+    expect(partial.headers.get('content-range')).toBe('bytes 2-5/10');
+    expect(await partial.text()).toBe('2345');
+
+    const unsatisfiable = await fetch(url, { headers: { Range: 'bytes=50-60' } });
+    expect(unsatisfiable.status).toBe(416);
+    await unsatisfiable.arrayBuffer();
+
+    const revalidated = await fetch(url, { headers: { 'If-None-Match': '"abc-1"' } });
+    expect(revalidated.status).toBe(304);
+
+    // A stale If-Range gets the whole (changed) file instead of a mismatched slice
+    const stale = await fetch(url, { headers: { Range: 'bytes=2-5', 'If-Range': '"abc-0"' } });
+    expect(stale.status).toBe(200);
+    expect(await stale.text()).toBe('0123456789');
+  });
+
+  test('reports a missing file as 404', async () => {
+    const dir = makeTempDir();
+    const app = express();
+    app.get('/file', (req, res) => sendFileStream(res, path.join(dir, 'gone.bin')));
+    const res = await fetch(`${await listen(app)}/file`);
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('receiveToFile', () => {
+  async function serveUpload(options) {
+    const dir = makeTempDir();
+    const target = path.join(dir, 'upload.bin');
+    const app = express();
+    app.post('/upload', async (req, res) => {
+      try {
+        const { size, head } = await receiveToFile(req, target, options);
+        res.json({ size, head: head.toString('latin1') });
+      } catch (error) {
+        res.status(error.code === 'ETOOLARGE' ? 413 : 500).json({ code: error.code });
+      }
+    });
+    return { url: `${await listen(app)}/upload`, target };
+  }
+
+  test('writes the body to disk and keeps its first bytes', async () => {
+    const { url, target } = await serveUpload({});
+    const body = Buffer.concat([Buffer.from('PK\x03\x04', 'latin1'), Buffer.alloc(256 * 1024, 7)]);
+    const res = await fetch(url, { method: 'POST', body });
+
+    expect(await res.json()).toEqual({ size: body.length, head: 'PK\x03\x04' + '\x07'.repeat(16) });
+    expect(fs.readFileSync(target).equals(body)).toBe(true);
+  });
+
+  test('refuses bodies over the limit and leaves no file behind', async () => {
+    const { url, target } = await serveUpload({ limit: 1024 });
+    const res = await fetch(url, { method: 'POST', body: Buffer.alloc(4096) });
+
+    expect(res.status).toBe(413);
+    expect(await res.json()).toEqual({ code: 'ETOOLARGE' });
+    expect(fs.existsSync(target)).toBe(false);
+  });
+});
+
+describe('moveFileSync', () => {
+  test('moves a file over an existing destination', () => {
+    const dir = makeTempDir();
+    fs.writeFileSync(path.join(dir, 'a'), 'new');
+    fs.writeFileSync(path.join(dir, 'b'), 'old');
+    moveFileSync(path.join(dir, 'a'), path.join(dir, 'b'));
+    expect(fs.existsSync(path.join(dir, 'a'))).toBe(false);
+    expect(fs.readFileSync(path.join(dir, 'b'), 'utf8')).toBe('new');
+  });
+});
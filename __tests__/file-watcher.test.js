@@ -0,0 +1,98 @@
+import { afterEach, describe, test, expect } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { hasChangedSince, createFileWatchRegistry } from '../file-watcher.js';
+
+const tempDirs = [];
+
+function makeTempFile(contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oo-editors-watch-'));
+  tempDirs.push(dir);
+  const file = path.join(dir, 'doc.csv');
+  fs.writeFileSync(file, contents);
+  return file;
+}
+
+function createFakeWatcher() {
+  const watchers = new Map();
+  return {
+    watchers,
+    watchFile: (filepath, options, onStat) => watchers.set(filepath, onStat),
+    unwatchFile: (filepath) => watchers.delete(filepath),
+    fire: (filepath, curr, prev) => watchers.get(filepath)(curr, prev)
+  };
+}
+
+const stat = (mtimeMs, size = 10) => ({ mtimeMs, size, nlink: 1 });
+const missing = { mtimeMs: 0, size: 0, nlink: 0 };
+
+afterEach(() => {
+  while (tempDirs.length > 0) {
+    fs.rmSync(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+describe('hasChangedSince', () => {
+  test('ignores sub-millisecond differences', () => {
+    expect(hasChangedSince(1700000000123.4567, 1700000000123)).toBe(false);
+    expect(hasChangedSince(1700000000124.1, 1700000000123.9)).toBe(true);
+  });
+});
+
+describe('createFileWatchRegistry', () => {
+  test('reports external changes and stops polling after the last unsubscribe', () => {
+    const fake = createFakeWatcher();
+    const registry = createFileWatchRegistry({ watchFile: fake.watchFile, unwatchFile: fake.unwatchFile });
+    const events = [];
+
+    const unsubscribeA = registry.subscribe('/docs/a.csv', (e) => events.push(e));
+    const unsubscribeB = registry.subscribe('/docs/a.csv', () => {});
+    expect(registry.getWatchedFiles()).toEqual([{ filepath: '/docs/a.csv', subscribers: 2 }]);
+
+    fake.fire('/docs/a.csv', stat(2000, 12), stat(1000));
+    fake.fire('/docs/a.csv', stat(2000.5, 12), stat(2000));
+    expect(events).toEqual([
+      { type: 'changed', source: 'external', filepath: '/docs/a.csv', mtime: 2000, size: 12 }
+    ]);
+
+    unsubscribeA();
+    expect(fake.watchers.has('/docs/a.csv')).toBe(true);
+    unsubscribeB();
+    expect(fake.watchers.has('/docs/a.csv')).toBe(false);
+    expect(registry.getWatchedFiles()).toEqual([]);
+  });
+
+  test('announces own writes once and does not report them as external', () => {
+    const fake = createFakeWatcher();
+    const registry = createFileWatchRegistry({ watchFile: fake.watchFile, unwatchFile: fake.unwatchFile });
+    const file = makeTempFile('a,b');
+    const events = [];
+    registry.subscribe(file, (e) => events.push(e));
+
+    registry.noteWrite(file, 'restore');
+    const written = fs.statSync(file);
+    fake.fire(file, stat(written.mtimeMs), stat(written.mtimeMs - 5000));
+
+    expect(events.length).toBe(1);
+    expect(events[0]).toMatchObject({ type: 'changed', source: 'restore', filepath: file, size: 3 });
+  });
+
+  test('reports deletion', () => {
+    const fake = createFakeWatcher();
+    const registry = createFileWatchRegistry({ watchFile: fake.watchFile, unwatchFile: fake.unwatchFile });
+    const events = [];
+    registry.subscribe('/docs/gone.csv', (e) => events.push(e));
+
+    fake.fire('/docs/gone.csv', missing, stat(1000));
+    fake.fire('/docs/gone.csv', missing, missing);
+    expect(events).toEqual([{ type: 'deleted', filepath: '/docs/gone.csv' }]);
+  });
+
+  test('noteWrite is a no-op for files nobody watches', () => {
+    const fake = createFakeWatcher();
+    const registry = createFileWatchRegistry({ watchFile: fake.watchFile, unwatchFile: fake.unwatchFile });
+    registry.noteWrite(makeTempFile('x'));
+    expect(registry.getWatchedFiles()).toEqual([]);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, test, expect } from 'bun:test';
+import {
+  FORMATS,
+  getFormat,
+  getFormatForFile,
+  listExtensions,
+  isEditableFormat
+} from '../format-registry.js';
+
+describe('getFormat', () => {
+  test('describes a format by extension, case-insensitively', () => {
+    expect(getFormat('.XLSB')).toEqual({
+      ext: '.xlsb',
+      docType: 'cell',
+      code: 264,
+      mime: 'application/vnd.ms-excel.sheet.binary.macroEnabled.12'
+    });
+    expect(getFormat('.zip')).toBe(null);
+    expect(getFormat('.constructor')).toBe(null);
+  });
+
+  test('finds the format of a path', () => {
+    expect(getFormatForFile('/docs/Budget.numbers').docType).toBe('cell');
+    expect(getFormatForFile('/docs/notes.fodt').docType).toBe('word');
+    expect(getFormatForFile('/docs/talk.key').docType).toBe('slide');
+    expect(getFormatForFile('/docs/scan.djvu')).toMatchObject({ docType: 'pdf', native: true });
+    expect(getFormatForFile('/docs.d/Makefile')).toBe(null);
+  });
+});
+
+describe('listExtensions', () => {
+  test('lists every extension or those of one editor', () => {
+    expect(listExtensions()).toHaveLength(Object.keys(FORMATS).length);
+    expect(listExtensions('pdf')).toEqual(['.pdf', '.djvu', '.xps', '.oxps']);
+  });
+});
+
+describe('isEditableFormat', () => {
+  test('edits formats that can be saved back, or saved as OOXML', () => {
+    expect(isEditableFormat(getFormat('.xlsx'))).toBe(true);
+    expect(isEditableFormat(getFormat('.xls'))).toBe(true);
+    expect(isEditableFormat(getFormat('.pdf'))).toBe(true);
+  });
+
+  test('opens imports, fixed-layout documents and diagrams read-only', () => {
+    for (const ext of ['.xlsb', '.pages', '.numbers', '.key', '.fods', '.epub', '.fb2', '.mht', '.xps', '.oxps', '.djvu', '.vsdx']) {
+      expect(isEditableFormat(getFormat(ext))).toBe(false);
+    }
+  });
+
+  test('gives every entry a known editor and a MIME type', () => {
+    for (const ext of listExtensions()) {
+      expect(['cell', 'word', 'slide', 'pdf', 'diagram']).toContain(FORMATS[ext].docType);
+      expect(FORMATS[ext].mime).toMatch(/^[a-z]+\/[\w.+-]+$/);
+    }
+  });
+});
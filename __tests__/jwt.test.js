@@ -0,0 +1,38 @@
+import { describe, test, expect } from 'bun:test';
+import { signJwt, decodeJwt, verifyJwt, readSignedRequest } from '../jwt.js';
+
+const expectJwtError = (fn) => expect(fn).toThrow(expect.objectContaining({ code: 'EJWT' }));
+
+describe('verifyJwt', () => {
+  test('returns the payload of a token signed with the secret', () => {
+    expect(verifyJwt(signJwt({ key: 'k1' }, 's3cret'), 's3cret')).toEqual({ key: 'k1' });
+    expect(decodeJwt(signJwt({ key: 'k1' }, 's3cret')).header).toEqual({ alg: 'HS256', typ: 'JWT' });
+  });
+
+  test('refuses forged, unsigned and expired tokens', () => {
+    const unsigned = `${Buffer.from('{"alg":"none"}').toString('base64url')}.${Buffer.from('{}').toString('base64url')}.`;
+    expectJwtError(() => verifyJwt(signJwt({ key: 'k1' }, 'other'), 's3cret'));
+    expectJwtError(() => verifyJwt(unsigned, 's3cret'));
+    expectJwtError(() => verifyJwt(signJwt({ exp: 100 }, 's3cret'), 's3cret', 100 * 1000));
+    expectJwtError(() => verifyJwt(signJwt({ nbf: 200 }, 's3cret'), 's3cret', 100 * 1000));
+    expectJwtError(() => verifyJwt('not-a-token', 's3cret'));
+  });
+});
+
+describe('readSignedRequest', () => {
+  const params = { key: 'k1', status: 2 };
+
+  test('takes parameters from the body token or the bearer header payload', () => {
+    expect(readSignedRequest({ token: signJwt(params, 's') }, { secret: 's' })).toEqual(params);
+    expect(readSignedRequest(params, { secret: 's', authorization: `Bearer ${signJwt({ payload: params }, 's')}` })).toEqual(params);
+  });
+
+  test('requires a token with a secret unless the request is trusted', () => {
+    expectJwtError(() => readSignedRequest(params, { secret: 's', tokenRequired: true }));
+    expect(readSignedRequest(params, { secret: 's', tokenRequired: false })).toBe(params);
+  });
+
+  test('only decodes tokens without a secret', () => {
+    expect(readSignedRequest({ token: signJwt(params, 'unknown') }, { tokenRequired: true })).toEqual(params);
+  });
+});
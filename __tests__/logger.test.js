@@ -0,0 +1,143 @@
+import { afterEach, describe, test, expect } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  parseLevel,
+  createRequestId,
+  isValidRequestId,
+  createPathRedactor,
+  createRotatingFile,
+  createLogger
+} from '../logger.js';
+
+const tempDirs = [];
+
+function makeTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oo-editors-logger-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+afterEach(() => {
+  while (tempDirs.length > 0) {
+    fs.rmSync(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+// A stream that keeps what was written to it
+function makeSink() {
+  const lines = [];
+  return { lines, write: (line) => lines.push(line) };
+}
+
+function makeLogger(options = {}) {
+  const out = makeSink();
+  const err = makeSink();
+  const logger = createLogger({ stdout: out, stderr: err, ...options });
+  return { logger, out: out.lines, err: err.lines };
+}
+
+describe('parseLevel', () => {
+  test('accepts known levels in any case and falls back otherwise', () => {
+    expect(parseLevel('DEBUG')).toBe('debug');
+    expect(parseLevel(' warn ')).toBe('warn');
+    expect(parseLevel('verbose')).toBe('info');
+    expect(parseLevel(undefined, 'error')).toBe('error');
+  });
+});
+
+describe('request IDs', () => {
+  test('generated IDs pass validation; header injection does not', () => {
+    expect(isValidRequestId(createRequestId())).toBe(true);
+    expect(isValidRequestId('abc')).toBe(false);
+    expect(isValidRequestId('abcdefgh\nINFO forged')).toBe(false);
+    expect(isValidRequestId(['abcdefgh'])).toBe(false);
+  });
+});
+
+describe('createPathRedactor', () => {
+  const redact = createPathRedactor({
+    privateRoots: ['/home/ana', '/tmp'],
+    publicRoots: ['/home/ana/oo-editors', '/home/ana/.cache/oo-editors'],
+    platform: 'linux'
+  });
+
+  test('keeps only the file name of paths under private roots', () => {
+    expect(redact('[SAVE] Output path: /home/ana/Clients/Acme/report.xlsx'))
+      .toBe('[SAVE] Output path: <redacted>/report.xlsx');
+    expect(redact('GET /api/convert?filepath=/home/ana/My Documents/q3.docx&x=1'))
+      .toBe('GET /api/convert?filepath=<redacted>/q3.docx&x=1');
+    expect(redact('copy /home/ana/a.xlsx to /tmp/b.xlsx')).toBe('copy <redacted>/a.xlsx to <redacted>/b.xlsx');
+  });
+
+  test('leaves public roots, other paths and URLs alone', () => {
+    expect(redact('Cache at /home/ana/.cache/oo-editors/0a1b/Editor.bin'))
+      .toBe('Cache at /home/ana/.cache/oo-editors/0a1b/Editor.bin');
+    expect(redact('GET /api/convert 200')).toBe('GET /api/convert 200');
+    expect(redact('/home/anastasia/file.txt')).toBe('/home/anastasia/file.txt');
+  });
+
+  test('handles Windows paths case-insensitively', () => {
+    const redactWin = createPathRedactor({ privateRoots: ['C:\\Users\\Ana'], platform: 'win32' });
+    expect(redactWin('open c:\\users\\ana\\Desktop\\plan.pptx')).toBe('open <redacted>\\plan.pptx');
+    expect(redactWin('open C:/Users/Ana/Desktop/plan.pptx')).toBe('open <redacted>/plan.pptx');
+  });
+});
+
+describe('createRotatingFile', () => {
+  test('rotates past the size limit and keeps maxFiles old files', () => {
+    const dir = makeTempDir();
+    const filePath = path.join(dir, 'logs', 'server.log');
+    const file = createRotatingFile(filePath, { maxBytes: 10, maxFiles: 2 });
+    ['aaaaaa\n', 'bbbbbb\n', 'cccccc\n', 'dddddd\n'].forEach((line) => file.write(line));
+    file.close();
+
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('dddddd\n');
+    expect(fs.readFileSync(`${filePath}.1`, 'utf8')).toBe('cccccc\n');
+    expect(fs.readFileSync(`${filePath}.2`, 'utf8')).toBe('bbbbbb\n');
+    expect(fs.existsSync(`${filePath}.3`)).toBe(false);
+  });
+});
+
+describe('createLogger', () => {
+  test('filters by level and sends warnings and errors to stderr', () => {
+    const { logger, out, err } = makeLogger({ level: 'info' });
+    logger.debug('[SAVE] hidden');
+    logger.info('[SAVE] shown %d', 3);
+    logger.error('[SAVE] failed');
+
+    expect(out).toHaveLength(1);
+    expect(out[0]).toMatch(/^\S+Z INFO  \[SAVE\] shown 3\n$/);
+    expect(err[0]).toMatch(/ERROR \[SAVE\] failed\n$/);
+    expect(logger.isLevelEnabled('debug')).toBe(false);
+  });
+
+  test('writes JSON with the tag as scope and the request ID across awaits', async () => {
+    const { logger, out } = makeLogger({ format: 'json', level: 'debug' });
+    await logger.runWithRequestId('req-12345678', async () => {
+      await new Promise((resolve) => setTimeout(resolve, 1));
+      logger.child({ source: 'browser' }).debug('[BROWSER] clicked');
+    });
+    logger.info('no tag');
+
+    expect(JSON.parse(out[0])).toMatchObject({
+      level: 'debug', scope: 'BROWSER', msg: 'clicked', requestId: 'req-12345678', source: 'browser'
+    });
+    expect(JSON.parse(out[1])).toEqual({ time: expect.any(String), level: 'info', msg: 'no tag' });
+  });
+
+  test('redacts messages and copies them to the log file', () => {
+    const dir = makeTempDir();
+    const file = path.join(dir, 'server.log');
+    const { logger, out } = makeLogger({
+      file,
+      redact: createPathRedactor({ privateRoots: ['/home/ana'], platform: 'linux' })
+    });
+    logger.runWithRequestId('abcdef12', () => logger.info('[OPEN] Requested file: /home/ana/x/y.xlsx'));
+    logger.close();
+
+    expect(out[0]).toMatch(/\[OPEN\] Requested file: <redacted>\/y\.xlsx \(req=abcdef12\)\n$/);
+    expect(fs.readFileSync(file, 'utf8')).toBe(out[0]);
+  });
+});
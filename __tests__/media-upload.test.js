@@ -0,0 +1,195 @@
+import { afterEach, describe, test, expect } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  detectImageType,
+  readImageInfo,
+  findImageTool,
+  getToolArgs,
+  createMediaUploader
+} from '../media-upload.js';
+
+const tempDirs = [];
+
+function makeTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oo-editors-media-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+afterEach(() => {
+  while (tempDirs.length > 0) {
+    fs.rmSync(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+// PNG signature and IHDR chunk: enough for the header checks
+function makePng(width, height) {
+  const buffer = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer, 0);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'latin1');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+// JPEG with an EXIF APP1 carrying `orientation` and a SOF0 of width x height
+function makeJpeg(width, height, orientation) {
+  const tiff = Buffer.alloc(26);
+  tiff.write('II*\0', 0, 'latin1');
+  tiff.writeUInt32LE(8, 4);
+  tiff.writeUInt16LE(1, 8);
+  tiff.writeUInt16LE(0x0112, 10);
+  tiff.writeUInt16LE(3, 12);
+  tiff.writeUInt32LE(1, 14);
+  tiff.writeUInt16LE(orientation, 18);
+  const exif = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]);
+  const app1 = Buffer.alloc(4);
+  app1.writeUInt16BE(0xffe1, 0);
+  app1.writeUInt16BE(exif.length + 2, 2);
+  const sof = Buffer.alloc(19);
+  sof.writeUInt16BE(0xffc0, 0);
+  sof.writeUInt16BE(17, 2);
+  sof[4] = 8;
+  sof.writeUInt16BE(height, 5);
+  sof.writeUInt16BE(width, 7);
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), app1, exif, sof]);
+}
+
+// Big-endian TIFF with ImageWidth/ImageLength
+function makeTiff(width, height) {
+  const buffer = Buffer.alloc(38);
+  buffer.write('MM\0*', 0, 'latin1');
+  buffer.writeUInt32BE(8, 4);
+  buffer.writeUInt16BE(2, 8);
+  [[0x100, width], [0x101, height]].forEach(([tag, value], i) => {
+    const entry = 10 + i * 12;
+    buffer.writeUInt16BE(tag, entry);
+    buffer.writeUInt16BE(3, entry + 2);
+    buffer.writeUInt32BE(1, entry + 4);
+    buffer.writeUInt16BE(value, entry + 8);
+  });
+  return buffer;
+}
+
+// An "ImageMagick" that records its arguments and writes a 2x1 PNG to the output path
+function makeFakeTool(dir) {
+  const toolPath = path.join(dir, 'magick');
+  const png = makePng(2, 1).toString('base64');
+  fs.writeFileSync(toolPath, `#!/usr/bin/env node
+const fs = require('fs');
+const args = process.argv.slice(2);
+fs.writeFileSync(${JSON.stringify(path.join(dir, 'args.json'))}, JSON.stringify(args));
+fs.writeFileSync(args[args.length - 1], Buffer.from('${png}', 'base64'));
+`);
+  fs.chmodSync(toolPath, 0o755);
+  return { name: 'magick', path: toolPath };
+}
+
+describe('detectImageType', () => {
+  test('identifies images by signature, not name', () => {
+    expect(detectImageType(makePng(1, 1))).toBe('png');
+    expect(detectImageType(makeJpeg(1, 1, 1))).toBe('jpeg');
+    expect(detectImageType(makeTiff(1, 1))).toBe('tiff');
+    expect(detectImageType(Buffer.from('GIF89a\x01\x00\x01\x00\x00\x00', 'latin1'))).toBe('gif');
+    expect(detectImageType(Buffer.from('\0\0\0\x18ftypheic\0\0\0\0', 'latin1'))).toBe('heic');
+  });
+
+  test('rejects SVG, HTML and short input', () => {
+    expect(detectImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script/></svg>'))).toBe(null);
+    expect(detectImageType(Buffer.from('<!doctype html><html></html>'))).toBe(null);
+    expect(detectImageType(Buffer.from('PNG'))).toBe(null);
+  });
+});
+
+describe('readImageInfo', () => {
+  test('reads PNG and TIFF sizes', () => {
+    expect(readImageInfo(makePng(640, 480))).toEqual({ type: 'png', width: 640, height: 480, orientation: 1 });
+    expect(readImageInfo(makeTiff(300, 200))).toMatchObject({ type: 'tiff', width: 300, height: 200 });
+  });
+
+  test('reports the displayed size of rotated JPEGs', () => {
+    expect(readImageInfo(makeJpeg(4000, 3000, 1))).toMatchObject({ width: 4000, height: 3000, orientation: 1 });
+    expect(readImageInfo(makeJpeg(4000, 3000, 6))).toMatchObject({ width: 3000, height: 4000, orientation: 6 });
+  });
+});
+
+describe('findImageTool', () => {
+  test('finds ImageMagick on PATH and falls back to sips on macOS', () => {
+    const dir = makeTempDir();
+    fs.writeFileSync(path.join(dir, 'sips'), '');
+    expect(findImageTool({ pathEnv: dir, platform: 'linux' })).toBe(null);
+    expect(findImageTool({ pathEnv: dir, platform: 'darwin' })).toEqual({ name: 'sips', path: path.join(dir, 'sips') });
+
+    fs.writeFileSync(path.join(dir, 'magick'), '');
+    expect(findImageTool({ pathEnv: dir, platform: 'darwin' }).name).toBe('magick');
+  });
+
+  test('ignores the Windows convert.exe', () => {
+    const dir = makeTempDir();
+    fs.writeFileSync(path.join(dir, 'convert'), '');
+    expect(findImageTool({ pathEnv: dir, platform: 'win32' })).toBe(null);
+  });
+});
+
+describe('getToolArgs', () => {
+  test('orients and only ever shrinks with ImageMagick', () => {
+    expect(getToolArgs({ name: 'magick', path: 'magick' }, { inputPath: 'in.jpg', outputPath: 'out.jpg', format: 'jpeg', maxDimension: 4096 }))
+      .toEqual(['in.jpg', '-auto-orient', '-resize', '4096x4096>', 'out.jpg']);
+  });
+
+  test('converts and resamples with sips', () => {
+    expect(getToolArgs({ name: 'sips', path: 'sips' }, { inputPath: 'in.heic', outputPath: 'out.jpg', format: 'jpeg' }))
+      .toEqual(['-s', 'format', 'jpeg', 'in.heic', '--out', 'out.jpg']);
+  });
+});
+
+describe('createMediaUploader', () => {
+  test('stores images under a generated name with their size', async () => {
+    const dir = makeTempDir();
+    const uploader = createMediaUploader({ tool: null });
+    const stored = await uploader.store(makePng(320, 240), path.join(dir, 'media'));
+
+    expect(stored).toMatchObject({ type: 'png', width: 320, height: 240, converted: false });
+    expect(stored.filename).toMatch(/^image_[a-f0-9]{16}\.png$/);
+    expect(fs.readdirSync(path.join(dir, 'media'))).toEqual([stored.filename]);
+  });
+
+  test('rejects non-images and images over the limits', async () => {
+    const dir = makeTempDir();
+    const uploader = createMediaUploader({ tool: null, maxBytes: 1000, maxPixels: 1000 * 1000 });
+    const mediaDir = path.join(dir, 'media');
+
+    await expect(uploader.store(Buffer.from('<svg onload="alert(1)"></svg>'), mediaDir)).rejects.toMatchObject({ code: 'EMEDIATYPE' });
+    await expect(uploader.store(makePng(2000, 2000), mediaDir)).rejects.toMatchObject({ code: 'EMEDIASIZE' });
+    await expect(uploader.store(Buffer.concat([makePng(1, 1), Buffer.alloc(1000)]), mediaDir)).rejects.toMatchObject({ code: 'EMEDIASIZE' });
+  });
+
+  test('needs a tool for formats the editors cannot show', async () => {
+    const dir = makeTempDir();
+    const uploader = createMediaUploader({ tool: null });
+    await expect(uploader.store(makeTiff(10, 10), path.join(dir, 'media'))).rejects.toMatchObject({ code: 'EMEDIATYPE' });
+  });
+
+  test('keeps oversized images as they are without a tool', async () => {
+    const dir = makeTempDir();
+    const uploader = createMediaUploader({ tool: null, maxDimension: 100 });
+    const stored = await uploader.store(makeJpeg(400, 300, 6), path.join(dir, 'media'));
+    expect(stored).toMatchObject({ type: 'jpeg', width: 300, height: 400, converted: false });
+  });
+
+  test.skipIf(process.platform === 'win32')('converts TIFF to PNG and downscales through the tool', async () => {
+    const dir = makeTempDir();
+    const uploader = createMediaUploader({ tool: makeFakeTool(dir), maxDimension: 100 });
+    const stored = await uploader.store(makeTiff(400, 300), path.join(dir, 'media'));
+
+    expect(stored).toMatchObject({ type: 'png', width: 2, height: 1, converted: true });
+    expect(stored.filename).toMatch(/\.png$/);
+    const args = JSON.parse(fs.readFileSync(path.join(dir, 'args.json'), 'utf8'));
+    expect(args.slice(1, 4)).toEqual(['-auto-orient', '-resize', '100x100>']);
+    // The upload copy handed to the tool is removed afterwards
+    expect(fs.readdirSync(path.join(dir, 'media'))).toEqual([stored.filename]);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, test, expect } from 'bun:test';
+import { escapeLabelValue, createMetricsRegistry } from '../metrics.js';
+
+describe('escapeLabelValue', () => {
+  test('escapes backslashes, quotes and newlines', () => {
+    expect(escapeLabelValue('C:\\x "y"\nz')).toBe('C:\\\\x \\"y\\"\\nz');
+  });
+});
+
+describe('createMetricsRegistry', () => {
+  test('renders counters per label set with HELP and TYPE lines', () => {
+    const registry = createMetricsRegistry();
+    const counter = registry.counter({ name: 'ops_total', help: 'Operations', labelNames: ['operation', 'status'] });
+    counter.inc({ operation: 'save', status: 200 });
+    counter.inc({ operation: 'save', status: 200 }, 2);
+    counter.inc({ operation: 'convert', status: 500 });
+
+    expect(registry.render()).toBe([
+      '# HELP ops_total Operations',
+      '# TYPE ops_total counter',
+      'ops_total{operation="save",status="200"} 3',
+      'ops_total{operation="convert",status="500"} 1',
+      ''
+    ].join('\n'));
+    expect(counter.get({ operation: 'save', status: 200 })).toBe(3);
+    expect(() => counter.inc({}, -1)).toThrow();
+  });
+
+  test('renders cumulative histogram buckets, sum and count', () => {
+    const registry = createMetricsRegistry();
+    const histogram = registry.histogram({ name: 'save_seconds', help: 'Saves', labelNames: ['format'], buckets: [1, 0.5] });
+    histogram.observe({ format: 'xlsx' }, 0.2);
+    histogram.observe({ format: 'xlsx' }, 0.7);
+    histogram.observe({ format: 'xlsx' }, 3);
+
+    expect(registry.render()).toContain([
+      'save_seconds_bucket{format="xlsx",le="0.5"} 1',
+      'save_seconds_bucket{format="xlsx",le="1"} 2',
+      'save_seconds_bucket{format="xlsx",le="+Inf"} 3',
+      'save_seconds_sum{format="xlsx"} 3.9',
+      'save_seconds_count{format="xlsx"} 3'
+    ].join('\n'));
+  });
+
+  test('reads collected gauges at render time', () => {
+    const registry = createMetricsRegistry();
+    let depth = 1;
+    registry.gauge({ name: 'queue_depth', help: 'Queued jobs', collect: (gauge) => gauge.set({}, depth) });
+
+    expect(registry.render()).toContain('queue_depth 1\n');
+    depth = 4;
+    expect(registry.render()).toContain('queue_depth 4\n');
+  });
+
+  test('refuses invalid and duplicate names', () => {
+    const registry = createMetricsRegistry();
+    registry.counter({ name: 'a_total', help: 'A' });
+    expect(() => registry.counter({ name: 'a_total', help: 'A again' })).toThrow();
+    expect(() => registry.gauge({ name: 'bad-name', help: 'B' })).toThrow();
+  });
+});
@@ -0,0 +1,111 @@
+import { afterEach, describe, test, expect } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parsePathList, resolveRealPath, isWithin, createPathPolicy } from '../path-policy.js';
+
+const tempDirs = [];
+
+function makeTempDir() {
+  const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'oo-editors-policy-')));
+  tempDirs.push(dir);
+  return dir;
+}
+
+afterEach(() => {
+  while (tempDirs.length > 0) {
+    fs.rmSync(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+// An allowed root with a document, a secrets dir inside it and a directory outside it
+function setupTree() {
+  const dir = makeTempDir();
+  const root = path.join(dir, 'documents');
+  const outside = path.join(dir, 'outside');
+  fs.mkdirSync(path.join(root, '.ssh'), { recursive: true });
+  fs.mkdirSync(outside);
+  fs.writeFileSync(path.join(root, 'report.xlsx'), 'xlsx');
+  fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret');
+  const policy = createPathPolicy({
+    allowedRoots: [root],
+    deniedPaths: [path.join(root, '.ssh')],
+    fontRoots: [path.join(dir, 'fonts')]
+  });
+  return { dir, root, outside, policy };
+}
+
+function expectDenied(fn) {
+  let error;
+  try {
+    fn();
+  } catch (e) {
+    error = e;
+  }
+  expect(error && error.code).toBe('EPATHDENIED');
+}
+
+describe('parsePathList', () => {
+  test('splits on the platform delimiter and drops empty entries', () => {
+    const value = ['/a', '', '/b/c'].join(path.delimiter);
+    expect(parsePathList(value)).toEqual([path.resolve('/a'), path.resolve('/b/c')]);
+    expect(parsePathList(undefined)).toEqual([]);
+  });
+});
+
+describe('resolveRealPath', () => {
+  test('resolves symlinked parents of paths that do not exist yet', () => {
+    const dir = makeTempDir();
+    fs.mkdirSync(path.join(dir, 'real'));
+    fs.symlinkSync(path.join(dir, 'real'), path.join(dir, 'link'));
+    expect(resolveRealPath(path.join(dir, 'link', 'new', 'file.docx')))
+      .toBe(path.join(dir, 'real', 'new', 'file.docx'));
+  });
+});
+
+describe('isWithin', () => {
+  test('matches the root and its descendants only', () => {
+    expect(isWithin('/home/me', '/home/me')).toBe(true);
+    expect(isWithin('/home/me', '/home/me/docs/a.docx')).toBe(true);
+    expect(isWithin('/home/me', '/home/me2/a.docx')).toBe(false);
+    expect(isWithin('/home/me', '/home/me/../other')).toBe(false);
+    expect(isWithin('/home/me', '/home/me/..hidden')).toBe(true);
+  });
+});
+
+describe('createPathPolicy', () => {
+  test('allows documents inside a root, including new save targets', () => {
+    const { root, policy } = setupTree();
+    expect(policy.resolve(path.join(root, 'report.xlsx'))).toBe(path.join(root, 'report.xlsx'));
+    expect(policy.resolve(path.join(root, 'new', 'copy.xlsx'))).toBe(path.join(root, 'new', 'copy.xlsx'));
+  });
+
+  test('refuses paths outside the roots, including via ..', () => {
+    const { root, outside, policy } = setupTree();
+    expectDenied(() => policy.resolve(path.join(outside, 'secret.txt')));
+    expectDenied(() => policy.resolve(`${root}/../outside/secret.txt`));
+    expectDenied(() => policy.resolve(''));
+    expectDenied(() => policy.resolve(`${root}/report.xlsx\0.txt`));
+  });
+
+  test('refuses symlinks that escape a root', () => {
+    const { root, outside, policy } = setupTree();
+    fs.symlinkSync(path.join(outside, 'secret.txt'), path.join(root, 'innocent.docx'));
+    fs.symlinkSync(outside, path.join(root, 'shortcut'));
+    expectDenied(() => policy.resolve(path.join(root, 'innocent.docx')));
+    expectDenied(() => policy.resolve(path.join(root, 'shortcut', 'saved.docx')));
+  });
+
+  test('refuses denied locations inside a root', () => {
+    const { root, policy } = setupTree();
+    expectDenied(() => policy.resolve(path.join(root, '.ssh', 'id_rsa')));
+  });
+
+  test('serves fonts from font roots only', () => {
+    const { dir, root, policy } = setupTree();
+    fs.mkdirSync(path.join(dir, 'fonts'));
+    fs.writeFileSync(path.join(dir, 'fonts', 'Arial.ttf'), 'font');
+    expect(policy.resolveFont(path.join(dir, 'fonts', 'Arial.ttf'))).toBe(path.join(dir, 'fonts', 'Arial.ttf'));
+    expectDenied(() => policy.resolveFont(path.join(root, 'report.xlsx')));
+  });
+});
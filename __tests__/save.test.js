@@ -5,11 +5,13 @@ import os from 'os';
 import crypto from 'crypto';
 
 const SERVER_URL = process.env.SERVER_URL || 'http://localhost:38123';
+// Start the server with the same OO_EDITORS_TOKEN so the API accepts these requests
+const AUTH_HEADERS = { 'X-OO-Editors-Token': process.env.OO_EDITORS_TOKEN || '' };
 const FIXTURES_DIR = path.resolve(import.meta.dir, '..', '.github/assets');
 const tempFiles = [];
 
-function tempPath() {
-  const p = path.join(os.tmpdir(), `oo-editors-test-${crypto.randomUUID()}.csv`);
+function tempPath(ext = '.csv') {
+  const p = path.join(os.tmpdir(), `oo-editors-test-${crypto.randomUUID()}${ext}`);
   tempFiles.push(p);
   return p;
 }
@@ -33,7 +35,8 @@ async function convertAndSave(fixtureName) {
   const fixturePath = path.join(FIXTURES_DIR, fixtureName);
 
   const convertRes = await fetch(
-    `${SERVER_URL}/api/convert?filepath=${encodeURIComponent(fixturePath)}`
+    `${SERVER_URL}/api/convert?filepath=${encodeURIComponent(fixturePath)}`,
+    { headers: AUTH_HEADERS }
   );
   expect(convertRes.status).toBe(200);
 
@@ -48,7 +51,7 @@ async function convertAndSave(fixtureName) {
     `${SERVER_URL}/api/save?filepath=${encodeURIComponent(outPath)}&filehash=${fileHash}`,
     {
       method: 'POST',
-      headers: { 'Content-Type': 'application/octet-stream' },
+      headers: { ...AUTH_HEADERS, 'Content-Type': 'application/octet-stream' },
       body: binary,
     }
   );
@@ -67,3 +70,22 @@ describe('CSV save round-trip', () => {
     await convertAndSave('hard.csv');
   }, 60_000);
 });
+
+describe('Read-only formats', () => {
+  test('should refuse to overwrite a Visio diagram', async () => {
+    const diagramPath = tempPath('.vsdx');
+    fs.writeFileSync(diagramPath, 'original diagram');
+
+    const saveRes = await fetch(
+      `${SERVER_URL}/api/save?filepath=${encodeURIComponent(diagramPath)}`,
+      {
+        method: 'POST',
+        headers: { ...AUTH_HEADERS, 'Content-Type': 'application/octet-stream' },
+        body: fs.readFileSync(path.join(FIXTURES_DIR, 'simple.docx')),
+      }
+    );
+    expect(saveRes.status).toBeGreaterThanOrEqual(400);
+    expect(saveRes.status).toBeLessThan(500);
+    expect(fs.readFileSync(diagramPath, 'utf8')).toBe('original diagram');
+  });
+});
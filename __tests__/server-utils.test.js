@@ -2,42 +2,57 @@ import { describe, test, expect } from 'bun:test';
 import {
   getX2TFormatCode,
   getOutputFormatInfo,
+  getSavePlan,
+  getSiblingPath,
+  getTemplateDocumentExtension,
   generateFileHash,
   getDocTypeFromFilename,
+  isSupportedDocument,
   isAbsolutePath,
   getContentType,
+  escapeXml,
+  getX2TCsvXml,
+  getX2TPasswordXml,
+  getX2TThumbnailXml,
   generateX2TConfig,
   extractFilePathFromUrl,
-  isXLSXSignature
+  isXLSXSignature,
+  isPDFSignature
 } from '../server-utils.js';
 
 describe('getX2TFormatCode', () => {
   test('returns correct code for spreadsheet formats', () => {
     expect(getX2TFormatCode('xlsx')).toBe(257);
-    expect(getX2TFormatCode('xls')).toBe(257);
-    expect(getX2TFormatCode('ods')).toBe(257);
+    expect(getX2TFormatCode('xls')).toBe(258);
+    expect(getX2TFormatCode('ods')).toBe(259);
     expect(getX2TFormatCode('csv')).toBe(260);
   });
 
   test('returns correct code for document formats', () => {
     expect(getX2TFormatCode('docx')).toBe(65);
-    expect(getX2TFormatCode('doc')).toBe(65);
-    expect(getX2TFormatCode('odt')).toBe(65);
-    expect(getX2TFormatCode('txt')).toBe(65);
-    expect(getX2TFormatCode('rtf')).toBe(65);
-    expect(getX2TFormatCode('html')).toBe(65);
+    expect(getX2TFormatCode('doc')).toBe(66);
+    expect(getX2TFormatCode('odt')).toBe(67);
+    expect(getX2TFormatCode('rtf')).toBe(68);
+    expect(getX2TFormatCode('txt')).toBe(69);
+    expect(getX2TFormatCode('html')).toBe(70);
   });
 
   test('returns correct code for presentation formats', () => {
     expect(getX2TFormatCode('pptx')).toBe(129);
-    expect(getX2TFormatCode('ppt')).toBe(129);
-    expect(getX2TFormatCode('odp')).toBe(129);
+    expect(getX2TFormatCode('ppt')).toBe(130);
+    expect(getX2TFormatCode('odp')).toBe(131);
   });
 
   test('returns correct code for PDF', () => {
     expect(getX2TFormatCode('pdf')).toBe(513);
   });
 
+  test('returns correct code for Visio and image output', () => {
+    expect(getX2TFormatCode('vsdx')).toBe(16385);
+    expect(getX2TFormatCode('png')).toBe(1024);
+    expect(getX2TFormatCode('jpg')).toBe(1024);
+  });
+
   test('handles uppercase input', () => {
     expect(getX2TFormatCode('XLSX')).toBe(257);
     expect(getX2TFormatCode('DOCX')).toBe(65);
@@ -54,8 +69,7 @@ describe('getX2TFormatCode', () => {
 describe('getOutputFormatInfo', () => {
   test('returns info for spreadsheet extensions', () => {
     expect(getOutputFormatInfo('.xlsx')).toEqual({ code: 257, name: 'XLSX' });
-    expect(getOutputFormatInfo('.xls')).toEqual({ code: 257, name: 'XLSX' });
-    expect(getOutputFormatInfo('.ods')).toEqual({ code: 257, name: 'XLSX' });
+    expect(getOutputFormatInfo('.ods')).toEqual({ code: 259, name: 'ODS' });
   });
 
   test('returns info for CSV', () => {
@@ -64,17 +78,15 @@ describe('getOutputFormatInfo', () => {
 
   test('returns info for document extensions', () => {
     expect(getOutputFormatInfo('.docx')).toEqual({ code: 65, name: 'DOCX' });
-    expect(getOutputFormatInfo('.doc')).toEqual({ code: 65, name: 'DOCX' });
-    expect(getOutputFormatInfo('.odt')).toEqual({ code: 65, name: 'DOCX' });
-    expect(getOutputFormatInfo('.txt')).toEqual({ code: 65, name: 'DOCX' });
-    expect(getOutputFormatInfo('.rtf')).toEqual({ code: 65, name: 'DOCX' });
-    expect(getOutputFormatInfo('.html')).toEqual({ code: 65, name: 'DOCX' });
+    expect(getOutputFormatInfo('.odt')).toEqual({ code: 67, name: 'ODT' });
+    expect(getOutputFormatInfo('.rtf')).toEqual({ code: 68, name: 'RTF' });
+    expect(getOutputFormatInfo('.txt')).toEqual({ code: 69, name: 'TXT' });
+    expect(getOutputFormatInfo('.html')).toEqual({ code: 70, name: 'HTML' });
   });
 
   test('returns info for presentation extensions', () => {
     expect(getOutputFormatInfo('.pptx')).toEqual({ code: 129, name: 'PPTX' });
-    expect(getOutputFormatInfo('.ppt')).toEqual({ code: 129, name: 'PPTX' });
-    expect(getOutputFormatInfo('.odp')).toEqual({ code: 129, name: 'PPTX' });
+    expect(getOutputFormatInfo('.odp')).toEqual({ code: 131, name: 'ODP' });
   });
 
   test('handles uppercase', () => {
@@ -82,10 +94,69 @@ describe('getOutputFormatInfo', () => {
     expect(getOutputFormatInfo('.CSV')).toEqual({ code: 260, name: 'CSV' });
   });
 
+  test('returns PDF for pdf', () => {
+    expect(getOutputFormatInfo('.pdf')).toEqual({ code: 513, name: 'PDF' });
+  });
+
+  test('returns info for macro-enabled and template OOXML', () => {
+    expect(getOutputFormatInfo('.xlsm')).toEqual({ code: 261, name: 'XLSM' });
+    expect(getOutputFormatInfo('.xltx')).toEqual({ code: 262, name: 'XLTX' });
+    expect(getOutputFormatInfo('.docm')).toEqual({ code: 75, name: 'DOCM' });
+    expect(getOutputFormatInfo('.dotm')).toEqual({ code: 77, name: 'DOTM' });
+    expect(getOutputFormatInfo('.pptm')).toEqual({ code: 133, name: 'PPTM' });
+    expect(getOutputFormatInfo('.ppsx')).toEqual({ code: 132, name: 'PPSX' });
+    expect(getOutputFormatInfo('.potx')).toEqual({ code: 135, name: 'POTX' });
+  });
+
+  test('returns null for vsdx, which only /converter writes', () => {
+    expect(getOutputFormatInfo('.vsdx')).toBe(null);
+  });
+
   test('returns null for unsupported', () => {
-    expect(getOutputFormatInfo('.pdf')).toBe(null);
     expect(getOutputFormatInfo('.zip')).toBe(null);
   });
+
+  test('returns null for formats that open read-only', () => {
+    expect(getOutputFormatInfo('.xlsb')).toBe(null);
+    expect(getOutputFormatInfo('.epub')).toBe(null);
+    expect(getOutputFormatInfo('.xps')).toBe(null);
+  });
+
+  test('returns null for binary Office formats x2t cannot write', () => {
+    expect(getOutputFormatInfo('.xls')).toBe(null);
+    expect(getOutputFormatInfo('.doc')).toBe(null);
+    expect(getOutputFormatInfo('.ppt')).toBe(null);
+  });
+});
+
+describe('getSavePlan', () => {
+  test('saves OOXML and ODF in their own format without asking', () => {
+    expect(getSavePlan('.xlsx')).toEqual({ format: { code: 257, name: 'XLSX' }, ooxml: null, needsChoice: false });
+    expect(getSavePlan('.ODT')).toEqual({ format: { code: 67, name: 'ODT' }, ooxml: null, needsChoice: false });
+  });
+
+  test('offers OOXML for formats that lose formatting', () => {
+    expect(getSavePlan('.txt')).toEqual({
+      format: { code: 69, name: 'TXT' },
+      ooxml: { ext: '.docx', code: 65, name: 'DOCX' },
+      needsChoice: true
+    });
+  });
+
+  test('only offers OOXML for binary Office formats', () => {
+    expect(getSavePlan('.xls')).toEqual({ format: null, ooxml: { ext: '.xlsx', code: 257, name: 'XLSX' }, needsChoice: true });
+    expect(getSavePlan('.ppt').ooxml.ext).toBe('.pptx');
+    expect(getSavePlan('.zip')).toBe(null);
+    expect(getSavePlan('.pages')).toBe(null);
+  });
+});
+
+describe('getSiblingPath', () => {
+  test('swaps the extension and numbers the name when it is taken', () => {
+    expect(getSiblingPath('/docs/report.xls', '.xlsx', () => false)).toBe('/docs/report.xlsx');
+    const taken = new Set(['/docs/report.xlsx', '/docs/report (2).xlsx']);
+    expect(getSiblingPath('/docs/report.xls', '.xlsx', (p) => taken.has(p))).toBe('/docs/report (3).xlsx');
+  });
 });
 
 describe('generateFileHash', () => {
@@ -113,6 +184,9 @@ describe('getDocTypeFromFilename', () => {
     expect(getDocTypeFromFilename('test.xls')).toBe('cell');
     expect(getDocTypeFromFilename('test.ods')).toBe('cell');
     expect(getDocTypeFromFilename('test.csv')).toBe('cell');
+    expect(getDocTypeFromFilename('test.xlsm')).toBe('cell');
+    expect(getDocTypeFromFilename('test.xltx')).toBe('cell');
+    expect(getDocTypeFromFilename('test.xlsb')).toBe('cell');
   });
 
   test('returns word for document files', () => {
@@ -122,12 +196,29 @@ describe('getDocTypeFromFilename', () => {
     expect(getDocTypeFromFilename('test.txt')).toBe('word');
     expect(getDocTypeFromFilename('test.rtf')).toBe('word');
     expect(getDocTypeFromFilename('test.html')).toBe('word');
+    expect(getDocTypeFromFilename('test.docm')).toBe('word');
+    expect(getDocTypeFromFilename('test.dotx')).toBe('word');
+    expect(getDocTypeFromFilename('book.epub')).toBe('word');
   });
 
   test('returns slide for presentation files', () => {
     expect(getDocTypeFromFilename('test.pptx')).toBe('slide');
     expect(getDocTypeFromFilename('test.ppt')).toBe('slide');
     expect(getDocTypeFromFilename('test.odp')).toBe('slide');
+    expect(getDocTypeFromFilename('test.pptm')).toBe('slide');
+    expect(getDocTypeFromFilename('test.ppsx')).toBe('slide');
+    expect(getDocTypeFromFilename('test.potx')).toBe('slide');
+  });
+
+  test('returns pdf for PDF files', () => {
+    expect(getDocTypeFromFilename('test.pdf')).toBe('pdf');
+    expect(getDocTypeFromFilename('TEST.PDF')).toBe('pdf');
+  });
+
+  test('returns diagram for Visio files', () => {
+    expect(getDocTypeFromFilename('test.vsdx')).toBe('diagram');
+    expect(getDocTypeFromFilename('legacy.vsd')).toBe('diagram');
+    expect(getDocTypeFromFilename('stencil.VSSX')).toBe('diagram');
   });
 
   test('returns slide for unknown extensions (default)', () => {
@@ -140,6 +231,35 @@ describe('getDocTypeFromFilename', () => {
   });
 });
 
+describe('getTemplateDocumentExtension', () => {
+  test('maps templates to the document they create', () => {
+    expect(getTemplateDocumentExtension('.dotx')).toBe('.docx');
+    expect(getTemplateDocumentExtension('.XLTM')).toBe('.xlsm');
+    expect(getTemplateDocumentExtension('.potx')).toBe('.pptx');
+  });
+
+  test('returns null for documents and slideshows', () => {
+    expect(getTemplateDocumentExtension('.docm')).toBe(null);
+    expect(getTemplateDocumentExtension('.ppsx')).toBe(null);
+  });
+});
+
+describe('isSupportedDocument', () => {
+  test('accepts documents the editors open', () => {
+    expect(isSupportedDocument('report.XLSX')).toBe(true);
+    expect(isSupportedDocument('/docs/notes.odt')).toBe(true);
+    expect(isSupportedDocument('drawing.vsdx')).toBe(true);
+    expect(isSupportedDocument('macros.xlsm')).toBe(true);
+    expect(isSupportedDocument('letter.dotx')).toBe(true);
+  });
+
+  test('rejects other files', () => {
+    expect(isSupportedDocument('readme.md')).toBe(false);
+    expect(isSupportedDocument('archive.zip')).toBe(false);
+    expect(isSupportedDocument('Makefile')).toBe(false);
+  });
+});
+
 describe('isAbsolutePath', () => {
   test('recognizes POSIX absolute paths', () => {
     expect(isAbsolutePath('/Users/test/file.xlsx')).toBe(true);
@@ -182,6 +302,10 @@ describe('getContentType', () => {
     expect(getContentType('.xlsx')).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
     expect(getContentType('.docx')).toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
     expect(getContentType('.pptx')).toBe('application/vnd.openxmlformats-officedocument.presentationml.presentation');
+    expect(getContentType('.docm')).toBe('application/vnd.ms-word.document.macroEnabled.12');
+    expect(getContentType('.xltx')).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.template');
+    expect(getContentType('.xls')).toBe('application/vnd.ms-excel');
+    expect(getContentType('.xps')).toBe('application/vnd.ms-xpsdocument');
   });
 
   test('handles uppercase', () => {
@@ -215,6 +339,25 @@ describe('generateX2TConfig', () => {
     expect(xml).toContain('<m_sThemeDir>/themes</m_sThemeDir>');
   });
 
+  test('escapes paths and names with XML special characters', () => {
+    const xml = generateX2TConfig({
+      inputPath: '/docs/R&D <draft>.docx',
+      outputPath: "/cache/R&D's/Editor.bin",
+      filename: 'R&D <draft>.docx',
+      formatTo: 8192,
+      fontDir: '/fonts & more',
+      themeDir: '/themes <x>'
+    });
+
+    expect(xml).toContain('<m_sFileFrom>/docs/R&amp;D &lt;draft&gt;.docx</m_sFileFrom>');
+    expect(xml).toContain('<m_sFileTo>/cache/R&amp;D&apos;s/Editor.bin</m_sFileTo>');
+    expect(xml).toContain('<m_sTitle>R&amp;D &lt;draft&gt;.docx</m_sTitle>');
+    expect(xml).toContain('<m_sFontDir>/fonts &amp; more</m_sFontDir>');
+    expect(xml).toContain('<m_sThemeDir>/themes &lt;x&gt;</m_sThemeDir>');
+    // No raw & or < is left outside the markup
+    expect(xml.replace(/<[^<>]*>/g, '')).not.toMatch(/[<>]|&(?!amp;|lt;|gt;|quot;|apos;)/);
+  });
+
   test('includes formatFrom when provided', () => {
     const xml = generateX2TConfig({
       inputPath: '/input/file.bin',
@@ -241,6 +384,119 @@ describe('generateX2TConfig', () => {
 
     expect(xml).not.toContain('<m_nFormatFrom>');
   });
+
+  test('includes escaped passwords when provided', () => {
+    const xml = generateX2TConfig({
+      inputPath: '/input/file.bin',
+      outputPath: '/output/file.xlsx',
+      filename: 'file.xlsx',
+      formatTo: 257,
+      fontDir: '/fonts',
+      themeDir: '/themes',
+      password: 'a<b',
+      savePassword: 'c&d'
+    });
+
+    expect(xml).toContain('<m_sPassword>a&lt;b</m_sPassword>');
+    expect(xml).toContain('<m_sSavePassword>c&amp;d</m_sSavePassword>');
+  });
+
+  test('includes a thumbnail block for image output', () => {
+    const xml = generateX2TConfig({
+      inputPath: '/input/drawing.vsdx',
+      outputPath: '/output/drawing.png',
+      filename: 'drawing.vsdx',
+      formatTo: 1024,
+      fontDir: '/fonts',
+      themeDir: '/themes',
+      thumbnail: { format: 'png' }
+    });
+
+    expect(xml).toContain('<m_oThumbnail>');
+    expect(xml).toContain('<format>4</format>');
+  });
+
+  test('writes render options and CSV settings when provided', () => {
+    const xml = generateX2TConfig({
+      inputPath: '/input/report.csv',
+      outputPath: '/output/report.pdf',
+      filename: 'report.csv',
+      formatTo: 513,
+      fontDir: '/fonts',
+      themeDir: '/themes',
+      jsonParams: { spreadsheetLayout: { fitToWidth: 1 } },
+      csv: true
+    });
+
+    expect(xml).toContain('<m_sJsonParams>{&quot;spreadsheetLayout&quot;:{&quot;fitToWidth&quot;:1}}</m_sJsonParams>');
+    expect(xml).toContain('<m_nCsvDelimiter>4</m_nCsvDelimiter>');
+  });
+
+  test('writes a chosen code page, delimiter and locale', () => {
+    const xml = generateX2TConfig({
+      inputPath: '/input/report.csv',
+      outputPath: '/output/report.xlsx',
+      filename: 'report.csv',
+      formatTo: 257,
+      fontDir: '/fonts',
+      themeDir: '/themes',
+      csv: { codePage: 932, delimiter: 2 },
+      lcid: 1041
+    });
+
+    expect(xml).toContain('<m_nCsvTxtEncoding>932</m_nCsvTxtEncoding>\n<m_nCsvDelimiter>2</m_nCsvDelimiter>');
+    expect(xml).toContain('<m_nLcid>1041</m_nLcid>');
+    expect(xml).not.toContain('<m_nLcid xsi:nil');
+  });
+});
+
+describe('escapeXml', () => {
+  test('escapes markup characters', () => {
+    expect(escapeXml(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&apos;&amp;&apos;&lt;/a&gt;');
+  });
+
+  test('leaves plain text alone', () => {
+    expect(escapeXml('hunter2')).toBe('hunter2');
+  });
+});
+
+describe('getX2TCsvXml', () => {
+  test('writes nothing without CSV settings', () => {
+    expect(getX2TCsvXml(undefined)).toBe('');
+  });
+
+  test('passes delimiters without a code as a character', () => {
+    expect(getX2TCsvXml({ codePage: 44, delimiter: 0, delimiterChar: '|' })).toBe(
+      '\n<m_nCsvTxtEncoding>44</m_nCsvTxtEncoding>\n<m_nCsvDelimiter>0</m_nCsvDelimiter>\n<m_nCsvDelimiterChar>|</m_nCsvDelimiterChar>'
+    );
+  });
+});
+
+describe('getX2TPasswordXml', () => {
+  test('returns empty string without passwords', () => {
+    expect(getX2TPasswordXml({})).toBe('');
+  });
+
+  test('emits only the elements that are set', () => {
+    expect(getX2TPasswordXml({ password: 'open' })).toBe('\n<m_sPassword>open</m_sPassword>');
+    expect(getX2TPasswordXml({ savePassword: 'keep' })).toBe('\n<m_sSavePassword>keep</m_sSavePassword>');
+  });
+});
+
+describe('getX2TThumbnailXml', () => {
+  test('defaults to the first page as PNG, keeping aspect ratio', () => {
+    expect(getX2TThumbnailXml()).toBe(
+      '\n<m_oThumbnail>\n<format>4</format>\n<aspect>1</aspect>\n<first>true</first>\n</m_oThumbnail>'
+    );
+  });
+
+  test('emits jpg format, all pages and size when requested', () => {
+    const xml = getX2TThumbnailXml({ format: 'JPG', first: false, width: 320.4, height: 240 });
+    expect(xml).toContain('<format>3</format>');
+    expect(xml).toContain('<first>false</first>');
+    expect(xml).toContain('<width>320</width>');
+    expect(xml).toContain('<height>240</height>');
+  });
 });
 
 describe('extractFilePathFromUrl', () => {
@@ -293,3 +549,15 @@ describe('isXLSXSignature', () => {
     expect(isXLSXSignature(undefined)).toBe(false);
   });
 });
+
+describe('isPDFSignature', () => {
+  test('detects the PDF header', () => {
+    expect(isPDFSignature(Buffer.from('%PDF-1.7\n'))).toBe(true);
+  });
+
+  test('rejects other data', () => {
+    expect(isPDFSignature(Buffer.from([0x50, 0x4B, 0x03, 0x04, 0x00]))).toBe(false);
+    expect(isPDFSignature(Buffer.from('%PD'))).toBe(false);
+    expect(isPDFSignature(null)).toBe(false);
+  });
+});
@@ -0,0 +1,93 @@
+import { afterEach, describe, test, expect } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  parseWorkbookSheets,
+  setActiveTab,
+  listWorkbookSheets,
+  writeWithActiveSheet,
+  getSheetFilePath,
+  getSheetFilePaths
+} from '../workbook-sheets.js';
+import { extractZipEntries } from '../zip-reader.js';
+
+const FIXTURES_DIR = path.resolve(import.meta.dir, '..', '.github/assets');
+
+const tempDirs = [];
+
+function makeTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oo-editors-workbook-sheets-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+afterEach(() => {
+  while (tempDirs.length > 0) {
+    fs.rmSync(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+describe('parseWorkbookSheets', () => {
+  test('lists sheets in tab order with their names decoded', () => {
+    const xml = '<workbook><sheets><sheet name="Sales" sheetId="3" r:id="rId1"/>'
+      + '<sheet name="R&amp;D &lt;2026&gt;" sheetId="1" state="hidden" r:id="rId2"/>'
+      + '<sheet name="Caf&#233;" sheetId="2" state="visible" r:id="rId3"></sheet></sheets></workbook>';
+    expect(parseWorkbookSheets(xml)).toEqual([
+      { index: 0, name: 'Sales', hidden: false },
+      { index: 1, name: 'R&D <2026>', hidden: true },
+      { index: 2, name: 'Café', hidden: false }
+    ]);
+  });
+
+  test('does not mistake sheetPr or sheets for sheets', () => {
+    expect(parseWorkbookSheets('<workbook><sheetPr codeName="x"/><sheets></sheets></workbook>')).toEqual([]);
+  });
+});
+
+describe('setActiveTab', () => {
+  test('replaces or adds activeTab', () => {
+    expect(setActiveTab('<bookViews><workbookView xWindow="0" activeTab="2"/></bookViews>', 0))
+      .toBe('<bookViews><workbookView xWindow="0" activeTab="0"/></bookViews>');
+    expect(setActiveTab('<bookViews><workbookView xWindow="0"/></bookViews>', 1))
+      .toBe('<bookViews><workbookView activeTab="1" xWindow="0"/></bookViews>');
+    expect(setActiveTab('<workbookPr/><sheets><sheet name="A"/></sheets>', 1))
+      .toBe('<workbookPr/><bookViews><workbookView activeTab="1"/></bookViews><sheets><sheet name="A"/></sheets>');
+  });
+});
+
+describe('listWorkbookSheets and writeWithActiveSheet', () => {
+  test('read and rewrite a real workbook', () => {
+    const source = path.join(FIXTURES_DIR, 'simple.xlsx');
+    const sheets = listWorkbookSheets(source);
+    expect(sheets[0]).toEqual({ index: 0, name: 'Sheet1', hidden: false });
+
+    const copy = path.join(makeTempDir(), 'copy.xlsx');
+    expect(writeWithActiveSheet(source, 0, copy)).toEqual(sheets[0]);
+    const workbook = extractZipEntries(copy).find((e) => e.name === 'xl/workbook.xml').data.toString('utf8');
+    expect(workbook).toMatch(/<workbookView activeTab="0"/);
+    expect(extractZipEntries(copy).map((e) => e.name)).toEqual(extractZipEntries(source).map((e) => e.name));
+
+    expect(() => writeWithActiveSheet(source, sheets.length, copy)).toThrow(expect.objectContaining({ code: 'EINVALIDOPTION' }));
+  });
+});
+
+describe('getSheetFilePath', () => {
+  test('names a file after the sheet, replacing characters file names cannot hold', () => {
+    expect(getSheetFilePath('/data/report.csv', 'Sheet2')).toBe('/data/report.Sheet2.csv');
+    expect(getSheetFilePath('/data/report.tsv', 'Q1/Q2: "final"')).toBe('/data/report.Q1_Q2_ _final_.tsv');
+  });
+});
+
+describe('getSheetFilePaths', () => {
+  test('keeps the first sheet in the file and gives every sheet its own path', () => {
+    const sheets = ['Data', 'a/b', 'a:b', 'A_B', 'Summary'].map((name, index) => ({ index, name }));
+    expect(getSheetFilePaths('/data/report.csv', sheets)).toEqual([
+      '/data/report.csv',
+      '/data/report.a_b.csv',
+      '/data/report.a_b (3).csv',
+      '/data/report.A_B (4).csv',
+      '/data/report.Summary.csv'
+    ]);
+  });
+});
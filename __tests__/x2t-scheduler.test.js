@@ -0,0 +1,189 @@
+import { describe, test, expect } from 'bun:test';
+import { EventEmitter } from 'events';
+import { createX2TScheduler } from '../x2t-scheduler.js';
+
+function createFakeSpawn() {
+  const children = [];
+
+  function spawnProcess(bin, args) {
+    const child = new EventEmitter();
+    child.stdout = new EventEmitter();
+    child.stderr = new EventEmitter();
+    child.args = args;
+    child.killed = false;
+    child.kill = (signal) => {
+      child.killed = signal;
+      setTimeout(() => child.emit('close', null, signal), 0);
+    };
+    child.exit = (code, output) => {
+      if (output) child.stdout.emit('data', Buffer.from(output));
+      child.emit('close', code, null);
+    };
+    children.push(child);
+    return child;
+  }
+
+  return { spawnProcess, children };
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+describe('createX2TScheduler', () => {
+  test('never runs more than poolSize processes at once', async () => {
+    const fake = createFakeSpawn();
+    const scheduler = createX2TScheduler({ x2tPath: 'x2t', poolSize: 2, spawnProcess: fake.spawnProcess });
+
+    const jobs = ['a', 'b', 'c'].map((key) => scheduler.run({ key, paramsPath: `${key}.xml` }));
+    await tick();
+
+    expect(fake.children.length).toBe(2);
+    expect(scheduler.getStats()).toEqual({ running: 2, queued: 1, poolSize: 2 });
+
+    fake.children[0].exit(0);
+    await tick();
+    expect(fake.children.length).toBe(3);
+    expect(fake.children[2].args).toEqual(['c.xml']);
+
+    fake.children[1].exit(0);
+    fake.children[2].exit(0);
+    const results = await Promise.all(jobs);
+    expect(results.map((r) => r.code)).toEqual([0, 0, 0]);
+    expect(scheduler.getStats().running).toBe(0);
+  });
+
+  test('coalesces identical in-flight jobs into one x2t run', async () => {
+    const fake = createFakeSpawn();
+    const scheduler = createX2TScheduler({ x2tPath: 'x2t', poolSize: 2, spawnProcess: fake.spawnProcess });
+    let prepared = 0;
+
+    const first = scheduler.run({ key: 'convert:abc', paramsPath: 'p.xml', prepare: () => prepared++ });
+    const second = scheduler.run({ key: 'convert:abc', paramsPath: 'p.xml', prepare: () => prepared++ });
+    await tick();
+
+    expect(fake.children.length).toBe(1);
+    fake.children[0].exit(0, 'done');
+
+    const [r1, r2] = await Promise.all([first, second]);
+    expect(r1).toBe(r2);
+    expect(r1.stdout).toBe('done');
+    expect(prepared).toBe(1);
+  });
+
+  test('serializes non-coalesced jobs that share a key', async () => {
+    const fake = createFakeSpawn();
+    const scheduler = createX2TScheduler({ x2tPath: 'x2t', poolSize: 4, spawnProcess: fake.spawnProcess });
+    const order = [];
+
+    const first = scheduler.run({ key: 'save:abc', paramsPath: '1.xml', coalesce: false, cleanup: () => order.push('cleanup1') });
+    const second = scheduler.run({ key: 'save:abc', paramsPath: '2.xml', coalesce: false, prepare: () => order.push('prepare2') });
+    await tick();
+
+    expect(fake.children.length).toBe(1);
+    fake.children[0].exit(0);
+    await first;
+    await tick();
+
+    expect(fake.children.length).toBe(2);
+    expect(order).toEqual(['cleanup1', 'prepare2']);
+    fake.children[1].exit(0);
+    await second;
+  });
+
+  test('kills x2t and rejects with ETIMEDOUT when a job hangs', async () => {
+    const fake = createFakeSpawn();
+    const scheduler = createX2TScheduler({ x2tPath: 'x2t', poolSize: 1, timeoutMs: 10, spawnProcess: fake.spawnProcess });
+
+    const job = scheduler.run({ key: 'slow', paramsPath: 'p.xml' });
+    await expect(job).rejects.toMatchObject({ code: 'ETIMEDOUT' });
+    expect(fake.children[0].killed).toBe('SIGKILL');
+    expect(scheduler.getStats().running).toBe(0);
+  });
+
+  test('removes queued jobs when their caller aborts', async () => {
+    const fake = createFakeSpawn();
+    const scheduler = createX2TScheduler({ x2tPath: 'x2t', poolSize: 1, spawnProcess: fake.spawnProcess });
+    const controller = new AbortController();
+    let prepared = false;
+
+    const running = scheduler.run({ key: 'a', paramsPath: 'a.xml' });
+    const queued = scheduler.run({ key: 'b', paramsPath: 'b.xml', signal: controller.signal, prepare: () => { prepared = true; } });
+    await tick();
+
+    controller.abort();
+    await expect(queued).rejects.toMatchObject({ name: 'AbortError' });
+    expect(scheduler.getStats().queued).toBe(0);
+
+    fake.children[0].exit(0);
+    await running;
+    await tick();
+    expect(fake.children.length).toBe(1);
+    expect(prepared).toBe(false);
+  });
+
+  test('kills a running job only when every coalesced caller has aborted', async () => {
+    const fake = createFakeSpawn();
+    const scheduler = createX2TScheduler({ x2tPath: 'x2t', poolSize: 1, spawnProcess: fake.spawnProcess });
+    const a = new AbortController();
+    const b = new AbortController();
+
+    const first = scheduler.run({ key: 'k', paramsPath: 'p.xml', signal: a.signal });
+    const second = scheduler.run({ key: 'k', paramsPath: 'p.xml', signal: b.signal });
+    await tick();
+
+    a.abort();
+    await expect(first).rejects.toMatchObject({ code: 'ABORT_ERR' });
+    expect(fake.children[0].killed).toBe(false);
+
+    b.abort();
+    await expect(second).rejects.toMatchObject({ code: 'ABORT_ERR' });
+    expect(fake.children[0].killed).toBe('SIGKILL');
+  });
+
+  test('leaves a running job alone when abortRunning is false', async () => {
+    const fake = createFakeSpawn();
+    const scheduler = createX2TScheduler({ x2tPath: 'x2t', poolSize: 1, spawnProcess: fake.spawnProcess });
+    const controller = new AbortController();
+    let cleaned = false;
+
+    const job = scheduler.run({
+      key: 'save:k',
+      paramsPath: 'p.xml',
+      coalesce: false,
+      abortRunning: false,
+      signal: controller.signal,
+      cleanup: () => { cleaned = true; }
+    });
+    await tick();
+
+    controller.abort();
+    await expect(job).rejects.toMatchObject({ code: 'ABORT_ERR' });
+    expect(fake.children[0].killed).toBe(false);
+
+    fake.children[0].exit(0);
+    await tick();
+    expect(cleaned).toBe(true);
+    expect(scheduler.getStats().running).toBe(0);
+  });
+
+  test('reports every x2t exit, including timeouts', async () => {
+    const fake = createFakeSpawn();
+    const exits = [];
+    const scheduler = createX2TScheduler({
+      x2tPath: 'x2t',
+      poolSize: 2,
+      timeoutMs: 10,
+      spawnProcess: fake.spawnProcess,
+      onExit: (exit) => exits.push(exit)
+    });
+
+    const ok = scheduler.run({ key: 'ok', paramsPath: 'a.xml' });
+    const slow = scheduler.run({ key: 'slow', paramsPath: 'b.xml' });
+    await tick();
+    fake.children[0].exit(91);
+    await ok;
+    await expect(slow).rejects.toMatchObject({ code: 'ETIMEDOUT' });
+
+    expect(exits.map((exit) => [exit.key, exit.code, exit.signal])).toEqual([['ok', 91, null], ['slow', null, 'SIGKILL']]);
+    expect(exits[1].failure.code).toBe('ETIMEDOUT');
+  });
+});
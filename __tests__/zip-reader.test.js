@@ -0,0 +1,114 @@
+import { afterEach, describe, test, expect } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { readZipEntryNames, extractZipEntries, writeZipEntries } from '../zip-reader.js';
+
+const FIXTURES_DIR = path.resolve(import.meta.dir, '..', '.github/assets');
+const tempDirs = [];
+
+function makeTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oo-editors-zip-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+afterEach(() => {
+  while (tempDirs.length > 0) {
+    fs.rmSync(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+/**
+ * Build a ZIP archive in memory (method 0 = stored, 8 = deflated)
+ */
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  files.forEach(({ name, data, method }) => {
+    const stored = method === 8 ? zlib.deflateRawSync(data) : data;
+    const nameBuf = Buffer.from(name);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    locals.push(local, nameBuf, stored);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuf);
+
+    offset += 30 + nameBuf.length + stored.length;
+  });
+
+  const dir = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(files.length, 8);
+  eocd.writeUInt16LE(files.length, 10);
+  eocd.writeUInt32LE(dir.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, dir, eocd]);
+}
+
+describe('readZipEntryNames', () => {
+  test('lists entries of an OOXML package', () => {
+    expect(readZipEntryNames(path.join(FIXTURES_DIR, 'medium.docx'))).toContain('word/document.xml');
+  });
+
+  test('returns null for non-ZIP data', () => {
+    const file = path.join(makeTempDir(), 'plain.xlsx');
+    fs.writeFileSync(file, 'not a zip file at all, just text');
+    expect(readZipEntryNames(file)).toBe(null);
+  });
+});
+
+describe('extractZipEntries', () => {
+  test('extracts stored and deflated entries', () => {
+    const file = path.join(makeTempDir(), 'pages.zip');
+    fs.writeFileSync(file, buildZip([
+      { name: 'image1.png', data: Buffer.from('first page'), method: 0 },
+      { name: 'image2.png', data: Buffer.from('second page '.repeat(20)), method: 8 }
+    ]));
+
+    const entries = extractZipEntries(file);
+    expect(entries.map((e) => e.name)).toEqual(['image1.png', 'image2.png']);
+    expect(entries[0].data.toString()).toBe('first page');
+    expect(entries[1].data.toString()).toBe('second page '.repeat(20));
+  });
+
+  test('reads real OOXML packages', () => {
+    const entries = extractZipEntries(path.join(FIXTURES_DIR, 'simple.xlsx'));
+    const contentTypes = entries.find((e) => e.name === '[Content_Types].xml');
+    expect(contentTypes.data.toString('utf8')).toContain('<Types');
+  });
+
+  test('throws for non-ZIP data', () => {
+    const file = path.join(makeTempDir(), 'plain.zip');
+    fs.writeFileSync(file, 'not a zip file at all, just text');
+    expect(() => extractZipEntries(file)).toThrow(/not a valid ZIP/);
+  });
+});
+
+describe('writeZipEntries', () => {
+  test('repacks an OOXML package entry for entry', () => {
+    const original = extractZipEntries(path.join(FIXTURES_DIR, 'simple.xlsx'));
+    const file = path.join(makeTempDir(), 'repacked.xlsx');
+    writeZipEntries(file, [...original, { name: 'docProps/é.xml', data: Buffer.from('<x/>') }]);
+
+    const repacked = extractZipEntries(file);
+    expect(repacked.map((e) => e.name)).toEqual([...original.map((e) => e.name), 'docProps/é.xml']);
+    repacked.slice(0, original.length).forEach((entry, i) => expect(entry.data.equals(original[i].data)).toBe(true));
+  });
+});
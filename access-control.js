@@ -0,0 +1,137 @@
+/**
+ * Request access control
+ * The server listens on localhost, which every web page the user visits can
+ * reach. Three checks keep those pages out:
+ *   - Host: only loopback names (plus ALLOWED_HOSTS), so a DNS-rebound
+ *     attacker domain pointing at 127.0.0.1 is refused
+ *   - Origin: cross-origin requests are allowed only from an explicit list;
+ *     there is no wildcard CORS
+ *   - Token: a per-launch secret required on the API, injected into the pages
+ *     the server itself serves (header, cookie or ?token=)
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_HEADER = 'x-oo-editors-token';
+const TOKEN_COOKIE = 'oo_editors_token';
+const LOOPBACK_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Generate a launch token
+ * @returns {string} 64 hex characters
+ */
+function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Split a comma-separated list (ALLOWED_ORIGINS, ALLOWED_HOSTS)
+ * @param {string|undefined} value - Raw list
+ * @returns {Array<string>} Lower-cased entries; empty ones are dropped
+ */
+function parseList(value) {
+  if (!value) return [];
+  return value.split(',').map((entry) => entry.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Hostname part of a Host header
+ * @param {string} host - e.g. "localhost:38123" or "[::1]:38123"
+ * @returns {string} Lower-cased hostname, brackets kept for IPv6
+ */
+function getHostname(host) {
+  const value = String(host || '').trim().toLowerCase();
+  if (value.startsWith('[')) {
+    const end = value.indexOf(']');
+    return end === -1 ? value : value.slice(0, end + 1);
+  }
+  return value.split(':')[0];
+}
+
+/**
+ * Read one cookie from a Cookie header
+ * @param {string|undefined} header - Cookie request header
+ * @param {string} name - Cookie name
+ * @returns {string|null} Value, or null if absent
+ */
+function readCookie(header, name) {
+  if (!header) return null;
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      return part.slice(index + 1).trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Compare two tokens in constant time
+ * @param {string} expected - Launch token
+ * @param {*} candidate - Token from the request
+ * @returns {boolean} True if they match
+ */
+function tokensMatch(expected, candidate) {
+  if (typeof candidate !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(candidate);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Create the access policy for one server instance
+ * @param {object} options - Policy options
+ * @param {string} options.token - Launch token
+ * @param {number} options.port - Port the server listens on (its own origins are always allowed)
+ * @param {Array<string>} [options.allowedOrigins] - Extra origins allowed to call the API cross-origin
+ * @param {Array<string>} [options.allowedHosts] - Extra hostnames accepted in the Host header
+ * @returns {object} Policy with token, allowedOrigins, isAllowedHost(), isAllowedOrigin(), getRequestToken() and hasValidToken()
+ */
+function createAccessControl(options) {
+  const { token, port } = options;
+  const allowedHosts = LOOPBACK_HOSTNAMES.concat((options.allowedHosts || []).map((host) => host.toLowerCase()));
+  const allowedOrigins = LOOPBACK_HOSTNAMES.map((hostname) => `http://${hostname}:${port}`)
+    .concat((options.allowedOrigins || []).map((origin) => origin.toLowerCase().replace(/\/+$/, '')));
+
+  /**
+   * Token a request carries, from the header, the ?token= parameter or the cookie
+   * @param {object} req - Express request
+   * @returns {string|null} Token, or null if none was sent
+   */
+  function getRequestToken(req) {
+    return req.get(TOKEN_HEADER)
+      || (typeof req.query.token === 'string' ? req.query.token : null)
+      || readCookie(req.get('cookie'), TOKEN_COOKIE);
+  }
+
+  return {
+    token,
+    allowedOrigins,
+    /**
+     * @param {string|undefined} host - Host request header
+     * @returns {boolean} True for loopback names and ALLOWED_HOSTS
+     */
+    isAllowedHost: (host) => allowedHosts.indexOf(getHostname(host)) !== -1,
+    /**
+     * @param {string} origin - Origin request header
+     * @returns {boolean} True for the server's own origins and ALLOWED_ORIGINS
+     */
+    isAllowedOrigin: (origin) => allowedOrigins.indexOf(String(origin).toLowerCase()) !== -1,
+    getRequestToken,
+    /**
+     * @param {object} req - Express request
+     * @returns {boolean} True if the request carries the launch token
+     */
+    hasValidToken: (req) => tokensMatch(token, getRequestToken(req))
+  };
+}
+
+module.exports = {
+  TOKEN_HEADER,
+  TOKEN_COOKIE,
+  generateToken,
+  parseList,
+  getHostname,
+  readCookie,
+  createAccessControl
+};
@@ -0,0 +1,197 @@
+/**
+ * Atomic save helpers
+ * Saves are written to a temp file next to the target, validated, and only
+ * then renamed over the original so a crash or bad conversion never leaves
+ * a half-written document behind.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { readZipEntryNames } = require('./zip-reader');
+
+// ZIP-based formats and the entry every valid package must contain
+const ZIP_REQUIRED_ENTRIES = {
+  '.xlsx': '[Content_Types].xml',
+  '.docx': '[Content_Types].xml',
+  '.pptx': '[Content_Types].xml',
+  '.xlsm': '[Content_Types].xml',
+  '.xltx': '[Content_Types].xml',
+  '.xltm': '[Content_Types].xml',
+  '.docm': '[Content_Types].xml',
+  '.dotx': '[Content_Types].xml',
+  '.dotm': '[Content_Types].xml',
+  '.pptm': '[Content_Types].xml',
+  '.ppsx': '[Content_Types].xml',
+  '.ppsm': '[Content_Types].xml',
+  '.potx': '[Content_Types].xml',
+  '.potm': '[Content_Types].xml',
+  '.ods': 'mimetype',
+  '.odt': 'mimetype',
+  '.odp': 'mimetype'
+};
+
+// Formats without a ZIP container and the header they must start with
+const FILE_HEADERS = {
+  '.pdf': '%PDF-',
+  '.rtf': '{\\rtf'
+};
+
+// Password-protected OOXML is an OLE compound file wrapping the encrypted package
+const OOXML_EXTENSIONS = Object.keys(ZIP_REQUIRED_ENTRIES).filter((ext) => ZIP_REQUIRED_ENTRIES[ext] === '[Content_Types].xml');
+const CFB_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+/**
+ * Build a temp path in the same directory as the target (same filesystem, so rename is atomic)
+ * @param {string} targetPath - Final file path
+ * @returns {string} Hidden sibling temp path that keeps the target extension
+ */
+function createTempPath(targetPath) {
+  const dir = path.dirname(targetPath);
+  const base = path.basename(targetPath);
+  const ext = path.extname(targetPath);
+  const suffix = crypto.randomBytes(4).toString('hex');
+  return path.join(dir, `.${base}.${suffix}.saving${ext}`);
+}
+
+/**
+ * Check whether a file starts with the OLE compound file signature
+ * @param {string} filePath - File to check
+ * @returns {boolean} True for compound files (encrypted OOXML, legacy .xls/.doc/.ppt)
+ */
+function isCompoundFile(filePath) {
+  const header = Buffer.alloc(CFB_SIGNATURE.length);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, header, 0, header.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return header.equals(CFB_SIGNATURE);
+}
+
+/**
+ * Check that a freshly written document is usable before it replaces the original
+ * @param {string} filePath - File to check
+ * @param {string} ext - Target extension with leading dot (decides whether a ZIP package is expected)
+ * @param {object} [options] - Validation options
+ * @param {boolean} [options.encrypted=false] - Output was written with a password
+ * @returns {{valid: boolean, reason?: string}} Validation result
+ */
+function validateOutputFile(filePath, ext, options = {}) {
+  if (!fs.existsSync(filePath)) {
+    return { valid: false, reason: 'output file not created' };
+  }
+  if (fs.statSync(filePath).size === 0) {
+    return { valid: false, reason: 'output file is empty' };
+  }
+
+  if (options.encrypted && OOXML_EXTENSIONS.indexOf(ext.toLowerCase()) !== -1) {
+    return isCompoundFile(filePath)
+      ? { valid: true }
+      : { valid: false, reason: 'encrypted output is not an OLE compound file' };
+  }
+
+  const header = FILE_HEADERS[ext.toLowerCase()];
+  if (header) {
+    const start = Buffer.alloc(header.length);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      fs.readSync(fd, start, 0, start.length, 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+    return start.toString('latin1') === header
+      ? { valid: true }
+      : { valid: false, reason: `output does not start with ${header}` };
+  }
+
+  const requiredEntry = ZIP_REQUIRED_ENTRIES[ext.toLowerCase()];
+  if (!requiredEntry) {
+    return { valid: true };
+  }
+
+  const names = readZipEntryNames(filePath);
+  if (!names) {
+    return { valid: false, reason: 'output is not a valid ZIP archive' };
+  }
+  if (names.indexOf(requiredEntry) === -1) {
+    return { valid: false, reason: `output package is missing ${requiredEntry}` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Validate a temp file and rename it over the target
+ * @param {string} tempPath - Fully written temp file
+ * @param {string} targetPath - Final destination
+ * @param {object} [options] - Commit options
+ * @param {Function} [options.beforeReplace] - Called after validation, before rename (e.g. to back up the original); throwing aborts the commit
+ * @param {boolean} [options.encrypted] - Passed to validateOutputFile
+ * @returns {{size: number}} Size of the committed file
+ * @throws {Error} With code 'EVALIDATION' when the temp file fails validation; the temp file is removed
+ */
+function commitTempFile(tempPath, targetPath, options = {}) {
+  const check = validateOutputFile(tempPath, path.extname(targetPath), { encrypted: options.encrypted });
+  if (!check.valid) {
+    removeQuietly(tempPath);
+    const error = new Error(check.reason);
+    error.code = 'EVALIDATION';
+    throw error;
+  }
+
+  if (options.beforeReplace) {
+    try {
+      options.beforeReplace();
+    } catch (e) {
+      removeQuietly(tempPath);
+      throw e;
+    }
+  }
+
+  fs.renameSync(tempPath, targetPath);
+  return { size: fs.statSync(targetPath).size };
+}
+
+/**
+ * Write data to a temp file, fsync it, then commit it over the target
+ * @param {string} targetPath - Final destination
+ * @param {Buffer} data - File contents
+ * @param {object} [options] - Passed to commitTempFile
+ * @returns {{size: number}} Size of the committed file
+ */
+function writeFileAtomic(targetPath, data, options) {
+  const tempPath = createTempPath(targetPath);
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } catch (e) {
+    fs.closeSync(fd);
+    removeQuietly(tempPath);
+    throw e;
+  }
+  fs.closeSync(fd);
+  return commitTempFile(tempPath, targetPath, options);
+}
+
+/**
+ * Delete a file, ignoring errors (used for temp file cleanup)
+ * @param {string} filePath - File to remove
+ */
+function removeQuietly(filePath) {
+  try {
+    fs.unlinkSync(filePath);
+  } catch (e) {
+    // Already gone
+  }
+}
+
+module.exports = {
+  createTempPath,
+  isCompoundFile,
+  validateOutputFile,
+  commitTempFile,
+  writeFileAtomic,
+  removeQuietly
+};
@@ -0,0 +1,166 @@
+/**
+ * Rotating on-disk backups of saved documents
+ * Each save keeps a copy of the previous version under
+ * <rootDir>/<md5(filepath)>/<id><ext> for crash and bad-save recovery.
+ *
+ * Saves made through the Document Server callback also say what changed: the
+ * callback's `history` and `changesurl` zip are kept beside the version they
+ * replaced, as <id>.history.json and <id>.changes.zip.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { generateFileHash } = require('./server-utils');
+
+const VERSION_ID_PATTERN = /^\d{13}-[a-f0-9]{8}$/;
+const META_FILENAME = 'meta.json';
+const HISTORY_SUFFIX = '.history.json';
+const CHANGES_SUFFIX = '.changes.zip';
+
+/**
+ * Create a backup store
+ * @param {object} options - Store options
+ * @param {string} options.rootDir - Directory holding all backups
+ * @param {number} [options.maxVersions=10] - Versions kept per file
+ * @param {number} [options.maxAgeMs=30 days] - Versions older than this are pruned
+ * @returns {object} Store with backup(), list(), getVersionPath(), getChangesPath() and prune()
+ */
+function createBackupStore(options) {
+  const {
+    rootDir,
+    maxVersions = 10,
+    maxAgeMs = 30 * 24 * 60 * 60 * 1000
+  } = options;
+
+  // Ids sort by creation time; keep them strictly increasing within a process
+  let lastTimestamp = 0;
+
+  function getFileDir(filepath) {
+    return path.join(rootDir, generateFileHash(filepath));
+  }
+
+  /**
+   * Read the history stored with a version
+   * @param {string} dir - Directory of the file's versions
+   * @param {string} id - Version id
+   * @returns {object|null} Callback history, or null if none was stored
+   */
+  function readHistory(dir, id) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(dir, id + HISTORY_SUFFIX), 'utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * List versions of a file, newest first
+   * @param {string} filepath - Absolute path of the original document
+   * @returns {Array<{id: string, size: number, createdAt: string, history?: object, changes?: boolean}>}
+   */
+  function list(filepath) {
+    const dir = getFileDir(filepath);
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+      .map((name) => {
+        const id = path.basename(name, path.extname(name));
+        if (!VERSION_ID_PATTERN.test(id)) return null;
+        const stats = fs.statSync(path.join(dir, name));
+        const version = {
+          id,
+          size: stats.size,
+          createdAt: new Date(Number(id.split('-')[0])).toISOString()
+        };
+        const history = readHistory(dir, id);
+        if (history) version.history = history;
+        if (fs.existsSync(path.join(dir, id + CHANGES_SUFFIX))) version.changes = true;
+        return version;
+      })
+      .filter(Boolean)
+      .sort((a, b) => (a.id < b.id ? 1 : -1));
+  }
+
+  /**
+   * Resolve the on-disk path of a stored version
+   * @param {string} filepath - Absolute path of the original document
+   * @param {string} id - Version id from list()
+   * @returns {string|null} Path to the backup copy, or null if unknown
+   */
+  function getVersionPath(filepath, id) {
+    if (typeof id !== 'string' || !VERSION_ID_PATTERN.test(id)) return null;
+    const versionPath = path.join(getFileDir(filepath), id + path.extname(filepath).toLowerCase());
+    return fs.existsSync(versionPath) ? versionPath : null;
+  }
+
+  /**
+   * Resolve the changes zip stored with a version
+   * @param {string} filepath - Absolute path of the original document
+   * @param {string} id - Version id from list()
+   * @returns {string|null} Path to the zip, or null if there is none
+   */
+  function getChangesPath(filepath, id) {
+    if (typeof id !== 'string' || !VERSION_ID_PATTERN.test(id)) return null;
+    const changesPath = path.join(getFileDir(filepath), id + CHANGES_SUFFIX);
+    return fs.existsSync(changesPath) ? changesPath : null;
+  }
+
+  /**
+   * Remove versions beyond maxVersions or older than maxAgeMs
+   * @param {string} filepath - Absolute path of the original document
+   * @returns {number} Number of versions removed
+   */
+  function prune(filepath) {
+    const dir = getFileDir(filepath);
+    const cutoff = Date.now() - maxAgeMs;
+    let removed = 0;
+
+    list(filepath).forEach((version, index) => {
+      if (index >= maxVersions || Date.parse(version.createdAt) < cutoff) {
+        for (const suffix of [path.extname(filepath).toLowerCase(), HISTORY_SUFFIX, CHANGES_SUFFIX]) {
+          fs.rmSync(path.join(dir, version.id + suffix), { force: true });
+        }
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  /**
+   * Copy the current contents of a file into the store
+   * @param {string} filepath - Absolute path of the document about to be overwritten
+   * @param {object} [changes] - What replaces it, from a save callback
+   * @param {object} [changes.history] - Callback `history` (serverVersion, changes)
+   * @param {string} [changes.changesPath] - Downloaded `changesurl` zip
+   * @returns {object|null} The new version, or null if there was nothing to back up
+   */
+  function backup(filepath, changes = {}) {
+    if (!fs.existsSync(filepath) || fs.statSync(filepath).size === 0) {
+      return null;
+    }
+
+    const dir = getFileDir(filepath);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, META_FILENAME), JSON.stringify({ filepath }));
+
+    lastTimestamp = Math.max(Date.now(), lastTimestamp + 1);
+    const id = `${lastTimestamp}-${crypto.randomBytes(4).toString('hex')}`;
+    fs.copyFileSync(filepath, path.join(dir, id + path.extname(filepath).toLowerCase()));
+    if (changes.history) {
+      fs.writeFileSync(path.join(dir, id + HISTORY_SUFFIX), JSON.stringify(changes.history));
+    }
+    if (changes.changesPath) {
+      fs.copyFileSync(changes.changesPath, path.join(dir, id + CHANGES_SUFFIX));
+    }
+    prune(filepath);
+
+    return list(filepath).find((version) => version.id === id) || null;
+  }
+
+  return { backup, list, getVersionPath, getChangesPath, prune };
+}
+
+module.exports = {
+  createBackupStore
+};
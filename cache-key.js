@@ -0,0 +1,164 @@
+/**
+ * Content-addressed cache keys
+ * A converted document is only valid for the exact source bytes, the x2t build
+ * that produced it and the font set it was converted against (x2t writes font
+ * IDs from AllFonts.js into Editor.bin). The cache key covers all three, so
+ * renamed or copied files reuse one conversion and any change reconverts.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const MANIFEST_FILENAME = 'manifest.json';
+const HASH_CHUNK_SIZE = 1024 * 1024;
+
+// Written by download-converter.js next to x2t
+const CONVERTER_VERSION_FILENAME = 'VERSION';
+// Font metadata that decides the font IDs in Editor.bin
+const FONT_FINGERPRINT_FILES = ['AllFonts.js', 'font_selection.bin'];
+
+/**
+ * Create a file hasher that only rereads files whose size, mtime or inode changed
+ * @returns {Function} hashFile(filePath) -> sha256 hex digest
+ */
+function createFileHasher() {
+  const memo = new Map();
+
+  return function hashFile(filePath) {
+    const stats = fs.statSync(filePath);
+    const stamp = `${stats.size}:${stats.mtimeMs}:${stats.ino}`;
+    const known = memo.get(filePath);
+    if (known && known.stamp === stamp) {
+      return known.digest;
+    }
+
+    const hash = crypto.createHash('sha256');
+    const buffer = Buffer.alloc(HASH_CHUNK_SIZE);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      let bytesRead;
+      while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+        hash.update(buffer.subarray(0, bytesRead));
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const digest = hash.digest('hex');
+    memo.set(filePath, { stamp, digest });
+    return digest;
+  };
+}
+
+/**
+ * Identify the installed x2t build
+ * @param {string} x2tPath - Path to the x2t binary
+ * @returns {string} Contents of converter/VERSION, or the binary's size and mtime when it is missing
+ */
+function getConverterVersion(x2tPath) {
+  try {
+    return fs.readFileSync(path.join(path.dirname(x2tPath), CONVERTER_VERSION_FILENAME), 'utf8').trim();
+  } catch (e) {
+    try {
+      const stats = fs.statSync(x2tPath);
+      return `unknown:${stats.size}:${stats.mtimeMs}`;
+    } catch (statError) {
+      return 'missing';
+    }
+  }
+}
+
+/**
+ * Fingerprint the font set in a font data directory
+ * @param {string} fontDir - FONT_DATA_DIR
+ * @param {Function} hashFile - Hasher from createFileHasher
+ * @returns {string} sha256 over the font metadata files (missing files count as empty)
+ */
+function getFontFingerprint(fontDir, hashFile) {
+  const hash = crypto.createHash('sha256');
+  for (const file of FONT_FINGERPRINT_FILES) {
+    const filePath = path.join(fontDir, file);
+    hash.update(`${file}:${fs.existsSync(filePath) ? hashFile(filePath) : 'none'}\n`);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Create a resolver for the cache key of a source document
+ * @param {object} options - Resolver options
+ * @param {string} options.x2tPath - Path to the x2t binary
+ * @param {string} options.fontDir - Font data directory used for conversions
+ * @returns {Function} resolve(filepath, importOptions) -> {key, manifest}; key is a 32 digit hex string.
+ *   importOptions (optional string) names settings the file is read with, such as a CSV dialect
+ */
+function createCacheKeyResolver(options) {
+  const { x2tPath, fontDir } = options;
+  const hashFile = createFileHasher();
+
+  return function resolveCacheKey(filepath, importOptions) {
+    const manifest = {
+      sourceHash: hashFile(filepath),
+      // The same bytes convert differently as .csv and .txt
+      sourceFormat: path.extname(filepath).slice(1).toLowerCase(),
+      converterVersion: getConverterVersion(x2tPath),
+      fontFingerprint: getFontFingerprint(fontDir, hashFile)
+    };
+    const inputs = [manifest.sourceHash, manifest.sourceFormat, manifest.converterVersion, manifest.fontFingerprint];
+    // ...and as semicolon- or comma-separated; only such files carry the field,
+    // so other entries keep their keys
+    if (importOptions) {
+      manifest.importOptions = importOptions;
+      inputs.push(importOptions);
+    }
+    const key = crypto.createHash('md5').update(JSON.stringify(inputs)).digest('hex');
+    return { key, manifest };
+  };
+}
+
+/**
+ * Check that a cache entry was produced from the expected inputs
+ * @param {string} dir - Cache entry directory
+ * @param {object} manifest - Manifest from the resolver
+ * @returns {boolean} True when the stored manifest matches field for field
+ */
+function manifestMatches(dir, manifest) {
+  let stored;
+  try {
+    stored = JSON.parse(fs.readFileSync(path.join(dir, MANIFEST_FILENAME), 'utf8'));
+  } catch (e) {
+    return false;
+  }
+  return Object.keys(manifest).every((field) => stored[field] === manifest[field]);
+}
+
+/**
+ * Record the inputs a cache entry was produced from
+ * @param {string} dir - Cache entry directory
+ * @param {object} manifest - Manifest from the resolver
+ */
+function writeManifest(dir, manifest) {
+  fs.writeFileSync(
+    path.join(dir, MANIFEST_FILENAME),
+    JSON.stringify({ ...manifest, createdAt: new Date().toISOString() })
+  );
+}
+
+/**
+ * Drop a cache entry's manifest before its contents are regenerated
+ * @param {string} dir - Cache entry directory
+ */
+function clearManifest(dir) {
+  fs.rmSync(path.join(dir, MANIFEST_FILENAME), { force: true });
+}
+
+module.exports = {
+  CONVERTER_VERSION_FILENAME,
+  createFileHasher,
+  getConverterVersion,
+  getFontFingerprint,
+  createCacheKeyResolver,
+  manifestMatches,
+  writeManifest,
+  clearManifest
+};
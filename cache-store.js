@@ -0,0 +1,301 @@
+/**
+ * Conversion cache
+ * Each converted document gets <rootDir>/<key>/ holding Editor.bin, media/ and
+ * thumbnails/ (keys come from cache-key.js). The store records which files an
+ * entry was used for and when, evicts entries whose sources are all gone, and
+ * keeps the total size under a cap by dropping the least recently used entries.
+ *
+ * Private entries hold what was converted with a password: each is a temp
+ * directory under a random key, resolved like any other entry but never listed,
+ * shared or kept past its idle timeout.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+
+const HASH_PATTERN = /^[a-f0-9]{32}$/;
+const META_FILENAME = 'meta.json';
+
+// Editors keep loading images and saving through a private entry while the
+// document is open, so it is removed once unused for this long
+const DEFAULT_PRIVATE_ENTRY_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Per-user cache directory of the platform
+ * @returns {string} e.g. ~/.cache/oo-editors, ~/Library/Caches/oo-editors or %LOCALAPPDATA%\oo-editors\Cache
+ */
+function getDefaultCacheDir() {
+  if (process.platform === 'win32') {
+    const localAppData = process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local');
+    return path.join(localAppData, 'oo-editors', 'Cache');
+  }
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Caches', 'oo-editors');
+  }
+  return path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'oo-editors');
+}
+
+/**
+ * Total size of the files under a directory
+ * @param {string} dir - Directory to measure
+ * @returns {number} Size in bytes (0 if the directory is gone)
+ */
+function getDirectorySize(dir) {
+  let total = 0;
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (e) {
+    return 0;
+  }
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += getDirectorySize(entryPath);
+    } else {
+      try {
+        total += fs.statSync(entryPath).size;
+      } catch (e) {
+        // Removed while we were counting
+      }
+    }
+  }
+  return total;
+}
+
+/**
+ * Create a cache store
+ * @param {object} options - Store options
+ * @param {string} options.rootDir - Directory holding one directory per cache key
+ * @param {number} [options.maxBytes=0] - Size cap; 0 disables LRU eviction
+ * @param {number} [options.privateEntryTtlMs=86400000] - Remove private entries unused for this long
+ * @returns {object} Store with getEntryDir(), getEntryFile(), createPrivateEntry(), lease(), touch(), list(), remove(),
+ *   evictOrphans(), enforceLimit(), expirePrivateEntries() and prune()
+ */
+function createCacheStore(options) {
+  const { rootDir, maxBytes = 0, privateEntryTtlMs = DEFAULT_PRIVATE_ENTRY_TTL_MS } = options;
+
+  // key → { dir, lastAccess } for entries created by createPrivateEntry()
+  const privateEntries = new Map();
+
+  // key → number of leases on entries being written or sent
+  const leases = new Map();
+
+  /**
+   * Directory of a cache entry
+   * @param {string} hash - Cache key, or the key of a private entry (which counts as a use of it)
+   * @returns {string} <rootDir>/<hash>, or the private entry's temp directory
+   */
+  function getEntryDir(hash) {
+    const privateEntry = privateEntries.get(hash);
+    if (privateEntry) {
+      privateEntry.lastAccess = Date.now();
+      return privateEntry.dir;
+    }
+    return path.join(rootDir, hash);
+  }
+
+  /**
+   * Create an entry outside rootDir that only its random key reaches
+   * @returns {{hash: string, dir: string}} Key (a valid hash for the media routes) and directory
+   */
+  function createPrivateEntry() {
+    expirePrivateEntries();
+    const hash = crypto.randomBytes(16).toString('hex');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oo-private-'));
+    privateEntries.set(hash, { dir, lastAccess: Date.now() });
+    return { hash, dir };
+  }
+
+  /**
+   * Path of a file inside a cache entry, for routes that take both from the URL
+   * @param {string} hash - Entry hash
+   * @param {string} relativePath - Path relative to the entry directory
+   * @returns {string|null} Absolute path, or null for an invalid hash or a path leaving the entry
+   */
+  function getEntryFile(hash, relativePath) {
+    if (!HASH_PATTERN.test(hash)) return null;
+    const dir = path.resolve(getEntryDir(hash));
+    const filePath = path.resolve(dir, relativePath);
+    return filePath.startsWith(dir + path.sep) ? filePath : null;
+  }
+
+  /**
+   * Keep an entry from being evicted while it is written or sent
+   * @param {string} hash - Entry hash
+   * @returns {Function} Releases the lease (further calls do nothing)
+   */
+  function lease(hash) {
+    leases.set(hash, (leases.get(hash) || 0) + 1);
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      const count = leases.get(hash) - 1;
+      if (count > 0) {
+        leases.set(hash, count);
+      } else {
+        leases.delete(hash);
+      }
+    };
+  }
+
+  /**
+   * Read an entry's metadata
+   * @param {string} hash - Entry hash
+   * @returns {{filepaths: Array<string>, lastAccess?: number}} Metadata; no paths for entries written before they were recorded
+   */
+  function readMeta(hash) {
+    let meta;
+    try {
+      meta = JSON.parse(fs.readFileSync(path.join(getEntryDir(hash), META_FILENAME), 'utf8'));
+    } catch (e) {
+      return { filepaths: [] };
+    }
+    // Entries keyed by path recorded a single `filepath`
+    const filepaths = meta.filepaths || (meta.filepath ? [meta.filepath] : []);
+    return { filepaths, lastAccess: meta.lastAccess };
+  }
+
+  /**
+   * Record that an entry was used (creates the entry directory if needed)
+   * @param {string} hash - Entry hash
+   * @param {string} filepath - Absolute path of the source document; identical files share an entry, so every path is kept
+   */
+  function touch(hash, filepath) {
+    const dir = getEntryDir(hash);
+    fs.mkdirSync(dir, { recursive: true });
+    const { filepaths } = readMeta(hash);
+    if (filepaths.indexOf(filepath) === -1) filepaths.push(filepath);
+    fs.writeFileSync(path.join(dir, META_FILENAME), JSON.stringify({ filepaths, lastAccess: Date.now() }));
+  }
+
+  /**
+   * List cache entries, most recently used first
+   * @returns {Array<{hash: string, filepaths: Array<string>, size: number, lastAccess: number, sourceExists: boolean|null}>}
+   *   sourceExists is true while any recorded path exists, null when no path was recorded
+   */
+  function list() {
+    if (!fs.existsSync(rootDir)) return [];
+
+    return fs.readdirSync(rootDir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory() && HASH_PATTERN.test(entry.name))
+      .map((entry) => {
+        const hash = entry.name;
+        const meta = readMeta(hash);
+        return {
+          hash,
+          filepaths: meta.filepaths,
+          size: getDirectorySize(getEntryDir(hash)),
+          lastAccess: meta.lastAccess || fs.statSync(getEntryDir(hash)).mtimeMs,
+          sourceExists: meta.filepaths.length > 0 ? meta.filepaths.some((filepath) => fs.existsSync(filepath)) : null
+        };
+      })
+      .sort((a, b) => b.lastAccess - a.lastAccess);
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} hash - Entry hash
+   * @returns {boolean} True if the entry existed
+   */
+  function remove(hash) {
+    if (!HASH_PATTERN.test(hash)) return false;
+    const privateEntry = privateEntries.get(hash);
+    if (privateEntry) {
+      privateEntries.delete(hash);
+      fs.rmSync(privateEntry.dir, { recursive: true, force: true });
+      return true;
+    }
+    const dir = getEntryDir(hash);
+    if (!fs.existsSync(dir)) return false;
+    fs.rmSync(dir, { recursive: true, force: true });
+    return true;
+  }
+
+  /**
+   * Delete entries none of whose source documents exist any more (unless leased)
+   * @returns {Array<string>} Removed hashes
+   */
+  function evictOrphans() {
+    return list()
+      .filter((entry) => entry.sourceExists === false && !leases.has(entry.hash))
+      .map((entry) => {
+        remove(entry.hash);
+        return entry.hash;
+      });
+  }
+
+  /**
+   * Delete least recently used entries until the cache fits under maxBytes,
+   * skipping leased ones
+   * @param {object} [limitOptions] - Eviction options
+   * @param {string} [limitOptions.keep] - Hash that must survive (the entry just written)
+   * @returns {Array<string>} Removed hashes
+   */
+  function enforceLimit(limitOptions = {}) {
+    if (!maxBytes) return [];
+
+    const entries = list();
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    const removed = [];
+    for (let i = entries.length - 1; i >= 0 && total > maxBytes; i--) {
+      if (entries[i].hash === limitOptions.keep || leases.has(entries[i].hash)) continue;
+      remove(entries[i].hash);
+      total -= entries[i].size;
+      removed.push(entries[i].hash);
+    }
+    return removed;
+  }
+
+  /**
+   * Delete private entries unused for privateEntryTtlMs
+   * @param {number} [now] - Current time in ms (tests)
+   * @returns {Array<string>} Removed keys
+   */
+  function expirePrivateEntries(now = Date.now()) {
+    const expired = [];
+    for (const [hash, privateEntry] of privateEntries) {
+      if (privateEntry.lastAccess > now - privateEntryTtlMs) continue;
+      remove(hash);
+      expired.push(hash);
+    }
+    return expired;
+  }
+
+  /**
+   * Evict orphaned entries, then enforce the size cap, then drop idle private entries
+   * @returns {{orphans: Array<string>, evicted: Array<string>, expired: Array<string>}} Removed hashes
+   */
+  function prune() {
+    const orphans = evictOrphans();
+    const evicted = enforceLimit();
+    const expired = expirePrivateEntries();
+    return { orphans, evicted, expired };
+  }
+
+  return {
+    rootDir,
+    maxBytes,
+    getEntryDir,
+    getEntryFile,
+    createPrivateEntry,
+    lease,
+    touch,
+    list,
+    remove,
+    evictOrphans,
+    enforceLimit,
+    expirePrivateEntries,
+    prune
+  };
+}
+
+module.exports = {
+  HASH_PATTERN,
+  getDefaultCacheDir,
+  getDirectorySize,
+  createCacheStore
+};
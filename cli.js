@@ -0,0 +1,424 @@
+#!/usr/bin/env node
+/**
+ * oo-editors command line
+ * Converts, exports and pre-converts documents with the same conversion
+ * service the server uses, without starting the server.
+ *
+ *   oo-editors convert <in> <out> [--to pdf] [--pages 1-3] [--sheets 0,2] ...
+ *   oo-editors export-dir <folder> --to pdf [--out <dir>] [--jobs 4] [--recursive]
+ *   oo-editors warm-cache <folder> [--jobs 4] [--recursive]
+ *   oo-editors doctor
+ *
+ * Pass --json for a machine readable result on stdout. The exit code is 1 when
+ * any file or check failed and 2 for usage errors.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const util = require('util');
+const { isAbsolutePath, isSupportedDocument } = require('./server-utils');
+const { getExportFormat } = require('./export-formats');
+const { createX2TScheduler } = require('./x2t-scheduler');
+const { getDefaultCacheDir, createCacheStore } = require('./cache-store');
+const { createConversionService } = require('./conversion');
+const { runDiagnostics } = require('./diagnostics');
+
+const X2T_PATH = path.join(__dirname, 'converter', 'x2t');
+const THEME_DIR = path.join(__dirname, 'editors', 'sdkjs', 'slide', 'themes');
+const DEFAULT_FONT_DIR = path.join(__dirname, 'assets', 'onlyoffice-fontdata');
+const DEFAULT_JOBS = 2;
+
+// Flags the CLI consumes itself; every other --name value is an export option
+const BOOLEAN_FLAGS = ['json', 'recursive', 'verbose', 'help'];
+const VALUE_FLAGS = ['to', 'out', 'jobs', 'font-dir'];
+
+const USAGE = `Usage:
+  oo-editors convert <in> <out> [--to <format>] [export options]
+  oo-editors export-dir <folder> --to <format> [--out <dir>] [--jobs <n>] [--recursive] [export options]
+  oo-editors warm-cache <folder> [--jobs <n>] [--recursive]
+  oo-editors doctor
+
+Options:
+  --json            Print the result as JSON on stdout
+  --verbose         Log conversion details on stderr
+  --font-dir <dir>  Font data directory (default: $FONT_DATA_DIR or assets/onlyoffice-fontdata)
+
+warm-cache fills the server's cache ($CACHE_DIR, capped by $CACHE_MAX_SIZE_MB);
+password protected documents are skipped, their decrypted form is never cached.
+
+Export options are the /api/export query options, e.g. --pages 1-3 --sheets 0,2 --fitToPage 1.
+Set OO_DOCUMENT_PASSWORD to convert and export encrypted documents.`;
+
+/**
+ * Create an error for bad command line usage
+ * @param {string} message - Human readable message
+ * @returns {Error} Error with code 'EUSAGE'
+ */
+function createUsageError(message) {
+  const error = new Error(message);
+  error.code = 'EUSAGE';
+  return error;
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {{command: string|undefined, positionals: Array<string>, flags: object, exportOptions: object}}
+ * @throws {Error} EUSAGE when a flag is missing its value
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+  const exportOptions = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    let name = arg.slice(2);
+    let value;
+    const eq = name.indexOf('=');
+    if (eq !== -1) {
+      value = name.slice(eq + 1);
+      name = name.slice(0, eq);
+    }
+
+    if (BOOLEAN_FLAGS.indexOf(name) !== -1) {
+      flags[name] = value === undefined ? true : value !== 'false' && value !== '0';
+      continue;
+    }
+
+    if (value === undefined) {
+      if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+        throw createUsageError(`--${name} needs a value`);
+      }
+      value = argv[++i];
+    }
+
+    if (VALUE_FLAGS.indexOf(name) !== -1) {
+      flags[name] = value;
+    } else {
+      exportOptions[name] = value;
+    }
+  }
+
+  return { command: positionals.shift(), positionals, flags, exportOptions };
+}
+
+/**
+ * Parse the --jobs flag
+ * @param {string|undefined} value - Raw value
+ * @returns {number} Number of concurrent x2t processes
+ * @throws {Error} EUSAGE for anything but a positive integer
+ */
+function parseJobs(value) {
+  if (value === undefined) return DEFAULT_JOBS;
+  const jobs = Number(value);
+  if (!Number.isInteger(jobs) || jobs < 1) {
+    throw createUsageError('--jobs must be a positive integer');
+  }
+  return jobs;
+}
+
+/**
+ * List the documents in a folder
+ * @param {string} folder - Folder to scan
+ * @param {boolean} recursive - Descend into subfolders (hidden ones are skipped)
+ * @returns {Array<string>} Absolute paths of supported documents, sorted
+ */
+function listDocuments(folder, recursive) {
+  const found = [];
+  for (const entry of fs.readdirSync(folder, { withFileTypes: true })) {
+    // Skip hidden files: atomic save temp files and editor lock files live there
+    if (entry.name.startsWith('.')) continue;
+    const entryPath = path.join(folder, entry.name);
+    if (entry.isDirectory()) {
+      if (recursive) found.push(...listDocuments(entryPath, true));
+    } else if (entry.isFile() && isSupportedDocument(entry.name)) {
+      found.push(entryPath);
+    }
+  }
+  return found.sort();
+}
+
+/**
+ * Run an async task for every item with at most `limit` running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent tasks
+ * @param {Function} task - Async function called with each item
+ * @returns {Promise<Array>} Task results in item order
+ */
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Turn a failed conversion into a result entry
+ * @param {string} input - Source file
+ * @param {Error} error - Error from the conversion service
+ * @returns {{input: string, status: string, error: string, code: string}} Failed result
+ */
+function toFailure(input, error) {
+  const details = error.details && error.details.trim();
+  return {
+    input,
+    status: 'failed',
+    error: details ? `${error.message}: ${details}` : error.message,
+    code: error.code || 'EFAILED'
+  };
+}
+
+/**
+ * Export one file and copy the result to its destination
+ * @param {object} conversion - Conversion service
+ * @param {string} input - Absolute source path
+ * @param {string} output - Destination path
+ * @param {string} formatName - Export format
+ * @param {object} exportOptions - /api/export style options
+ * @returns {Promise<object>} Result entry
+ */
+async function exportOne(conversion, input, output, formatName, exportOptions) {
+  const exported = await conversion.exportFile(input, formatName, exportOptions, {
+    password: process.env.OO_DOCUMENT_PASSWORD
+  });
+  try {
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.copyFileSync(exported.outputPath, output);
+  } finally {
+    exported.dispose();
+  }
+  return { input, output, status: 'converted', format: formatName, size: fs.statSync(output).size };
+}
+
+/**
+ * oo-editors convert <in> <out> [--to format]
+ * @param {object} conversion - Conversion service
+ * @param {object} args - Parsed arguments
+ * @returns {Promise<{ok: boolean, results: Array<object>}>}
+ */
+async function convertCommand(conversion, args) {
+  const [inputArg, outputArg] = args.positionals;
+  if (!inputArg || !outputArg) {
+    throw createUsageError('convert needs an input and an output path');
+  }
+  const input = path.resolve(inputArg);
+  const output = path.resolve(outputArg);
+  const formatName = args.flags.to || path.extname(output).slice(1);
+  if (!getExportFormat(formatName)) {
+    throw createUsageError(`Unknown output format "${formatName}"; pass --to`);
+  }
+  if (!fs.existsSync(input)) {
+    throw createUsageError(`${inputArg} does not exist`);
+  }
+  if (input === output) {
+    throw createUsageError('output must not overwrite the input');
+  }
+
+  try {
+    return { ok: true, results: [await exportOne(conversion, input, output, formatName, args.exportOptions)] };
+  } catch (error) {
+    if (error.code === 'EINVALIDOPTION') throw createUsageError(error.message);
+    return { ok: false, results: [toFailure(input, error)] };
+  }
+}
+
+/**
+ * oo-editors export-dir <folder> --to format [--out dir]
+ * Outputs mirror the folder layout, next to the sources unless --out is given.
+ * Files the format does not apply to (e.g. spreadsheets with --to docx) are skipped.
+ * @param {object} conversion - Conversion service
+ * @param {object} args - Parsed arguments
+ * @returns {Promise<{ok: boolean, results: Array<object>}>}
+ */
+async function exportDirCommand(conversion, args) {
+  const [folderArg] = args.positionals;
+  const formatName = args.flags.to;
+  if (!folderArg || !formatName) {
+    throw createUsageError('export-dir needs a folder and --to');
+  }
+  const format = getExportFormat(formatName);
+  if (!format) {
+    throw createUsageError(`Unknown output format "${formatName}"`);
+  }
+  const folder = path.resolve(folderArg);
+  const outDir = args.flags.out ? path.resolve(args.flags.out) : folder;
+  // Don't export the output of an earlier run when --out points inside the folder
+  const files = listDocuments(folder, Boolean(args.flags.recursive))
+    .filter((file) => outDir === folder || !file.startsWith(outDir + path.sep));
+  const jobs = parseJobs(args.flags.jobs);
+
+  const results = await mapWithConcurrency(files, jobs, async (input) => {
+    const relative = path.relative(folder, input);
+    const output = path.join(outDir, relative.slice(0, relative.length - path.extname(relative).length) + '.' + format.ext);
+    if (output === input) {
+      return { input, status: 'skipped', reason: 'already in the target format' };
+    }
+    try {
+      return await exportOne(conversion, input, output, formatName, args.exportOptions);
+    } catch (error) {
+      if (error.code === 'EINVALIDOPTION') {
+        return { input, status: 'skipped', reason: error.message };
+      }
+      return toFailure(input, error);
+    }
+  });
+
+  return { ok: results.every((result) => result.status !== 'failed'), results };
+}
+
+/**
+ * oo-editors warm-cache <folder>
+ * Pre-generates Editor.bin so the first open of each document is instant.
+ * @param {object} conversion - Conversion service
+ * @param {object} args - Parsed arguments
+ * @returns {Promise<{ok: boolean, results: Array<object>}>}
+ */
+async function warmCacheCommand(conversion, args) {
+  const [folderArg] = args.positionals;
+  if (!folderArg) {
+    throw createUsageError('warm-cache needs a folder');
+  }
+  // PDFs open as-is in the pdf editor, so there is nothing to pre-convert
+  const files = listDocuments(path.resolve(folderArg), Boolean(args.flags.recursive))
+    .filter((file) => path.extname(file).toLowerCase() !== '.pdf');
+  const jobs = parseJobs(args.flags.jobs);
+
+  const results = await mapWithConcurrency(files, jobs, async (input) => {
+    try {
+      const converted = await conversion.convertToEditorBin(input);
+      converted.dispose();
+      return { input, output: converted.outputPath, status: converted.cacheHit ? 'cached' : 'converted' };
+    } catch (error) {
+      // Decrypted documents are never cached, so there is nothing to warm
+      if (error.code === 'EPASSWORD') {
+        return { input, status: 'skipped', reason: 'password protected' };
+      }
+      return toFailure(input, error);
+    }
+  });
+
+  return { ok: results.every((result) => result.status !== 'failed'), results };
+}
+
+/**
+ * Print a command result for people
+ * @param {object} result - Command result
+ */
+function printResult(result) {
+  if (result.checks) {
+    for (const check of result.checks) {
+      console.info(`${check.ok ? 'ok  ' : 'FAIL'} ${check.name}: ${check.message} (${check.path})`);
+    }
+    return;
+  }
+  for (const entry of result.results) {
+    const detail = entry.output || entry.reason || entry.error;
+    console.info(`${entry.status.padEnd(9)} ${entry.input}${detail ? ` → ${detail}` : ''}`);
+  }
+  const failed = result.results.filter((entry) => entry.status === 'failed').length;
+  console.info(`${result.results.length} file(s), ${failed} failed`);
+}
+
+/**
+ * Entry point
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Process exit code
+ */
+async function main(argv) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+
+  if (!args.command || args.command === 'help' || args.flags.help) {
+    console.info(USAGE);
+    return args.command || args.flags.help ? 0 : 2;
+  }
+
+  // The conversion service logs like the server does; keep stdout for results
+  const toStderr = (...parts) => process.stderr.write(util.format(...parts) + '\n');
+  console.log = args.flags.verbose ? toStderr : () => {};
+  console.warn = args.flags.verbose ? toStderr : () => {};
+
+  const fontDirArg = args.flags['font-dir'] || process.env.FONT_DATA_DIR;
+  const fontDir = fontDirArg
+    ? (isAbsolutePath(fontDirArg) ? fontDirArg : path.resolve(fontDirArg))
+    : DEFAULT_FONT_DIR;
+
+  let result;
+  try {
+    if (args.command === 'doctor') {
+      result = runDiagnostics({ x2tPath: X2T_PATH, fontDir, themeDir: THEME_DIR });
+    } else {
+      const commands = { 'convert': convertCommand, 'export-dir': exportDirCommand, 'warm-cache': warmCacheCommand };
+      const command = commands[args.command];
+      if (!command) {
+        throw createUsageError(`Unknown command "${args.command}"\n\n${USAGE}`);
+      }
+      const scheduler = createX2TScheduler({
+        x2tPath: X2T_PATH,
+        poolSize: parseJobs(args.flags.jobs),
+        timeoutMs: Number.parseInt(process.env.X2T_TIMEOUT_MS || '120000', 10)
+      });
+      const cache = createCacheStore({
+        // Resolved like the server does, so both use the same cache
+        rootDir: process.env.CACHE_DIR
+          ? (isAbsolutePath(process.env.CACHE_DIR) ? process.env.CACHE_DIR : path.join(__dirname, process.env.CACHE_DIR))
+          : getDefaultCacheDir(),
+        maxBytes: Number.parseInt(process.env.CACHE_MAX_SIZE_MB || '2048', 10) * 1024 * 1024
+      });
+      const conversion = createConversionService({ scheduler, x2tPath: X2T_PATH, fontDir, themeDir: THEME_DIR, cache });
+      result = await command(conversion, args);
+    }
+  } catch (error) {
+    if (error.code !== 'EUSAGE') throw error;
+    if (args.flags.json) {
+      process.stdout.write(JSON.stringify({ ok: false, error: error.message }) + '\n');
+    } else {
+      console.error(error.message);
+    }
+    return 2;
+  }
+
+  if (args.flags.json) {
+    process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+  } else {
+    printResult(result);
+  }
+  return result.ok ? 0 : 1;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (code) => {
+      process.exitCode = code;
+    },
+    (error) => {
+      console.error(error.stack || error.message);
+      process.exitCode = 1;
+    }
+  );
+}
+
+module.exports = {
+  parseArgs,
+  parseJobs,
+  listDocuments,
+  mapWithConcurrency,
+  main
+};
@@ -0,0 +1,589 @@
+/**
+ * Conversion service
+ * Runs x2t for opening (Editor.bin), exporting and page-image rendering.
+ * Shared by the HTTP handlers in server.js and the oo-editors CLI.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const {
+  X2T_EXIT_CODES,
+  X2T_FORMAT_IMAGE,
+  getX2TFormatCode,
+  getDocTypeFromFilename,
+  generateX2TConfig
+} = require('./server-utils');
+const { buildExportOptions } = require('./export-formats');
+const { extractZipEntries } = require('./zip-reader');
+const { writeWithActiveSheet } = require('./workbook-sheets');
+const { removeQuietly } = require('./atomic-save');
+const { getDialectKind, getX2TTextOptions, requoteText, sniffFileDialect } = require('./csv-dialect');
+const {
+  createCacheKeyResolver,
+  manifestMatches,
+  writeManifest,
+  clearManifest
+} = require('./cache-key');
+
+// AVS_OFFICESTUDIO_FILE_* codes used outside the export format table
+const X2T_FORMAT_CANVAS = 8192;
+// Input format for pdf editor changes (AVS_OFFICESTUDIO_FILE_CANVAS_PDF)
+const X2T_FORMAT_CANVAS_PDF = 8196;
+
+// x2t only accepts a password inside its params XML, and only reads the params
+// from a file named on its command line (it has no stdin mode). Params carrying
+// a password go to RAM-backed /dev/shm where the OS has one; elsewhere (macOS,
+// Windows) they are written to the temp directory on disk, which the server
+// warns about at startup.
+const SECRET_PARAMS_ON_DISK = !fs.existsSync('/dev/shm');
+const SECRET_PARAMS_ROOT = SECRET_PARAMS_ON_DISK ? os.tmpdir() : '/dev/shm';
+
+const THUMBNAIL_INDEX = 'pages.json';
+
+/**
+ * Create a params path in a fresh private directory for x2t params that contain a password
+ *
+ * The directory is 0700 and the file must be written 0600. x2t does not say
+ * when it has read its params, so removeSecretParams() is called as soon as
+ * the process exits; until then (at most the x2t timeout) the password is in
+ * the file.
+ *
+ * @returns {string} Path for the params XML (write it with mode 0o600)
+ */
+function createSecretParamsPath() {
+  const dir = fs.mkdtempSync(path.join(SECRET_PARAMS_ROOT, 'oo-editors-'));
+  fs.chmodSync(dir, 0o700);
+  return path.join(dir, 'params.xml');
+}
+
+/**
+ * Remove a params file created via createSecretParamsPath, along with its directory
+ * @param {string} paramsPath - Path returned by createSecretParamsPath
+ */
+function removeSecretParams(paramsPath) {
+  fs.rmSync(path.dirname(paramsPath), { recursive: true, force: true });
+}
+
+/**
+ * Create an error describing a failed conversion
+ * @param {string} message - Human readable message
+ * @param {string} code - EPASSWORD or EX2T
+ * @param {object} [extra] - Extra properties (passwordGiven, exitCode, details)
+ * @returns {Error} Error with `code` and extras set
+ */
+function createConversionError(message, code, extra = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+}
+
+/**
+ * Create a conversion service
+ * @param {object} options - Service options
+ * @param {object} options.scheduler - x2t scheduler from createX2TScheduler
+ * @param {string} options.x2tPath - Path to the x2t binary (its version is part of the cache key)
+ * @param {string} options.fontDir - Font data directory (the one AllFonts.js is served from)
+ * @param {string} options.themeDir - Presentation themes directory
+ * @param {object} options.cache - Cache store from createCacheStore (Editor.bin and page images live in its entries)
+ * @param {Function} [options.getTextDialect=sniffFileDialect] - (filepath) -> dialect CSV, TSV and TXT sources are read in
+ * @param {object} [options.logger=console] - Logger (info/warn/error)
+ * @returns {object} Service with getCacheKey(), getCacheDir(), convertToEditorBin(), exportFile(), writeSheetsAsText()
+ *   and renderPageImages()
+ */
+function createConversionService(options) {
+  const { scheduler, x2tPath, fontDir, themeDir, cache, getTextDialect = sniffFileDialect, logger = console } = options;
+  const resolveCacheKey = createCacheKeyResolver({ x2tPath, fontDir });
+
+  // In-flight page renders by cache directory; concurrent callers wait instead of rendering twice
+  const pendingRenders = new Map();
+
+  /**
+   * Run one x2t job with its params written right before it starts
+   * @param {object} job - key, xml, password, signal, coalesce, paramsPath (used when no password)
+   *   and sourceCopy (from getSourceInput), which lives exactly as long as the x2t run
+   * @returns {Promise<object>} Scheduler result
+   */
+  function runX2T(job) {
+    const paramsPath = job.password ? createSecretParamsPath() : job.paramsPath;
+    return scheduler.run({
+      key: job.key,
+      paramsPath,
+      coalesce: job.coalesce,
+      signal: job.signal,
+      prepare: () => {
+        if (job.onPrepare) job.onPrepare('start');
+        if (job.sourceCopy) job.sourceCopy.write();
+        fs.writeFileSync(paramsPath, job.xml, { mode: 0o600 });
+        if (job.onPrepare) job.onPrepare('end');
+      },
+      cleanup: () => {
+        if (job.sourceCopy) removeQuietly(job.sourceCopy.path);
+        try {
+          if (job.password) {
+            removeSecretParams(paramsPath);
+          } else {
+            fs.unlinkSync(paramsPath);
+          }
+        } catch (e) {
+          logger.warn(`[X2T] Failed to delete params file for ${job.key}:`, e.message);
+        }
+      }
+    });
+  }
+
+  /**
+   * Turn a finished x2t run into an error when it did not produce output
+   * @param {object} result - Scheduler result
+   * @param {string} outputPath - Expected output file
+   * @param {boolean} passwordGiven - Whether a password was supplied
+   * @throws {Error} EPASSWORD or EX2T
+   */
+  function assertConverted(result, outputPath, passwordGiven) {
+    if (result.code === X2T_EXIT_CODES.PASSWORD) {
+      throw createConversionError(
+        passwordGiven ? 'The password is incorrect' : 'This document is password protected',
+        'EPASSWORD',
+        { passwordGiven }
+      );
+    }
+    if (result.code !== 0) {
+      throw createConversionError(`x2t exited with code ${result.code}`, 'EX2T', {
+        exitCode: result.code,
+        details: result.stderr
+      });
+    }
+    if (!fs.existsSync(outputPath) || fs.statSync(outputPath).size === 0) {
+      throw createConversionError('output file not created', 'EX2T', {
+        exitCode: result.code,
+        details: 'output file not created'
+      });
+    }
+  }
+
+  /**
+   * Dialect a text source is read in
+   * @param {string} filepath - Absolute source path
+   * @returns {object|null} Dialect for CSV, TSV and TXT files, null for other formats
+   */
+  function getSourceDialect(filepath) {
+    return getDialectKind(filepath) ? getTextDialect(filepath) : null;
+  }
+
+  /**
+   * Cache key variant for a source dialect: the settings that change what x2t reads
+   * @param {string} filepath - Absolute source path
+   * @param {object|null} dialect - Dialect from getSourceDialect
+   * @returns {string|undefined} Import options for resolveCacheKey
+   */
+  function getImportOptions(filepath, dialect) {
+    if (!dialect) return undefined;
+    return JSON.stringify(getDialectKind(filepath) === 'table' ? dialect : { encoding: dialect.encoding });
+  }
+
+  /**
+   * x2t input settings for a source
+   *
+   * x2t only reads double-quoted CSV, so a single-quoted file is converted from
+   * a rewritten copy in the temp directory. Pass sourceCopy to runX2T: the job
+   * that runs writes the copy when x2t starts and removes it once x2t ends, so
+   * no copy is left in a cache entry by a run that times out or is cancelled,
+   * nor by callers that join a coalesced run.
+   *
+   * @param {string} filepath - Absolute source path
+   * @param {object|null} dialect - Dialect from getSourceDialect
+   * @returns {{options: {inputPath: string, csv?: object, formatFrom?: number, lcid?: number},
+   *   sourceCopy: {path: string, write: Function}|null}} generateX2TConfig options, and the copy x2t reads if any
+   */
+  function getSourceInput(filepath, dialect) {
+    if (!dialect) {
+      return { options: { inputPath: filepath }, sourceCopy: null };
+    }
+    const options = { inputPath: filepath, ...getX2TTextOptions(dialect, filepath) };
+    if (getDialectKind(filepath) !== 'table' || dialect.quote === '"') {
+      return { options, sourceCopy: null };
+    }
+    const copyPath = path.join(os.tmpdir(), `oo-source-${crypto.randomBytes(6).toString('hex')}${path.extname(filepath).toLowerCase()}`);
+    options.inputPath = copyPath;
+    return {
+      options,
+      sourceCopy: {
+        path: copyPath,
+        write: () => fs.writeFileSync(copyPath, requoteText(fs.readFileSync(filepath), dialect, dialect.quote, '"'), { mode: 0o600 })
+      }
+    };
+  }
+
+  /**
+   * Cache key of a document: identical contents share a key, whatever the path,
+   * unless they are text read in different dialects
+   * @param {string} filepath - Absolute source path
+   * @returns {string} 32 digit hex key (also the file hash media URLs use)
+   */
+  function getCacheKey(filepath) {
+    return resolveCacheKey(filepath, getImportOptions(filepath, getSourceDialect(filepath))).key;
+  }
+
+  /**
+   * Cache directory of a document
+   * @param {string} filepath - Absolute source path
+   * @returns {string} Cache entry directory for the document's cache key
+   */
+  function getCacheDir(filepath) {
+    return cache.getEntryDir(getCacheKey(filepath));
+  }
+
+  /**
+   * Drop least recently used cache entries once the cache grows past its cap
+   * @param {string} keep - Hash of the entry that was just written
+   */
+  function evictOverLimit(keep) {
+    const evicted = cache.enforceLimit({ keep });
+    if (evicted.length > 0) {
+      logger.info(`[CACHE] Evicted ${evicted.length} least recently used entr${evicted.length === 1 ? 'y' : 'ies'}: ${evicted.join(', ')}`);
+    }
+  }
+
+  /**
+   * Convert a document to the editor binary, reusing a cached Editor.bin whose manifest matches
+   *
+   * Identical in-flight conversions (two tabs opening the same file, or copies
+   * of it) share one x2t run instead of racing on Editor.bin. Attempts with a
+   * password are never coalesced: each password needs its own run.
+   *
+   * A password conversion produces the decrypted document, so it never touches
+   * the cache entry other requests for the file are served from: it runs in a
+   * private cache entry (see createPrivateEntry) and leaves no manifest behind.
+   * Its fileHash is the private entry's key, so the editor loads the decrypted
+   * images from there, and only the client that gave the password knows it.
+   *
+   * @param {string} filepath - Absolute source path
+   * @param {object} [options] - Conversion options
+   * @param {string} [options.password] - Password for encrypted documents
+   * @param {AbortSignal} [options.signal] - Cancels the conversion
+   * @param {object} [options.timings] - Filled with performance.now() marks (beforeXmlWrite, afterXmlWrite, beforeX2t, afterX2t)
+   * @returns {Promise<{outputPath: string, fileHash: string, cacheHit: boolean, dispose: Function, stdout?: string, stderr?: string}>}
+   *   Call dispose() once the output has been sent: until then the cache entry is never evicted. It removes the
+   *   output of a password conversion (its media stays in the private entry until the entry expires)
+   * @throws {Error} EPASSWORD, EX2T, ETIMEDOUT or ABORT_ERR
+   */
+  async function convertToEditorBin(filepath, options = {}) {
+    const { password, signal, timings = {} } = options;
+    const dialect = getSourceDialect(filepath);
+    const { key: cacheKey, manifest } = resolveCacheKey(filepath, getImportOptions(filepath, dialect));
+    const privateEntry = password ? cache.createPrivateEntry() : null;
+    const fileHash = privateEntry ? privateEntry.hash : cacheKey;
+    const outputDir = cache.getEntryDir(fileHash);
+    const outputPath = path.join(outputDir, 'Editor.bin');
+    const dispose = privateEntry ? () => removeQuietly(outputPath) : cache.lease(fileHash);
+    const filename = path.basename(filepath);
+
+    // Only conversions without a password are ever cache hits
+    if (!password && fs.existsSync(outputPath)) {
+      if (manifestMatches(outputDir, manifest)) {
+        logger.info(`[CONVERT] Cache hit! Using cached Editor.bin (key ${fileHash})`);
+        cache.touch(fileHash, filepath);
+        return { outputPath, fileHash, cacheHit: true, dispose };
+      }
+      logger.info(`[CONVERT] Cached Editor.bin has no matching manifest, reconverting (key ${fileHash})`);
+    }
+
+    try {
+      logger.info(`[CONVERT] Converting ${filename} to binary format...`);
+      timings.beforeMkdir = performance.now();
+      fs.mkdirSync(outputDir, { recursive: true });
+      // Until the new manifest is written, a half-written Editor.bin is never a hit
+      clearManifest(outputDir);
+      timings.afterMkdir = performance.now();
+      const input = getSourceInput(filepath, dialect);
+
+      // CRITICAL: Use the same fonts directory that contains AllFonts.js served to browser
+      // This ensures x2t assigns the same font IDs that the browser expects
+      const xml = generateX2TConfig({
+        ...input.options,
+        outputPath,
+        filename,
+        formatTo: X2T_FORMAT_CANVAS,
+        fontDir,
+        themeDir,
+        password
+      });
+
+      timings.beforeX2t = performance.now();
+      const result = await runX2T({
+        key: `convert:${fileHash}`,
+        xml,
+        sourceCopy: input.sourceCopy,
+        password,
+        signal,
+        coalesce: !password,
+        paramsPath: path.join(outputDir, 'params_temp.xml'),
+        onPrepare: (phase) => {
+          timings[phase === 'start' ? 'beforeXmlWrite' : 'afterXmlWrite'] = performance.now();
+        }
+      });
+      timings.afterX2t = performance.now();
+      logger.info(`[CONVERT] x2t process exited with code ${result.code}`);
+
+      assertConverted(result, outputPath, Boolean(password));
+      if (!privateEntry) {
+        writeManifest(outputDir, manifest);
+        cache.touch(fileHash, filepath);
+        evictOverLimit(fileHash);
+      }
+      return { outputPath, fileHash, cacheHit: false, dispose, stdout: result.stdout, stderr: result.stderr };
+    } catch (error) {
+      if (privateEntry) {
+        cache.remove(privateEntry.hash);
+      } else {
+        dispose();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Export a document to another format in a private temp directory
+   * @param {string} filepath - Absolute source path
+   * @param {string} formatName - Export format (see export-formats.js)
+   * @param {object} [query] - Export options for buildExportOptions
+   * @param {object} [options] - Run options
+   * @param {string} [options.password] - Password for encrypted documents
+   * @param {AbortSignal} [options.signal] - Cancels the export
+   * @returns {Promise<{outputPath: string, format: object, multiPage: boolean, sheet?: object, dispose: Function}>} sheet is
+   *   the { index, name } written for a CSV export of one sheet. Call dispose() once the output has been copied or sent
+   * @throws {Error} EINVALIDOPTION, EPASSWORD, EX2T, ETIMEDOUT or ABORT_ERR
+   */
+  async function exportFile(filepath, formatName, query = {}, options = {}) {
+    const { password, signal } = options;
+    const filename = path.basename(filepath);
+    const { format, jsonParams, thumbnail, multiPage, sheet } = buildExportOptions(
+      String(formatName),
+      getDocTypeFromFilename(filename),
+      query
+    );
+
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oo-export-'));
+    const dispose = () => fs.rmSync(workDir, { recursive: true, force: true });
+    const outputPath = path.join(workDir, `export.${multiPage ? 'zip' : format.ext}`);
+
+    logger.info(`[EXPORT] ${filename} → ${formatName} ${JSON.stringify(jsonParams)}`);
+
+    let written;
+    try {
+      const input = getSourceInput(filepath, getSourceDialect(filepath));
+      // A chosen sheet is written from an XLSX copy of the document with that sheet active
+      const x2tOutputPath = sheet === undefined ? outputPath : path.join(workDir, 'workbook.xlsx');
+      const result = await runX2T({
+        key: `export:${path.basename(workDir)}`,
+        xml: generateX2TConfig({
+          // The source dialect, or the default CSV settings when exporting other formats to CSV
+          csv: format.ext === 'csv',
+          ...input.options,
+          outputPath: x2tOutputPath,
+          filename,
+          formatTo: sheet === undefined ? format.code : getX2TFormatCode('xlsx'),
+          fontDir,
+          themeDir,
+          password,
+          thumbnail,
+          jsonParams
+        }),
+        sourceCopy: input.sourceCopy,
+        password,
+        signal,
+        coalesce: false,
+        paramsPath: path.join(workDir, 'params.xml')
+      });
+      logger.info(`[EXPORT] x2t process exited with code ${result.code}`);
+      assertConverted(result, x2tOutputPath, Boolean(password));
+
+      if (sheet !== undefined) {
+        [written] = await writeSheetsAsText(x2tOutputPath, {
+          sheets: [sheet],
+          getOutputPath: () => outputPath,
+          text: { csv: input.options.csv, lcid: input.options.lcid },
+          signal
+        });
+      }
+    } catch (error) {
+      dispose();
+      throw error;
+    }
+
+    return { outputPath, format, multiPage, sheet: written && { index: written.index, name: written.name }, dispose };
+  }
+
+  /**
+   * Write sheets of a workbook as delimited text, one x2t run per sheet
+   *
+   * x2t writes only the active sheet of a workbook to CSV, so each sheet is
+   * made active in a copy of the workbook that is converted on its own.
+   *
+   * @param {string} workbookPath - XLSX workbook
+   * @param {object} options - Write options
+   * @param {Array<number>} options.sheets - 0-based indices of the sheets to write
+   * @param {Function} options.getOutputPath - ({ index, name }) -> path the sheet is written to
+   * @param {object} [options.text] - x2t text settings { csv, lcid } from getX2TTextOptions (default: UTF-8 and comma)
+   * @param {AbortSignal} [options.signal] - Cancels the remaining runs
+   * @returns {Promise<Array<{index: number, name: string, hidden: boolean, outputPath: string}>>} Sheets written;
+   *   outputs of a failed call are left for the caller to remove
+   * @throws {Error} EINVALIDOPTION for sheets the workbook does not have, EX2T, ETIMEDOUT or ABORT_ERR
+   */
+  async function writeSheetsAsText(workbookPath, options) {
+    const { sheets, getOutputPath, text = {}, signal } = options;
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oo-sheets-'));
+    const written = [];
+    try {
+      for (const index of sheets) {
+        const sheetWorkbookPath = path.join(workDir, `sheet${index}.xlsx`);
+        const sheet = writeWithActiveSheet(workbookPath, index, sheetWorkbookPath);
+        const outputPath = getOutputPath(sheet);
+        const result = await runX2T({
+          key: `sheet:${path.basename(workDir)}:${index}`,
+          xml: generateX2TConfig({
+            inputPath: sheetWorkbookPath,
+            outputPath,
+            filename: path.basename(outputPath),
+            formatTo: getX2TFormatCode('csv'),
+            fontDir,
+            themeDir,
+            csv: text.csv || true,
+            lcid: text.lcid
+          }),
+          signal,
+          coalesce: false,
+          paramsPath: path.join(workDir, 'params.xml')
+        });
+        assertConverted(result, outputPath, false);
+        written.push({ ...sheet, outputPath });
+      }
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+    logger.info(`[SHEETS] Wrote ${written.map((sheet) => sheet.name).join(', ')} from ${path.basename(workbookPath)}`);
+    return written;
+  }
+
+  /**
+   * Render page images of a document, reusing cached ones
+   *
+   * Images live under <cache dir>/thumbnails/<width>x<height>-<format>/<page>.<format>.
+   * The first page is rendered on its own (x2t writes a single image); any
+   * other page needs every page rendered (x2t writes a zip), which is unpacked
+   * into one file per page plus an index with the page count.
+   *
+   * @param {object} options - Render options
+   * @param {string} options.filepath - Absolute source path
+   * @param {number} options.width - Bounding box width in pixels
+   * @param {number} options.height - Bounding box height in pixels
+   * @param {string} options.format - 'png' or 'jpg'
+   * @param {boolean} options.allPages - Render every page instead of just the first
+   * @param {AbortSignal} [options.signal] - Cancels the render
+   * @returns {Promise<{dir: string, count: number|null, dispose: Function}>} Directory holding the images; count is
+   *   null when only the first page was rendered. Call dispose() once the images have been sent: until then the
+   *   cache entry is never evicted
+   * @throws {Error} EPASSWORD, EX2T, ETIMEDOUT or ABORT_ERR
+   */
+  async function renderPageImages(options) {
+    const { filepath, width, height, format, allPages } = options;
+    const fileHash = getCacheKey(filepath);
+    const dir = path.join(cache.getEntryDir(fileHash), 'thumbnails', `${width}x${height}-${format}`);
+    const indexPath = path.join(dir, THUMBNAIL_INDEX);
+    const firstPagePath = path.join(dir, `1.${format}`);
+    const dispose = cache.lease(fileHash);
+
+    try {
+      // Entries are keyed by content, so anything already rendered is current.
+      // Wait for a render of the same variant already in progress, then re-check the cache
+      for (;;) {
+        if (fs.existsSync(indexPath)) {
+          cache.touch(fileHash, filepath);
+          return { dir, count: JSON.parse(fs.readFileSync(indexPath, 'utf8')).count, dispose };
+        }
+        if (!allPages && fs.existsSync(firstPagePath)) {
+          cache.touch(fileHash, filepath);
+          return { dir, count: null, dispose };
+        }
+        const pending = pendingRenders.get(dir);
+        if (!pending) break;
+        await pending.catch(() => {});
+      }
+
+      const render = runPageImageRender(dir, options).finally(() => pendingRenders.delete(dir));
+      pendingRenders.set(dir, render);
+      const count = await render;
+      cache.touch(fileHash, filepath);
+      evictOverLimit(fileHash);
+      return { dir, count, dispose };
+    } catch (error) {
+      dispose();
+      throw error;
+    }
+  }
+
+  /**
+   * Run x2t for renderPageImages and unpack the result into the cache directory
+   * @param {string} dir - Variant cache directory
+   * @param {object} options - renderPageImages options
+   * @returns {Promise<number|null>} Page count, or null when only the first page was rendered
+   */
+  async function runPageImageRender(dir, options) {
+    const { filepath, width, height, format, allPages, signal } = options;
+    const filename = path.basename(filepath);
+    logger.info(`[THUMBNAIL] Rendering ${allPages ? 'all pages' : 'first page'} of ${filepath} into ${dir}`);
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(dir, { recursive: true });
+
+    const outputPath = path.join(dir, allPages ? 'pages.zip' : `1.${format}`);
+    try {
+      const input = getSourceInput(filepath, getSourceDialect(filepath));
+      const result = await runX2T({
+        key: `thumbnail:${dir}`,
+        xml: generateX2TConfig({
+          ...input.options,
+          outputPath,
+          filename,
+          formatTo: X2T_FORMAT_IMAGE,
+          fontDir,
+          themeDir,
+          thumbnail: { format, first: !allPages, width, height }
+        }),
+        sourceCopy: input.sourceCopy,
+        signal,
+        paramsPath: path.join(dir, 'params.xml')
+      });
+      assertConverted(result, outputPath, false);
+    } catch (error) {
+      fs.rmSync(dir, { recursive: true, force: true });
+      throw error;
+    }
+
+    if (!allPages) {
+      return null;
+    }
+
+    // Entries are named image1.png, image2.png, ...; order by the page number
+    const pageNumber = (name) => Number((name.match(/(\d+)\.\w+$/) || [0, 0])[1]);
+    const pages = extractZipEntries(outputPath).sort((a, b) => pageNumber(a.name) - pageNumber(b.name));
+    pages.forEach((page, index) => {
+      fs.writeFileSync(path.join(dir, `${index + 1}.${format}`), page.data);
+    });
+    removeQuietly(outputPath);
+    fs.writeFileSync(path.join(dir, THUMBNAIL_INDEX), JSON.stringify({ count: pages.length }));
+    return pages.length;
+  }
+
+  return { getCacheKey, getCacheDir, convertToEditorBin, exportFile, writeSheetsAsText, renderPageImages };
+}
+
+module.exports = {
+  X2T_FORMAT_CANVAS,
+  X2T_FORMAT_CANVAS_PDF,
+  SECRET_PARAMS_ON_DISK,
+  createSecretParamsPath,
+  removeSecretParams,
+  createConversionService
+};
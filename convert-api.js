@@ -0,0 +1,544 @@
+/**
+ * DocumentServer conversion API (POST /converter)
+ * Implements ONLYOFFICE Document Server's ConvertService so integrations
+ * written against it work unchanged: requests may be signed as HS256 JWTs,
+ * run synchronously or are polled with `async: true`, and are answered with
+ * `{ endConvert, percent, fileUrl, fileType }` or `{ error: -N }`.
+ *
+ * Conversions are keyed by `key` and output type, like Document Server: the
+ * same request returns the same result until it expires (results are kept
+ * for resultTtlMs and then deleted).
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const {
+  X2T_EXIT_CODES,
+  X2T_FORMAT_IMAGE,
+  getX2TFormatCode,
+  getOutputFormatInfo,
+  getDocTypeFromFilename,
+  isSupportedDocument,
+  isAbsolutePath,
+  generateX2TConfig,
+  extractFilePathFromUrl
+} = require('./server-utils');
+const { getExportFormat } = require('./export-formats');
+const { createSecretParamsPath, removeSecretParams } = require('./conversion');
+const { moveFileSync } = require('./file-transfer');
+const { removeQuietly } = require('./atomic-save');
+const { readSignedRequest } = require('./jwt');
+
+// Document Server's documented error codes
+const CONVERT_ERRORS = {
+  UNKNOWN: -1,
+  TIMEOUT: -2,
+  CONVERSION: -3,
+  DOWNLOAD: -4,
+  PASSWORD: -5,
+  DATABASE: -6,
+  INPUT: -7,
+  TOKEN: -8,
+  OUTPUT_FORMAT: -9
+};
+
+const DEFAULT_RESULT_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_MAX_DOWNLOAD_BYTES = 100 * 1024 * 1024;
+const DEFAULT_DOWNLOAD_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Document Server's key alphabet
+const KEY_PATTERN = /^[0-9A-Za-z.=_-]{1,128}$/;
+
+// Result files are <32 hex>.<ext>; anything else is refused by getResultPath
+const RESULT_NAME_PATTERN = /^[0-9a-f]{32}\.[a-z0-9]+$/;
+
+// outputtype values that pick the format from the input's document type
+const AUTO_OUTPUT_TYPES = {
+  ooxml: { word: 'docx', cell: 'xlsx', slide: 'pptx' },
+  odf: { word: 'odt', cell: 'ods', slide: 'odp' }
+};
+
+// Output types x2t writes that the registry leaves unwritable because the
+// editor opening them never saves (/api/save must not overwrite a diagram)
+const CONVERTER_ONLY_OUTPUT_TYPES = ['vsdx'];
+
+// `region` → Windows LCID for x2t (date, number and currency formats)
+const REGION_LCIDS = {
+  'ar-sa': 1025, 'bg-bg': 1026, 'ca-es': 1027, 'zh-tw': 1028, 'cs-cz': 1029, 'da-dk': 1030,
+  'de-de': 1031, 'el-gr': 1032, 'en-us': 1033, 'fi-fi': 1035, 'fr-fr': 1036, 'he-il': 1037,
+  'hu-hu': 1038, 'it-it': 1040, 'ja-jp': 1041, 'ko-kr': 1042, 'nl-nl': 1043, 'nb-no': 1044,
+  'pl-pl': 1045, 'pt-br': 1046, 'ro-ro': 1048, 'ru-ru': 1049, 'hr-hr': 1050, 'sk-sk': 1051,
+  'sv-se': 1053, 'tr-tr': 1055, 'id-id': 1057, 'uk-ua': 1058, 'be-by': 1059, 'sl-si': 1060,
+  'et-ee': 1061, 'lv-lv': 1062, 'lt-lt': 1063, 'vi-vn': 1066, 'zh-cn': 2052, 'de-ch': 2055,
+  'en-gb': 2057, 'es-mx': 2058, 'nl-be': 2067, 'pt-pt': 2070, 'sr-latn-rs': 9242, 'de-at': 3079,
+  'en-au': 3081, 'es-es': 3082, 'fr-ca': 3084, 'en-ca': 4105, 'fr-ch': 4108, 'en-in': 16393
+};
+
+/**
+ * Create an error carrying a Document Server error code
+ * @param {string} message - Human readable message
+ * @param {number} errorCode - One of CONVERT_ERRORS
+ * @returns {Error} Error with code 'ECONVERTAPI' and errorCode set
+ */
+function createConvertError(message, errorCode) {
+  const error = new Error(message);
+  error.code = 'ECONVERTAPI';
+  error.errorCode = errorCode;
+  return error;
+}
+
+/**
+ * Extract the conversion parameters from a request, checking its JWT
+ * @param {object} body - Parsed JSON body
+ * @param {object} [options] - Token options, as for readSignedRequest()
+ * @returns {object} Conversion parameters
+ * @throws {Error} ECONVERTAPI (-8) for missing or invalid tokens
+ */
+function readConvertRequest(body, options = {}) {
+  try {
+    return readSignedRequest(body, options);
+  } catch (error) {
+    if (error.code !== 'EJWT') throw error;
+    throw createConvertError(error.message, CONVERT_ERRORS.TOKEN);
+  }
+}
+
+/**
+ * @param {string|undefined} region - Locale such as "en-US" or "de_DE"
+ * @returns {number|undefined} Windows LCID, or undefined when unknown
+ */
+function getRegionLcid(region) {
+  if (typeof region !== 'string') return undefined;
+  return REGION_LCIDS[region.trim().toLowerCase().replace(/_/g, '-')];
+}
+
+/**
+ * Parse an optional integer parameter
+ * @param {string} name - Parameter name (for the error message)
+ * @param {*} value - Raw value
+ * @param {number} min - Smallest accepted value
+ * @param {number} max - Largest accepted value
+ * @returns {number|undefined} Parsed value, or undefined when absent
+ * @throws {Error} ECONVERTAPI (-7) when out of range
+ */
+function parseIntegerParam(name, value, min, max) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw createConvertError(`${name} must be an integer from ${min} to ${max}`, CONVERT_ERRORS.INPUT);
+  }
+  return number;
+}
+
+/**
+ * Validate conversion parameters and resolve the output format
+ * @param {object} raw - Parameters (filetype, key, outputtype, url, async, codePage, delimiter,
+ *   password, region, spreadsheetLayout, documentLayout, thumbnail, title)
+ * @returns {object} Normalised parameters with formatCode and fileType (the result's extension)
+ * @throws {Error} ECONVERTAPI: -7 for bad input, -9 when ooxml/odf cannot pick a format
+ */
+function parseConvertParams(raw) {
+  for (const name of ['filetype', 'key', 'outputtype', 'url']) {
+    if (typeof raw[name] !== 'string' || raw[name] === '') {
+      throw createConvertError(`Missing required field: ${name}`, CONVERT_ERRORS.INPUT);
+    }
+  }
+  if (!KEY_PATTERN.test(raw.key)) {
+    throw createConvertError('key may only contain 0-9, a-z, A-Z, ".", "=", "_" and "-" (up to 128 characters)', CONVERT_ERRORS.INPUT);
+  }
+
+  const inputType = raw.filetype.toLowerCase().replace(/^\./, '');
+  let outputType = raw.outputtype.toLowerCase().replace(/^\./, '');
+  const auto = AUTO_OUTPUT_TYPES[outputType];
+  if (auto) {
+    const docType = isSupportedDocument(`input.${inputType}`) ? getDocTypeFromFilename(`input.${inputType}`) : null;
+    if (!auto[docType]) {
+      throw createConvertError(`Cannot choose an ${outputType} format for ${inputType}`, CONVERT_ERRORS.OUTPUT_FORMAT);
+    }
+    outputType = auto[docType];
+  }
+
+  const exportFormat = getExportFormat(outputType);
+  const outputFormat = exportFormat || getOutputFormatInfo(`.${outputType}`) ||
+    (CONVERTER_ONLY_OUTPUT_TYPES.includes(outputType) ? { code: getX2TFormatCode(outputType), name: outputType.toUpperCase() } : null);
+  const formatCode = outputFormat ? outputFormat.code : null;
+  if (!formatCode) {
+    throw createConvertError(`Unsupported output type: ${raw.outputtype}`, CONVERT_ERRORS.INPUT);
+  }
+
+  const thumbnail = formatCode === X2T_FORMAT_IMAGE
+    ? { ...(raw.thumbnail && typeof raw.thumbnail === 'object' ? raw.thumbnail : {}), format: outputType }
+    : null;
+  const jsonParams = {};
+  for (const name of ['spreadsheetLayout', 'documentLayout']) {
+    if (raw[name] && typeof raw[name] === 'object') jsonParams[name] = raw[name];
+  }
+
+  return {
+    key: raw.key,
+    url: raw.url,
+    async: raw.async === true || raw.async === 'true',
+    inputType,
+    outputType,
+    formatCode,
+    // Every page of an image conversion comes back as a zip
+    fileType: thumbnail && thumbnail.first === false ? 'zip' : outputType,
+    title: typeof raw.title === 'string' && raw.title ? path.basename(raw.title) : `${raw.key}.${inputType}`,
+    password: typeof raw.password === 'string' && raw.password ? raw.password : undefined,
+    codePage: parseIntegerParam('codePage', raw.codePage, 0, 65535),
+    delimiter: parseIntegerParam('delimiter', raw.delimiter, 0, 5),
+    lcid: getRegionLcid(raw.region),
+    thumbnail,
+    jsonParams
+  };
+}
+
+/**
+ * Default fetcher: download a URL to a file
+ * @param {string} url - http(s) URL
+ * @param {string} destPath - File to write
+ * @param {object} [options] - Download options
+ * @param {number} [options.maxBytes] - Refuse larger files
+ * @param {number} [options.timeoutMs] - Give up after this long
+ * @returns {Promise<void>} Resolves once the file is written
+ * @throws {Error} On HTTP errors, oversized bodies and timeouts (the partial file is removed)
+ */
+async function downloadToFile(url, destPath, options = {}) {
+  const maxBytes = options.maxBytes || DEFAULT_MAX_DOWNLOAD_BYTES;
+  const response = await fetch(url, { signal: AbortSignal.timeout(options.timeoutMs || DEFAULT_DOWNLOAD_TIMEOUT_MS) });
+  if (!response.ok || !response.body) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  if (Number(response.headers.get('content-length')) > maxBytes) {
+    throw new Error(`file is larger than ${maxBytes} bytes`);
+  }
+
+  let size = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      callback(size > maxBytes ? new Error(`file is larger than ${maxBytes} bytes`) : null, chunk);
+    }
+  });
+  try {
+    await pipeline(Readable.fromWeb(response.body), limit, fs.createWriteStream(destPath));
+  } catch (error) {
+    removeQuietly(destPath);
+    throw error;
+  }
+}
+
+/**
+ * x2t reports no progress: queued jobs are at 0, running ones creep up with time and stop at 95
+ * @param {object} job - Conversion job
+ * @param {number} now - Current time in ms
+ * @returns {number} Percent done
+ */
+function estimatePercent(job, now) {
+  if (!job.startedAt) return 0;
+  return Math.min(95, 10 + Math.floor((now - job.startedAt) / 1000) * 5);
+}
+
+/**
+ * Create the conversion API
+ * @param {object} options - Service options
+ * @param {object} options.scheduler - x2t scheduler from createX2TScheduler
+ * @param {string} options.fontDir - Font data directory
+ * @param {string} options.themeDir - Presentation themes directory
+ * @param {string} options.outputDir - Directory results are kept in
+ * @param {Function} options.getResultUrl - (filename) => URL the result is served at
+ * @param {Function} options.resolveLocalPath - (filepath) => real path; throws EPATHDENIED outside the sandbox
+ * @param {string} [options.jwtSecret] - Verify HS256 tokens with this secret
+ * @param {Function} [options.fetchFile] - (url, destPath, { maxBytes }) => Promise; downloads http(s) inputs
+ * @param {number} [options.resultTtlMs] - How long results are kept
+ * @param {number} [options.maxDownloadBytes] - Largest input downloaded
+ * @param {object} [options.logger=console] - Logger (info/warn/error)
+ * @returns {object} API with handleRequest(), publishResult(), getResultPath() and sweep()
+ */
+function createConvertApi(options) {
+  const {
+    scheduler,
+    fontDir,
+    themeDir,
+    outputDir,
+    getResultUrl,
+    resolveLocalPath,
+    jwtSecret,
+    fetchFile = downloadToFile,
+    resultTtlMs = DEFAULT_RESULT_TTL_MS,
+    maxDownloadBytes = DEFAULT_MAX_DOWNLOAD_BYTES,
+    logger = console
+  } = options;
+
+  // "<key>:<fileType>" → { id, fileType, startedAt, outputPath, error, expiresAt, promise }
+  const jobs = new Map();
+
+  /**
+   * Find the input: a local path (plain, or an /api/onlyoffice/files/ URL) or a download
+   * @param {object} params - Parsed parameters
+   * @param {string} workDir - Job directory downloads are written to
+   * @returns {Promise<string>} Input file path
+   * @throws {Error} ECONVERTAPI (-4) when the input cannot be read
+   */
+  async function resolveInput(params, workDir) {
+    const isHttp = /^https?:\/\//i.test(params.url);
+    const localPath = isHttp ? extractFilePathFromUrl(params.url) : params.url;
+
+    if (localPath) {
+      if (!isAbsolutePath(localPath)) {
+        throw createConvertError('url must be an http(s) URL or an absolute path', CONVERT_ERRORS.DOWNLOAD);
+      }
+      let resolved;
+      try {
+        resolved = resolveLocalPath(localPath);
+      } catch (error) {
+        if (error.code !== 'EPATHDENIED') throw error;
+        throw createConvertError(error.message, CONVERT_ERRORS.DOWNLOAD);
+      }
+      if (!fs.existsSync(resolved) || !fs.statSync(resolved).isFile()) {
+        throw createConvertError(`Input file not found: ${localPath}`, CONVERT_ERRORS.DOWNLOAD);
+      }
+      return resolved;
+    }
+
+    const inputPath = path.join(workDir, `input.${params.inputType}`);
+    try {
+      await fetchFile(params.url, inputPath, { maxBytes: maxDownloadBytes });
+    } catch (error) {
+      throw createConvertError(`Could not download ${params.url}: ${error.message}`, CONVERT_ERRORS.DOWNLOAD);
+    }
+    return inputPath;
+  }
+
+  /**
+   * Convert into a private work directory, then move the result into outputDir
+   * @param {object} job - Job record (startedAt is set when x2t starts)
+   * @param {object} params - Parsed parameters
+   * @returns {Promise<string>} Result path
+   * @throws {Error} ECONVERTAPI (-2, -3, -4, -5) or an unexpected error
+   */
+  async function runJob(job, params) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oo-convert-'));
+    const workOutput = path.join(workDir, `output.${params.fileType}`);
+    // A password only ever sits in a private params file
+    const paramsPath = params.password ? createSecretParamsPath() : path.join(workDir, 'params.xml');
+    const text = params.inputType === 'csv' || params.inputType === 'txt' || params.outputType === 'csv';
+
+    try {
+      const inputPath = await resolveInput(params, workDir);
+      const xml = generateX2TConfig({
+        inputPath,
+        outputPath: workOutput,
+        filename: params.title,
+        formatTo: params.formatCode,
+        fontDir,
+        themeDir,
+        password: params.password,
+        thumbnail: params.thumbnail,
+        jsonParams: params.jsonParams,
+        csv: text ? { codePage: params.codePage, delimiter: params.delimiter } : undefined,
+        lcid: params.lcid
+      });
+
+      let result;
+      try {
+        result = await scheduler.run({
+          key: `converter:${job.id}`,
+          paramsPath,
+          coalesce: false,
+          prepare: () => {
+            job.startedAt = Date.now();
+            fs.writeFileSync(paramsPath, xml, { mode: 0o600 });
+          }
+        });
+      } catch (error) {
+        throw createConvertError(
+          `Conversion failed: ${error.message}`,
+          error.code === 'ETIMEDOUT' ? CONVERT_ERRORS.TIMEOUT : CONVERT_ERRORS.CONVERSION
+        );
+      }
+
+      if (result.code === X2T_EXIT_CODES.PASSWORD) {
+        throw createConvertError(
+          params.password ? 'The password is incorrect' : 'This document is password protected',
+          CONVERT_ERRORS.PASSWORD
+        );
+      }
+      if (result.code !== 0) {
+        throw createConvertError(`x2t exited with code ${result.code}`, CONVERT_ERRORS.CONVERSION);
+      }
+      if (!fs.existsSync(workOutput) || fs.statSync(workOutput).size === 0) {
+        throw createConvertError('x2t produced no output', CONVERT_ERRORS.CONVERSION);
+      }
+
+      fs.mkdirSync(outputDir, { recursive: true });
+      const outputPath = path.join(outputDir, `${crypto.randomBytes(16).toString('hex')}.${params.fileType}`);
+      moveFileSync(workOutput, outputPath);
+      return outputPath;
+    } finally {
+      if (params.password) removeSecretParams(paramsPath);
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * @param {Error} error - Job or request error
+   * @returns {{error: number, message: string}} Document Server error response
+   */
+  function describeError(error) {
+    return {
+      error: error.code === 'ECONVERTAPI' ? error.errorCode : CONVERT_ERRORS.UNKNOWN,
+      message: error.message
+    };
+  }
+
+  /**
+   * Answer one /converter request: start or join the conversion for its key
+   * @param {object} body - Parsed JSON body
+   * @param {object} [request] - Request details
+   * @param {string} [request.authorization] - Value of the JWT header
+   * @param {boolean} [request.trusted] - Carries the launch token, so no JWT is needed
+   * @returns {Promise<object>} Response body: progress, result or { error }
+   */
+  async function handleRequest(body, request = {}) {
+    let params;
+    try {
+      params = parseConvertParams(readConvertRequest(body, {
+        secret: jwtSecret,
+        authorization: request.authorization,
+        tokenRequired: !request.trusted
+      }));
+    } catch (error) {
+      if (error.code !== 'ECONVERTAPI') throw error;
+      logger.warn(`[CONVERTER] Refused request: ${error.message}`);
+      return describeError(error);
+    }
+
+    const jobKey = `${params.key}:${params.fileType}`;
+    let job = jobs.get(jobKey);
+    if (!job) {
+      job = {
+        id: crypto.randomBytes(8).toString('hex'),
+        fileType: params.fileType,
+        startedAt: null,
+        outputPath: null,
+        error: null,
+        expiresAt: null
+      };
+      logger.info(`[CONVERTER] ${params.key}: ${params.inputType} → ${params.fileType}${params.async ? ' (async)' : ''}`);
+      job.promise = runJob(job, params).then((outputPath) => {
+        job.outputPath = outputPath;
+        job.expiresAt = Date.now() + resultTtlMs;
+        logger.info(`[CONVERTER] ${params.key}: done in ${Date.now() - job.startedAt}ms`);
+      }, (error) => {
+        job.error = error;
+        job.expiresAt = Date.now() + resultTtlMs;
+        logger.error(`[CONVERTER] ${params.key}: ${error.message}`);
+      });
+      jobs.set(jobKey, job);
+    }
+
+    if (!params.async) {
+      await job.promise;
+    }
+    if (job.error) {
+      // Failures are reported once, so the caller can retry the key (with a password, say)
+      if (jobs.get(jobKey) === job) jobs.delete(jobKey);
+      return describeError(job.error);
+    }
+    if (job.outputPath) {
+      return { endConvert: true, fileType: job.fileType, fileUrl: getResultUrl(path.basename(job.outputPath)), percent: 100 };
+    }
+    return { endConvert: false, percent: estimatePercent(job, Date.now()) };
+  }
+
+  /**
+   * Serve a file produced elsewhere (the local document service's saves) under
+   * /converted/ until the TTL passes
+   * @param {string} filePath - File to move into outputDir
+   * @param {string} fileType - Extension the result is served with
+   * @returns {string} URL of the result
+   */
+  function publishResult(filePath, fileType) {
+    fs.mkdirSync(outputDir, { recursive: true });
+    const outputPath = path.join(outputDir, `${crypto.randomBytes(16).toString('hex')}.${fileType}`);
+    moveFileSync(filePath, outputPath);
+    // sweep() ages results by mtime; a moved file keeps its own
+    const now = new Date();
+    fs.utimesSync(outputPath, now, now);
+    return getResultUrl(path.basename(outputPath));
+  }
+
+  /**
+   * Path of a result served under /converted/
+   * @param {string} filename - Result file name from a fileUrl
+   * @returns {string|null} Path, or null for unknown or malformed names
+   */
+  function getResultPath(filename) {
+    if (typeof filename !== 'string' || !RESULT_NAME_PATTERN.test(filename)) return null;
+    const filePath = path.join(outputDir, filename);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  /**
+   * Forget expired jobs and delete their results, along with results older than
+   * the TTL that no job knows about (left by an earlier run of the server)
+   * @param {number} [now] - Current time in ms (tests)
+   * @returns {number} Number of files deleted
+   */
+  function sweep(now = Date.now()) {
+    const live = new Set();
+    let removed = 0;
+    for (const [jobKey, job] of jobs) {
+      if (job.expiresAt !== null && job.expiresAt <= now) {
+        jobs.delete(jobKey);
+        if (job.outputPath) {
+          removeQuietly(job.outputPath);
+          removed++;
+        }
+      } else if (job.outputPath) {
+        live.add(path.basename(job.outputPath));
+      }
+    }
+
+    let entries;
+    try {
+      entries = fs.readdirSync(outputDir);
+    } catch (e) {
+      return removed;
+    }
+    for (const name of entries) {
+      if (live.has(name)) continue;
+      const filePath = path.join(outputDir, name);
+      try {
+        if (fs.statSync(filePath).mtimeMs + resultTtlMs <= now) {
+          fs.rmSync(filePath, { recursive: true, force: true });
+          removed++;
+        }
+      } catch (e) {
+        // Removed concurrently
+      }
+    }
+    if (removed > 0) {
+      logger.info(`[CONVERTER] Removed ${removed} expired result${removed === 1 ? '' : 's'}`);
+    }
+    return removed;
+  }
+
+  return { handleRequest, publishResult, getResultPath, sweep };
+}
+
+module.exports = {
+  CONVERT_ERRORS,
+  DEFAULT_RESULT_TTL_MS,
+  createConvertError,
+  readConvertRequest,
+  getRegionLcid,
+  parseConvertParams,
+  downloadToFile,
+  createConvertApi
+};
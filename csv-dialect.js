@@ -0,0 +1,478 @@
+/**
+ * CSV/TSV dialects
+ * A dialect is how a delimited text file is written: its encoding, delimiter,
+ * quote character and decimal separator. Dialects are sniffed from the file,
+ * can be picked in the loader's import dialog, and are remembered per file so
+ * a save writes the file back the way it was read. TXT files only use the
+ * encoding.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { generateFileHash } = require('./server-utils');
+const { writeFileAtomic } = require('./atomic-save');
+
+// Encodings offered for text files and their x2t code page (index into
+// sdkjs c_oAscEncodings, written as m_nCsvTxtEncoding)
+const TEXT_ENCODINGS = {
+  'utf-8': 46,
+  'utf-16le': 48,
+  'utf-16be': 49,
+  'windows-1252': 44,
+  'iso-8859-1': 37,
+  'iso-8859-15': 38,
+  'windows-1250': 16,
+  'windows-1251': 14,
+  'koi8-r': 9,
+  'shift_jis': 27,
+  'gb2312': 18,
+  'big5': 17,
+  'euc-kr': 29
+};
+
+// Delimiters and their DocumentServer delimiter code (m_nCsvDelimiter);
+// 0 means "none", with the character passed as m_nCsvDelimiterChar instead
+const CSV_DELIMITERS = {
+  ',': 4,
+  ';': 2,
+  '\t': 1,
+  ':': 3,
+  ' ': 5,
+  '|': 0
+};
+
+// Names accepted for delimiters in query strings
+const DELIMITER_NAMES = {
+  comma: ',',
+  semicolon: ';',
+  tab: '\t',
+  colon: ':',
+  space: ' ',
+  pipe: '|'
+};
+
+// x2t only understands double quotes; single-quoted files are rewritten on the way in and out
+const CSV_QUOTES = ['"', "'"];
+
+// x2t reads and writes numbers in the locale of m_nLcid: en-US for 1.5, de-DE for 1,5
+const DECIMAL_LCIDS = {
+  '.': 1033,
+  ',': 1031
+};
+
+// x2t input code for delimited text read into the spreadsheet editor (AVS_OFFICESTUDIO_FILE_SPREADSHEET_CSV)
+const X2T_FORMAT_CSV = 260;
+
+const DEFAULT_DIALECT = { encoding: 'utf-8', delimiter: ',', quote: '"', decimal: '.' };
+
+// Bytes looked at when sniffing
+const SNIFF_BYTES = 64 * 1024;
+const SNIFF_LINES = 50;
+
+/**
+ * @param {string} message - Human readable message
+ * @returns {Error} Error with code 'EINVALIDOPTION'
+ */
+function createDialectError(message) {
+  const error = new Error(message);
+  error.code = 'EINVALIDOPTION';
+  return error;
+}
+
+/**
+ * How a file uses dialects
+ * @param {string} filepath - File name or path
+ * @returns {string|null} 'table' for CSV/TSV, 'text' for TXT (encoding only), null otherwise
+ */
+function getDialectKind(filepath) {
+  const ext = path.extname(filepath).toLowerCase();
+  if (ext === '.csv' || ext === '.tsv') return 'table';
+  if (ext === '.txt') return 'text';
+  return null;
+}
+
+/**
+ * Dialect assumed for a file before anything is known about it
+ * @param {string} filepath - File name or path
+ * @returns {object} { encoding, delimiter, quote, decimal }
+ */
+function getDefaultDialect(filepath) {
+  return path.extname(filepath).toLowerCase() === '.tsv'
+    ? { ...DEFAULT_DIALECT, delimiter: '\t' }
+    : { ...DEFAULT_DIALECT };
+}
+
+/**
+ * Guess the encoding of text from its first bytes
+ * @param {Buffer} buffer - Start of the file
+ * @returns {{encoding: string, bom: boolean}} Encoding name (a TEXT_ENCODINGS key) and whether it starts with a BOM
+ */
+function detectEncoding(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return { encoding: 'utf-8', bom: true };
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return { encoding: 'utf-16le', bom: true };
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return { encoding: 'utf-16be', bom: true };
+
+  // UTF-16 without a BOM: ASCII text has a zero in every other byte
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    if (buffer[i] === 0) {
+      if (i % 2 === 0) evenZeros++;
+      else oddZeros++;
+    }
+  }
+  const pairs = Math.floor(buffer.length / 2);
+  if (pairs > 0 && oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) return { encoding: 'utf-16le', bom: false };
+  if (pairs > 0 && evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) return { encoding: 'utf-16be', bom: false };
+
+  try {
+    // stream: a multi-byte character cut off at the end of the sample is not an error
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+    return { encoding: 'utf-8', bom: false };
+  } catch (e) {
+    return { encoding: 'windows-1252', bom: false };
+  }
+}
+
+/**
+ * Decode text in an encoding, dropping any BOM
+ * @param {Buffer} buffer - Encoded text
+ * @param {string} encoding - TEXT_ENCODINGS key
+ * @returns {string} Decoded text
+ */
+function decodeText(buffer, encoding) {
+  return new TextDecoder(encoding).decode(buffer);
+}
+
+/**
+ * Split delimited text into rows of fields
+ * @param {string} text - Decoded text
+ * @param {object} dialect - { delimiter, quote }
+ * @param {number} [maxRows=Infinity] - Stop after this many rows
+ * @returns {Array<Array<string>>} Rows; a trailing line break does not start a new row
+ */
+function parseRows(text, dialect, maxRows = Infinity) {
+  const { delimiter, quote } = dialect;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  while (i < text.length && rows.length < maxRows) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === quote && text[i + 1] === quote) {
+        field += quote;
+        i += 2;
+        continue;
+      }
+      if (ch === quote) {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+      i++;
+      continue;
+    }
+    if (ch === quote && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\r' || ch === '\n') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+    } else {
+      field += ch;
+    }
+    i++;
+  }
+  if ((field !== '' || row.length > 0) && rows.length < maxRows) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Write rows as delimited text
+ * @param {Array<Array<string>>} rows - Rows of fields
+ * @param {object} dialect - { delimiter, quote }
+ * @param {string} [eol='\n'] - Line break
+ * @returns {string} Text ending with a line break
+ */
+function formatRows(rows, dialect, eol = '\n') {
+  const { delimiter, quote } = dialect;
+  const needsQuotes = (field) => field.includes(delimiter) || field.includes(quote) || /[\r\n]/.test(field);
+  return rows
+    .map((row) => row
+      .map((field) => (needsQuotes(field) ? quote + field.split(quote).join(quote + quote) + quote : field))
+      .join(delimiter))
+    .join(eol) + eol;
+}
+
+/**
+ * Count how often a character separates fields on each line, ignoring quoted text
+ * @param {Array<string>} lines - Sample lines
+ * @param {string} delimiter - Candidate delimiter
+ * @param {string} quote - Quote character
+ * @returns {Array<number>} Count per line
+ */
+function countDelimiters(lines, delimiter, quote) {
+  return lines.map((line) => {
+    let count = 0;
+    let quoted = false;
+    for (const ch of line) {
+      if (ch === quote) quoted = !quoted;
+      else if (ch === delimiter && !quoted) count++;
+    }
+    return count;
+  });
+}
+
+/**
+ * Guess the delimiter: the candidate splitting most lines into the same number of fields
+ * @param {Array<string>} lines - Sample lines
+ * @param {string} fallback - Delimiter used when nothing splits the lines
+ * @returns {string} Delimiter
+ */
+function sniffDelimiter(lines, fallback) {
+  let best = { delimiter: fallback, consistency: 0, fields: 0 };
+  for (const delimiter of [',', ';', '\t', '|', ':']) {
+    const counts = countDelimiters(lines, delimiter, '"');
+    const frequency = new Map();
+    for (const count of counts) frequency.set(count, (frequency.get(count) || 0) + 1);
+    let mode = 0;
+    for (const [count, times] of frequency) {
+      if (count > 0 && (mode === 0 || times > frequency.get(mode))) mode = count;
+    }
+    if (mode === 0) continue;
+    const consistency = frequency.get(mode) / counts.length;
+    if (consistency > best.consistency || (consistency === best.consistency && mode > best.fields)) {
+      best = { delimiter, consistency, fields: mode };
+    }
+  }
+  return best.delimiter;
+}
+
+/**
+ * Sniff the dialect of a delimited text file
+ * @param {Buffer} buffer - Start of the file
+ * @param {string} filepath - File name or path (a .tsv is tab separated unless its contents say otherwise)
+ * @returns {object} { encoding, delimiter, quote, decimal }
+ */
+function sniffDialect(buffer, filepath) {
+  const dialect = getDefaultDialect(filepath);
+  dialect.encoding = detectEncoding(buffer).encoding;
+
+  const text = decodeText(buffer, dialect.encoding);
+  const lines = text.split(/\r\n|\r|\n/);
+  // The last line of a sample cut short is incomplete
+  if (buffer.length >= SNIFF_BYTES) lines.pop();
+  const sample = lines.filter((line) => line.trim() !== '').slice(0, SNIFF_LINES);
+  if (sample.length === 0) return dialect;
+
+  dialect.delimiter = sniffDelimiter(sample, dialect.delimiter);
+
+  const rows = parseRows(sample.join('\n'), { delimiter: dialect.delimiter, quote: '"' });
+  const fields = rows.flat();
+  const wrappedIn = (quote) => fields.filter((field) => field.length > 1 && field[0] === quote && field[field.length - 1] === quote).length;
+  if (wrappedIn("'") > 0 && wrappedIn("'") > sample.filter((line) => line.includes('"')).length) {
+    dialect.quote = "'";
+  }
+
+  // 1,5 only reads as a number with a delimiter other than the comma
+  if (dialect.delimiter !== ',' && fields.some((field) => /^-?\d{1,3}(\.\d{3})*,\d+$|^-?\d+,\d+$/.test(field.trim()))) {
+    dialect.decimal = ',';
+  }
+  return dialect;
+}
+
+/**
+ * Read and sniff the start of a file
+ * @param {string} filepath - Absolute path
+ * @returns {object} Sniffed dialect, or the default one when the file does not exist
+ */
+function sniffFileDialect(filepath) {
+  let fd;
+  try {
+    fd = fs.openSync(filepath, 'r');
+  } catch (e) {
+    return getDefaultDialect(filepath);
+  }
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const bytesRead = fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0);
+    return sniffDialect(buffer.subarray(0, bytesRead), filepath);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Validate dialect options, filling the rest in from a base dialect
+ * @param {object} options - encoding, delimiter (character or name: comma, semicolon, tab, colon, space, pipe),
+ *   quote and decimal; all optional
+ * @param {object} [base=DEFAULT_DIALECT] - Values for the options not given
+ * @returns {object} { encoding, delimiter, quote, decimal }
+ * @throws {Error} EINVALIDOPTION for unknown values
+ */
+function normalizeDialect(options, base = DEFAULT_DIALECT) {
+  const dialect = { ...base };
+  const given = (value) => value !== undefined && value !== null && value !== '';
+
+  if (given(options.encoding)) {
+    const encoding = String(options.encoding).toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(TEXT_ENCODINGS, encoding)) {
+      throw createDialectError(`Unsupported encoding: ${options.encoding}`);
+    }
+    dialect.encoding = encoding;
+  }
+  if (given(options.delimiter)) {
+    const raw = String(options.delimiter);
+    const delimiter = DELIMITER_NAMES[raw.toLowerCase()] || raw;
+    if (!Object.prototype.hasOwnProperty.call(CSV_DELIMITERS, delimiter)) {
+      throw createDialectError(`Unsupported delimiter: ${JSON.stringify(raw)}`);
+    }
+    dialect.delimiter = delimiter;
+  }
+  if (given(options.quote)) {
+    if (CSV_QUOTES.indexOf(options.quote) === -1) {
+      throw createDialectError(`Unsupported quote character: ${JSON.stringify(options.quote)}`);
+    }
+    dialect.quote = options.quote;
+  }
+  if (given(options.decimal)) {
+    if (!Object.prototype.hasOwnProperty.call(DECIMAL_LCIDS, options.decimal)) {
+      throw createDialectError(`Unsupported decimal separator: ${JSON.stringify(options.decimal)}`);
+    }
+    dialect.decimal = options.decimal;
+  }
+  if (dialect.delimiter === dialect.decimal) {
+    throw createDialectError('The decimal separator cannot be the delimiter');
+  }
+  return dialect;
+}
+
+/**
+ * x2t settings for reading or writing a file in a dialect
+ * @param {object} dialect - { encoding, delimiter, quote, decimal }
+ * @param {string} filepath - File name or path
+ * @returns {object} { csv: { codePage, delimiter, delimiterChar? }, lcid?, formatFrom? } for generateX2TConfig
+ */
+function getX2TTextOptions(dialect, filepath) {
+  const csv = { codePage: TEXT_ENCODINGS[dialect.encoding] };
+  if (getDialectKind(filepath) !== 'table') {
+    return { csv };
+  }
+  csv.delimiter = CSV_DELIMITERS[dialect.delimiter];
+  if (csv.delimiter === 0) csv.delimiterChar = dialect.delimiter;
+  const options = { csv, formatFrom: X2T_FORMAT_CSV };
+  if (dialect.decimal !== DEFAULT_DIALECT.decimal) options.lcid = DECIMAL_LCIDS[dialect.decimal];
+  return options;
+}
+
+/**
+ * Change the quote character of delimited text without touching anything else
+ *
+ * Works on the raw bytes for ASCII-compatible encodings (quotes, delimiters and
+ * line breaks are all single bytes below 0x40, which no multi-byte sequence of
+ * those encodings uses as a lead byte), and through UTF-16 otherwise.
+ *
+ * @param {Buffer} buffer - Whole file
+ * @param {object} dialect - { encoding, delimiter }
+ * @param {string} fromQuote - Quote character the text uses
+ * @param {string} toQuote - Quote character to write
+ * @returns {Buffer} Rewritten file
+ */
+function requoteText(buffer, dialect, fromQuote, toQuote) {
+  const utf16 = dialect.encoding === 'utf-16le' || dialect.encoding === 'utf-16be';
+  const { bom } = detectEncoding(buffer);
+  let text;
+  if (utf16) {
+    text = decodeText(buffer, dialect.encoding);
+  } else {
+    text = buffer.toString('latin1');
+    if (bom) text = text.slice(3);
+  }
+
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  const rows = parseRows(text, { delimiter: dialect.delimiter, quote: fromQuote });
+  const output = formatRows(rows, { delimiter: dialect.delimiter, quote: toQuote }, eol);
+
+  if (!utf16) {
+    return Buffer.concat([bom ? Buffer.from([0xef, 0xbb, 0xbf]) : Buffer.alloc(0), Buffer.from(output, 'latin1')]);
+  }
+  const encoded = Buffer.from((bom ? '\ufeff' : '') + output, 'utf16le');
+  return dialect.encoding === 'utf-16be' ? encoded.swap16() : encoded;
+}
+
+/**
+ * Create the store of dialects chosen for files
+ * @param {object} options - Store options
+ * @param {string} options.rootDir - Directory holding one <md5(filepath)>.json per file
+ * @returns {object} Store with get(), set() and remove()
+ */
+function createDialectStore(options) {
+  const { rootDir } = options;
+
+  function getEntryPath(filepath) {
+    return path.join(rootDir, `${generateFileHash(filepath)}.json`);
+  }
+
+  /**
+   * @param {string} filepath - Absolute path
+   * @returns {object|null} The dialect chosen for the file, or null if none was
+   */
+  function get(filepath) {
+    try {
+      const entry = JSON.parse(fs.readFileSync(getEntryPath(filepath), 'utf8'));
+      return entry.filepath === filepath ? normalizeDialect(entry.dialect) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Remember the dialect of a file
+   * @param {string} filepath - Absolute path
+   * @param {object} dialect - Normalized dialect
+   */
+  function set(filepath, dialect) {
+    fs.mkdirSync(rootDir, { recursive: true });
+    writeFileAtomic(getEntryPath(filepath), JSON.stringify({ filepath, dialect, updatedAt: new Date().toISOString() }));
+  }
+
+  /**
+   * Forget the dialect of a file
+   * @param {string} filepath - Absolute path
+   */
+  function remove(filepath) {
+    fs.rmSync(getEntryPath(filepath), { force: true });
+  }
+
+  return { get, set, remove };
+}
+
+module.exports = {
+  TEXT_ENCODINGS,
+  CSV_DELIMITERS,
+  CSV_QUOTES,
+  DEFAULT_DIALECT,
+  getDialectKind,
+  getDefaultDialect,
+  detectEncoding,
+  decodeText,
+  parseRows,
+  formatRows,
+  sniffDialect,
+  sniffFileDialect,
+  normalizeDialect,
+  getX2TTextOptions,
+  requoteText,
+  createDialectStore
+};
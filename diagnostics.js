@@ -0,0 +1,319 @@
+/**
+ * Installation diagnostics
+ * Checks the pieces every conversion depends on: the x2t binary, the generated
+ * font metadata and the presentation themes. The deep variant (used by
+ * /healthcheck?deep=1) also runs a test conversion and checks the sdk bundles,
+ * the cache directory and free disk space.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { getConverterVersion } = require('./cache-key');
+const { generateX2TConfig } = require('./server-utils');
+
+// Files scripts/generate_office_fonts.js writes into FONT_DATA_DIR
+const FONT_METADATA_FILES = ['AllFonts.js', 'font_selection.bin'];
+
+// Editors whose sdk bundle the build copies into editors/sdkjs/<editor>/
+const SDK_EDITORS = ['word', 'cell', 'slide', 'visio'];
+const SDK_BUNDLES = ['sdk-all-min.js', 'sdk-all.js'];
+
+// Below this the cache can no longer hold a converted workbook
+const DEFAULT_MIN_FREE_BYTES = 256 * 1024 * 1024;
+
+const X2T_FORMAT_XLSX = 257;
+
+/**
+ * Check that the x2t binary exists and can be executed
+ * @param {string} x2tPath - Path to converter/x2t
+ * @returns {{name: string, ok: boolean, path: string, message: string}} Check result
+ */
+function checkX2T(x2tPath) {
+  const check = { name: 'x2t', ok: false, path: x2tPath };
+  if (!fs.existsSync(x2tPath)) {
+    return { ...check, message: 'x2t not found; run `bun download-converter.js`' };
+  }
+  try {
+    fs.accessSync(x2tPath, fs.constants.X_OK);
+  } catch (e) {
+    return { ...check, message: 'x2t is not executable' };
+  }
+  const version = getConverterVersion(x2tPath);
+  return { ...check, ok: true, version, message: `x2t found (version ${version})` };
+}
+
+/**
+ * Count the fonts listed in AllFonts.js (window["__fonts_files"] = [ "000", ... ])
+ * @param {string} text - AllFonts.js contents
+ * @returns {number|null} Number of font files, or null when the list is missing
+ */
+function countFontFiles(text) {
+  const match = text.match(/__fonts_files"\]\s*=\s*\[([^\]]*)\]/);
+  if (!match) return null;
+  return (match[1].match(/"[^"]*"|'[^']*'/g) || []).length;
+}
+
+/**
+ * Newest modification time among font directories and their direct subdirectories
+ * (/usr/share/fonts/truetype/dejavu changes when a package adds fonts)
+ * @param {Array<string>} dirs - Font directories; missing ones are skipped
+ * @returns {number} Newest mtime in ms, 0 if no directory exists
+ */
+function getNewestFontDirMtime(dirs) {
+  let newest = 0;
+  for (const dir of dirs) {
+    let entries;
+    try {
+      newest = Math.max(newest, fs.statSync(dir).mtimeMs);
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+      continue;
+    }
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+      try {
+        newest = Math.max(newest, fs.statSync(path.join(dir, entry.name)).mtimeMs);
+      } catch (e) {
+        // Removed while scanning
+      }
+    }
+  }
+  return newest;
+}
+
+/**
+ * Check that the font directory holds the metadata x2t and the editors share
+ *
+ * With sourceDirs, metadata older than the newest font directory is reported
+ * as stale: fonts installed since the last generate_office_fonts.js run are
+ * missing from the editors, but documents still open.
+ *
+ * @param {string} fontDir - Font data directory (FONT_DATA_DIR)
+ * @param {object} [options] - Check options
+ * @param {Array<string>} [options.sourceDirs] - Directories the metadata was generated from
+ * @returns {{name: string, ok: boolean, path: string, message: string}} Check result
+ *   (plus count, generatedAt and stale once the metadata is found)
+ */
+function checkFonts(fontDir, options = {}) {
+  const check = { name: 'fonts', ok: false, path: fontDir };
+  if (!fontDir || !fs.existsSync(fontDir)) {
+    return { ...check, message: 'font directory not found; set FONT_DATA_DIR' };
+  }
+  const missing = FONT_METADATA_FILES.filter((file) => {
+    const filePath = path.join(fontDir, file);
+    return !fs.existsSync(filePath) || fs.statSync(filePath).size === 0;
+  });
+  if (missing.length > 0) {
+    return { ...check, message: `missing ${missing.join(', ')}; run scripts/generate_office_fonts.js` };
+  }
+  const allFontsPath = path.join(fontDir, 'AllFonts.js');
+  const count = countFontFiles(fs.readFileSync(allFontsPath, 'utf8'));
+  const generatedAt = fs.statSync(allFontsPath).mtimeMs;
+  if (count === 0) {
+    return { ...check, count, message: 'AllFonts.js lists no fonts; run scripts/generate_office_fonts.js' };
+  }
+  const stale = options.sourceDirs ? getNewestFontDirMtime(options.sourceDirs) > generatedAt : false;
+  const found = count === null ? 'font metadata found' : `${count} fonts found`;
+  return {
+    ...check,
+    ok: true,
+    count,
+    generatedAt: new Date(generatedAt).toISOString(),
+    stale,
+    message: stale ? `${found}; fonts changed since generation, rerun scripts/generate_office_fonts.js` : found
+  };
+}
+
+/**
+ * Check that the presentation themes directory is populated
+ * @param {string} themeDir - Themes directory (editors/sdkjs/slide/themes)
+ * @returns {{name: string, ok: boolean, path: string, message: string}} Check result
+ */
+function checkThemes(themeDir) {
+  const check = { name: 'themes', ok: false, path: themeDir };
+  if (!fs.existsSync(themeDir) || !fs.statSync(themeDir).isDirectory()) {
+    return { ...check, message: 'themes directory not found' };
+  }
+  const themes = fs.readdirSync(themeDir).filter((entry) => /^theme\d+$/.test(entry));
+  if (themes.length === 0) {
+    return { ...check, message: 'themes directory is empty' };
+  }
+  return { ...check, ok: true, message: `${themes.length} themes found` };
+}
+
+/**
+ * Check that the build copied the sdk bundle of every editor
+ * @param {string} sdkDir - editors/sdkjs
+ * @returns {{name: string, ok: boolean, path: string, message: string, editors: object}} Check result;
+ *   editors maps each editor to true when its bundle is present
+ */
+function checkSdkBundles(sdkDir) {
+  const editors = {};
+  for (const editor of SDK_EDITORS) {
+    editors[editor] = SDK_BUNDLES.some((bundle) => {
+      const bundlePath = path.join(sdkDir, editor, bundle);
+      return fs.existsSync(bundlePath) && fs.statSync(bundlePath).size > 0;
+    });
+  }
+  const missing = SDK_EDITORS.filter((editor) => !editors[editor]);
+  const check = { name: 'sdk', ok: missing.length === 0, path: sdkDir, editors };
+  if (missing.length > 0) {
+    return { ...check, message: `sdk bundle missing for ${missing.join(', ')}; run the editors build` };
+  }
+  return { ...check, message: 'sdk bundles found' };
+}
+
+/**
+ * Check that the cache directory exists (or can be created) and is writable
+ * @param {string} cacheDir - Cache directory (CACHE_DIR)
+ * @returns {{name: string, ok: boolean, path: string, message: string}} Check result
+ */
+function checkCacheDir(cacheDir) {
+  const check = { name: 'cache', ok: false, path: cacheDir };
+  const probePath = path.join(cacheDir, `.healthcheck-${process.pid}-${Date.now()}`);
+  try {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(probePath, 'ok');
+    fs.unlinkSync(probePath);
+  } catch (e) {
+    return { ...check, message: `cache directory is not writable (${e.code || e.message})` };
+  }
+  return { ...check, ok: true, message: 'cache directory is writable' };
+}
+
+/**
+ * Check the free space on the file system holding a directory
+ * @param {string} dir - Directory to check (the cache directory)
+ * @param {number} [minFreeBytes] - Fail below this many available bytes
+ * @returns {{name: string, ok: boolean, path: string, message: string}} Check result (plus freeBytes)
+ */
+function checkDiskSpace(dir, minFreeBytes = DEFAULT_MIN_FREE_BYTES) {
+  const check = { name: 'disk', ok: false, path: dir };
+  let stats;
+  try {
+    stats = fs.statfsSync(dir);
+  } catch (e) {
+    return { ...check, message: `cannot read free space (${e.code || e.message})` };
+  }
+  const freeBytes = stats.bavail * stats.bsize;
+  const freeMb = Math.floor(freeBytes / (1024 * 1024));
+  if (freeBytes < minFreeBytes) {
+    return { ...check, freeBytes, message: `only ${freeMb} MB free` };
+  }
+  return { ...check, ok: true, freeBytes, message: `${freeMb} MB free` };
+}
+
+/**
+ * Convert a two-line CSV to XLSX through the scheduler and check the output
+ * @param {object} options - Test conversion options
+ * @param {object} options.scheduler - x2t scheduler (createX2TScheduler)
+ * @param {string} options.fontDir - Font data directory
+ * @param {string} options.themeDir - Presentation themes directory
+ * @returns {Promise<{name: string, ok: boolean, message: string, durationMs: number}>} Check result
+ */
+async function checkTestConversion(options) {
+  const check = { name: 'conversion', ok: false };
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oo-editors-healthcheck-'));
+  const inputPath = path.join(workDir, 'test.csv');
+  const outputPath = path.join(workDir, 'test.xlsx');
+  const paramsPath = path.join(workDir, 'params.xml');
+  const started = Date.now();
+  try {
+    const result = await options.scheduler.run({
+      key: `healthcheck:${workDir}`,
+      paramsPath,
+      coalesce: false,
+      prepare: () => {
+        fs.writeFileSync(inputPath, 'name,value\nhealthcheck,1\n');
+        fs.writeFileSync(paramsPath, generateX2TConfig({
+          inputPath,
+          outputPath,
+          filename: 'test.csv',
+          formatTo: X2T_FORMAT_XLSX,
+          fontDir: options.fontDir,
+          themeDir: options.themeDir,
+          csv: true
+        }));
+      }
+    });
+    const durationMs = Date.now() - started;
+    if (result.code !== 0) {
+      return { ...check, durationMs, message: `test conversion failed (x2t exit code ${result.code})` };
+    }
+    if (!fs.existsSync(outputPath) || fs.statSync(outputPath).size === 0) {
+      return { ...check, durationMs, message: 'test conversion produced no output' };
+    }
+    return { ...check, ok: true, durationMs, message: `CSV to XLSX in ${durationMs} ms` };
+  } catch (error) {
+    return { ...check, durationMs: Date.now() - started, message: `test conversion failed (${error.code || error.message})` };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Run every installation check
+ * @param {object} options - Paths to check
+ * @param {string} options.x2tPath - Path to the x2t binary
+ * @param {string} options.fontDir - Font data directory
+ * @param {string} options.themeDir - Presentation themes directory
+ * @returns {{ok: boolean, checks: Array<object>}} ok is true only when every check passed
+ */
+function runDiagnostics(options) {
+  const checks = [
+    checkX2T(options.x2tPath),
+    checkFonts(options.fontDir),
+    checkThemes(options.themeDir)
+  ];
+  return { ok: checks.every((check) => check.ok), checks };
+}
+
+/**
+ * Run the installation checks plus the runtime ones behind /healthcheck?deep=1
+ * The test conversion is skipped when x2t is missing.
+ * @param {object} options - Paths and services to check
+ * @param {string} options.x2tPath - Path to the x2t binary
+ * @param {string} options.fontDir - Font data directory
+ * @param {Array<string>} [options.fontSourceDirs] - Directories the font metadata is generated from
+ * @param {string} options.themeDir - Presentation themes directory
+ * @param {string} options.sdkDir - editors/sdkjs
+ * @param {string} options.cacheDir - Cache directory
+ * @param {number} [options.minFreeBytes] - Free space below which the disk check fails
+ * @param {object} options.scheduler - x2t scheduler for the test conversion
+ * @param {string} [options.version] - Server version reported with the result
+ * @returns {Promise<{ok: boolean, version: string, converter: string|null, checks: Array<object>}>}
+ */
+async function runDeepDiagnostics(options) {
+  const x2t = checkX2T(options.x2tPath);
+  const checks = [
+    x2t,
+    checkFonts(options.fontDir, { sourceDirs: options.fontSourceDirs }),
+    checkThemes(options.themeDir),
+    checkSdkBundles(options.sdkDir),
+    checkCacheDir(options.cacheDir),
+    checkDiskSpace(options.cacheDir, options.minFreeBytes)
+  ];
+  checks.push(x2t.ok
+    ? await checkTestConversion(options)
+    : { name: 'conversion', ok: false, message: 'skipped: x2t is unavailable' });
+  return {
+    ok: checks.every((check) => check.ok),
+    version: options.version,
+    converter: x2t.ok ? x2t.version : null,
+    checks
+  };
+}
+
+module.exports = {
+  countFontFiles,
+  checkX2T,
+  checkFonts,
+  checkThemes,
+  checkSdkBundles,
+  checkCacheDir,
+  checkDiskSpace,
+  checkTestConversion,
+  runDiagnostics,
+  runDeepDiagnostics
+};
@@ -0,0 +1,328 @@
+/**
+ * Document Server save callbacks (callbackUrl)
+ * DocsAPI editors report what happens to a document by POSTing
+ * `{ key, status, url, changesurl, history, users, actions, forcesavetype }`
+ * to the callbackUrl of their config and expect `{ "error": 0 }` back. This
+ * module answers those callbacks, writing the document at `url` over the
+ * file, and builds and sends them for the local document service, which
+ * stands in for Document Server when the editor runs against this server.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { signJwt, readSignedRequest } = require('./jwt');
+
+const CALLBACK_STATUS = {
+  EDITING: 1,
+  MUST_SAVE: 2,
+  SAVE_ERROR: 3,
+  CLOSED: 4,
+  FORCE_SAVE: 6,
+  FORCE_SAVE_ERROR: 7
+};
+
+// Why a force save (status 6) happened
+const FORCE_SAVE_TYPES = {
+  COMMAND: 0,
+  BUTTON: 1,
+  TIMER: 2,
+  FORM: 3
+};
+
+// actions[].type in a status 1 callback
+const ACTION_NAMES = { 0: 'disconnected', 1: 'connected', 2: 'clicked force save' };
+
+const DEFAULT_CALLBACK_TIMEOUT_MS = 30 * 1000;
+
+// Editors that crash or lose the network never send a final status, so
+// sessions without a callback for this long are forgotten
+const DEFAULT_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_SESSIONS = 1000;
+
+/**
+ * @param {string} message - Human readable message
+ * @returns {Error} Error with code 'ECALLBACK'
+ */
+function createCallbackError(message) {
+  const error = new Error(message);
+  error.code = 'ECALLBACK';
+  return error;
+}
+
+/**
+ * Format a time the way Document Server writes history.changes[].created
+ * @param {Date} date - Time of the change
+ * @returns {string} "YYYY-MM-DD HH:MM:SS" in UTC
+ */
+function formatHistoryDate(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Build the callback Document Server sends once an edited document is ready
+ * @param {object} options - Save details
+ * @param {string} options.key - Document key from the editor config
+ * @param {string} options.url - Where the saved document can be downloaded
+ * @param {string} options.fileType - Extension of the saved document
+ * @param {object} options.user - { id, name } of the user who saved
+ * @param {string} options.serverVersion - Version reported in history
+ * @param {number} [options.forceSaveType] - One of FORCE_SAVE_TYPES for a force save (status 6);
+ *   omitted for the final save (status 2)
+ * @param {Date} [options.now] - Time of the save (tests)
+ * @returns {object} Callback body
+ */
+function buildSaveCallback(options) {
+  const now = options.now || new Date();
+  const force = options.forceSaveType !== undefined;
+  const callback = {
+    key: options.key,
+    status: force ? CALLBACK_STATUS.FORCE_SAVE : CALLBACK_STATUS.MUST_SAVE,
+    url: options.url,
+    filetype: options.fileType,
+    users: [options.user.id],
+    actions: [],
+    lastsave: now.toISOString(),
+    history: {
+      serverVersion: options.serverVersion,
+      changes: [{ created: formatHistoryDate(now), user: { id: options.user.id, name: options.user.name } }]
+    }
+  };
+  if (force) {
+    callback.forcesavetype = options.forceSaveType;
+  }
+  return callback;
+}
+
+/**
+ * POST a callback and check the integrator accepted it
+ * @param {string} callbackUrl - callbackUrl from the editor config
+ * @param {object} callback - Callback body
+ * @param {object} [options] - Delivery options
+ * @param {string} [options.secret] - Sign the callback into the JWT header, as Document Server does
+ * @param {string} [options.header='Authorization'] - JWT header name
+ * @param {object} [options.headers] - Extra request headers
+ * @param {number} [options.timeoutMs] - Give up after this long
+ * @returns {Promise<object>} The integrator's response
+ * @throws {Error} ECALLBACK when the request fails or the response is not { error: 0 }
+ */
+async function sendCallback(callbackUrl, callback, options = {}) {
+  const headers = { 'Content-Type': 'application/json', ...options.headers };
+  if (options.secret) {
+    headers[options.header || 'Authorization'] = `Bearer ${signJwt({ payload: callback }, options.secret)}`;
+  }
+
+  let response;
+  let body;
+  try {
+    response = await fetch(callbackUrl, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(callback),
+      signal: AbortSignal.timeout(options.timeoutMs || DEFAULT_CALLBACK_TIMEOUT_MS)
+    });
+    body = await response.json();
+  } catch (error) {
+    throw createCallbackError(`Callback to ${callbackUrl} failed: ${error.message}`);
+  }
+  if (!response.ok || !body || Number(body.error) !== 0) {
+    throw createCallbackError(`Callback to ${callbackUrl} was refused: HTTP ${response.status} ${JSON.stringify(body)}`);
+  }
+  return body;
+}
+
+/**
+ * Create the callbackUrl handler
+ * @param {object} options - Handler options
+ * @param {Function} options.saveDocument - ({ filepath, sourcePath, history, changesPath }) => void;
+ *   replaces the file with the downloaded document (may return a promise)
+ * @param {Function} options.fetchFile - (url, destPath, { maxBytes }) => Promise; downloads `url` and `changesurl`
+ * @param {Function} [options.resolveLocalUrl] - (url) => path of a file this server serves at url, or null
+ * @param {string} [options.jwtSecret] - Verify HS256 tokens with this secret
+ * @param {number} [options.maxDownloadBytes] - Largest document downloaded
+ * @param {number} [options.sessionTtlMs=86400000] - Forget sessions without a callback for this long
+ * @param {number} [options.maxSessions=1000] - Sessions kept; the least recently updated go first
+ * @param {object} [options.logger=console] - Logger (info/warn/error)
+ * @returns {object} Handler with handleCallback(), getSession() and pruneSessions()
+ */
+function createCallbackHandler(options) {
+  const {
+    saveDocument,
+    fetchFile,
+    resolveLocalUrl = () => null,
+    jwtSecret,
+    maxDownloadBytes,
+    sessionTtlMs = DEFAULT_SESSION_TTL_MS,
+    maxSessions = DEFAULT_MAX_SESSIONS,
+    logger = console
+  } = options;
+
+  // key → { filepath, users, updatedAt } while the document is open somewhere,
+  // least recently updated first
+  const sessions = new Map();
+
+  /**
+   * Copy a file this server serves, or download it
+   * @param {string} url - Source URL
+   * @param {string} destPath - File to write
+   * @returns {Promise<void>} Resolves once the file is written
+   */
+  async function fetchInto(url, destPath) {
+    const localPath = resolveLocalUrl(url);
+    if (localPath) {
+      fs.copyFileSync(localPath, destPath);
+      return;
+    }
+    if (!/^https?:\/\//i.test(url)) {
+      throw createCallbackError(`Not an http(s) URL: ${url}`);
+    }
+    await fetchFile(url, destPath, { maxBytes: maxDownloadBytes });
+  }
+
+  /**
+   * Download the saved document (and its changes) and write it over the file
+   * @param {string} filepath - File being edited
+   * @param {object} callback - Status 2 or 6 callback
+   * @returns {Promise<void>} Resolves once the file is replaced
+   * @throws {Error} ECALLBACK when the document cannot be fetched or has another format
+   */
+  async function saveFromCallback(filepath, callback) {
+    if (typeof callback.url !== 'string' || !callback.url) {
+      throw createCallbackError(`Status ${callback.status} callback without a url`);
+    }
+    const targetType = path.extname(filepath).slice(1).toLowerCase();
+    const fileType = typeof callback.filetype === 'string' ? callback.filetype.toLowerCase() : targetType;
+    if (fileType !== targetType) {
+      throw createCallbackError(`Document Server returned ${fileType}, but ${path.basename(filepath)} is ${targetType}`);
+    }
+
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oo-callback-'));
+    try {
+      const sourcePath = path.join(workDir, `document.${fileType}`);
+      try {
+        await fetchInto(callback.url, sourcePath);
+      } catch (error) {
+        throw createCallbackError(`Could not download ${callback.url}: ${error.message}`);
+      }
+
+      // The changes only feed version history; the save goes ahead without them
+      let changesPath;
+      if (typeof callback.changesurl === 'string' && callback.changesurl) {
+        changesPath = path.join(workDir, 'changes.zip');
+        try {
+          await fetchInto(callback.changesurl, changesPath);
+        } catch (error) {
+          logger.warn(`[CALLBACK] ${callback.key}: could not download changes: ${error.message}`);
+          changesPath = undefined;
+        }
+      }
+
+      const history = callback.history && typeof callback.history === 'object' ? callback.history : undefined;
+      await saveDocument({ filepath, sourcePath, history, changesPath });
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Answer one callback for a file
+   * @param {string} filepath - File the callbackUrl stands for (already checked against the sandbox)
+   * @param {object} body - Parsed JSON body
+   * @param {object} [request] - Request details
+   * @param {string} [request.authorization] - Value of the JWT header
+   * @param {boolean} [request.trusted] - Carries the launch token, so no JWT is needed
+   * @returns {Promise<{error: number, message?: string}>} { error: 0 } once handled, { error: 1 } otherwise
+   */
+  async function handleCallback(filepath, body, request = {}) {
+    let callback;
+    try {
+      callback = readSignedRequest(body, {
+        secret: jwtSecret,
+        authorization: request.authorization,
+        tokenRequired: !request.trusted
+      });
+    } catch (error) {
+      if (error.code !== 'EJWT') throw error;
+      logger.warn(`[CALLBACK] Refused callback for ${filepath}: ${error.message}`);
+      return { error: 1, message: error.message };
+    }
+
+    const { key, status } = callback;
+    if (typeof key !== 'string' || !key) {
+      return { error: 1, message: 'Missing key' };
+    }
+
+    switch (status) {
+      case CALLBACK_STATUS.EDITING: {
+        sessions.delete(key);
+        sessions.set(key, { filepath, users: Array.isArray(callback.users) ? callback.users : [], updatedAt: Date.now() });
+        pruneSessions();
+        for (const action of Array.isArray(callback.actions) ? callback.actions : []) {
+          logger.info(`[CALLBACK] ${key}: ${action.userid} ${ACTION_NAMES[action.type] || `action ${action.type}`}`);
+        }
+        return { error: 0 };
+      }
+      case CALLBACK_STATUS.MUST_SAVE:
+      case CALLBACK_STATUS.FORCE_SAVE: {
+        const kind = status === CALLBACK_STATUS.FORCE_SAVE ? `force save (type ${callback.forcesavetype})` : 'save';
+        try {
+          await saveFromCallback(filepath, callback);
+        } catch (error) {
+          logger.error(`[CALLBACK] ${key}: ${kind} of ${filepath} failed: ${error.message}`);
+          return { error: 1, message: error.message };
+        }
+        logger.info(`[CALLBACK] ${key}: ${kind} written to ${filepath}`);
+        if (status === CALLBACK_STATUS.MUST_SAVE) sessions.delete(key);
+        return { error: 0 };
+      }
+      case CALLBACK_STATUS.SAVE_ERROR:
+      case CALLBACK_STATUS.FORCE_SAVE_ERROR:
+        logger.error(`[CALLBACK] ${key}: Document Server could not save ${filepath} (status ${status})`);
+        if (status === CALLBACK_STATUS.SAVE_ERROR) sessions.delete(key);
+        return { error: 0 };
+      case CALLBACK_STATUS.CLOSED:
+        logger.info(`[CALLBACK] ${key}: closed without changes`);
+        sessions.delete(key);
+        return { error: 0 };
+      default:
+        logger.warn(`[CALLBACK] ${key}: unknown status ${status}`);
+        return { error: 1, message: `Unknown status: ${status}` };
+    }
+  }
+
+  /**
+   * @param {string} key - Document key
+   * @returns {object|null} { filepath, users, updatedAt } while editors have the document open
+   */
+  function getSession(key) {
+    const session = sessions.get(key);
+    return session && session.updatedAt > Date.now() - sessionTtlMs ? session : null;
+  }
+
+  /**
+   * Forget sessions that have not had a callback within the TTL, then the
+   * least recently updated ones over maxSessions
+   * @param {number} [now] - Current time in ms (tests)
+   * @returns {number} Number of sessions forgotten
+   */
+  function pruneSessions(now = Date.now()) {
+    let removed = 0;
+    for (const [key, session] of sessions) {
+      if (session.updatedAt > now - sessionTtlMs && sessions.size <= maxSessions) break;
+      sessions.delete(key);
+      removed++;
+    }
+    return removed;
+  }
+
+  return { handleCallback, getSession, pruneSessions };
+}
+
+module.exports = {
+  CALLBACK_STATUS,
+  FORCE_SAVE_TYPES,
+  formatHistoryDate,
+  buildSaveCallback,
+  sendCallback,
+  createCallbackHandler
+};
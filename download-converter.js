@@ -53,9 +53,12 @@ const os = require('os');
 //     sdkjs/common/Local/common.js:185  - URL protocol check fix (file: vs http://)
 //     sdkjs/common/libfont/map.js:2933  - Guard for documents referencing missing fonts
 //     sdkjs/common/libfont/map.js:2969  - GetFontFileWeb font name resolution
-const BASE_URL = 'https://github.com/ONLYOFFICE/DesktopEditors/releases/download/v9.1.0';
+const CONVERTER_VERSION = 'v9.1.0';
+const BASE_URL = `https://github.com/ONLYOFFICE/DesktopEditors/releases/download/${CONVERTER_VERSION}`;
 const WINDOWS_ZIP_NAME = 'DesktopEditors_x64.zip';
 const CONVERTER_DIR = path.join(__dirname, 'converter');
+// Read by the server: conversions cached under another version are redone
+const VERSION_FILE = path.join(CONVERTER_DIR, 'VERSION');
 
 function getDownloadUrl() {
   const platform = process.env.TARGET_PLATFORM || os.platform();
@@ -209,8 +212,18 @@ async function main() {
   const x2tPath = path.join(CONVERTER_DIR, os.platform() === 'win32' ? 'x2t.exe' : 'x2t');
 
   if (fs.existsSync(x2tPath)) {
-    console.log('Converter already installed at', x2tPath);
-    return;
+    const installedVersion = fs.existsSync(VERSION_FILE) ? fs.readFileSync(VERSION_FILE, 'utf8').trim() : null;
+    if (installedVersion === CONVERTER_VERSION) {
+      console.log('Converter already installed at', x2tPath);
+      return;
+    }
+    if (installedVersion === null) {
+      // Installed before the version was recorded, from this same pin
+      fs.writeFileSync(VERSION_FILE, CONVERTER_VERSION + '\n');
+      console.log('Converter already installed at', x2tPath);
+      return;
+    }
+    console.log(`Upgrading converter from ${installedVersion} to ${CONVERTER_VERSION}...`);
   }
 
   const url = getDownloadUrl();
@@ -230,6 +243,7 @@ async function main() {
   console.log('Cleaning up...');
   cleanup();
   fs.unlinkSync(downloadPath);
+  fs.writeFileSync(VERSION_FILE, CONVERTER_VERSION + '\n');
 
   console.log('Done!');
 }
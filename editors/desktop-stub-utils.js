@@ -161,6 +161,67 @@ function extractBlobUrl(path) {
   return blobMatch ? blobMatch[0] : null;
 }
 
+/**
+ * Check whether a request goes to this server's token-protected routes
+ * @param {string} url - Request URL (absolute or relative)
+ * @param {string} origin - Page origin (window.location.origin)
+ * @returns {boolean} True for same-origin /api/* and /converter requests
+ */
+function isServerApiUrl(url, origin) {
+  if (typeof url !== 'string' || !origin) return false;
+  try {
+    var parsed = new URL(url, origin);
+    return parsed.origin === origin &&
+      (parsed.pathname.indexOf('/api/') === 0 || parsed.pathname === '/converter');
+  } catch (err) {
+    return false;
+  }
+}
+
+// Stub log lines the server wants to see (see /api/log)
+var FORWARDED_LOG_TAGS = ['[BROWSER]', '[SAVE]'];
+
+/**
+ * Check whether a console call should be forwarded to the server log
+ * @param {Array} args - console.log/warn/error arguments
+ * @returns {boolean} True when the first argument starts with [BROWSER] or [SAVE]
+ */
+function shouldForwardLog(args) {
+  if (!args || typeof args[0] !== 'string') return false;
+  for (var i = 0; i < FORWARDED_LOG_TAGS.length; i++) {
+    if (args[0].indexOf(FORWARDED_LOG_TAGS[i]) === 0) return true;
+  }
+  return false;
+}
+
+/**
+ * Turn console arguments into one line of text
+ * @param {Array} args - console.log/warn/error arguments
+ * @param {number} [maxLength=2000] - Longer lines are cut and marked with an ellipsis
+ * @returns {string} Space-separated text; objects as JSON, errors as their message
+ */
+function formatLogArgs(args, maxLength) {
+  var limit = maxLength || 2000;
+  var parts = [];
+  for (var i = 0; i < args.length; i++) {
+    var arg = args[i];
+    if (typeof arg === 'string') {
+      parts.push(arg);
+    } else if (arg instanceof Error) {
+      parts.push(arg.name + ': ' + arg.message);
+    } else {
+      try {
+        var json = JSON.stringify(arg);
+        parts.push(json === undefined ? String(arg) : json);
+      } catch (err) {
+        parts.push(String(arg));
+      }
+    }
+  }
+  var text = parts.join(' ');
+  return text.length > limit ? text.slice(0, limit) + '…' : text;
+}
+
 // UMD export - works in browser (global) and Node.js/Bun (CommonJS)
 (function(root, factory) {
   var exports = {
@@ -174,7 +235,10 @@ function extractBlobUrl(path) {
     isImageFile: isImageFile,
     extractMediaFilename: extractMediaFilename,
     buildMediaUrl: buildMediaUrl,
-    extractBlobUrl: extractBlobUrl
+    extractBlobUrl: extractBlobUrl,
+    isServerApiUrl: isServerApiUrl,
+    shouldForwardLog: shouldForwardLog,
+    formatLogArgs: formatLogArgs
   };
   
   if (typeof module !== 'undefined' && module.exports) {
@@ -45,6 +45,7 @@
     // Upload images to server for persistence
     window._droppedFiles = [];
     window._uploadedFileMap = {}; // blob URL -> server filename
+    window._uploadedImageSizes = window._uploadedImageSizes || {}; // server filename -> { width, height }
 
     document.addEventListener('drop', function(e) {
         window._droppedFiles = [];
@@ -60,7 +61,8 @@
         for (var i = 0; i < e.dataTransfer.files.length; i++) {
             var file = e.dataTransfer.files[i];
             var ext = file.name.split('.').pop().toLowerCase();
-            var isImage = ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'svg', 'webp'].indexOf(ext) !== -1;
+            // The server checks the bytes and converts HEIC/TIFF; SVG stays client-side (scripts)
+            var isImage = ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'webp', 'tif', 'tiff', 'heic', 'heif'].indexOf(ext) !== -1;
 
             if (isImage && fileHash) {
                 // Synchronously upload image to server for persistence
@@ -76,8 +78,9 @@
                     var response = JSON.parse(xhr.responseText);
                     var blobUrl = URL.createObjectURL(file);
                     window._uploadedFileMap[blobUrl] = response.filename;
+                    window._uploadedImageSizes[response.filename] = { width: response.width, height: response.height };
                     window._droppedFiles.push(file);
-                    console.log('[BROWSER] Uploaded dropped image:', response.filename);
+                    console.log('[BROWSER] Uploaded dropped image:', response.filename, response.width + 'x' + response.height);
                 } else {
                     console.error('[BROWSER] Failed to upload dropped image:', xhr.status);
                 }
@@ -109,6 +112,7 @@
     var extractMediaFilename = utils.extractMediaFilename || function(p) { return p; };
     var buildMediaUrl = utils.buildMediaUrl || function(base, hash, name) { return hash ? base + '/api/media/' + hash + '/' + name : null; };
     var extractBlobUrl = utils.extractBlobUrl || function(p) { return null; };
+    var isServerApiUrl = utils.isServerApiUrl || function(url, origin) { return false; };
 
     function detectLanguageCode() {
         if (utils.detectLanguageCode) {
@@ -798,14 +802,23 @@
 
             var filepath = filepathFromWindow || filepathFromParent;
 
-            if (!filepath) {
+            // DocsAPI pages (/edit, /api/document) have no file path: their saves go
+            // through the local document service, which calls the page's callbackUrl
+            var docService = null;
+            try {
+                if (!filepath && window.parent && window.parent !== window) {
+                    docService = window.parent._ONLYOFFICE_DOCSERVICE || null;
+                }
+            } catch(e) {}
+
+            if (!filepath && !docService) {
                 console.error('[BROWSER] ERROR: No absolute filepath available for save!');
                 console.error('[BROWSER] window._ONLYOFFICE_FILEPATH:', filepathFromWindow);
                 console.error('[BROWSER] parent._ONLYOFFICE_FILEPATH:', filepathFromParent);
                 return false;
             }
 
-            var filename = filepath.split('/').pop();
+            var filename = filepath ? filepath.split('/').pop() : docService.title;
             console.log('[BROWSER] Saving to:', filename);
             console.log('[BROWSER] Full filepath:', filepath);
 
@@ -834,7 +847,21 @@
                 // Get document as ONLYOFFICE binary format
                 // Try asc_nativeGetFileData first (user says this works), then fall back to asc_nativeGetFile
                 var binaryData = null;
-                if (editor.asc_nativeGetFileData) {
+                var isPdfEditor = editor.isPdfEditor && editor.isPdfEditor();
+                if (isPdfEditor) {
+                    // PDF editor: only annotation/form changes are exported; the server
+                    // applies them to the original PDF
+                    console.log('[SAVE] Using editor.asc_nativeGetPDF() (pdf changes)');
+                    binaryData = editor.asc_nativeGetPDF();
+                    if (!binaryData) {
+                        console.log('[SAVE] PDF has no changes to save');
+                        if (window._originalDesktopOfflineAppDocumentEndSave) {
+                            window._originalDesktopOfflineAppDocumentEndSave(true);
+                        }
+                        window._hasUnsavedChanges = false;
+                        return;
+                    }
+                } else if (editor.asc_nativeGetFileData) {
                     console.log('[SAVE] Using editor.asc_nativeGetFileData()');
                     binaryData = editor.asc_nativeGetFileData();
                 } else if (editor.asc_nativeGetFile) {
@@ -866,25 +893,186 @@
                 if (!fileHash && window.parent && window.parent !== window) {
                     fileHash = window.parent._ONLYOFFICE_FILE_HASH;
                 }
-                var saveUrl = SERVER_BASE_URL + '/api/save?filepath=' + encodeURIComponent(filepath);
-                if (fileHash) {
-                    saveUrl += '&filehash=' + encodeURIComponent(fileHash);
+                // The loader page owns the file mtime and the conflict dialog
+                var loaderWindow = window;
+                try {
+                    if (window.parent && window.parent !== window && window.parent._ONLYOFFICE_RESOLVE_SAVE_CONFLICT) {
+                        loaderWindow = window.parent;
+                    }
+                } catch(e) {}
+
+                // keep/ooxml for formats that cannot hold everything (see resolveFormatChoice)
+                var formatChoice = loaderWindow._ONLYOFFICE_SAVE_FORMAT || null;
+                // active/split for workbooks with several sheets saved as CSV/TSV (see resolveSheetChoice)
+                var sheetChoice = loaderWindow._ONLYOFFICE_SAVE_SHEETS || null;
+                var sheetCount = editor.asc_getWorksheetsCount ? editor.asc_getWorksheetsCount() : 1;
+
+                function sendSave(targetPath, force) {
+                    var saveUrl = SERVER_BASE_URL + '/api/save?filepath=' + encodeURIComponent(targetPath);
+                    if (fileHash) {
+                        saveUrl += '&filehash=' + encodeURIComponent(fileHash);
+                    }
+                    if (formatChoice) {
+                        saveUrl += '&format=' + formatChoice;
+                    }
+                    // CSV/TSV hold one sheet; the server asks what to do with the others
+                    if (/\.(csv|tsv)$/i.test(targetPath) && sheetCount > 1) {
+                        saveUrl += '&sheetCount=' + sheetCount;
+                        if (sheetChoice) {
+                            saveUrl += '&sheets=' + sheetChoice;
+                        }
+                    }
+                    // Let the server refuse the save if the file changed on disk since we loaded it
+                    var expectedMtime = loaderWindow._ONLYOFFICE_FILE_MTIME || window._ONLYOFFICE_FILE_MTIME;
+                    if (force) {
+                        saveUrl += '&force=1';
+                    } else if (expectedMtime && targetPath === filepath) {
+                        saveUrl += '&expectedMtime=' + encodeURIComponent(expectedMtime);
+                    }
+                    // PDF changes are applied to the file they were made against, even when saving elsewhere
+                    if (isPdfEditor && targetPath !== filepath) {
+                        saveUrl += '&origin=' + encodeURIComponent(filepath);
+                    }
+                    console.log('[SAVE] Saving to URL:', saveUrl);
+                    console.log('[SAVE] File hash:', fileHash);
+
+                    // Keep password-protected documents encrypted on disk
+                    var headers = { 'Content-Type': 'application/octet-stream' };
+                    var password = loaderWindow._ONLYOFFICE_GET_DOCUMENT_PASSWORD && loaderWindow._ONLYOFFICE_GET_DOCUMENT_PASSWORD();
+                    if (password) {
+                        headers['X-Document-Password'] = encodeURIComponent(password);
+                    }
+
+                    fetch(saveUrl, {
+                        method: 'POST',
+                        headers: headers,
+                        body: binaryData
+                    })
+                    .then(function(response) {
+                        console.log('[SAVE] Server response:', response.status);
+                        return response.json().then(function(data) {
+                            if (response.status === 409) {
+                                if (data.error === 'format_choice') return resolveFormatChoice(data, targetPath);
+                                if (data.error === 'sheet_choice') return resolveSheetChoice(data, targetPath);
+                                return resolveConflict(data);
+                            }
+                            if (!response.ok) {
+                                throw new Error(data.error || ('HTTP ' + response.status));
+                            }
+                            onSaved(data);
+                        });
+                    })
+                    .catch(function(error) {
+                        console.error('[SAVE] Save failed:', error);
+                    });
+                }
+
+                function sendToDocService() {
+                    var saveUrl = SERVER_BASE_URL + '/api/docservice/save?key=' + encodeURIComponent(docService.key)
+                        + '&filetype=' + encodeURIComponent(docService.fileType)
+                        + '&callbackUrl=' + encodeURIComponent(docService.callbackUrl);
+                    if (fileHash) {
+                        saveUrl += '&filehash=' + encodeURIComponent(fileHash);
+                    }
+                    console.log('[SAVE] Saving through the document service:', saveUrl);
+
+                    fetch(saveUrl, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/octet-stream' },
+                        body: binaryData
+                    })
+                    .then(function(response) {
+                        return response.json().then(function(data) {
+                            if (!response.ok || data.error) {
+                                throw new Error(data.message || ('HTTP ' + response.status));
+                            }
+                            onSaved(data);
+                        });
+                    })
+                    .catch(function(error) {
+                        console.error('[SAVE] Save failed:', error);
+                    });
                 }
-                console.log('[SAVE] Saving to URL:', saveUrl);
-                console.log('[SAVE] File hash:', fileHash);
 
-                fetch(saveUrl, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/octet-stream' },
-                    body: binaryData
-                })
-                .then(function(response) {
-                    console.log('[SAVE] Server response:', response.status);
-                    return response.json();
-                })
-                .then(function(data) {
+                function resolveFormatChoice(choice, targetPath) {
+                    console.warn('[SAVE] ' + choice.message);
+                    var resolver = loaderWindow._ONLYOFFICE_RESOLVE_SAVE_FORMAT;
+                    var ooxmlName = choice.ooxmlFormat.toUpperCase();
+                    var decision = resolver
+                        ? resolver(choice)
+                        : Promise.resolve({
+                            action: window.confirm(choice.message + '. Save as ' + ooxmlName + ' instead?')
+                                ? 'ooxml'
+                                : (choice.canKeepFormat ? 'keep' : 'cancel')
+                        });
+
+                    return decision.then(function(result) {
+                        console.log('[SAVE] Format choice:', result.action);
+                        if (result.action !== 'keep' && result.action !== 'ooxml') return;
+                        // Keeping the format is asked once per document; after saving as
+                        // OOXML the new file needs no choice
+                        formatChoice = result.action;
+                        if (result.action === 'keep') {
+                            loaderWindow._ONLYOFFICE_SAVE_FORMAT = 'keep';
+                        }
+                        sendSave(targetPath, false);
+                    });
+                }
+
+                function resolveSheetChoice(choice, targetPath) {
+                    console.warn('[SAVE] ' + choice.message);
+                    var resolver = loaderWindow._ONLYOFFICE_RESOLVE_SHEET_CHOICE;
+                    var decision = resolver
+                        ? resolver(choice)
+                        : Promise.resolve({
+                            action: window.confirm(choice.message + '. Save the workbook as XLSX instead?') ? 'ooxml' : 'active'
+                        });
+
+                    return decision.then(function(result) {
+                        console.log('[SAVE] Sheet choice:', result.action);
+                        if (result.action === 'ooxml') {
+                            formatChoice = 'ooxml';
+                        } else if (result.action === 'active' || result.action === 'split') {
+                            // Asked once per document, like keeping a format
+                            sheetChoice = result.action;
+                            loaderWindow._ONLYOFFICE_SAVE_SHEETS = result.action;
+                        } else {
+                            return;
+                        }
+                        sendSave(targetPath, false);
+                    });
+                }
+
+                function resolveConflict(conflict) {
+                    console.warn('[SAVE] File changed on disk since it was opened:', conflict);
+                    var resolver = loaderWindow._ONLYOFFICE_RESOLVE_SAVE_CONFLICT;
+                    var choice = resolver
+                        ? resolver(conflict)
+                        : Promise.resolve({ action: window.confirm(filename + ' was changed by another program. Overwrite it?') ? 'overwrite' : 'cancel' });
+
+                    return choice.then(function(result) {
+                        console.log('[SAVE] Conflict resolution:', result.action);
+                        if (result.action === 'overwrite') {
+                            sendSave(filepath, true);
+                        } else if (result.action === 'saveas') {
+                            sendSave(result.filepath, false);
+                        }
+                        // 'reload' is handled by the loader; 'cancel' leaves the document unsaved
+                    });
+                }
+
+                function onSaved(data) {
                     console.log('[SAVE] Save completed successfully!', data);
 
+                    // Remember the new mtime (and path, after save-as) for the next save
+                    window._ONLYOFFICE_FILE_MTIME = data.mtime;
+                    if (data.path && data.path !== filepath) {
+                        window._ONLYOFFICE_FILEPATH = data.path;
+                    }
+                    if (loaderWindow !== window && loaderWindow._ONLYOFFICE_ON_SAVED) {
+                        loaderWindow._ONLYOFFICE_ON_SAVED(data);
+                    }
+
                     // Tell SDK save is done
                     if (window._originalDesktopOfflineAppDocumentEndSave) {
                         window._originalDesktopOfflineAppDocumentEndSave(true);
@@ -892,10 +1080,13 @@
 
                     // Mark document as saved
                     window._hasUnsavedChanges = false;
-                })
-                .catch(function(error) {
-                    console.error('[SAVE] Save failed:', error);
-                });
+                }
+
+                if (docService) {
+                    sendToDocService();
+                } else {
+                    sendSave(filepath, false);
+                }
             }, 2000);
 
             return true;
@@ -1134,7 +1325,10 @@
 
         GetImageOriginalSize: function(path) {
             console.log('[BROWSER] GetImageOriginalSize:', path);
-            return { width: 0, height: 0 };
+            // Known for images uploaded this session (the server reports the stored size)
+            var filename = (window._uploadedFileMap && window._uploadedFileMap[path]) || extractMediaFilename(path);
+            var size = window._uploadedImageSizes && window._uploadedImageSizes[filename];
+            return size ? { width: size.width, height: size.height } : { width: 0, height: 0 };
         },
 
         // File existence check
@@ -2029,6 +2223,88 @@
         return originalXHROpen.call(this, method, url, ...args);
     };
 
+    // The server injects its launch token into every page; API requests must carry it
+    // (images and EventSource get it from the cookie set alongside). They also carry
+    // the request ID of the /open that started this editor, so the server logs the
+    // conversion and every save under it. The editor iframe takes the loader's ID.
+    let requestId = window.OO_EDITORS_REQUEST_ID;
+    try {
+        if (window.parent && window.parent !== window && window.parent.OO_EDITORS_REQUEST_ID) {
+            requestId = window.parent.OO_EDITORS_REQUEST_ID;
+        }
+    } catch (err) {
+        // Embedded by a page from another origin
+    }
+    const API_HEADERS = {};
+    if (window.OO_EDITORS_TOKEN) {
+        API_HEADERS['X-OO-Editors-Token'] = window.OO_EDITORS_TOKEN;
+    }
+    if (requestId) {
+        API_HEADERS['X-Request-Id'] = requestId;
+    }
+    const originalFetch = window.fetch;
+    if (Object.keys(API_HEADERS).length > 0) {
+        XMLHttpRequest.prototype.send = function(...args) {
+            if (isServerApiUrl(this._interceptedUrl, SERVER_BASE_URL)) {
+                for (const name in API_HEADERS) {
+                    this.setRequestHeader(name, API_HEADERS[name]);
+                }
+            }
+            return originalXHRSend.apply(this, args);
+        };
+
+        window.fetch = function(input, init) {
+            const url = typeof input === 'string' ? input : (input && (input.url || input.href));
+            if (isServerApiUrl(url, SERVER_BASE_URL)) {
+                const headers = new Headers((init && init.headers) || (typeof input === 'string' ? undefined : input.headers));
+                for (const name in API_HEADERS) {
+                    headers.set(name, API_HEADERS[name]);
+                }
+                init = Object.assign({}, init, { headers: headers });
+            }
+            return originalFetch.call(window, input, init);
+        };
+    }
+
+    // With LOG_LEVEL=debug the server asks for [BROWSER]/[SAVE] console output;
+    // it is batched and posted to /api/log (flushed when the page goes away too)
+    if (window.OO_EDITORS_LOG_BRIDGE) {
+        const LOG_FLUSH_MS = 1000;
+        const LOG_BATCH_SIZE = 50;
+        let pendingLogs = [];
+        let logFlushTimer = null;
+
+        const flushLogs = function() {
+            logFlushTimer = null;
+            while (pendingLogs.length > 0) {
+                const batch = pendingLogs.slice(0, LOG_BATCH_SIZE);
+                pendingLogs = pendingLogs.slice(LOG_BATCH_SIZE);
+                window.fetch(SERVER_BASE_URL + '/api/log', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ entries: batch }),
+                    keepalive: true
+                }).catch(function() {
+                    // Logging must never break the editor
+                });
+            }
+        };
+
+        ['log', 'info', 'warn', 'error'].forEach(function(level) {
+            const original = console[level];
+            console[level] = function(...args) {
+                if (utils.shouldForwardLog && utils.shouldForwardLog(args)) {
+                    pendingLogs.push({ level: level, message: utils.formatLogArgs(args) });
+                    if (!logFlushTimer) {
+                        logFlushTimer = setTimeout(flushLogs, LOG_FLUSH_MS);
+                    }
+                }
+                return original.apply(console, args);
+            };
+        });
+        window.addEventListener('pagehide', flushLogs);
+    }
+
     // ADDITIONAL: Intercept URL.createObjectURL to capture blobs before they're used
     const originalCreateObjectURL = URL.createObjectURL;
     URL.createObjectURL = function(blob) {
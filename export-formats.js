@@ -0,0 +1,251 @@
+/**
+ * Export formats and options for /api/export
+ * Maps export format names to x2t output codes and turns request options into
+ * the print settings sdkjs reads from x2t's m_sJsonParams when it renders
+ * fixed-layout output (asc_nativeGetPDF / asc_nativePrint).
+ */
+
+// AVS_OFFICESTUDIO_FILE_* output codes. `fixedLayout` formats are rendered
+// page by page by sdkjs, so page ranges and print layout options apply to them.
+const EXPORT_FORMATS = {
+  pdf: { code: 513, ext: 'pdf', contentType: 'application/pdf', docTypes: ['word', 'cell', 'slide', 'pdf', 'diagram'], fixedLayout: true },
+  pdfa: { code: 521, ext: 'pdf', contentType: 'application/pdf', docTypes: ['word', 'cell', 'slide', 'pdf', 'diagram'], fixedLayout: true },
+  png: { code: 1024, ext: 'png', contentType: 'image/png', docTypes: ['word', 'cell', 'slide', 'pdf', 'diagram'], fixedLayout: true, image: true },
+  jpg: { code: 1024, ext: 'jpg', contentType: 'image/jpeg', docTypes: ['word', 'cell', 'slide', 'pdf', 'diagram'], fixedLayout: true, image: true },
+  docx: { code: 65, ext: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', docTypes: ['word'] },
+  odt: { code: 67, ext: 'odt', contentType: 'application/vnd.oasis.opendocument.text', docTypes: ['word'] },
+  rtf: { code: 68, ext: 'rtf', contentType: 'application/rtf', docTypes: ['word'] },
+  txt: { code: 69, ext: 'txt', contentType: 'text/plain; charset=utf-8', docTypes: ['word'] },
+  html: { code: 70, ext: 'html', contentType: 'text/html; charset=utf-8', docTypes: ['word'] },
+  epub: { code: 72, ext: 'epub', contentType: 'application/epub+zip', docTypes: ['word'] },
+  fb2: { code: 73, ext: 'fb2', contentType: 'application/x-fictionbook+xml', docTypes: ['word'] },
+  xlsx: { code: 257, ext: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', docTypes: ['cell'] },
+  ods: { code: 259, ext: 'ods', contentType: 'application/vnd.oasis.opendocument.spreadsheet', docTypes: ['cell'] },
+  csv: { code: 260, ext: 'csv', contentType: 'text/csv; charset=utf-8', docTypes: ['cell'] },
+  pptx: { code: 129, ext: 'pptx', contentType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', docTypes: ['slide'] },
+  odp: { code: 131, ext: 'odp', contentType: 'application/vnd.oasis.opendocument.presentation', docTypes: ['slide'] }
+};
+
+const PAGE_RANGES_PATTERN = /^\d+(-\d+)?(,\d+(-\d+)?)*$/;
+
+/**
+ * Create an error for a bad export request
+ * @param {string} message - Human readable message
+ * @returns {Error} Error with code 'EINVALIDOPTION'
+ */
+function createOptionError(message) {
+  const error = new Error(message);
+  error.code = 'EINVALIDOPTION';
+  return error;
+}
+
+/**
+ * Look up an export format
+ * @param {string} format - Format name (pdf, pdfa, odt, png, ...)
+ * @returns {object|null} Format entry, or null if unknown
+ */
+function getExportFormat(format) {
+  if (typeof format !== 'string') return null;
+  return EXPORT_FORMATS[format.toLowerCase()] || null;
+}
+
+/**
+ * List export formats available for a document type
+ * @param {string} docType - 'word', 'cell', 'slide', 'pdf' or 'diagram'
+ * @returns {Array<string>} Format names
+ */
+function getExportFormatsForDocType(docType) {
+  return Object.keys(EXPORT_FORMATS).filter((name) => EXPORT_FORMATS[name].docTypes.indexOf(docType) !== -1);
+}
+
+/**
+ * Parse a boolean query value
+ * @param {string} name - Option name (for the error message)
+ * @param {string|undefined} value - Raw value
+ * @returns {boolean|undefined} Parsed value, or undefined when absent
+ */
+function parseBooleanOption(name, value) {
+  if (value === undefined || value === '') return undefined;
+  if (value === '1' || value === 'true') return true;
+  if (value === '0' || value === 'false') return false;
+  throw createOptionError(`${name} must be true or false`);
+}
+
+/**
+ * Parse a 1-based page range list such as "1-3,5"
+ * @param {string} value - Raw value
+ * @returns {Array<{from: number, to: number}>} Ranges in request order
+ * @throws {Error} EINVALIDOPTION for malformed or empty ranges
+ */
+function parsePageRanges(value) {
+  const compact = String(value).replace(/\s+/g, '');
+  if (!PAGE_RANGES_PATTERN.test(compact)) {
+    throw createOptionError('pages must look like "1-3,5"');
+  }
+  return compact.split(',').map((part) => {
+    const [from, to = from] = part.split('-').map(Number);
+    if (from < 1 || to < from) {
+      throw createOptionError(`invalid page range "${part}"`);
+    }
+    return { from, to };
+  });
+}
+
+/**
+ * Turn /api/export query options into x2t settings
+ *
+ * Supported options (all optional):
+ *   pages        - "1-3,5" (spreadsheets: one range), or "all" for a zip of every page as images
+ *   sheets       - 0-based sheet indices to include, e.g. "0,2" (spreadsheets)
+ *   sheet        - 0-based index of the sheet to write (CSV; x2t otherwise writes the active sheet)
+ *   fitToPage    - scale each sheet to one page (spreadsheets)
+ *   orientation  - portrait | landscape (spreadsheets)
+ *   gridLines, headings - print grid lines / row and column headings (spreadsheets)
+ *   comments, trackChanges - keep comments / tracked changes (documents)
+ *   width, height - image size in pixels (png/jpg)
+ *
+ * sdkjs never draws comments or revision marks on fixed-layout output, and
+ * x2t always carries them into editable formats, so asking for the other
+ * behaviour is rejected rather than silently ignored.
+ *
+ * @param {string} formatName - Export format name
+ * @param {string} docType - Document type of the source file
+ * @param {object} query - Request query options
+ * @returns {{format: object, jsonParams: object, thumbnail: object|null, multiPage: boolean, sheet: number|undefined}}
+ * @throws {Error} EINVALIDOPTION when the format or an option does not apply
+ */
+function buildExportOptions(formatName, docType, query = {}) {
+  const format = getExportFormat(formatName);
+  if (!format) {
+    throw createOptionError(`Unsupported export format: ${formatName}`);
+  }
+  if (format.docTypes.indexOf(docType) === -1) {
+    throw createOptionError(`Cannot export ${docType} documents to ${formatName}; supported: ${getExportFormatsForDocType(docType).join(', ')}`);
+  }
+
+  const isSheet = docType === 'cell';
+  const jsonParams = {};
+  let thumbnail = null;
+  let multiPage = false;
+  let sheet;
+
+  const sheetOnly = ['sheets', 'fitToPage', 'orientation', 'gridLines', 'headings'].filter((name) => query[name] !== undefined);
+  if (sheetOnly.length > 0 && !(isSheet && format.fixedLayout && !format.image)) {
+    throw createOptionError(`${sheetOnly.join(', ')} only apply to PDF export of spreadsheets`);
+  }
+
+  if (query.sheet !== undefined) {
+    if (!isSheet || format.ext !== 'csv') {
+      throw createOptionError('sheet only applies to CSV export of spreadsheets');
+    }
+    sheet = Number(query.sheet);
+    if (String(query.sheet).trim() === '' || !Number.isInteger(sheet) || sheet < 0) {
+      throw createOptionError('sheet must be a 0-based index');
+    }
+  }
+
+  const comments = parseBooleanOption('comments', query.comments);
+  const trackChanges = parseBooleanOption('trackChanges', query.trackChanges);
+  if (format.fixedLayout && (comments || trackChanges)) {
+    throw createOptionError(`${formatName} output cannot include comments or tracked changes`);
+  }
+  if (!format.fixedLayout && (comments === false || trackChanges === false)) {
+    throw createOptionError(`${formatName} output always keeps comments and tracked changes`);
+  }
+
+  if (format.image) {
+    if (query.pages !== undefined && query.pages !== 'all' && query.pages !== '1') {
+      throw createOptionError('image export renders the first page, or every page with pages=all');
+    }
+    multiPage = query.pages === 'all';
+    thumbnail = {
+      format: format.ext,
+      first: !multiPage,
+      width: query.width !== undefined ? parsePositiveInteger('width', query.width) : undefined,
+      height: query.height !== undefined ? parsePositiveInteger('height', query.height) : undefined
+    };
+  } else if (query.width !== undefined || query.height !== undefined) {
+    throw createOptionError('width and height only apply to png and jpg export');
+  }
+
+  if (format.fixedLayout && !format.image) {
+    if (docType === 'word') {
+      // Same layout the desktop app prints with: no form highlight or placeholder text
+      jsonParams.documentLayout = { drawPlaceHolders: false, drawFormHighlight: false, isPrint: true };
+    }
+
+    if (query.pages !== undefined && query.pages !== 'all') {
+      const ranges = parsePageRanges(query.pages);
+      if (isSheet) {
+        if (ranges.length > 1) {
+          throw createOptionError('spreadsheets accept a single page range');
+        }
+        jsonParams.adjustOptions = { startPageIndex: ranges[0].from - 1, endPageIndex: ranges[0].to - 1 };
+      } else {
+        jsonParams.nativeOptions = { pages: ranges.map((r) => (r.from === r.to ? String(r.from) : `${r.from}-${r.to}`)).join(',') };
+      }
+    }
+
+    if (isSheet) {
+      jsonParams.spreadsheetLayout = { ignorePrintArea: true };
+      if (query.sheets !== undefined) {
+        const sheets = String(query.sheets).split(',').map((s) => parseNonNegativeInteger('sheets', s.trim()));
+        jsonParams.adjustOptions = { ...(jsonParams.adjustOptions || {}), activeSheetsArray: sheets };
+      }
+      if (parseBooleanOption('fitToPage', query.fitToPage)) {
+        jsonParams.spreadsheetLayout.fitToWidth = 1;
+        jsonParams.spreadsheetLayout.fitToHeight = 1;
+      }
+      if (query.orientation !== undefined) {
+        if (query.orientation !== 'portrait' && query.orientation !== 'landscape') {
+          throw createOptionError('orientation must be portrait or landscape');
+        }
+        jsonParams.spreadsheetLayout.orientation = query.orientation;
+      }
+      const gridLines = parseBooleanOption('gridLines', query.gridLines);
+      if (gridLines !== undefined) jsonParams.spreadsheetLayout.gridLines = gridLines;
+      const headings = parseBooleanOption('headings', query.headings);
+      if (headings !== undefined) jsonParams.spreadsheetLayout.headings = headings;
+    }
+  } else if (query.pages !== undefined && !format.image) {
+    throw createOptionError('pages only apply to PDF and image export');
+  }
+
+  return { format, jsonParams, thumbnail, multiPage, sheet };
+}
+
+/**
+ * Parse a positive integer option
+ * @param {string} name - Option name (for the error message)
+ * @param {string} value - Raw value
+ * @returns {number} Parsed value
+ */
+function parsePositiveInteger(name, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw createOptionError(`${name} must be a positive integer`);
+  }
+  return number;
+}
+
+/**
+ * Parse a non-negative integer option
+ * @param {string} name - Option name (for the error message)
+ * @param {string} value - Raw value
+ * @returns {number} Parsed value
+ */
+function parseNonNegativeInteger(name, value) {
+  const number = Number(value);
+  if (value === '' || !Number.isInteger(number) || number < 0) {
+    throw createOptionError(`${name} must be a list of 0-based indices`);
+  }
+  return number;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  getExportFormat,
+  getExportFormatsForDocType,
+  parsePageRanges,
+  buildExportOptions
+};
@@ -0,0 +1,165 @@
+/**
+ * Streamed file transfer
+ * Documents and Editor.bin files can be hundreds of megabytes, so they never
+ * pass through memory whole: responses are streamed from disk (with
+ * ETag/Last-Modified validators and Range support, so the loader can show
+ * progress and resume) and request bodies are written to disk as they arrive.
+ */
+
+const fs = require('fs');
+
+// Bytes kept from the start of an upload for signature sniffing (ZIP, PDF, ...)
+const HEAD_BYTES = 20;
+
+/**
+ * Build a strong ETag from the values that identify a representation
+ * @param {Array<string|number>} parts - e.g. cache key and source mtime
+ * @returns {string} Quoted ETag
+ */
+function makeETag(parts) {
+  return `"${parts.map((part) => String(part).replace(/[^\w.-]/g, '')).join('-')}"`;
+}
+
+/**
+ * Stream a file to the client with conditional and Range request support
+ * Validators are set before sending so 304/206/412 are decided on them rather
+ * than on the served file's own stat (e.g. a cache entry rewritten with the
+ * same contents keeps its ETag).
+ * @param {object} res - Express response
+ * @param {string} filePath - Absolute path of the file to send
+ * @param {object} [options] - Send options
+ * @param {string} [options.etag] - ETag; default is derived from size and mtime
+ * @param {Date|number} [options.lastModified] - Last-Modified; default is the file mtime
+ * @param {string} [options.cacheControl] - Cache-Control header (default 'no-cache': always revalidate)
+ * @param {Function} [options.onEnd] - Called with (error|null) once the response ended or failed
+ */
+function sendFileStream(res, filePath, options = {}) {
+  if (options.etag) {
+    res.setHeader('ETag', options.etag);
+  }
+  if (options.lastModified !== undefined) {
+    res.setHeader('Last-Modified', new Date(options.lastModified).toUTCString());
+  }
+  res.setHeader('Cache-Control', options.cacheControl || 'no-cache');
+
+  // Documents may live in dot-directories (~/.local/share/...); the sandbox has already vetted the path
+  res.sendFile(filePath, { dotfiles: 'allow', cacheControl: false, acceptRanges: true }, (err) => {
+    if (err && !res.headersSent) {
+      res.status(err.status || 500).send(err.code === 'ENOENT' ? 'File not found' : 'Failed to send file');
+    }
+    if (options.onEnd) {
+      options.onEnd(err || null);
+    }
+  });
+}
+
+/**
+ * Write a request body to a file as it arrives
+ * @param {object} req - Incoming request (not yet consumed by a body parser)
+ * @param {string} filePath - Destination; created or truncated, fsynced before resolving
+ * @param {object} [options] - Receive options
+ * @param {number} [options.limit] - Maximum body size in bytes
+ * @returns {Promise<{size: number, head: Buffer}>} Bytes written and the first HEAD_BYTES of the body
+ * @throws {Error} With code 'ETOOLARGE' over the limit, 'EABORTED' if the client went away; the file is removed either way
+ */
+function receiveToFile(req, filePath, options = {}) {
+  const limit = options.limit || Infinity;
+
+  return new Promise((resolve, reject) => {
+    const declared = Number.parseInt(req.headers['content-length'], 10);
+    if (declared > limit) {
+      req.resume();
+      return reject(createTransferError('ETOOLARGE', `Body of ${declared} bytes exceeds the ${limit} byte limit`));
+    }
+
+    const fd = fs.openSync(filePath, 'w');
+    const out = fs.createWriteStream(null, { fd, autoClose: false });
+    const headChunks = [];
+    let headLength = 0;
+    let size = 0;
+    let settled = false;
+
+    function fail(error) {
+      if (settled) return;
+      settled = true;
+      req.unpipe(out);
+      out.destroy();
+      try {
+        fs.closeSync(fd);
+      } catch (e) {
+        // Already closed
+      }
+      try {
+        fs.unlinkSync(filePath);
+      } catch (e) {
+        // Never created or already gone
+      }
+      reject(error);
+    }
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (headLength < HEAD_BYTES) {
+        headChunks.push(chunk.subarray(0, HEAD_BYTES - headLength));
+        headLength += Math.min(chunk.length, HEAD_BYTES - headLength);
+      }
+      if (size > limit) {
+        req.resume();
+        fail(createTransferError('ETOOLARGE', `Body exceeds the ${limit} byte limit`));
+      }
+    });
+    req.on('close', () => {
+      if (!req.complete) fail(createTransferError('EABORTED', 'Client disconnected during upload'));
+    });
+    req.on('error', (error) => fail(error));
+    out.on('error', (error) => fail(error));
+    out.on('finish', () => {
+      if (settled) return;
+      settled = true;
+      try {
+        fs.fsyncSync(fd);
+        fs.closeSync(fd);
+      } catch (error) {
+        settled = false;
+        return fail(error);
+      }
+      resolve({ size, head: Buffer.concat(headChunks) });
+    });
+
+    req.pipe(out);
+  });
+}
+
+/**
+ * Move a file, copying when source and destination are on different filesystems
+ * @param {string} from - Source path
+ * @param {string} to - Destination path (replaced if it exists)
+ */
+function moveFileSync(from, to) {
+  try {
+    fs.renameSync(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    fs.copyFileSync(from, to);
+    fs.unlinkSync(from);
+  }
+}
+
+/**
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error carrying the code
+ */
+function createTransferError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = {
+  HEAD_BYTES,
+  makeETag,
+  sendFileStream,
+  receiveToFile,
+  moveFileSync
+};
@@ -0,0 +1,140 @@
+/**
+ * Watch open documents for modification by other programs
+ * Polls with fs.watchFile (survives atomic renames, works on network drives)
+ * and fans change events out to subscribers such as the /api/watch SSE stream.
+ */
+
+const fs = require('fs');
+
+/**
+ * Compare mtimes at millisecond precision
+ * Sub-millisecond digits differ between stat calls on some filesystems.
+ * @param {number} currentMtimeMs - mtime of the file on disk now
+ * @param {number} expectedMtimeMs - mtime the client last saw
+ * @returns {boolean} True if the file changed since the client loaded it
+ */
+function hasChangedSince(currentMtimeMs, expectedMtimeMs) {
+  return Math.floor(currentMtimeMs) !== Math.floor(expectedMtimeMs);
+}
+
+/**
+ * Create a registry of watched files
+ * @param {object} [options] - Registry options
+ * @param {number} [options.intervalMs=1000] - Polling interval per file
+ * @param {Function} [options.watchFile] - fs.watchFile implementation (injected by tests)
+ * @param {Function} [options.unwatchFile] - fs.unwatchFile implementation (injected by tests)
+ * @param {object} [options.logger=console] - Logger (warn)
+ * @returns {object} Registry with subscribe(), noteWrite() and getWatchedFiles()
+ */
+function createFileWatchRegistry(options = {}) {
+  const {
+    intervalMs = 1000,
+    watchFile = fs.watchFile,
+    unwatchFile = fs.unwatchFile,
+    logger = console
+  } = options;
+
+  // filepath -> { listeners: Set, onStat: Function, ownWriteMtimeMs: number|null }
+  const watched = new Map();
+
+  function emit(filepath, event) {
+    const entry = watched.get(filepath);
+    if (!entry) return;
+    for (const listener of entry.listeners) {
+      try {
+        listener(event);
+      } catch (e) {
+        logger.warn(`[WATCH] Listener failed for ${filepath}:`, e.message);
+      }
+    }
+  }
+
+  function startWatching(filepath) {
+    const entry = { listeners: new Set(), ownWriteMtimeMs: null, onStat: null };
+
+    entry.onStat = (curr, prev) => {
+      if (curr.mtimeMs === 0 && curr.size === 0 && curr.nlink === 0) {
+        if (prev.mtimeMs !== 0) {
+          emit(filepath, { type: 'deleted', filepath });
+        }
+        return;
+      }
+      if (!hasChangedSince(curr.mtimeMs, prev.mtimeMs)) return;
+
+      // Our own writes were already announced by noteWrite()
+      if (entry.ownWriteMtimeMs !== null && !hasChangedSince(curr.mtimeMs, entry.ownWriteMtimeMs)) {
+        return;
+      }
+
+      emit(filepath, {
+        type: 'changed',
+        source: 'external',
+        filepath,
+        mtime: curr.mtimeMs,
+        size: curr.size
+      });
+    };
+
+    watchFile(filepath, { interval: intervalMs, persistent: false }, entry.onStat);
+    watched.set(filepath, entry);
+    return entry;
+  }
+
+  /**
+   * Receive change events for a file
+   * @param {string} filepath - Absolute path to watch
+   * @param {Function} listener - Called with { type, source, filepath, mtime, size }
+   * @returns {Function} Unsubscribe; the file stops being polled after the last listener leaves
+   */
+  function subscribe(filepath, listener) {
+    const entry = watched.get(filepath) || startWatching(filepath);
+    entry.listeners.add(listener);
+
+    return () => {
+      entry.listeners.delete(listener);
+      if (entry.listeners.size === 0 && watched.get(filepath) === entry) {
+        unwatchFile(filepath, entry.onStat);
+        watched.delete(filepath);
+      }
+    };
+  }
+
+  /**
+   * Record a write made by this server so it is not reported as external
+   * Other editors of the same file are still told, with source set accordingly.
+   * @param {string} filepath - File that was just written
+   * @param {string} [source='save'] - What wrote it (save, restore, ...)
+   */
+  function noteWrite(filepath, source = 'save') {
+    const entry = watched.get(filepath);
+    if (!entry || !fs.existsSync(filepath)) return;
+
+    const stats = fs.statSync(filepath);
+    entry.ownWriteMtimeMs = stats.mtimeMs;
+    emit(filepath, {
+      type: 'changed',
+      source,
+      filepath,
+      mtime: stats.mtimeMs,
+      size: stats.size
+    });
+  }
+
+  /**
+   * Files currently being polled
+   * @returns {Array<{filepath: string, subscribers: number}>}
+   */
+  function getWatchedFiles() {
+    return Array.from(watched.entries()).map(([filepath, entry]) => ({
+      filepath,
+      subscribers: entry.listeners.size
+    }));
+  }
+
+  return { subscribe, noteWrite, getWatchedFiles };
+}
+
+module.exports = {
+  hasChangedSince,
+  createFileWatchRegistry
+};
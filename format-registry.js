@@ -0,0 +1,122 @@
+/**
+ * Format registry
+ * One entry per file extension the editors open: the editor it opens in, its
+ * x2t code, the MIME type it is served with and how it is saved back. /open,
+ * /api/convert, /api/save and getContentType all look formats up here.
+ */
+
+// Entry fields:
+//   docType  - editor that opens the file: 'cell', 'word', 'slide', 'pdf' or 'diagram'
+//   code     - AVS_OFFICESTUDIO_FILE_* code; null where x2t only recognises the format by its content
+//   mime     - Content-Type the file is served with
+//   writable - x2t writes the format, so the file is saved as it is
+//   ooxml    - OOXML extension offered instead, for formats x2t cannot write or that drop formatting
+//   template - extension of the document a template creates
+//   native   - rendered as-is by the pdf editor (drawingfile.wasm) instead of converted to Editor.bin
+// Formats that are neither writable nor have an ooxml alternative open read-only.
+const FORMATS = {
+  // Spreadsheets
+  '.xlsx': { docType: 'cell', code: 257, mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', writable: true },
+  '.xlsm': { docType: 'cell', code: 261, mime: 'application/vnd.ms-excel.sheet.macroEnabled.12', writable: true },
+  '.xltx': { docType: 'cell', code: 262, mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.template', writable: true, template: '.xlsx' },
+  '.xltm': { docType: 'cell', code: 263, mime: 'application/vnd.ms-excel.template.macroEnabled.12', writable: true, template: '.xlsm' },
+  '.xls': { docType: 'cell', code: 258, mime: 'application/vnd.ms-excel', ooxml: '.xlsx' },
+  '.xlsb': { docType: 'cell', code: 264, mime: 'application/vnd.ms-excel.sheet.binary.macroEnabled.12' },
+  '.ods': { docType: 'cell', code: 259, mime: 'application/vnd.oasis.opendocument.spreadsheet', writable: true },
+  '.fods': { docType: 'cell', code: 265, mime: 'application/vnd.oasis.opendocument.spreadsheet-flat-xml' },
+  '.csv': { docType: 'cell', code: 260, mime: 'text/csv', writable: true },
+  // x2t reads and writes tab-separated text as CSV with the tab delimiter
+  '.tsv': { docType: 'cell', code: 260, mime: 'text/tab-separated-values', writable: true },
+  '.numbers': { docType: 'cell', code: null, mime: 'application/vnd.apple.numbers' },
+
+  // Documents
+  '.docx': { docType: 'word', code: 65, mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', writable: true },
+  '.docm': { docType: 'word', code: 75, mime: 'application/vnd.ms-word.document.macroEnabled.12', writable: true },
+  '.dotx': { docType: 'word', code: 76, mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.template', writable: true, template: '.docx' },
+  '.dotm': { docType: 'word', code: 77, mime: 'application/vnd.ms-word.template.macroEnabled.12', writable: true, template: '.docm' },
+  '.doc': { docType: 'word', code: 66, mime: 'application/msword', ooxml: '.docx' },
+  '.odt': { docType: 'word', code: 67, mime: 'application/vnd.oasis.opendocument.text', writable: true },
+  '.fodt': { docType: 'word', code: 78, mime: 'application/vnd.oasis.opendocument.text-flat-xml' },
+  '.rtf': { docType: 'word', code: 68, mime: 'application/rtf', writable: true, ooxml: '.docx' },
+  '.txt': { docType: 'word', code: 69, mime: 'text/plain', writable: true, ooxml: '.docx' },
+  '.html': { docType: 'word', code: 70, mime: 'text/html', writable: true, ooxml: '.docx' },
+  '.mht': { docType: 'word', code: 71, mime: 'multipart/related' },
+  '.epub': { docType: 'word', code: 72, mime: 'application/epub+zip' },
+  '.fb2': { docType: 'word', code: 73, mime: 'application/x-fictionbook+xml' },
+  '.pages': { docType: 'word', code: null, mime: 'application/vnd.apple.pages' },
+
+  // Presentations
+  '.pptx': { docType: 'slide', code: 129, mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', writable: true },
+  '.pptm': { docType: 'slide', code: 133, mime: 'application/vnd.ms-powerpoint.presentation.macroEnabled.12', writable: true },
+  '.ppsx': { docType: 'slide', code: 132, mime: 'application/vnd.openxmlformats-officedocument.presentationml.slideshow', writable: true },
+  '.ppsm': { docType: 'slide', code: 134, mime: 'application/vnd.ms-powerpoint.slideshow.macroEnabled.12', writable: true },
+  '.potx': { docType: 'slide', code: 135, mime: 'application/vnd.openxmlformats-officedocument.presentationml.template', writable: true, template: '.pptx' },
+  '.potm': { docType: 'slide', code: 136, mime: 'application/vnd.ms-powerpoint.template.macroEnabled.12', writable: true, template: '.pptm' },
+  '.ppt': { docType: 'slide', code: 130, mime: 'application/vnd.ms-powerpoint', ooxml: '.pptx' },
+  '.odp': { docType: 'slide', code: 131, mime: 'application/vnd.oasis.opendocument.presentation', writable: true },
+  '.fodp': { docType: 'slide', code: 137, mime: 'application/vnd.oasis.opendocument.presentation-flat-xml' },
+  '.key': { docType: 'slide', code: null, mime: 'application/vnd.apple.keynote' },
+
+  // Fixed-layout documents
+  '.pdf': { docType: 'pdf', code: 513, mime: 'application/pdf', writable: true, native: true },
+  '.djvu': { docType: 'pdf', code: 515, mime: 'image/vnd.djvu', native: true },
+  '.xps': { docType: 'pdf', code: 516, mime: 'application/vnd.ms-xpsdocument', native: true },
+  '.oxps': { docType: 'pdf', code: null, mime: 'application/oxps', native: true },
+
+  // Visio drawings, stencils and templates. The visio editor has no save path,
+  // so these always open read-only; .vsdx is only written by /converter (see convert-api.js).
+  '.vsdx': { docType: 'diagram', code: 16385, mime: 'application/vnd.ms-visio.drawing' },
+  '.vssx': { docType: 'diagram', code: 16386, mime: 'application/vnd.ms-visio.stencil' },
+  '.vstx': { docType: 'diagram', code: 16387, mime: 'application/vnd.ms-visio.template' },
+  '.vsdm': { docType: 'diagram', code: 16388, mime: 'application/vnd.ms-visio.drawing.macroEnabled.12' },
+  '.vssm': { docType: 'diagram', code: 16389, mime: 'application/vnd.ms-visio.stencil.macroEnabled.12' },
+  '.vstm': { docType: 'diagram', code: 16390, mime: 'application/vnd.ms-visio.template.macroEnabled.12' },
+  '.vsd': { docType: 'diagram', code: null, mime: 'application/vnd.visio' }
+};
+
+/**
+ * Look up a format by extension
+ * @param {string} ext - File extension with leading dot (e.g. '.xlsb'); case-insensitive
+ * @returns {object|null} Registry entry with its ext, or null for files the editors do not open
+ */
+function getFormat(ext) {
+  const normalized = String(ext).toLowerCase();
+  const format = Object.prototype.hasOwnProperty.call(FORMATS, normalized) ? FORMATS[normalized] : null;
+  return format ? { ext: normalized, ...format } : null;
+}
+
+/**
+ * Look up the format of a file
+ * @param {string} filename - File name or path
+ * @returns {object|null} Registry entry, or null for files the editors do not open
+ */
+function getFormatForFile(filename) {
+  const ext = String(filename).match(/\.[^./\\]+$/);
+  return ext ? getFormat(ext[0]) : null;
+}
+
+/**
+ * List registered extensions
+ * @param {string} [docType] - Only those opened by this editor
+ * @returns {Array<string>} Extensions with leading dot
+ */
+function listExtensions(docType) {
+  return Object.keys(FORMATS).filter((ext) => !docType || FORMATS[ext].docType === docType);
+}
+
+/**
+ * Check whether a file opened in this format can be edited and saved
+ * @param {object} format - Registry entry
+ * @returns {boolean} False for formats that open read-only
+ */
+function isEditableFormat(format) {
+  return format.docType !== 'diagram' && Boolean(format.writable || format.ooxml);
+}
+
+module.exports = {
+  FORMATS,
+  getFormat,
+  getFormatForFile,
+  listExtensions,
+  isEditableFormat
+};
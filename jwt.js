@@ -0,0 +1,118 @@
+/**
+ * HS256 JSON Web Tokens as Document Server uses them
+ * Requests to /converter and the save callback, and the callbacks the local
+ * document service sends, may be signed with a shared secret (JWT_SECRET).
+ */
+
+const crypto = require('crypto');
+
+/**
+ * @param {string} message - Human readable message
+ * @returns {Error} Error with code 'EJWT'
+ */
+function createJwtError(message) {
+  const error = new Error(message);
+  error.code = 'EJWT';
+  return error;
+}
+
+/**
+ * Sign a payload as an HS256 JWT
+ * @param {object} payload - Claims
+ * @param {string} secret - Shared secret
+ * @returns {string} Compact JWT
+ */
+function signJwt(payload, secret) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const input = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`;
+  return `${input}.${crypto.createHmac('sha256', secret).update(input).digest('base64url')}`;
+}
+
+/**
+ * Split and decode a JWT without checking its signature
+ * @param {string} token - Compact JWT
+ * @returns {{header: object, payload: object, parts: Array<string>}} Decoded token
+ * @throws {Error} EJWT for malformed tokens
+ */
+function decodeJwt(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw createJwtError('Malformed JWT');
+  }
+  try {
+    const decode = (part) => JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+    return { header: decode(parts[0]), payload: decode(parts[1]), parts };
+  } catch (e) {
+    throw createJwtError('Malformed JWT');
+  }
+}
+
+/**
+ * Verify an HS256 JWT and its exp/nbf claims
+ * @param {string} token - Compact JWT
+ * @param {string} secret - Shared secret
+ * @param {number} [now] - Current time in ms (tests)
+ * @returns {object} Token payload
+ * @throws {Error} EJWT when the token is malformed, forged or expired
+ */
+function verifyJwt(token, secret, now = Date.now()) {
+  const { header, payload, parts } = decodeJwt(token);
+  if (header.alg !== 'HS256') {
+    throw createJwtError(`Unsupported JWT algorithm: ${header.alg}`);
+  }
+  const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest();
+  const signature = Buffer.from(parts[2], 'base64url');
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    throw createJwtError('Invalid JWT signature');
+  }
+  const seconds = now / 1000;
+  if (typeof payload.exp === 'number' && seconds >= payload.exp) {
+    throw createJwtError('JWT has expired');
+  }
+  if (typeof payload.nbf === 'number' && seconds < payload.nbf) {
+    throw createJwtError('JWT is not valid yet');
+  }
+  return payload;
+}
+
+/**
+ * Extract the parameters of a signed request
+ *
+ * Like Document Server, the token is either the body's `token` (whose payload
+ * is the parameters) or an "Authorization: Bearer" header (whose payload
+ * wraps them in `payload`). Without a secret tokens are only decoded.
+ *
+ * @param {object} body - Parsed JSON body
+ * @param {object} [options] - Token options
+ * @param {string} [options.secret] - JWT secret; enables signature checks
+ * @param {string} [options.authorization] - Value of the JWT header
+ * @param {boolean} [options.tokenRequired] - Refuse unsigned requests when a secret is set
+ * @returns {object} Request parameters
+ * @throws {Error} EJWT for missing or invalid tokens
+ */
+function readSignedRequest(body, options = {}) {
+  const params = body && typeof body === 'object' ? body : {};
+  const bearer = typeof options.authorization === 'string' ? /^Bearer\s+(\S+)$/i.exec(options.authorization.trim()) : null;
+
+  if (!options.secret) {
+    return params.token ? decodeJwt(params.token).payload : params;
+  }
+  if (params.token) {
+    return verifyJwt(params.token, options.secret);
+  }
+  if (bearer) {
+    const payload = verifyJwt(bearer[1], options.secret);
+    return payload.payload && typeof payload.payload === 'object' ? payload.payload : payload;
+  }
+  if (options.tokenRequired) {
+    throw createJwtError('A signed token is required');
+  }
+  return params;
+}
+
+module.exports = {
+  signJwt,
+  decodeJwt,
+  verifyJwt,
+  readSignedRequest
+};
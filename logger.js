@@ -0,0 +1,272 @@
+/**
+ * Structured logger
+ * Levelled logging (LOG_LEVEL) as text or JSON lines (LOG_FORMAT), optionally
+ * copied to a size-rotated file (LOG_FILE). Every line logged while handling
+ * a request carries its request ID, and paths inside the user's directories
+ * are reduced to their file name so logs can be shared without leaking
+ * folder structure or user names.
+ *
+ * Messages keep the repo's "[TAG] text" convention; the tag becomes the
+ * `scope` field in JSON output.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const SCOPE_PATTERN = /^\[([A-Za-z0-9_-]+)\]\s*/;
+const REDACTED = '<redacted>';
+
+/**
+ * Normalise a LOG_LEVEL value
+ * @param {string|undefined} value - Level name (case-insensitive)
+ * @param {string} [fallback='info'] - Level used for missing or unknown values
+ * @returns {string} One of error, warn, info, debug
+ */
+function parseLevel(value, fallback = 'info') {
+  const level = String(value || '').trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(LEVELS, level) ? level : fallback;
+}
+
+/**
+ * Generate a request ID
+ * @returns {string} 16 hex characters
+ */
+function createRequestId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Check a client-supplied request ID (X-Request-Id) before adopting it
+ * @param {*} value - Candidate ID
+ * @returns {boolean} True for 8-64 characters of [A-Za-z0-9_-]
+ */
+function isValidRequestId(value) {
+  return typeof value === 'string' && REQUEST_ID_PATTERN.test(value);
+}
+
+/**
+ * @param {string} value - Literal text
+ * @returns {string} Text escaped for use in a RegExp
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Create a function that hides the directories of paths under private roots
+ * "/home/ana/Clients/Acme/report.xlsx" becomes "<redacted>/report.xlsx".
+ * Paths under a public root (app, cache and font directories) are left alone
+ * even when that root sits inside a private one.
+ * @param {object} options - Redaction options
+ * @param {Array<string>} options.privateRoots - Directories whose contents are the user's (home, ALLOWED_ROOTS)
+ * @param {Array<string>} [options.publicRoots] - Directories that are safe to log in full
+ * @param {string} [options.platform] - Platform for separators and case folding (default: process.platform)
+ * @returns {Function} (text) => redacted text
+ */
+function createPathRedactor(options) {
+  const platform = options.platform || process.platform;
+  const foldCase = platform === 'win32' || platform === 'darwin';
+  const trim = (root) => root.replace(/[\\/]+$/, '');
+  const privateRoots = options.privateRoots.filter(Boolean).map(trim).filter(Boolean);
+  const publicRoots = (options.publicRoots || []).filter(Boolean).map(trim);
+  if (privateRoots.length === 0) {
+    return (text) => text;
+  }
+
+  const variants = new Set();
+  for (const root of privateRoots) {
+    variants.add(root);
+    if (platform === 'win32') variants.add(root.replace(/\\/g, '/'));
+  }
+  const roots = Array.from(variants).sort((a, b) => b.length - a.length).map(escapeRegExp);
+  // Directory segments may contain spaces but never end in one ("a.xlsx to /home/...");
+  // the last segment stops at whitespace
+  const pattern = new RegExp(
+    `(?:${roots.join('|')})((?:[\\\\/](?:[^\\\\/\\r\\n"'<>&]*[^\\\\/\\s"'<>&])?(?=[\\\\/]))*)[\\\\/]([^\\\\/\\s"'<>&]*)`,
+    foldCase ? 'gi' : 'g'
+  );
+  const normalise = (value) => {
+    const forward = value.replace(/\\/g, '/');
+    return foldCase ? forward.toLowerCase() : forward;
+  };
+  const publicPrefixes = publicRoots.map((root) => normalise(root) + '/');
+
+  return (text) => text.replace(pattern, (match, dirs, name) => {
+    const candidate = normalise(match);
+    if (publicPrefixes.some((prefix) => candidate.startsWith(prefix) || candidate + '/' === prefix)) {
+      return match;
+    }
+    const sep = match.indexOf('\\') !== -1 && match.indexOf('/') === -1 ? '\\' : '/';
+    return `${REDACTED}${sep}${name}`;
+  });
+}
+
+/**
+ * Open a log file that rotates by size (app.log → app.log.1 → … → app.log.N)
+ * @param {string} filePath - Log file path (parent directories are created)
+ * @param {object} [options] - Rotation options
+ * @param {number} [options.maxBytes] - Rotate before a write would pass this size
+ * @param {number} [options.maxFiles] - Rotated files kept besides the current one
+ * @returns {object} File with write(line) and close()
+ */
+function createRotatingFile(filePath, options = {}) {
+  const maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+  const maxFiles = options.maxFiles === undefined ? DEFAULT_MAX_FILES : options.maxFiles;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  let fd = fs.openSync(filePath, 'a');
+  let size = fs.fstatSync(fd).size;
+
+  function rotate() {
+    fs.closeSync(fd);
+    if (maxFiles > 0) {
+      for (let i = maxFiles - 1; i >= 1; i--) {
+        const from = `${filePath}.${i}`;
+        if (fs.existsSync(from)) fs.renameSync(from, `${filePath}.${i + 1}`);
+      }
+      fs.renameSync(filePath, `${filePath}.1`);
+    } else {
+      fs.unlinkSync(filePath);
+    }
+    fd = fs.openSync(filePath, 'a');
+    size = 0;
+  }
+
+  return {
+    /**
+     * @param {string} line - Line to append (newline included)
+     */
+    write(line) {
+      const bytes = Buffer.byteLength(line);
+      if (size > 0 && size + bytes > maxBytes) {
+        rotate();
+      }
+      fs.writeSync(fd, line);
+      size += bytes;
+    },
+    close() {
+      fs.closeSync(fd);
+    }
+  };
+}
+
+/**
+ * Create a logger
+ * @param {object} [options] - Logger options
+ * @param {string} [options.level='info'] - Most verbose level written
+ * @param {string} [options.format='text'] - 'text' or 'json'
+ * @param {string} [options.file] - Also append to this file, rotated by size
+ * @param {number} [options.maxBytes] - Log file size before rotation
+ * @param {number} [options.maxFiles] - Rotated log files kept
+ * @param {Function} [options.redact] - Applied to every message (see createPathRedactor)
+ * @param {object} [options.stdout] - Stream for info/debug (default: process.stdout)
+ * @param {object} [options.stderr] - Stream for warn/error (default: process.stderr)
+ * @returns {object} Logger with error/warn/info/debug(...args), child(fields), isLevelEnabled(),
+ *   runWithRequestId(), getRequestId() and close()
+ */
+function createLogger(options = {}) {
+  const level = parseLevel(options.level);
+  const json = options.format === 'json';
+  const redact = options.redact || ((text) => text);
+  const stdout = options.stdout || process.stdout;
+  const stderr = options.stderr || process.stderr;
+  const file = options.file ? createRotatingFile(options.file, options) : null;
+  const context = new AsyncLocalStorage();
+
+  /**
+   * Format and write one entry
+   * @param {string} entryLevel - Level of the entry
+   * @param {Array} args - console-style arguments
+   * @param {object} fields - Extra fields (JSON output) / suffix (text output)
+   */
+  function write(entryLevel, args, fields) {
+    if (LEVELS[entryLevel] > LEVELS[level]) return;
+
+    let message = redact(util.format(...args));
+    const store = context.getStore();
+    const requestId = store && store.requestId;
+    const time = new Date().toISOString();
+    let line;
+    if (json) {
+      const scopeMatch = message.match(SCOPE_PATTERN);
+      const entry = { time, level: entryLevel };
+      if (scopeMatch) {
+        entry.scope = scopeMatch[1];
+        message = message.slice(scopeMatch[0].length);
+      }
+      entry.msg = message;
+      if (requestId) entry.requestId = requestId;
+      line = JSON.stringify(Object.assign(entry, fields)) + '\n';
+    } else {
+      const extra = Object.keys(fields).map((key) => `${key}=${fields[key]}`);
+      if (requestId) extra.unshift(`req=${requestId}`);
+      line = `${time} ${entryLevel.toUpperCase().padEnd(5)} ${message}${extra.length > 0 ? ` (${extra.join(' ')})` : ''}\n`;
+    }
+
+    (LEVELS[entryLevel] <= LEVELS.warn ? stderr : stdout).write(line);
+    if (file) {
+      try {
+        file.write(line);
+      } catch (e) {
+        stderr.write(`Failed to write log file: ${e.message}\n`);
+      }
+    }
+  }
+
+  /**
+   * @param {object} fields - Fields added to every entry
+   * @returns {object} Level methods bound to the fields
+   */
+  function bind(fields) {
+    return {
+      error: (...args) => write('error', args, fields),
+      warn: (...args) => write('warn', args, fields),
+      info: (...args) => write('info', args, fields),
+      debug: (...args) => write('debug', args, fields),
+      child: (more) => bind(Object.assign({}, fields, more))
+    };
+  }
+
+  return Object.assign(bind({}), {
+    level,
+    /**
+     * @param {string} candidate - Level name
+     * @returns {boolean} True if entries at that level are written
+     */
+    isLevelEnabled: (candidate) => LEVELS[candidate] <= LEVELS[level],
+    /**
+     * Run fn with a request ID attached to everything it logs, including after awaits
+     * @param {string} requestId - Request ID
+     * @param {Function} fn - Function to run
+     * @returns {*} fn's return value
+     */
+    runWithRequestId: (requestId, fn) => context.run({ requestId }, fn),
+    /**
+     * @returns {string|null} Request ID of the current request, if any
+     */
+    getRequestId: () => {
+      const store = context.getStore();
+      return store ? store.requestId : null;
+    },
+    close: () => {
+      if (file) file.close();
+    }
+  });
+}
+
+module.exports = {
+  LEVELS,
+  parseLevel,
+  createRequestId,
+  isValidRequestId,
+  createPathRedactor,
+  createRotatingFile,
+  createLogger
+};
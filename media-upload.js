@@ -0,0 +1,376 @@
+/**
+ * Media upload pipeline
+ * Images dropped or inserted into a document are posted to /api/media/:filehash.
+ * The bytes are identified by their signature (never the client's filename or
+ * extension), checked against size and pixel limits and stored under a
+ * server-generated name. Formats the SDK cannot render (HEIC, TIFF), oversized
+ * images and rotated JPEGs go through an image tool when one is installed:
+ * ImageMagick anywhere, or sips on macOS.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+
+// Detected type -> extension of the stored file
+const IMAGE_EXTENSIONS = {
+  png: 'png',
+  jpeg: 'jpg',
+  gif: 'gif',
+  bmp: 'bmp',
+  webp: 'webp',
+  tiff: 'tif',
+  heic: 'heic'
+};
+
+// Types the editors cannot display, and what they are converted to
+const CONVERT_TO = { heic: 'jpeg', tiff: 'png' };
+
+// ISO-BMFF brands of HEIF/HEIC stills (iPhone photos)
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+const TOOL_TIMEOUT_MS = 30000;
+
+/**
+ * Identify an image by its leading bytes
+ * @param {Buffer} buffer - Uploaded bytes
+ * @returns {string|null} png, jpeg, gif, bmp, webp, tiff or heic; null for anything else (SVG included)
+ */
+function detectImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) return 'png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  const ascii = buffer.toString('latin1', 0, 12);
+  if (ascii.startsWith('GIF87a') || ascii.startsWith('GIF89a')) return 'gif';
+  if (ascii.startsWith('BM')) return 'bmp';
+  if (ascii.startsWith('RIFF') && ascii.slice(8, 12) === 'WEBP') return 'webp';
+  if (ascii.startsWith('II*\0') || ascii.startsWith('MM\0*')) return 'tiff';
+  if (ascii.slice(4, 8) === 'ftyp' && HEIF_BRANDS.indexOf(ascii.slice(8, 12)) !== -1) return 'heic';
+  return null;
+}
+
+/**
+ * Read the width and height of a JPEG from its first SOF marker
+ * @param {Buffer} buffer - JPEG bytes
+ * @returns {{width: number, height: number}|null} Stored (unrotated) size
+ */
+function readJpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    const length = buffer.readUInt16BE(offset + 2);
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+/**
+ * Read one SHORT/LONG value from a TIFF IFD
+ * @param {Buffer} buffer - Buffer holding the TIFF structure
+ * @param {number} start - Offset of the TIFF header within buffer
+ * @param {number} tag - Tag to look up
+ * @returns {number|null} Value, or null if the tag is absent
+ */
+function readTiffTag(buffer, start, tag) {
+  const little = buffer.toString('latin1', start, start + 2) === 'II';
+  const u16 = (at) => (little ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at));
+  const u32 = (at) => (little ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at));
+
+  const ifd = start + u32(start + 4);
+  if (ifd + 2 > buffer.length) return null;
+  const count = u16(ifd);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > buffer.length) return null;
+    if (u16(entry) === tag) {
+      return u16(entry + 2) === 3 ? u16(entry + 8) : u32(entry + 8);
+    }
+  }
+  return null;
+}
+
+/**
+ * EXIF orientation of a JPEG
+ * @param {Buffer} buffer - JPEG bytes
+ * @returns {number} 1-8; 1 when there is no EXIF orientation
+ */
+function readJpegOrientation(buffer) {
+  let offset = 2;
+  while (offset + 4 < buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    if (marker === 0xe1 && buffer.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+      try {
+        const orientation = readTiffTag(buffer, offset + 10, 0x0112);
+        return orientation >= 1 && orientation <= 8 ? orientation : 1;
+      } catch (e) {
+        return 1;
+      }
+    }
+    // Image data starts at SOS; EXIF always comes before it
+    if (marker === 0xda) break;
+    offset += 2 + length;
+  }
+  return 1;
+}
+
+/**
+ * Size of a HEIC image from its largest 'ispe' (image spatial extents) box
+ * @param {Buffer} buffer - HEIC bytes
+ * @returns {{width: number, height: number}|null} Size of the primary image
+ */
+function readHeicSize(buffer) {
+  let best = null;
+  let index = buffer.indexOf('ispe', 0, 'latin1');
+  while (index !== -1 && index + 16 <= buffer.length) {
+    const width = buffer.readUInt32BE(index + 8);
+    const height = buffer.readUInt32BE(index + 12);
+    if (!best || width * height > best.width * best.height) best = { width, height };
+    index = buffer.indexOf('ispe', index + 4, 'latin1');
+  }
+  return best;
+}
+
+/**
+ * Size of a WebP image (lossy, lossless or extended)
+ * @param {Buffer} buffer - WebP bytes
+ * @returns {{width: number, height: number}|null} Canvas size
+ */
+function readWebpSize(buffer) {
+  if (buffer.length < 30) return null;
+  const chunk = buffer.toString('latin1', 12, 16);
+  if (chunk === 'VP8X') {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8 ') {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  return null;
+}
+
+/**
+ * Identify an image and read its displayed size
+ * @param {Buffer} buffer - Image bytes
+ * @returns {{type: string, width: number, height: number, orientation: number}|null}
+ *   width/height as displayed (EXIF rotation applied); null if the bytes are not a supported image
+ */
+function readImageInfo(buffer) {
+  const type = detectImageType(buffer);
+  if (!type) return null;
+
+  let size = null;
+  let orientation = 1;
+  try {
+    if (type === 'png') {
+      size = { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    } else if (type === 'jpeg') {
+      size = readJpegSize(buffer);
+      orientation = readJpegOrientation(buffer);
+    } else if (type === 'gif') {
+      size = { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    } else if (type === 'bmp') {
+      size = { width: Math.abs(buffer.readInt32LE(18)), height: Math.abs(buffer.readInt32LE(22)) };
+    } else if (type === 'webp') {
+      size = readWebpSize(buffer);
+    } else if (type === 'tiff') {
+      size = { width: readTiffTag(buffer, 0, 0x100), height: readTiffTag(buffer, 0, 0x101) };
+    } else if (type === 'heic') {
+      size = readHeicSize(buffer);
+    }
+  } catch (e) {
+    size = null;
+  }
+  if (!size || !size.width || !size.height) return null;
+
+  // Orientations 5-8 rotate by 90 degrees, swapping the displayed axes
+  const rotated = orientation >= 5;
+  return {
+    type,
+    width: rotated ? size.height : size.width,
+    height: rotated ? size.width : size.height,
+    orientation
+  };
+}
+
+/**
+ * Find an installed image tool
+ * @param {object} [options] - Lookup options
+ * @param {string} [options.pathEnv=process.env.PATH] - Directories to search
+ * @param {string} [options.platform=process.platform] - Platform to look up for
+ * @returns {{name: string, path: string}|null} magick, convert (ImageMagick 6) or sips; null if none is installed
+ */
+function findImageTool(options = {}) {
+  const { pathEnv = process.env.PATH || '', platform = process.platform } = options;
+  const dirs = pathEnv.split(path.delimiter).filter(Boolean);
+  // Windows ships an unrelated convert.exe (FAT to NTFS), so only `magick` counts there
+  const names = platform === 'win32' ? ['magick.exe'] : ['magick', 'convert'];
+  if (platform === 'darwin') names.push('sips');
+
+  for (const name of names) {
+    for (const dir of dirs) {
+      const candidate = path.join(dir, name);
+      if (fs.existsSync(candidate)) {
+        return { name: name.replace(/\.exe$/, ''), path: candidate };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the command line for one transformation
+ * @param {{name: string, path: string}} tool - Tool from findImageTool()
+ * @param {object} job - Transformation
+ * @param {string} job.inputPath - Source image
+ * @param {string} job.outputPath - Destination; its extension picks the format
+ * @param {string} job.format - Output type (png, jpeg, ...)
+ * @param {number} [job.maxDimension] - Downscale so neither side exceeds this
+ * @returns {Array<string>} Arguments for tool.path
+ */
+function getToolArgs(tool, job) {
+  if (tool.name === 'sips') {
+    const args = ['-s', 'format', job.format];
+    if (job.maxDimension) args.push('-Z', String(job.maxDimension));
+    return args.concat([job.inputPath, '--out', job.outputPath]);
+  }
+  // -auto-orient rotates the pixels and resets the EXIF orientation; '>' only ever shrinks
+  const args = [job.inputPath, '-auto-orient'];
+  if (job.maxDimension) args.push('-resize', `${job.maxDimension}x${job.maxDimension}>`);
+  return args.concat([job.outputPath]);
+}
+
+/**
+ * Run an image tool
+ * @param {{name: string, path: string}} tool - Tool from findImageTool()
+ * @param {object} job - Transformation (see getToolArgs)
+ * @returns {Promise<void>} Resolves once outputPath is written
+ */
+function runImageTool(tool, job) {
+  return new Promise((resolve, reject) => {
+    execFile(tool.path, getToolArgs(tool, job), { timeout: TOOL_TIMEOUT_MS }, (error, stdout, stderr) => {
+      if (error) {
+        error.code = 'EMEDIATOOL';
+        error.details = String(stderr || error.message).trim();
+        return reject(error);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Create an error for a rejected upload
+ * @param {string} message - Human readable message
+ * @param {string} code - EMEDIATYPE (not a supported image) or EMEDIASIZE (over a limit)
+ * @returns {Error} Error with `code` set
+ */
+function createMediaError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Create an uploader
+ * @param {object} [options] - Limits and tools
+ * @param {number} [options.maxBytes=52428800] - Largest accepted upload
+ * @param {number} [options.maxPixels=100000000] - Largest accepted width x height (decompression bombs)
+ * @param {number} [options.maxDimension=4096] - Longer images are downscaled to this when a tool is available
+ * @param {{name: string, path: string}|null} [options.tool] - Image tool (default: findImageTool())
+ * @returns {object} Uploader with store(), tool and maxBytes
+ */
+function createMediaUploader(options = {}) {
+  const {
+    maxBytes = 50 * 1024 * 1024,
+    maxPixels = 100 * 1000 * 1000,
+    maxDimension = 4096
+  } = options;
+  const tool = options.tool === undefined ? findImageTool() : options.tool;
+
+  /**
+   * Validate, normalise and store an uploaded image
+   * @param {Buffer} buffer - Uploaded bytes
+   * @param {string} mediaDir - Document media directory (created if missing)
+   * @returns {Promise<{filename: string, type: string, width: number, height: number, converted: boolean}>} Stored image
+   * @throws {Error} With code EMEDIATYPE, EMEDIASIZE or EMEDIATOOL
+   */
+  async function store(buffer, mediaDir) {
+    if (buffer.length > maxBytes) {
+      throw createMediaError(`Image is larger than ${maxBytes} bytes`, 'EMEDIASIZE');
+    }
+    const info = readImageInfo(buffer);
+    if (!info) {
+      throw createMediaError('Upload is not a supported image (PNG, JPEG, GIF, BMP, WebP, TIFF or HEIC)', 'EMEDIATYPE');
+    }
+    if (info.width * info.height > maxPixels) {
+      throw createMediaError(`Image is ${info.width}x${info.height}; the limit is ${maxPixels} pixels`, 'EMEDIASIZE');
+    }
+
+    fs.mkdirSync(mediaDir, { recursive: true });
+    const baseName = `image_${crypto.randomBytes(8).toString('hex')}`;
+
+    const targetType = CONVERT_TO[info.type] || (tool && tool.name === 'sips' && info.type === 'webp' ? 'png' : info.type);
+    const oversized = Math.max(info.width, info.height) > maxDimension && info.type !== 'gif';
+    // sips keeps the EXIF orientation, so rotated photos only go through ImageMagick
+    const rotated = info.orientation > 1 && tool && tool.name !== 'sips';
+    const needsTool = targetType !== info.type || oversized || rotated;
+
+    if (!needsTool || !tool) {
+      if (targetType !== info.type) {
+        throw createMediaError(`${info.type.toUpperCase()} images need ImageMagick to be converted`, 'EMEDIATYPE');
+      }
+      // Without a tool, browsers still honour EXIF orientation; the size reported is the displayed one
+      const filename = `${baseName}.${IMAGE_EXTENSIONS[info.type]}`;
+      fs.writeFileSync(path.join(mediaDir, filename), buffer);
+      return { filename, type: info.type, width: info.width, height: info.height, converted: false };
+    }
+
+    const inputPath = path.join(mediaDir, `.${baseName}.upload.${IMAGE_EXTENSIONS[info.type]}`);
+    const filename = `${baseName}.${IMAGE_EXTENSIONS[targetType]}`;
+    const outputPath = path.join(mediaDir, filename);
+    fs.writeFileSync(inputPath, buffer);
+    try {
+      await runImageTool(tool, {
+        inputPath,
+        outputPath,
+        format: targetType,
+        maxDimension: oversized ? maxDimension : undefined
+      });
+      const output = readImageInfo(fs.readFileSync(outputPath));
+      if (!output) {
+        throw createMediaError(`${tool.name} did not produce a readable image`, 'EMEDIATOOL');
+      }
+      return { filename, type: output.type, width: output.width, height: output.height, converted: true };
+    } catch (error) {
+      fs.rmSync(outputPath, { force: true });
+      throw error;
+    } finally {
+      fs.rmSync(inputPath, { force: true });
+    }
+  }
+
+  return { tool, maxBytes, store };
+}
+
+module.exports = {
+  IMAGE_EXTENSIONS,
+  detectImageType,
+  readImageInfo,
+  findImageTool,
+  getToolArgs,
+  createMediaUploader
+};
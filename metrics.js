@@ -0,0 +1,187 @@
+/**
+ * Prometheus-style metrics
+ * A small registry of counters, gauges and histograms rendered in the
+ * Prometheus text exposition format (served at /metrics). Gauges can take a
+ * collect() callback so values owned elsewhere (x2t queue, watched files) are
+ * read at scrape time instead of being mirrored.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; conversions of large workbooks can take minutes
+const DEFAULT_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+/**
+ * Escape a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string} Value with backslashes, quotes and newlines escaped
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a number the way Prometheus expects
+ * @param {number} value - Sample value
+ * @returns {string} Decimal text, +Inf/-Inf or NaN
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * @param {Array<string>} names - Label names
+ * @param {Array<string>} values - Label values, same order
+ * @returns {string} "{a="x",b="y"}", or "" without labels
+ */
+function formatLabels(names, values) {
+  if (names.length === 0) return '';
+  return `{${names.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`).join(',')}}`;
+}
+
+/**
+ * Create a metrics registry
+ * @returns {object} Registry with counter(), gauge(), histogram(), render() and contentType
+ */
+function createMetricsRegistry() {
+  const metrics = [];
+
+  /**
+   * Register a metric and its per-label-set series
+   * @param {string} type - counter, gauge or histogram
+   * @param {object} spec - name, help, labelNames
+   * @param {Function} createSeries - () => new series state
+   * @returns {object} Metric with series(labels) => state
+   */
+  function register(type, spec, createSeries) {
+    if (!NAME_PATTERN.test(spec.name)) {
+      throw new Error(`Invalid metric name: ${spec.name}`);
+    }
+    if (metrics.some((metric) => metric.name === spec.name)) {
+      throw new Error(`Metric already registered: ${spec.name}`);
+    }
+    const labelNames = spec.labelNames || [];
+    const seriesByKey = new Map();
+    const metric = {
+      type,
+      name: spec.name,
+      help: spec.help,
+      labelNames,
+      collect: spec.collect,
+      seriesByKey,
+      series(labels = {}) {
+        const values = labelNames.map((name) => (labels[name] === undefined ? '' : String(labels[name])));
+        const key = JSON.stringify(values);
+        let state = seriesByKey.get(key);
+        if (!state) {
+          state = Object.assign(createSeries(), { values });
+          seriesByKey.set(key, state);
+        }
+        return state;
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Counter: only goes up
+   * @param {object} spec - name, help, labelNames
+   * @returns {object} Counter with inc(labels, [amount])
+   */
+  function counter(spec) {
+    const metric = register('counter', spec, () => ({ value: 0 }));
+    return {
+      inc(labels, amount = 1) {
+        if (amount < 0) throw new Error(`Counter ${spec.name} cannot decrease`);
+        metric.series(labels).value += amount;
+      },
+      get: (labels) => metric.series(labels).value
+    };
+  }
+
+  /**
+   * Gauge: a value that goes up and down
+   * @param {object} spec - name, help, labelNames, and optional collect(gauge) called before each render
+   * @returns {object} Gauge with set(labels, value), inc(labels, [amount]) and dec(labels, [amount])
+   */
+  function gauge(spec) {
+    const metric = register('gauge', spec, () => ({ value: 0 }));
+    const api = {
+      set(labels, value) {
+        metric.series(labels).value = value;
+      },
+      inc(labels, amount = 1) {
+        metric.series(labels).value += amount;
+      },
+      dec(labels, amount = 1) {
+        metric.series(labels).value -= amount;
+      }
+    };
+    metric.api = api;
+    return api;
+  }
+
+  /**
+   * Histogram: observations counted into cumulative buckets, plus sum and count
+   * @param {object} spec - name, help, labelNames, buckets (upper bounds, default DEFAULT_DURATION_BUCKETS)
+   * @returns {object} Histogram with observe(labels, value)
+   */
+  function histogram(spec) {
+    const buckets = (spec.buckets || DEFAULT_DURATION_BUCKETS).slice().sort((a, b) => a - b);
+    const metric = register('histogram', spec, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+    metric.buckets = buckets;
+    return {
+      observe(labels, value) {
+        const state = metric.series(labels);
+        for (let i = 0; i < buckets.length; i++) {
+          if (value <= buckets[i]) state.counts[i]++;
+        }
+        state.sum += value;
+        state.count++;
+      }
+    };
+  }
+
+  /**
+   * Render every metric in the text exposition format
+   * @returns {string} Exposition text, ending in a newline
+   */
+  function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      if (metric.collect) {
+        metric.collect(metric.api);
+      }
+      lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const state of metric.seriesByKey.values()) {
+        if (metric.type !== 'histogram') {
+          lines.push(`${metric.name}${formatLabels(metric.labelNames, state.values)} ${formatValue(state.value)}`);
+          continue;
+        }
+        const bucketLabels = metric.labelNames.concat('le');
+        metric.buckets.forEach((bound, i) => {
+          lines.push(`${metric.name}_bucket${formatLabels(bucketLabels, state.values.concat(formatValue(bound)))} ${state.counts[i]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels(bucketLabels, state.values.concat('+Inf'))} ${state.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(metric.labelNames, state.values)} ${formatValue(state.sum)}`);
+        lines.push(`${metric.name}_count${formatLabels(metric.labelNames, state.values)} ${state.count}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render, contentType: CONTENT_TYPE };
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_DURATION_BUCKETS,
+  escapeLabelValue,
+  createMetricsRegistry
+};
@@ -0,0 +1,190 @@
+/**
+ * Filesystem sandbox
+ * Routes take absolute paths from the browser, so every one of them goes
+ * through a policy before touching the disk: the path must resolve (symlinks
+ * included) inside one of the allowed roots and outside the deny-list. Fonts
+ * get their own, narrower set of roots.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Paths are compared case-insensitively where the default filesystems are
+const CASE_INSENSITIVE = process.platform === 'win32' || process.platform === 'darwin';
+
+/**
+ * Split a PATH-style list (':' separated, ';' on Windows)
+ * @param {string|undefined} value - e.g. process.env.ALLOWED_ROOTS
+ * @returns {Array<string>} Absolute paths; empty entries are dropped
+ */
+function parsePathList(value) {
+  if (!value) return [];
+  return value.split(path.delimiter).filter(Boolean).map((entry) => path.resolve(entry));
+}
+
+/**
+ * Roots documents may be opened from when ALLOWED_ROOTS is not set
+ * @returns {Array<string>} The home directory and the temp directory
+ */
+function getDefaultAllowedRoots() {
+  return [os.homedir(), os.tmpdir()];
+}
+
+/**
+ * Credentials and system locations that are refused even inside an allowed root
+ * @returns {Array<string>} Absolute paths
+ */
+function getDefaultDeniedPaths() {
+  const home = os.homedir();
+  const denied = ['.ssh', '.gnupg', '.aws', '.azure', '.kube', '.docker', path.join('.config', 'gcloud')]
+    .map((entry) => path.join(home, entry));
+
+  if (process.platform === 'win32') {
+    denied.push(process.env.SystemRoot || 'C:\\Windows');
+  } else {
+    denied.push('/etc', '/proc', '/sys', '/dev');
+  }
+  if (process.platform === 'darwin') {
+    denied.push(path.join(home, 'Library', 'Keychains'), '/private/etc');
+  }
+  return denied;
+}
+
+/**
+ * Directories the platform installs fonts into (the ones allfontsgen scans)
+ * @returns {Array<string>} Absolute paths; they need not exist
+ */
+function getSystemFontDirs() {
+  const home = os.homedir();
+  if (process.platform === 'win32') {
+    const localAppData = process.env.LOCALAPPDATA || path.join(home, 'AppData', 'Local');
+    return [
+      path.join(process.env.SystemRoot || 'C:\\Windows', 'Fonts'),
+      path.join(localAppData, 'Microsoft', 'Windows', 'Fonts')
+    ];
+  }
+  if (process.platform === 'darwin') {
+    return [
+      '/System/Library/Fonts',
+      '/System/Library/AssetsV2',
+      '/Library/Fonts',
+      '/Network/Library/Fonts',
+      path.join(home, 'Library', 'Fonts')
+    ];
+  }
+  return [
+    '/usr/share/fonts',
+    '/usr/local/share/fonts',
+    '/usr/share/X11/fonts',
+    path.join(home, '.fonts'),
+    path.join(home, '.local', 'share', 'fonts')
+  ];
+}
+
+/**
+ * Resolve symlinks in a path that may not exist yet
+ * The deepest existing ancestor is resolved and the missing segments are
+ * appended, so a save target inside a symlinked directory is judged by where
+ * it will actually be written.
+ * @param {string} target - Absolute path
+ * @returns {string} Real path
+ */
+function resolveRealPath(target) {
+  const missing = [];
+  let current = path.resolve(target);
+  for (;;) {
+    try {
+      return path.join(fs.realpathSync.native(current), ...missing);
+    } catch (e) {
+      const parent = path.dirname(current);
+      if (parent === current) return path.resolve(target);
+      missing.unshift(path.basename(current));
+      current = parent;
+    }
+  }
+}
+
+/**
+ * Whether a path is a root or lies below it
+ * @param {string} root - Resolved directory
+ * @param {string} target - Resolved path
+ * @returns {boolean} True if target is inside root
+ */
+function isWithin(root, target) {
+  const relative = CASE_INSENSITIVE
+    ? path.relative(root.toLowerCase(), target.toLowerCase())
+    : path.relative(root, target);
+  return relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative));
+}
+
+/**
+ * Create a path policy
+ * @param {object} [options] - Policy options
+ * @param {Array<string>} [options.allowedRoots] - Directories documents may be read from and written to (default: home and temp)
+ * @param {Array<string>} [options.deniedPaths] - Refused even inside an allowed root (default: getDefaultDeniedPaths())
+ * @param {Array<string>} [options.fontRoots] - Directories /fonts/* may serve from (default: getSystemFontDirs())
+ * @returns {object} Policy with resolve(), resolveFont(), allowedRoots, deniedPaths and fontRoots
+ */
+function createPathPolicy(options = {}) {
+  const allowedRoots = (options.allowedRoots || getDefaultAllowedRoots()).map(resolveRealPath);
+  const deniedPaths = (options.deniedPaths || getDefaultDeniedPaths()).map(resolveRealPath);
+  const fontRoots = (options.fontRoots || getSystemFontDirs()).map(resolveRealPath);
+
+  /**
+   * Resolve a client-supplied path against a set of roots
+   * @param {string} filepath - Path from the request
+   * @param {Array<string>} roots - Allowed roots
+   * @returns {string} Real path
+   * @throws {Error} With code 'EPATHDENIED' when the path is outside the roots or denied
+   */
+  function check(filepath, roots) {
+    const fail = (reason) => {
+      const error = new Error(`Access to ${filepath} is not allowed: ${reason}`);
+      error.code = 'EPATHDENIED';
+      return error;
+    };
+
+    if (typeof filepath !== 'string' || !filepath || filepath.includes('\0')) {
+      throw fail('invalid path');
+    }
+    const realPath = resolveRealPath(filepath);
+    if (!roots.some((root) => isWithin(root, realPath))) {
+      throw fail('outside the allowed directories');
+    }
+    if (deniedPaths.some((denied) => isWithin(denied, realPath))) {
+      throw fail('protected location');
+    }
+    return realPath;
+  }
+
+  return {
+    allowedRoots,
+    deniedPaths,
+    fontRoots,
+    /**
+     * Check a document path (read or write target)
+     * @param {string} filepath - Absolute path from the request
+     * @returns {string} Real path
+     * @throws {Error} With code 'EPATHDENIED'
+     */
+    resolve: (filepath) => check(filepath, allowedRoots),
+    /**
+     * Check a font path requested through /fonts/*
+     * @param {string} fontPath - Absolute path from the request
+     * @returns {string} Real path
+     * @throws {Error} With code 'EPATHDENIED'
+     */
+    resolveFont: (fontPath) => check(fontPath, fontRoots)
+  };
+}
+
+module.exports = {
+  parsePathList,
+  getDefaultAllowedRoots,
+  getDefaultDeniedPaths,
+  getSystemFontDirs,
+  resolveRealPath,
+  isWithin,
+  createPathPolicy
+};
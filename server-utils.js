@@ -4,7 +4,31 @@
  */
 
 const path = require('path');
+const fs = require('fs');
 const crypto = require('crypto');
+const { getFormat, getFormatForFile, listExtensions } = require('./format-registry');
+
+// x2t exit codes with a meaning callers act on (DocumentServer CONVERT_* constants, negated)
+const X2T_EXIT_CODES = {
+  PASSWORD: 91
+};
+
+// Visio drawings, stencils and templates (opened by the visio editor)
+const VISIO_EXTENSIONS = listExtensions('diagram').map((ext) => ext.slice(1));
+
+// Page images x2t renders (AVS_OFFICESTUDIO_FILE_IMAGE); the format needs <m_oThumbnail>
+const IMAGE_OUTPUT_EXTENSIONS = ['png', 'jpg'];
+const X2T_FORMAT_IMAGE = 1024;
+
+// CSV settings used unless the caller asks otherwise: UTF-8 (x2t encoding 46), comma (delimiter 4)
+const CSV_DEFAULT_CODEPAGE = 46;
+const CSV_DEFAULT_DELIMITER = 4;
+
+// CXIMAGE_FORMAT_* codes x2t expects in <m_oThumbnail><format>
+const THUMBNAIL_FORMATS = {
+  jpg: 3,
+  png: 4
+};
 
 /**
  * Get x2t format code from file extension string
@@ -12,33 +36,70 @@ const crypto = require('crypto');
  * @returns {number|null} x2t format code or null if unsupported
  */
 function getX2TFormatCode(formatString) {
-  const formatMap = {
-    'xlsx': 257, 'xls': 257, 'ods': 257, 'csv': 260,
-    'docx': 65, 'doc': 65, 'odt': 65, 'txt': 65, 'rtf': 65, 'html': 65,
-    'pptx': 129, 'ppt': 129, 'odp': 129,
-    'pdf': 513
-  };
-  return formatMap[formatString.toLowerCase()] || null;
+  const format = getFormat(`.${formatString}`);
+  if (format) return format.code;
+  return IMAGE_OUTPUT_EXTENSIONS.indexOf(formatString.toLowerCase()) !== -1 ? X2T_FORMAT_IMAGE : null;
 }
 
 /**
  * Get x2t format code for output based on file extension
  * @param {string} ext - File extension with leading dot (e.g., '.xlsx')
- * @returns {object} Format info with code and name, or null if unsupported
+ * @returns {object} Format info with code and name, or null if x2t cannot write the format
  */
 function getOutputFormatInfo(ext) {
-  const normalized = ext.toLowerCase();
-  
-  if (normalized === '.xlsx' || normalized === '.xls' || normalized === '.ods') {
-    return { code: 257, name: 'XLSX' };
-  } else if (normalized === '.csv') {
-    return { code: 260, name: 'CSV' };
-  } else if (normalized === '.docx' || normalized === '.doc' || normalized === '.odt' || normalized === '.txt' || normalized === '.rtf' || normalized === '.html') {
-    return { code: 65, name: 'DOCX' };
-  } else if (normalized === '.pptx' || normalized === '.ppt' || normalized === '.odp') {
-    return { code: 129, name: 'PPTX' };
+  const format = getFormat(ext);
+  return format && format.writable ? { code: format.code, name: format.ext.slice(1).toUpperCase() } : null;
+}
+
+/**
+ * Work out how a file is saved back to disk
+ *
+ * Files are written in their own format when x2t can write it. Binary
+ * .xls/.doc/.ppt cannot be written, and TXT, RTF and HTML drop most of what the
+ * editor can do, so saving those is the user's choice: keep the format (when
+ * possible) or save as OOXML next to the original.
+ *
+ * @param {string} ext - File extension with leading dot (e.g., '.odt')
+ * @returns {object|null} { format, ooxml, needsChoice }: format is the file's own output format
+ *   (null when x2t cannot write it), ooxml the { ext, code, name } to save as instead;
+ *   null for files that cannot be saved
+ */
+function getSavePlan(ext) {
+  const format = getOutputFormatInfo(ext);
+  const registered = getFormat(ext);
+  const ooxmlExt = registered && registered.ooxml;
+  if (!format && !ooxmlExt) return null;
+  return {
+    format,
+    ooxml: ooxmlExt ? { ext: ooxmlExt, ...getOutputFormatInfo(ooxmlExt) } : null,
+    needsChoice: Boolean(ooxmlExt)
+  };
+}
+
+/**
+ * Path for a file saved under another extension next to the original
+ * @param {string} filepath - Original file (e.g. /docs/report.xls)
+ * @param {string} ext - New extension with leading dot (e.g. '.xlsx')
+ * @param {Function} [exists=fs.existsSync] - Existence check (injected by tests)
+ * @returns {string} /docs/report.xlsx, or "/docs/report (2).xlsx" and so on when taken
+ */
+function getSiblingPath(filepath, ext, exists = fs.existsSync) {
+  const base = path.join(path.dirname(filepath), path.basename(filepath, path.extname(filepath)));
+  let candidate = base + ext;
+  for (let n = 2; exists(candidate); n++) {
+    candidate = `${base} (${n})${ext}`;
   }
-  return null;
+  return candidate;
+}
+
+/**
+ * Extension of the document a template creates
+ * @param {string} ext - File extension with leading dot (e.g. '.dotx')
+ * @returns {string|null} '.docx' for '.dotx' and so on, or null when ext is not a template
+ */
+function getTemplateDocumentExtension(ext) {
+  const format = getFormat(ext);
+  return (format && format.template) || null;
 }
 
 /**
@@ -53,18 +114,20 @@ function generateFileHash(filepath) {
 /**
  * Determine document type from file extension
  * @param {string} filename - Filename with extension
- * @returns {string} Document type: 'cell', 'word', or 'slide'
+ * @returns {string} Document type: 'cell', 'word', 'slide', 'pdf', or 'diagram'
  */
 function getDocTypeFromFilename(filename) {
-  const ext = filename.split('.').pop().toLowerCase();
-  if (ext === 'xlsx' || ext === 'xls' || ext === 'ods' || ext === 'csv') {
-    return 'cell';
-  } else if (ext === 'docx' || ext === 'doc' || ext === 'odt' || ext === 'txt' || ext === 'rtf' || ext === 'html') {
-    return 'word';
-  } else if (ext === 'pptx' || ext === 'ppt' || ext === 'odp') {
-    return 'slide';
-  }
-  return 'slide';
+  const format = getFormatForFile(filename);
+  return format ? format.docType : 'slide';
+}
+
+/**
+ * Check whether a file has an extension the editors can open
+ * @param {string} filename - Filename to check
+ * @returns {boolean} True for formats in the registry (see format-registry.js)
+ */
+function isSupportedDocument(filename) {
+  return getFormatForFile(path.basename(filename)) !== null;
 }
 
 /**
@@ -77,7 +140,7 @@ function isAbsolutePath(filepath) {
 }
 
 /**
- * Get content type for file extension
+ * Get content type for file extension (documents: see format-registry.js)
  * @param {string} ext - File extension with leading dot
  * @returns {string} MIME content type
  */
@@ -96,15 +159,87 @@ function getContentType(ext) {
     '.otf': 'font/otf',
     '.ttc': 'font/collection',
     '.woff': 'font/woff',
-    '.woff2': 'font/woff2',
-    '.pdf': 'application/pdf',
-    '.txt': 'text/plain',
-    '.html': 'text/html',
-    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+    '.woff2': 'font/woff2'
   };
-  return contentTypes[ext.toLowerCase()] || 'application/octet-stream';
+  const format = getFormat(ext);
+  return contentTypes[ext.toLowerCase()] || (format && format.mime) || 'application/octet-stream';
+}
+
+/**
+ * Escape a value for use as XML element text
+ * @param {string} value - Raw text
+ * @returns {string} Text with &, <, >, " and ' escaped
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Build the x2t params elements for reading or writing delimited and plain text
+ * @param {boolean|object} csv - true for UTF-8 and comma, or { codePage, delimiter, delimiterChar }
+ *   (x2t code page, DocumentServer delimiter code 0-5, and the character used when the code is 0)
+ * @returns {string} XML elements (each on its own line, with leading newline), or '' when csv is not set
+ */
+function getX2TCsvXml(csv) {
+  if (!csv) {
+    return '';
+  }
+  const codePage = csv.codePage !== undefined ? csv.codePage : CSV_DEFAULT_CODEPAGE;
+  const delimiter = csv.delimiter !== undefined ? csv.delimiter : CSV_DEFAULT_DELIMITER;
+  let xml = `\n<m_nCsvTxtEncoding>${codePage}</m_nCsvTxtEncoding>\n<m_nCsvDelimiter>${delimiter}</m_nCsvDelimiter>`;
+  if (csv.delimiterChar) {
+    xml += `\n<m_nCsvDelimiterChar>${escapeXml(csv.delimiterChar)}</m_nCsvDelimiterChar>`;
+  }
+  return xml;
+}
+
+/**
+ * Build the x2t params elements for opening or writing encrypted documents
+ * @param {object} options - Password options
+ * @param {string} [options.password] - Password to decrypt the input with
+ * @param {string} [options.savePassword] - Password to encrypt the output with
+ * @returns {string} XML elements (each on its own line, with leading newline), or '' when neither is set
+ */
+function getX2TPasswordXml(options) {
+  let xml = '';
+  if (options.password) {
+    xml += `\n<m_sPassword>${escapeXml(options.password)}</m_sPassword>`;
+  }
+  if (options.savePassword) {
+    xml += `\n<m_sSavePassword>${escapeXml(options.savePassword)}</m_sSavePassword>`;
+  }
+  return xml;
+}
+
+/**
+ * Build the x2t params block for rendering pages to images (format 1024)
+ * @param {object} options - Thumbnail options
+ * @param {string} [options.format='png'] - Image type: 'png' or 'jpg'
+ * @param {boolean} [options.first=true] - Render only the first page instead of a zip of all pages
+ * @param {number} [options.aspect=1] - 0 stretches to width x height, 1 keeps the aspect ratio, 2 uses page size
+ * @param {number} [options.width] - Target width in pixels
+ * @param {number} [options.height] - Target height in pixels
+ * @returns {string} <m_oThumbnail> element with leading newline
+ */
+function getX2TThumbnailXml(options = {}) {
+  const format = THUMBNAIL_FORMATS[(options.format || 'png').toLowerCase()] || THUMBNAIL_FORMATS.png;
+  const aspect = options.aspect !== undefined ? options.aspect : 1;
+  const first = options.first !== false;
+
+  let xml = `\n<m_oThumbnail>\n<format>${format}</format>\n<aspect>${aspect}</aspect>\n<first>${first}</first>`;
+  if (options.width) {
+    xml += `\n<width>${Math.round(options.width)}</width>`;
+  }
+  if (options.height) {
+    xml += `\n<height>${Math.round(options.height)}</height>`;
+  }
+  xml += '\n</m_oThumbnail>';
+  return xml;
 }
 
 /**
@@ -117,6 +252,12 @@ function getContentType(ext) {
  * @param {string} options.fontDir - Font directory path
  * @param {string} options.themeDir - Theme directory path
  * @param {number} [options.formatFrom] - Source format code (optional)
+ * @param {string} [options.password] - Password to open an encrypted input (optional)
+ * @param {string} [options.savePassword] - Password to encrypt the output with (optional)
+ * @param {object} [options.thumbnail] - getX2TThumbnailXml options when converting to an image (optional)
+ * @param {object} [options.jsonParams] - Render options for sdkjs, written as JSON into m_sJsonParams (optional)
+ * @param {boolean|object} [options.csv] - CSV encoding and delimiter settings for getX2TCsvXml (optional)
+ * @param {number} [options.lcid] - Windows locale ID for dates and numbers (optional)
  * @returns {string} XML configuration string
  */
 function generateX2TConfig(options) {
@@ -127,29 +268,42 @@ function generateX2TConfig(options) {
     formatTo,
     fontDir,
     themeDir,
-    formatFrom
+    formatFrom,
+    password,
+    savePassword,
+    thumbnail,
+    jsonParams,
+    csv,
+    lcid
   } = options;
 
   let xml = `<?xml version="1.0" encoding="utf-8"?>
 <TaskQueueDataConvert xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema">
 <m_sKey>api_conversion</m_sKey>
-<m_sFileFrom>${inputPath}</m_sFileFrom>
-<m_sFileTo>${outputPath}</m_sFileTo>
-<m_sTitle>${filename}</m_sTitle>
+<m_sFileFrom>${escapeXml(inputPath)}</m_sFileFrom>
+<m_sFileTo>${escapeXml(outputPath)}</m_sFileTo>
+<m_sTitle>${escapeXml(filename)}</m_sTitle>
 <m_nFormatTo>${formatTo}</m_nFormatTo>`;
 
   if (formatFrom !== undefined) {
     xml += `\n<m_nFormatFrom>${formatFrom}</m_nFormatFrom>`;
   }
 
+  xml += getX2TCsvXml(csv);
+  xml += getX2TPasswordXml({ password, savePassword });
+
+  if (thumbnail) {
+    xml += getX2TThumbnailXml(thumbnail);
+  }
+
   xml += `
 <m_bPaid xsi:nil="true" />
 <m_bEmbeddedFonts xsi:nil="true" />
 <m_bFromChanges>false</m_bFromChanges>
-<m_sFontDir>${fontDir}</m_sFontDir>
-<m_sThemeDir>${themeDir}</m_sThemeDir>
-<m_sJsonParams>{}</m_sJsonParams>
-<m_nLcid xsi:nil="true" />
+<m_sFontDir>${escapeXml(fontDir)}</m_sFontDir>
+<m_sThemeDir>${escapeXml(themeDir)}</m_sThemeDir>
+<m_sJsonParams>${escapeXml(JSON.stringify(jsonParams || {}))}</m_sJsonParams>
+${lcid ? `<m_nLcid>${lcid}</m_nLcid>` : '<m_nLcid xsi:nil="true" />'}
 <m_oTimestamp>${new Date().toISOString()}</m_oTimestamp>
 <m_bIsNoBase64 xsi:nil="true" />
 <m_sConvertToOrigin xsi:nil="true" />
@@ -198,14 +352,36 @@ function isXLSXSignature(data) {
   return data[0] === 0x50 && data[1] === 0x4B;
 }
 
+/**
+ * Check if file data starts with the PDF header (%PDF-)
+ * @param {Buffer} data - File data buffer
+ * @returns {boolean} True if data is a complete PDF file
+ */
+function isPDFSignature(data) {
+  if (!data || data.length < 5) return false;
+  return data.slice(0, 5).toString('latin1') === '%PDF-';
+}
+
 module.exports = {
+  X2T_EXIT_CODES,
+  X2T_FORMAT_IMAGE,
+  VISIO_EXTENSIONS,
   getX2TFormatCode,
   getOutputFormatInfo,
+  getSavePlan,
+  getSiblingPath,
+  getTemplateDocumentExtension,
   generateFileHash,
   getDocTypeFromFilename,
+  isSupportedDocument,
   isAbsolutePath,
   getContentType,
+  escapeXml,
+  getX2TCsvXml,
+  getX2TPasswordXml,
+  getX2TThumbnailXml,
   generateX2TConfig,
   extractFilePathFromUrl,
-  isXLSXSignature
+  isXLSXSignature,
+  isPDFSignature
 };
@@ -3,17 +3,65 @@ const compression = require('compression');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
-const crypto = require('crypto');
 const { spawn, spawnSync } = require('child_process');
 const {
-  getX2TFormatCode,
   getOutputFormatInfo,
-  generateFileHash,
+  getSavePlan,
+  getSiblingPath,
+  getTemplateDocumentExtension,
+  isSupportedDocument,
   getDocTypeFromFilename,
   isAbsolutePath,
   getContentType,
-  isXLSXSignature
+  generateX2TConfig,
+  isXLSXSignature,
+  isPDFSignature
 } = require('./server-utils');
+const { getFormatForFile, isEditableFormat } = require('./format-registry');
+const { listWorkbookSheets, getSheetFilePath, getSheetFilePaths } = require('./workbook-sheets');
+const {
+  TEXT_ENCODINGS,
+  getDialectKind,
+  getDefaultDialect,
+  decodeText,
+  parseRows,
+  sniffFileDialect,
+  normalizeDialect,
+  getX2TTextOptions,
+  requoteText,
+  createDialectStore
+} = require('./csv-dialect');
+const { createX2TScheduler } = require('./x2t-scheduler');
+const { createTempPath, commitTempFile, removeQuietly } = require('./atomic-save');
+const { createBackupStore } = require('./backup-store');
+const { hasChangedSince, createFileWatchRegistry } = require('./file-watcher');
+const { HASH_PATTERN, getDefaultCacheDir, createCacheStore } = require('./cache-store');
+const { getConverterVersion } = require('./cache-key');
+const { runDeepDiagnostics } = require('./diagnostics');
+const {
+  parsePathList,
+  getDefaultAllowedRoots,
+  getDefaultDeniedPaths,
+  getSystemFontDirs,
+  resolveRealPath,
+  createPathPolicy
+} = require('./path-policy');
+const { TOKEN_HEADER, TOKEN_COOKIE, generateToken, parseList, createAccessControl } = require('./access-control');
+const { createMediaUploader } = require('./media-upload');
+const { makeETag, sendFileStream, receiveToFile, moveFileSync } = require('./file-transfer');
+const { parseLevel, createRequestId, isValidRequestId, createPathRedactor, createLogger } = require('./logger');
+const { createMetricsRegistry } = require('./metrics');
+const { createConvertApi, downloadToFile } = require('./convert-api');
+const { FORCE_SAVE_TYPES, buildSaveCallback, sendCallback, createCallbackHandler } = require('./document-callback');
+const packageInfo = require('./package.json');
+const {
+  X2T_FORMAT_CANVAS,
+  X2T_FORMAT_CANVAS_PDF,
+  SECRET_PARAMS_ON_DISK,
+  createSecretParamsPath,
+  removeSecretParams,
+  createConversionService
+} = require('./conversion');
 
 if (!process.env.FONT_DATA_DIR) {
   console.error('ERROR: FONT_DATA_DIR environment variable is required');
@@ -29,30 +77,638 @@ app.use(compression());
 const PORT = Number.parseInt(process.env.PORT || '38123', 10);
 const BASE_URL = `http://localhost:${PORT}`;
 
-// Enable CORS
+// Converted documents (Editor.bin, media/, thumbnails/), one directory per source
+// file; least recently used entries are evicted once the cache passes CACHE_MAX_SIZE_MB
+const CACHE_DIR = process.env.CACHE_DIR
+  ? (isAbsolutePath(process.env.CACHE_DIR) ? process.env.CACHE_DIR : path.join(__dirname, process.env.CACHE_DIR))
+  : getDefaultCacheDir();
+
+// LOG_LEVEL (error|warn|info|debug), LOG_FORMAT (text|json), LOG_FILE with
+// LOG_MAX_SIZE_MB/LOG_MAX_FILES rotation. Paths in the user's directories are
+// logged by file name only unless LOG_REDACT_PATHS=0
+const logger = createLogger({
+  level: parseLevel(process.env.LOG_LEVEL),
+  format: process.env.LOG_FORMAT === 'json' ? 'json' : 'text',
+  file: process.env.LOG_FILE ? path.resolve(__dirname, process.env.LOG_FILE) : undefined,
+  maxBytes: Number.parseInt(process.env.LOG_MAX_SIZE_MB || '10', 10) * 1024 * 1024,
+  maxFiles: Number.parseInt(process.env.LOG_MAX_FILES || '5', 10),
+  redact: process.env.LOG_REDACT_PATHS === '0' ? undefined : createPathRedactor({
+    privateRoots: [...getDefaultAllowedRoots(), ...parsePathList(process.env.ALLOWED_ROOTS)]
+      .flatMap((root) => [root, resolveRealPath(root)]),
+    publicRoots: [__dirname, CACHE_DIR, FONT_DATA_DIR]
+  })
+});
+
+// Prometheus metrics, served at /metrics. Durations are in seconds; formats are
+// file extensions (convert, save) or export targets
+const metrics = createMetricsRegistry();
+const buildInfo = metrics.gauge({
+  name: 'oo_editors_build_info',
+  help: 'oo-editors and x2t versions in use (always 1)',
+  labelNames: ['version', 'converter']
+});
+const operationsTotal = metrics.counter({
+  name: 'oo_editors_operations_total',
+  help: 'Convert, save and export requests by format and HTTP status',
+  labelNames: ['operation', 'format', 'status']
+});
+const operationDurations = {
+  convert: metrics.histogram({
+    name: 'oo_editors_convert_duration_seconds',
+    help: 'Time to answer /api/convert, including sending Editor.bin',
+    labelNames: ['format', 'cache']
+  }),
+  save: metrics.histogram({
+    name: 'oo_editors_save_duration_seconds',
+    help: 'Time to answer /api/save, including receiving the body',
+    labelNames: ['format']
+  }),
+  export: metrics.histogram({
+    name: 'oo_editors_export_duration_seconds',
+    help: 'Time to answer /api/export',
+    labelNames: ['format']
+  })
+};
+const convertCacheTotal = metrics.counter({
+  name: 'oo_editors_convert_cache_total',
+  help: 'Editor.bin lookups by result (hit or miss)',
+  labelNames: ['result']
+});
+metrics.gauge({
+  name: 'oo_editors_convert_cache_hit_ratio',
+  help: 'Share of Editor.bin lookups served from the cache since startup',
+  collect: (gauge) => {
+    const hits = convertCacheTotal.get({ result: 'hit' });
+    const lookups = hits + convertCacheTotal.get({ result: 'miss' });
+    gauge.set({}, lookups > 0 ? hits / lookups : 0);
+  }
+});
+const x2tExitsTotal = metrics.counter({
+  name: 'oo_editors_x2t_exits_total',
+  help: 'x2t processes by exit code (timeout and signal when killed)',
+  labelNames: ['code']
+});
+const x2tDuration = metrics.histogram({
+  name: 'oo_editors_x2t_duration_seconds',
+  help: 'Run time of x2t processes'
+});
+metrics.gauge({
+  name: 'oo_editors_x2t_queue_depth',
+  help: 'x2t jobs waiting for a free worker',
+  collect: (gauge) => gauge.set({}, x2tScheduler.getStats().queued)
+});
+metrics.gauge({
+  name: 'oo_editors_x2t_running',
+  help: 'x2t processes running',
+  collect: (gauge) => gauge.set({}, x2tScheduler.getStats().running)
+});
+metrics.gauge({
+  name: 'oo_editors_active_documents',
+  help: 'Documents open in an editor (watched for external changes)',
+  collect: (gauge) => gauge.set({}, fileWatchers.getWatchedFiles().length)
+});
+const requestBytesTotal = metrics.counter({
+  name: 'oo_editors_request_bytes_total',
+  help: 'Request body bytes received, by route',
+  labelNames: ['route']
+});
+const responseBytesTotal = metrics.counter({
+  name: 'oo_editors_response_bytes_total',
+  help: 'Response body bytes sent (before compression), by route',
+  labelNames: ['route']
+});
+// Phases of the loader's PERF breakdown, reported once the document is ready
+const CLIENT_PHASES = ['total', 'fetch', 'docEditorCreate', 'waitForAppReady', 'sdkWaitDelay', 'commonJsLoad', 'documentLoad'];
+const CLIENT_DOCTYPES = ['cell', 'word', 'slide', 'pdf', 'diagram'];
+const clientLoadDuration = metrics.histogram({
+  name: 'oo_editors_client_load_seconds',
+  help: 'Loader timings reported by the browser, by phase and editor',
+  labelNames: ['phase', 'doctype']
+});
+
+/**
+ * Normalise a file extension or format name for use as a metric label
+ * @param {string|undefined} value - e.g. ".XLSX", "pdfa"
+ * @returns {string} Lower-case name, or "other" for anything unusual (bounds label cardinality)
+ */
+function getFormatLabel(value) {
+  const format = String(value || '').replace(/^\./, '').toLowerCase();
+  return /^[a-z0-9]{1,8}$/.test(format) ? format : 'other';
+}
+
+/**
+ * @param {object} req - Express request
+ * @returns {string} Extension of the ?filepath= parameter
+ */
+function getFilepathExtension(req) {
+  return path.extname(String(req.query.filepath || ''));
+}
+
+/**
+ * Middleware that times a convert/save/export request and counts its outcome
+ * @param {string} operation - Key of operationDurations
+ * @param {Function} getFormat - (req) => extension or format name
+ * @returns {Function} Express middleware
+ */
+function instrumentOperation(operation, getFormat) {
+  return (req, res, next) => {
+    const start = performance.now();
+    res.on('finish', () => {
+      const format = getFormatLabel(getFormat(req));
+      operationsTotal.inc({ operation, format, status: res.statusCode });
+      const cache = String(res.getHeader('X-Cache') || '').toLowerCase();
+      if (cache === 'hit' || cache === 'miss') {
+        convertCacheTotal.inc({ result: cache });
+      }
+      if (res.statusCode < 400) {
+        operationDurations[operation].observe({ format, cache: cache || 'none' }, (performance.now() - start) / 1000);
+      }
+    });
+    next();
+  };
+}
+
+// x2t worker pool: bounded concurrency so opening dozens of files at once
+// queues conversions instead of spawning dozens of x2t processes
+const X2T_PATH = path.join(__dirname, 'converter', 'x2t');
+const X2T_POOL_SIZE = Number.parseInt(
+  process.env.X2T_POOL_SIZE || String(Math.max(1, Math.min(4, os.cpus().length - 1))),
+  10
+);
+const X2T_TIMEOUT_MS = Number.parseInt(process.env.X2T_TIMEOUT_MS || '120000', 10);
+const x2tScheduler = createX2TScheduler({
+  x2tPath: X2T_PATH,
+  poolSize: X2T_POOL_SIZE,
+  timeoutMs: X2T_TIMEOUT_MS,
+  logger,
+  onExit: ({ code, signal, durationMs, failure }) => {
+    const label = failure && failure.code === 'ETIMEDOUT' ? 'timeout' : (code === null ? 'signal' : String(code));
+    x2tExitsTotal.inc({ code: label });
+    x2tDuration.observe({}, durationMs / 1000);
+  }
+});
+
+const CACHE_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const cacheStore = createCacheStore({
+  rootDir: CACHE_DIR,
+  maxBytes: Number.parseInt(process.env.CACHE_MAX_SIZE_MB || '2048', 10) * 1024 * 1024
+});
+
+// Dialects picked in the CSV/TSV/TXT import dialog, so saves write files back the way they were read
+const CSV_DIALECT_DIR = process.env.CSV_DIALECT_DIR
+  ? (isAbsolutePath(process.env.CSV_DIALECT_DIR) ? process.env.CSV_DIALECT_DIR : path.join(__dirname, process.env.CSV_DIALECT_DIR))
+  : path.join(os.homedir(), '.oo-editors', 'csv-dialects');
+const csvDialects = createDialectStore({ rootDir: CSV_DIALECT_DIR });
+
+/**
+ * Dialect a text file is read and saved in: the one picked for it, else sniffed from its contents
+ * @param {string} filepath - Absolute path
+ * @returns {object} { encoding, delimiter, quote, decimal }
+ */
+function getTextDialect(filepath) {
+  return csvDialects.get(filepath) || sniffFileDialect(filepath);
+}
+
+// Opening, export and preview conversions (shared with the oo-editors CLI)
+const conversion = createConversionService({
+  scheduler: x2tScheduler,
+  x2tPath: X2T_PATH,
+  fontDir: FONT_DATA_DIR,
+  themeDir: path.join(__dirname, 'editors', 'sdkjs', 'slide', 'themes'),
+  cache: cacheStore,
+  getTextDialect,
+  logger
+});
+
+// Previous versions of saved files, kept for crash and bad-save recovery
+const BACKUP_DIR = process.env.BACKUP_DIR
+  ? (isAbsolutePath(process.env.BACKUP_DIR) ? process.env.BACKUP_DIR : path.join(__dirname, process.env.BACKUP_DIR))
+  : path.join(os.homedir(), '.oo-editors', 'backups');
+const backupStore = createBackupStore({
+  rootDir: BACKUP_DIR,
+  maxVersions: Number.parseInt(process.env.BACKUP_MAX_VERSIONS || '10', 10),
+  maxAgeMs: Number.parseInt(process.env.BACKUP_MAX_AGE_DAYS || '30', 10) * 24 * 60 * 60 * 1000
+});
+
+// Filesystem sandbox for every path a request names. ALLOWED_ROOTS, DENIED_PATHS
+// and FONT_ROOTS are PATH-style lists; the cache, backups and dialects are never addressable
+const pathPolicy = createPathPolicy({
+  allowedRoots: process.env.ALLOWED_ROOTS ? parsePathList(process.env.ALLOWED_ROOTS) : undefined,
+  deniedPaths: [...getDefaultDeniedPaths(), ...parsePathList(process.env.DENIED_PATHS), CACHE_DIR, BACKUP_DIR, CSV_DIALECT_DIR],
+  fontRoots: [FONT_DATA_DIR, ...getSystemFontDirs(), ...parsePathList(process.env.FONT_ROOTS)]
+});
+// /raw/:filename and /file/:filename serve the bundled test documents only
+const testFilesPolicy = createPathPolicy({ allowedRoots: [path.join(__dirname, 'test')], deniedPaths: [] });
+
+// Who may call the server: loopback Host headers only (DNS rebinding), an origin
+// allowlist instead of wildcard CORS, and the launch token on the API. The host
+// app passes OO_EDITORS_TOKEN; without it a token is generated for this run
+const accessControl = createAccessControl({
+  token: process.env.OO_EDITORS_TOKEN || generateToken(),
+  port: PORT,
+  allowedOrigins: parseList(process.env.ALLOWED_ORIGINS),
+  allowedHosts: parseList(process.env.ALLOWED_HOSTS)
+});
+
+// DocumentServer-compatible conversions (POST /converter). With JWT_SECRET set,
+// requests must carry an HS256 token (body `token` or the JWT_HEADER bearer
+// header) unless they come with the launch token. Results are served from
+// /converted/ for CONVERTER_RESULT_TTL_MINUTES
+const CONVERTER_JWT_SECRET = process.env.JWT_SECRET || '';
+const CONVERTER_JWT_HEADER = process.env.JWT_HEADER || 'Authorization';
+const CONVERTER_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+const convertApi = createConvertApi({
+  scheduler: x2tScheduler,
+  fontDir: FONT_DATA_DIR,
+  themeDir: path.join(__dirname, 'editors', 'sdkjs', 'slide', 'themes'),
+  outputDir: path.join(__dirname, 'converted'),
+  getResultUrl: (filename) => `${BASE_URL}/converted/${filename}`,
+  resolveLocalPath: (filepath) => pathPolicy.resolve(filepath),
+  jwtSecret: CONVERTER_JWT_SECRET,
+  resultTtlMs: Number.parseInt(process.env.CONVERTER_RESULT_TTL_MINUTES || '60', 10) * 60 * 1000,
+  maxDownloadBytes: Number.parseInt(process.env.CONVERTER_MAX_DOWNLOAD_MB || '100', 10) * 1024 * 1024,
+  logger
+});
+
+// Document Server save callbacks (POST /api/save/:filename, the callbackUrl of
+// the DocsAPI pages). Signed like /converter requests when JWT_SECRET is set;
+// documents at our own /converted/ URLs are read from disk
+const callbackHandler = createCallbackHandler({
+  saveDocument: saveCallbackResult,
+  fetchFile: downloadToFile,
+  resolveLocalUrl: (url) => (url.startsWith(`${BASE_URL}/converted/`)
+    ? convertApi.getResultPath(url.slice(`${BASE_URL}/converted/`.length))
+    : null),
+  jwtSecret: CONVERTER_JWT_SECRET,
+  maxDownloadBytes: Number.parseInt(process.env.CONVERTER_MAX_DOWNLOAD_MB || '100', 10) * 1024 * 1024,
+  logger
+});
+
+// Images inserted into documents: validated, renamed, size-limited and, with
+// ImageMagick (or sips on macOS), converted, downscaled and rotated upright
+const mediaUploader = createMediaUploader({
+  maxBytes: Number.parseInt(process.env.MEDIA_MAX_UPLOAD_MB || '50', 10) * 1024 * 1024,
+  maxPixels: Number.parseInt(process.env.MEDIA_MAX_MEGAPIXELS || '100', 10) * 1000 * 1000,
+  maxDimension: Number.parseInt(process.env.MEDIA_MAX_DIMENSION || '4096', 10)
+});
+
+// Open documents are polled for changes made by other programs
+const fileWatchers = createFileWatchRegistry({
+  intervalMs: Number.parseInt(process.env.WATCH_INTERVAL_MS || '1000', 10),
+  logger
+});
+
+/**
+ * Apply the filesystem sandbox to a path named by a request
+ * @param {object} res - Express response
+ * @param {string} filepath - Path from the request
+ * @param {Function} [resolve=pathPolicy.resolve] - Policy check to apply
+ * @returns {boolean} True if the path is allowed; otherwise a 403 was sent
+ */
+function requireAllowedPath(res, filepath, resolve = pathPolicy.resolve) {
+  try {
+    resolve(filepath);
+    return true;
+  } catch (error) {
+    if (error.code !== 'EPATHDENIED') throw error;
+    logger.warn(`[SANDBOX] ${error.message}`);
+    res.status(403).json({ error: 'forbidden_path', message: error.message });
+    return false;
+  }
+}
+
+/**
+ * Refuse to overwrite a file that changed since the client loaded it
+ * @param {string} filepath - Target file
+ * @param {string|undefined} expectedMtime - mtime the client last saw (X-File-Mtime), if any
+ * @throws {Error} With code 'ECONFLICT' and currentMtime when the file was modified
+ */
+function assertUnmodified(filepath, expectedMtime) {
+  if (!expectedMtime || !fs.existsSync(filepath)) return;
+
+  const currentMtime = fs.statSync(filepath).mtimeMs;
+  if (hasChangedSince(currentMtime, Number(expectedMtime))) {
+    const error = new Error('File was modified by another program');
+    error.code = 'ECONFLICT';
+    error.currentMtime = currentMtime;
+    throw error;
+  }
+}
+
+/**
+ * Send the 409 response for a save conflict
+ * @param {object} res - Express response
+ * @param {Error} error - ECONFLICT error from assertUnmodified
+ * @param {string} expectedMtime - mtime the client sent
+ */
+function sendConflict(res, error, expectedMtime) {
+  logger.warn(`[SAVE] Conflict: ${error.message} (expected ${expectedMtime}, now ${error.currentMtime})`);
+  res.status(409).json({
+    error: 'conflict',
+    message: error.message,
+    expectedMtime: Number(expectedMtime),
+    currentMtime: error.currentMtime
+  });
+}
+
+/**
+ * Back up the current contents of a file before it is replaced
+ * @param {string} filepath - File about to be overwritten
+ * @param {object} [changes] - Callback history and changes zip to keep with the version
+ */
+function backupBeforeReplace(filepath, changes) {
+  try {
+    const version = backupStore.backup(filepath, changes);
+    if (version) {
+      logger.info(`[BACKUP] Stored version ${version.id} of ${filepath}`);
+    }
+  } catch (e) {
+    // A failed backup must not block the save itself
+    logger.warn(`[BACKUP] Failed to back up ${filepath}:`, e.message);
+  }
+}
+
+/**
+ * Write a document saved through the Document Server callback over a file
+ * @param {object} save - From the callback handler
+ * @param {string} save.filepath - File to replace
+ * @param {string} save.sourcePath - Downloaded document
+ * @param {object} [save.history] - Callback history, kept with the replaced version
+ * @param {string} [save.changesPath] - Downloaded changes zip, kept with the replaced version
+ */
+function saveCallbackResult({ filepath, sourcePath, history, changesPath }) {
+  const tempPath = createTempPath(filepath);
+  try {
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.copyFileSync(sourcePath, tempPath);
+    const { size } = commitTempFile(tempPath, filepath, {
+      beforeReplace: () => backupBeforeReplace(filepath, { history, changesPath })
+    });
+    fileWatchers.noteWrite(filepath, 'callback');
+    logger.info(`[CALLBACK] Wrote ${size} bytes to ${filepath}`);
+  } catch (error) {
+    removeQuietly(tempPath);
+    throw error;
+  }
+}
+
+/**
+ * Create an AbortSignal that fires when the client disconnects before the response is sent
+ * @param {object} res - Express response
+ * @returns {AbortSignal} Signal aborted on premature connection close
+ */
+function createClientAbortSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
+
+// Passwords for encrypted documents travel URI-encoded in a request header,
+// never in the query string (which ends up in the request log)
+const DOCUMENT_PASSWORD_HEADER = 'X-Document-Password';
+
+/**
+ * Read the document password sent by the client, if any
+ * @param {object} req - Express request
+ * @returns {string|null} Decoded password, or null when none was sent
+ */
+function getDocumentPassword(req) {
+  const value = req.get(DOCUMENT_PASSWORD_HEADER);
+  if (!value) return null;
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Request URL as logged: decoded so path redaction sees the paths, token hidden
+ * @param {object} req - Express request
+ * @returns {string} Loggable URL
+ */
+function describeRequestUrl(req) {
+  const url = req.originalUrl.replace(/([?&]token=)[^&]*/, '$1[redacted]');
+  try {
+    return decodeURIComponent(url);
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * Whether a route requires the launch token
+ * @param {string} reqPath - Request path
+ * @returns {boolean} True for the API and the DocumentServer /converter endpoint
+ */
+function isProtectedRoute(reqPath) {
+  return reqPath.startsWith('/api/') || reqPath === '/converter';
+}
+
+/**
+ * Whether a route is called by Document Server clients, which sign requests instead
+ * @param {string} reqPath - Request path
+ * @returns {boolean} True for /converter and the save callback
+ */
+function isDocumentServerRoute(reqPath) {
+  return reqPath === '/converter' || reqPath.startsWith('/api/save/');
+}
+
+// Every request gets an ID that is attached to everything logged while handling
+// it. Editor pages send the ID of the /open that started them (X-Request-Id),
+// so an open, its conversion and its saves share one ID
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id') || req.query.requestId;
+  const requestId = isValidRequestId(incoming) ? incoming : createRequestId();
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  const start = performance.now();
+  res.on('finish', () => {
+    // Static assets (sdkjs, fonts, images) are only interesting when debugging
+    const level = isProtectedRoute(req.path) || req.path === '/open' ? 'info' : 'debug';
+    logger.runWithRequestId(requestId, () => logger[level](
+      `[HTTP] ${req.method} ${describeRequestUrl(req)} ${res.statusCode} ${(performance.now() - start).toFixed(0)}ms`
+    ));
+  });
+  logger.runWithRequestId(requestId, next);
+});
+
+// Count body bytes in and out per route (the route pattern, so labels stay bounded)
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', '*');
-  res.header('Access-Control-Expose-Headers', 'X-File-Hash');
+  let sent = 0;
+  const countChunk = (chunk, encoding) => {
+    if (!chunk || typeof chunk === 'function') return;
+    sent += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(String(chunk), typeof encoding === 'string' ? encoding : 'utf8');
+  };
+  const write = res.write;
+  const end = res.end;
+  res.write = function (chunk, encoding, ...rest) {
+    countChunk(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    countChunk(chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+  res.on('finish', () => {
+    const route = req.route ? req.route.path : 'static';
+    requestBytesTotal.inc({ route }, Number.parseInt(req.get('content-length'), 10) || 0);
+    responseBytesTotal.inc({ route }, sent);
+  });
   next();
 });
 
-// Parse binary data for POST requests
-app.use(express.raw({ type: 'application/octet-stream', limit: '2gb' }));
+// Refuse foreign Host headers and answer CORS for allowed origins only
+app.use((req, res, next) => {
+  if (!accessControl.isAllowedHost(req.get('host'))) {
+    logger.warn(`[ACCESS] Refused Host header: ${req.get('host')}`);
+    return res.status(403).json({ error: 'forbidden_host', message: 'Host not allowed' });
+  }
 
-// Parse JSON body
-app.use(express.json());
+  const origin = req.get('origin');
+  res.vary('Origin');
+  if (origin && accessControl.isAllowedOrigin(origin)) {
+    res.header('Access-Control-Allow-Origin', origin);
+    res.header('Access-Control-Allow-Credentials', 'true');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, X-Document-Password, X-OO-Editors-Token, X-Request-Id');
+    res.header('Access-Control-Expose-Headers', 'X-File-Hash, X-File-Mtime, X-Request-Id');
+  } else if (origin && isProtectedRoute(req.path)) {
+    logger.warn(`[ACCESS] Refused origin ${origin} for ${req.method} ${req.path}`);
+    return res.status(403).json({ error: 'forbidden_origin', message: `Origin ${origin} is not allowed` });
+  }
 
-// Log all requests
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
+  if (req.method === 'OPTIONS' && origin) {
+    return res.sendStatus(204);
+  }
   next();
 });
 
+// The API requires the launch token (header, ?token= or the cookie set on served pages).
+// With JWT_SECRET set, /converter and the save callback check their JWT instead
+// (Document Server clients do not know the launch token)
+app.use((req, res, next) => {
+  if (!isProtectedRoute(req.path) || accessControl.hasValidToken(req)
+    || (isDocumentServerRoute(req.path) && CONVERTER_JWT_SECRET)) {
+    return next();
+  }
+  logger.warn(`[ACCESS] Missing or invalid token for ${req.method} ${req.path}`);
+  res.status(403).json({ error: 'invalid_token', message: 'A valid API token is required' });
+});
+
+// Parse binary data for POST requests (media uploads parse their own, smaller
+// bodies; saves are streamed to disk by the route)
+const SAVE_MAX_BYTES = 2 * 1024 * 1024 * 1024;
+const parseBinaryBody = express.raw({ type: 'application/octet-stream', limit: SAVE_MAX_BYTES });
+const STREAMED_BODY_ROUTES = ['/api/save', '/api/docservice/save'];
+
+// Formats a finished package sent by the editor (PK...) can be written as directly.
+// Macro-enabled and template targets always go through x2t, which writes their
+// content types and keeps the VBA project; a plain package renamed would not.
+const OOXML_FORMAT_NAMES = ['XLSX', 'DOCX', 'PPTX', 'VSDX'];
+app.use((req, res, next) => (req.path.startsWith('/api/media/') || STREAMED_BODY_ROUTES.includes(req.path) ? next() : parseBinaryBody(req, res, next)));
+
+// Parse JSON body
+app.use(express.json());
+
+// Deep health checks fail the disk check below HEALTHCHECK_MIN_FREE_MB
+const HEALTHCHECK_MIN_FREE_BYTES = Number.parseInt(process.env.HEALTHCHECK_MIN_FREE_MB || '256', 10) * 1024 * 1024;
+let deepHealthcheck = null;
+
 // API Endpoint: Health check
-app.get('/healthcheck', (req, res) => {
-  res.setHeader('Content-Type', 'text/plain');
-  res.send('true');
+// Plain: "true" while the server is up. ?deep=1: JSON describing x2t (with a
+// test conversion), fonts, themes, sdk bundles, cache and disk; 503 when
+// anything is unusable so the host app can say what to fix.
+app.get('/healthcheck', async (req, res) => {
+  if (req.query.deep !== '1' && req.query.deep !== 'true') {
+    res.setHeader('Content-Type', 'text/plain');
+    res.send('true');
+    return;
+  }
+
+  // Concurrent probes share one run (and one test conversion)
+  if (!deepHealthcheck) {
+    deepHealthcheck = runDeepDiagnostics({
+      x2tPath: X2T_PATH,
+      fontDir: FONT_DATA_DIR,
+      fontSourceDirs: [path.join(FONT_DATA_DIR, 'fonts'), ...getSystemFontDirs()],
+      themeDir: path.join(__dirname, 'editors', 'sdkjs', 'slide', 'themes'),
+      sdkDir: path.join(__dirname, 'editors', 'sdkjs'),
+      cacheDir: CACHE_DIR,
+      minFreeBytes: HEALTHCHECK_MIN_FREE_BYTES,
+      scheduler: x2tScheduler,
+      version: packageInfo.version
+    }).finally(() => {
+      deepHealthcheck = null;
+    });
+  }
+
+  try {
+    const result = await deepHealthcheck;
+    if (!result.ok) {
+      const failed = result.checks.filter((check) => !check.ok).map((check) => `${check.name} (${check.message})`);
+      logger.warn(`[HEALTH] Deep check failed: ${failed.join('; ')}`);
+    }
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(result.ok ? 200 : 503).json(result);
+  } catch (error) {
+    logger.error('[HEALTH] Deep check error:', error.message);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+// API Endpoint: Prometheus metrics (outside the token, like /healthcheck; Host checks still apply)
+app.get('/metrics', (req, res) => {
+  res.setHeader('Content-Type', metrics.contentType);
+  res.send(metrics.render());
+});
+
+// API Endpoint: Loader timings ({ doctype, timings: { fetch: ms, ... } }), recorded in /metrics
+app.post('/api/metrics/client', (req, res) => {
+  const timings = req.body && req.body.timings;
+  if (!timings || typeof timings !== 'object') {
+    return res.status(400).json({ error: 'timings object is required' });
+  }
+  const doctype = CLIENT_DOCTYPES.indexOf(req.body.doctype) !== -1 ? req.body.doctype : 'other';
+  for (const phase of CLIENT_PHASES) {
+    const ms = timings[phase];
+    // An hour is far past any real load; larger values are clock glitches
+    if (typeof ms === 'number' && ms >= 0 && ms < 60 * 60 * 1000) {
+      clientLoadDuration.observe({ phase, doctype }, ms / 1000);
+    }
+  }
+  res.sendStatus(204);
+});
+
+// Browser log bridge: with LOG_LEVEL=debug the stub forwards its [BROWSER] and
+// [SAVE] console output here, so the server log shows both sides of a save
+const CLIENT_LOG_MAX_ENTRIES = 100;
+const CLIENT_LOG_MAX_LENGTH = 4000;
+
+// API Endpoint: Accept a batch of browser log entries ({ entries: [{ level, message }] })
+app.post('/api/log', (req, res) => {
+  const entries = req.body && Array.isArray(req.body.entries) ? req.body.entries : null;
+  if (!entries) {
+    return res.status(400).json({ error: 'entries array is required' });
+  }
+  if (!logger.isLevelEnabled('debug')) {
+    return res.sendStatus(204);
+  }
+
+  for (const entry of entries.slice(0, CLIENT_LOG_MAX_ENTRIES)) {
+    if (!entry || typeof entry.message !== 'string') continue;
+    const fields = { source: 'browser' };
+    if (typeof entry.level === 'string' && entry.level !== 'log') {
+      fields.console = entry.level.slice(0, 8);
+    }
+    logger.child(fields).debug(entry.message.slice(0, CLIENT_LOG_MAX_LENGTH));
+  }
+  res.sendStatus(204);
 });
 
 // Allow absolute ascdesktop:// font paths (e.g. ascdesktop://fonts//System/Library/Fonts/Arial.ttf)
@@ -66,10 +722,12 @@ app.get('/fonts/*', (req, res) => {
 
   // Normalize: requests often arrive with a leading slash (absolute macOS path).
   const fontPath = isAbsolutePath(decoded) ? decoded : path.join(__dirname, decoded);
-  console.log(`[FONTS] Request for absolute font path: ${fontPath}`);
+  logger.info(`[FONTS] Request for absolute font path: ${fontPath}`);
+
+  if (!requireAllowedPath(res, fontPath, pathPolicy.resolveFont)) return;
 
   if (!fs.existsSync(fontPath)) {
-    console.error(`[FONTS] Absolute font path not found: ${fontPath}`);
+    logger.error(`[FONTS] Absolute font path not found: ${fontPath}`);
     return res.status(404).send('Font not found');
   }
 
@@ -85,11 +743,10 @@ app.get('/fonts/*', (req, res) => {
     const fontContentType = contentTypes[ext] || 'application/octet-stream';
 
     res.setHeader('Content-Type', fontContentType);
-    res.setHeader('Access-Control-Allow-Origin', '*');
     res.sendFile(fontPath);
-    console.log(`[FONTS] Served font: ${fontPath}`);
+    logger.info(`[FONTS] Served font: ${fontPath}`);
   } catch (err) {
-    console.error(`[FONTS] Error serving absolute font ${fontPath}:`, err);
+    logger.error(`[FONTS] Error serving absolute font ${fontPath}:`, err);
     res.status(500).send('Font error');
   }
 });
@@ -106,25 +763,25 @@ app.get('/document_editor_service_worker.js', (req, res) => {
   );
 
   if (!fs.existsSync(workerPath)) {
-    console.error('[SW] document_editor_service_worker.js not found at', workerPath);
+    logger.error('[SW] document_editor_service_worker.js not found at', workerPath);
     return res.status(404).send('Service worker not found');
   }
 
   res.setHeader('Content-Type', 'application/javascript');
   res.setHeader('Cache-Control', 'no-cache');
-  console.log('[SW] Serving document_editor_service_worker.js');
+  logger.info('[SW] Serving document_editor_service_worker.js');
   res.sendFile(workerPath);
 });
 
 // Serve the desktop AllFonts.js verbatim for metadata parity
 app.get('/fonts-info.js', (req, res) => {
   const allFontsPath = path.join(FONT_DATA_DIR, 'AllFonts.js');
-  console.log('[API] GET /fonts-info.js - serving', allFontsPath);
+  logger.info('[API] GET /fonts-info.js - serving', allFontsPath);
   res.setHeader('Content-Type', 'application/javascript');
   res.setHeader('Cache-Control', 'no-cache');
   res.sendFile(allFontsPath, (err) => {
     if (err) {
-      console.error('[API] Error serving AllFonts.js:', err);
+      logger.error('[API] Error serving AllFonts.js:', err);
       if (!res.headersSent) {
         res.status(err.statusCode || 500).send('// Failed to load font metadata');
       }
@@ -135,12 +792,12 @@ app.get('/fonts-info.js', (req, res) => {
 // Override the SDK's bundled AllFonts.js (Linux-oriented) with the desktop macOS version
 app.get('/sdkjs/common/AllFonts.js', (req, res) => {
   const desktopAllFontsPath = path.join(FONT_DATA_DIR, 'AllFonts.js');
-  console.log('[API] GET /sdkjs/common/AllFonts.js - overriding with desktop AllFonts.js');
+  logger.info('[API] GET /sdkjs/common/AllFonts.js - overriding with desktop AllFonts.js');
   res.setHeader('Content-Type', 'application/javascript');
   res.setHeader('Cache-Control', 'no-cache');
   res.sendFile(desktopAllFontsPath, (err) => {
     if (err) {
-      console.error('[API] Error overriding /sdkjs/common/AllFonts.js:', err);
+      logger.error('[API] Error overriding /sdkjs/common/AllFonts.js:', err);
       if (!res.headersSent) {
         res.status(err.statusCode || 500).send('// Failed to load AllFonts override');
       }
@@ -148,28 +805,53 @@ app.get('/sdkjs/common/AllFonts.js', (req, res) => {
   });
 });
 
+// Media uploads skip the global 2gb parser so the upload limit applies while reading
+const mediaBodyParser = express.raw({ type: () => true, limit: mediaUploader.maxBytes });
+
+/**
+ * Parse a media upload body, answering 413 once it passes the upload limit
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function parseMediaBody(req, res, next) {
+  mediaBodyParser(req, res, (err) => {
+    if (!err) return next();
+    const tooLarge = err.type === 'entity.too.large';
+    res.status(tooLarge ? 413 : 400).json({
+      error: tooLarge ? 'image_too_large' : 'invalid_body',
+      message: tooLarge ? `Images are limited to ${mediaUploader.maxBytes} bytes` : err.message
+    });
+  });
+}
+
 // API Endpoint: Upload image to media directory (for drag-drop)
-app.post('/api/media/:filehash', (req, res) => {
+// The stored name is generated here; ?filename= is only used for logging.
+// Response: { filename, path, type, width, height, converted }
+app.post('/api/media/:filehash', parseMediaBody, async (req, res) => {
   const filehash = req.params.filehash;
-  const filename = req.query.filename || `image_${Date.now()}.png`;
-
-  console.log(`[MEDIA-UPLOAD] Uploading ${filename} for hash ${filehash}`);
-
-  const outputDir = path.join(__dirname, 'test', 'output', filehash);
-  const mediaDir = path.join(outputDir, 'media');
-
-  if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true });
+  if (!HASH_PATTERN.test(filehash)) {
+    return res.status(400).json({ error: 'filehash must be an md5 hex digest' });
   }
-  if (!fs.existsSync(mediaDir)) {
-    fs.mkdirSync(mediaDir, { recursive: true });
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'invalid_body', message: 'Request body must be the image bytes' });
   }
 
-  const imagePath = path.join(mediaDir, filename);
-  fs.writeFileSync(imagePath, req.body);
+  logger.info(`[MEDIA-UPLOAD] Uploading ${req.query.filename || 'image'} (${req.body.length} bytes) for hash ${filehash}`);
 
-  console.log(`[MEDIA-UPLOAD] Saved ${req.body.length} bytes to ${imagePath}`);
-  res.json({ filename: filename, path: `/api/media/${filehash}/${filename}` });
+  const mediaDir = path.join(cacheStore.getEntryDir(filehash), 'media');
+  try {
+    const stored = await mediaUploader.store(req.body, mediaDir);
+    logger.info(`[MEDIA-UPLOAD] Saved ${stored.filename} (${stored.width}x${stored.height}${stored.converted ? ', converted' : ''})`);
+    res.json({ ...stored, path: `/api/media/${filehash}/${stored.filename}` });
+  } catch (error) {
+    logger.warn('[MEDIA-UPLOAD] Rejected upload:', error.details || error.message);
+    const status = { EMEDIATYPE: 415, EMEDIASIZE: 413 }[error.code] || 500;
+    res.status(status).json({
+      error: status === 415 ? 'unsupported_image' : status === 413 ? 'image_too_large' : 'image_processing_failed',
+      message: error.message
+    });
+  }
 });
 
 // API Endpoint: Serve images from converted documents
@@ -177,23 +859,27 @@ app.post('/api/media/:filehash', (req, res) => {
 app.get('/api/media/:filehash/:imagefile', (req, res) => {
   const filehash = req.params.filehash;
   const imagefile = req.params.imagefile;
-  console.log(`[MEDIA] Request for image: ${imagefile} (file hash: ${filehash})`);
+  logger.info(`[MEDIA] Request for image: ${imagefile} (file hash: ${filehash})`);
+
+  if (!HASH_PATTERN.test(filehash) || imagefile !== path.basename(imagefile) || imagefile.startsWith('.')) {
+    return res.status(400).send('Invalid media path');
+  }
 
   // Images are in hash-specific output directory
-  const outputDir = path.join(__dirname, 'test', 'output', filehash);
+  const outputDir = cacheStore.getEntryDir(filehash);
   const mediaDir = path.join(outputDir, 'media');
   const imagePath = path.join(mediaDir, imagefile);
 
-  console.log(`[MEDIA] Looking for image at: ${imagePath}`);
+  logger.info(`[MEDIA] Looking for image at: ${imagePath}`);
 
   if (!fs.existsSync(imagePath)) {
-    console.error(`[MEDIA] Image not found: ${imagePath}`);
+    logger.error(`[MEDIA] Image not found: ${imagePath}`);
 
     // Check if media directory exists at all
     if (!fs.existsSync(mediaDir)) {
-      console.error(`[MEDIA] Media directory does not exist: ${mediaDir}`);
+      logger.error(`[MEDIA] Media directory does not exist: ${mediaDir}`);
     } else {
-      console.log(`[MEDIA] Media directory contents:`, fs.readdirSync(mediaDir));
+      logger.info(`[MEDIA] Media directory contents:`, fs.readdirSync(mediaDir));
     }
 
     return res.status(404).send('Image not found');
@@ -216,10 +902,9 @@ app.get('/api/media/:filehash/:imagefile', (req, res) => {
   const contentType = contentTypes[ext] || 'application/octet-stream';
 
   res.setHeader('Content-Type', contentType);
-  res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Cache-Control', 'public, max-age=31536000'); // Cache for 1 year
 
-  console.log(`[MEDIA] Serving image: ${imagePath} (${contentType})`);
+  logger.info(`[MEDIA] Serving image: ${imagePath} (${contentType})`);
   res.sendFile(imagePath);
 });
 
@@ -227,25 +912,24 @@ app.get('/api/media/:filehash/:imagefile', (req, res) => {
 app.get('/api/doc-base/:filehash/*', (req, res) => {
   const filehash = req.params.filehash;
   const relativePath = req.params[0] || '';
-  console.log(`[DOC-BASE] Request for path "${relativePath}" (file hash: ${filehash})`);
+  logger.info(`[DOC-BASE] Request for path "${relativePath}" (file hash: ${filehash})`);
 
   if (!relativePath) {
     return res.status(400).send('Path is required');
   }
 
-  const outputDir = path.join(__dirname, 'test', 'output', filehash);
-  const normalizedPath = path
-    .normalize(relativePath)
-    .replace(/^(\.\.(\/|\\|$))+/, '');
-  const requestedPath = path.join(outputDir, normalizedPath);
+  if (!HASH_PATTERN.test(filehash)) {
+    return res.status(400).send('Invalid file hash');
+  }
 
-  if (!requestedPath.startsWith(outputDir)) {
-    console.warn('[DOC-BASE] Attempted directory traversal:', requestedPath);
+  const requestedPath = cacheStore.getEntryFile(filehash, relativePath);
+  if (!requestedPath) {
+    logger.warn(`[DOC-BASE] Attempted directory traversal: ${relativePath}`);
     return res.status(403).send('Forbidden');
   }
 
   if (!fs.existsSync(requestedPath) || !fs.statSync(requestedPath).isFile()) {
-    console.log('[DOC-BASE] File not found:', requestedPath);
+    logger.info('[DOC-BASE] File not found:', requestedPath);
     return res.status(404).send('File not found');
   }
 
@@ -255,33 +939,37 @@ app.get('/api/doc-base/:filehash/*', (req, res) => {
 // API Endpoint: List images in media directory for a file
 app.get('/api/media-list/:filehash', (req, res) => {
   const filehash = req.params.filehash;
-  console.log(`[MEDIA-LIST] Request for file hash: ${filehash}`);
+  logger.info(`[MEDIA-LIST] Request for file hash: ${filehash}`);
 
-  const outputDir = path.join(__dirname, 'test', 'output', filehash);
+  if (!HASH_PATTERN.test(filehash)) {
+    return res.status(400).json({ error: 'filehash must be an md5 hex digest' });
+  }
+
+  const outputDir = cacheStore.getEntryDir(filehash);
   const mediaDir = path.join(outputDir, 'media');
 
   if (!fs.existsSync(mediaDir)) {
-    console.log(`[MEDIA-LIST] No media directory found for hash: ${filehash}`);
+    logger.info(`[MEDIA-LIST] No media directory found for hash: ${filehash}`);
     return res.json([]);
   }
 
   try {
     const files = fs.readdirSync(mediaDir);
-    console.log(`[MEDIA-LIST] Found ${files.length} files:`, files);
+    logger.info(`[MEDIA-LIST] Found ${files.length} files:`, files);
     res.json(files);
   } catch (err) {
-    console.error(`[MEDIA-LIST] Error reading media directory:`, err);
+    logger.error(`[MEDIA-LIST] Error reading media directory:`, err);
     res.status(500).json({ error: 'Error reading media directory' });
   }
 });
 
 // API Endpoint: Convert XLSX to ONLYOFFICE binary format
 // ONLY supports absolute paths via query parameter
-app.get('/api/convert', async (req, res) => {
+app.get('/api/convert', instrumentOperation('convert', getFilepathExtension), async (req, res) => {
   const timings = { start: performance.now() };
   const filepath = req.query.filepath;
 
-  if (!filepath) {
+  if (typeof filepath !== 'string' || !filepath) {
     return res.status(400).json({ error: 'filepath query parameter is required' });
   }
 
@@ -289,387 +977,401 @@ app.get('/api/convert', async (req, res) => {
     return res.status(400).json({ error: 'filepath must be an absolute path' });
   }
 
-  console.log(`[CONVERT] Requested file: ${filepath}`);
+  if (!requireAllowedPath(res, filepath)) return;
+
+  logger.info(`[CONVERT] Requested file: ${filepath}`);
   timings.validated = performance.now();
 
-  // Create unique output directory based on the source file path
-  const fileHash = generateFileHash(filepath);
-  const outputDir = path.join(__dirname, 'test', 'output', fileHash);
   const inputPath = filepath;
 
-  console.log(`[CONVERT] File hash: ${fileHash}`);
-  console.log(`[CONVERT] Output directory: ${outputDir}`);
-
-  if (!fs.existsSync(inputPath)) {
-    console.error(`[CONVERT] File not found: ${inputPath}`);
+  let sourceStat;
+  try {
+    sourceStat = fs.statSync(inputPath);
+  } catch (error) {
+    logger.error(`[CONVERT] File not found: ${inputPath}`);
     return res.status(404).json({ error: 'File not found at absolute path' });
   }
+  if (!sourceStat.isFile()) {
+    logger.error(`[CONVERT] Not a file: ${inputPath}`);
+    return res.status(400).json({ error: 'filepath must name a file' });
+  }
 
-  const outputPath = path.join(outputDir, 'Editor.bin');
-  const paramsPath = path.join(outputDir, 'params_temp.xml');
+  const password = getDocumentPassword(req);
 
   // Extract filename from path for logging
   const filename = path.basename(filepath);
 
-  const sourceMtime = fs.statSync(inputPath).mtimeMs;
-  if (fs.existsSync(outputPath)) {
-    const cacheMtime = fs.statSync(outputPath).mtimeMs;
-    if (cacheMtime > sourceMtime) {
-      console.log(`[CONVERT] Cache hit! Using cached Editor.bin (source: ${new Date(sourceMtime).toISOString()}, cache: ${new Date(cacheMtime).toISOString()})`);
-      timings.cacheHit = true;
-      const binaryData = fs.readFileSync(outputPath);
-
-      timings.end = performance.now();
-      const breakdown = {
-        total: (timings.end - timings.start).toFixed(1),
-        cacheHit: true,
-        validation: (timings.validated - timings.start).toFixed(1),
-      };
-      console.log(`[CONVERT][TIMING] Cache hit breakdown (ms):`, JSON.stringify(breakdown));
-
-      res.setHeader('Content-Type', 'application/octet-stream');
-      res.setHeader('Content-Disposition', `attachment; filename="Editor.bin"`);
-      res.setHeader('X-File-Hash', fileHash);
-      res.setHeader('X-Timing', JSON.stringify(breakdown));
-      res.setHeader('X-Cache', 'HIT');
-      return res.send(binaryData);
-    }
-    console.log(`[CONVERT] Cache stale, reconverting (source: ${new Date(sourceMtime).toISOString()}, cache: ${new Date(cacheMtime).toISOString()})`);
-  }
-
-  console.log(`[CONVERT] Converting ${filename} to binary format...`);
-  console.log(`[CONVERT] Input: ${inputPath}`);
-  console.log(`[CONVERT] Output: ${outputPath}`);
-
-  timings.beforeMkdir = performance.now();
-  if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true });
-  }
-  timings.afterMkdir = performance.now();
-
-  // Create XML config for x2t
-  // CRITICAL: Use the same fonts directory that contains AllFonts.js served to browser
-  // This ensures x2t assigns the same font IDs that the browser expects
-  const fontDir = FONT_DATA_DIR;
-
-  const xmlConfig = `<?xml version="1.0" encoding="utf-8"?>
-<TaskQueueDataConvert xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema">
-<m_sKey>api_conversion</m_sKey>
-<m_sFileFrom>${inputPath}</m_sFileFrom>
-<m_sFileTo>${outputPath}</m_sFileTo>
-<m_sTitle>${filename}</m_sTitle>
-<m_nFormatTo>8192</m_nFormatTo>${path.extname(filename).toLowerCase() === '.csv' ? '\n<m_nCsvTxtEncoding>46</m_nCsvTxtEncoding>\n<m_nCsvDelimiter>4</m_nCsvDelimiter>' : ''}
-<m_bPaid xsi:nil="true" />
-<m_bEmbeddedFonts xsi:nil="true" />
-<m_bFromChanges>false</m_bFromChanges>
-<m_sFontDir>${fontDir}</m_sFontDir>
-<m_sThemeDir>${path.join(__dirname, 'editors', 'sdkjs', 'slide', 'themes')}</m_sThemeDir>
-<m_sJsonParams>{}</m_sJsonParams>
-<m_nLcid xsi:nil="true" />
-<m_oTimestamp>${new Date().toISOString()}</m_oTimestamp>
-<m_bIsNoBase64 xsi:nil="true" />
-<m_sConvertToOrigin xsi:nil="true" />
-<m_oInputLimits>
-</m_oInputLimits>
-<options>
-<allowNetworkRequest>false</allowNetworkRequest>
-<allowPrivateIP>true</allowPrivateIP>
-</options>
-</TaskQueueDataConvert>
-`;
-
-  // Write XML config
-  timings.beforeXmlWrite = performance.now();
-  fs.writeFileSync(paramsPath, xmlConfig);
-  timings.afterXmlWrite = performance.now();
-  console.log(`[CONVERT] XML config written to ${paramsPath}`);
-
-  // Run x2t converter
-  timings.beforeX2t = performance.now();
-  const x2tPath = path.join(__dirname, 'converter', 'x2t');
-  const x2t = spawn(x2tPath, [paramsPath]);
-
-  let stdout = '';
-  let stderr = '';
-
-  x2t.stdout.on('data', (data) => {
-    const output = data.toString();
-    stdout += output;
-    console.log(`[X2T STDOUT] ${output.trim()}`);
-  });
-
-  x2t.stderr.on('data', (data) => {
-    const output = data.toString();
-    stderr += output;
-    console.error(`[X2T STDERR] ${output.trim()}`);
-  });
+  const sourceMtime = sourceStat.mtimeMs;
 
-  x2t.on('close', (code) => {
-    timings.afterX2t = performance.now();
-    console.log(`[CONVERT] x2t process exited with code ${code}`);
+  // PDF, XPS and DjVu are not converted: the pdf editor renders the original
+  // file itself (drawingfile.wasm), so the "binary" is the file as-is
+  const format = getFormatForFile(filename);
+  const native = Boolean(format && format.native);
 
-    // Clean up params file
-    try {
-      fs.unlinkSync(paramsPath);
-    } catch (e) {
-      console.warn('[CONVERT] Failed to delete params file:', e.message);
+  let fileHash;
+  let converted;
+  try {
+    // Content-addressed: copies of the same file share one cache entry
+    fileHash = conversion.getCacheKey(inputPath);
+    logger.info(`[CONVERT] File hash: ${fileHash}`);
+    if (!native) {
+      logger.info(`[CONVERT] Output directory: ${conversion.getCacheDir(inputPath)}`);
+      converted = await conversion.convertToEditorBin(inputPath, {
+        password,
+        signal: createClientAbortSignal(res),
+        timings
+      });
     }
-
-    if (code !== 0) {
-      console.error('[CONVERT] Conversion failed!');
-      console.error('[CONVERT] stderr:', stderr);
-      return res.status(500).send('Conversion failed: ' + stderr);
+  } catch (error) {
+    if (error.code === 'ABORT_ERR') {
+      logger.info(`[CONVERT] Client disconnected, conversion cancelled: ${filename}`);
+      return;
     }
-
-    // Check if output file was created
-    if (!fs.existsSync(outputPath)) {
-      console.error('[CONVERT] Output file not created');
-      return res.status(500).send('Conversion failed: output file not created');
+    if (error.code === 'EPASSWORD') {
+      logger.warn(`[CONVERT] ${filename} is password protected (${password ? 'wrong password' : 'no password given'})`);
+      return res.status(401).json({
+        error: password ? 'invalid_password' : 'password_required',
+        message: error.message
+      });
     }
+    if (error.code === 'ETIMEDOUT') {
+      logger.error(`[CONVERT] ${error.message}`);
+      return res.status(504).send('Conversion failed: ' + error.message);
+    }
+    if (error.code === 'EX2T') {
+      logger.error('[CONVERT] Conversion failed!');
+      logger.error('[CONVERT] stderr:', error.details);
+      return res.status(500).send('Conversion failed: ' + error.details);
+    }
+    logger.error('[CONVERT] Failed to run x2t:', error.message);
+    return res.status(500).send('Conversion failed: ' + error.message);
+  }
 
-    // Read and send the binary file
-    timings.beforeReadOutput = performance.now();
-    console.log(`[CONVERT] Reading output file: ${outputPath}`);
-    const binaryData = fs.readFileSync(outputPath);
-    timings.afterReadOutput = performance.now();
-    console.log(`[CONVERT] Sending ${binaryData.length} bytes`);
-
-    // Send the file hash in a custom header so the browser can use it for image URLs
-    res.setHeader('Content-Type', 'application/octet-stream');
+  if (native) {
+    logger.info(`[CONVERT] Serving ${format.ext.slice(1).toUpperCase()} as-is for the pdf editor: ${filename}`);
+    res.setHeader('Content-Type', format.mime);
     res.setHeader('Content-Disposition', `attachment; filename="Editor.bin"`);
     res.setHeader('X-File-Hash', fileHash);
-    res.setHeader('X-Cache', 'MISS');
+    res.setHeader('X-File-Mtime', String(sourceMtime));
+    res.setHeader('X-Cache', 'BYPASS');
+    return sendFileStream(res, inputPath, {
+      etag: makeETag([fileHash, Math.floor(sourceMtime)]),
+      lastModified: sourceMtime
+    });
+  }
+
+  const { outputPath, cacheHit, dispose } = converted;
+  // A password conversion has its own key: the private entry its images are served from
+  fileHash = converted.fileHash;
+  if (converted.stdout && converted.stdout.trim()) {
+    logger.debug(`[X2T] stdout: ${converted.stdout.trim()}`);
+  }
+  if (converted.stderr && converted.stderr.trim()) {
+    logger.debug(`[X2T] stderr: ${converted.stderr.trim()}`);
+  }
 
-    timings.end = performance.now();
-    const breakdown = {
+  logger.info(`[CONVERT] Streaming output file: ${outputPath} (${fs.statSync(outputPath).size} bytes)`);
+
+  timings.end = performance.now();
+  const breakdown = cacheHit
+    ? {
+      total: (timings.end - timings.start).toFixed(1),
+      cacheHit: true,
+      validation: (timings.validated - timings.start).toFixed(1),
+    }
+    : {
       total: (timings.end - timings.start).toFixed(1),
       validation: (timings.validated - timings.start).toFixed(1),
       mkdir: (timings.afterMkdir - timings.beforeMkdir).toFixed(1),
-      xmlWrite: (timings.afterXmlWrite - timings.beforeXmlWrite).toFixed(1),
+      xmlWrite: timings.afterXmlWrite ? (timings.afterXmlWrite - timings.beforeXmlWrite).toFixed(1) : '0.0',
       x2tConversion: (timings.afterX2t - timings.beforeX2t).toFixed(1),
-      readOutput: (timings.afterReadOutput - timings.beforeReadOutput).toFixed(1),
     };
-    console.log(`[CONVERT][TIMING] Breakdown (ms):`, JSON.stringify(breakdown));
-    res.setHeader('X-Timing', JSON.stringify(breakdown));
+  logger.info(`[CONVERT][TIMING] ${cacheHit ? 'Cache hit breakdown' : 'Breakdown'} (ms):`, JSON.stringify(breakdown));
 
-    console.log(`[CONVERT] Sent file hash in header: ${fileHash}`);
-    res.send(binaryData);
+  // Send the file hash in a custom header so the browser can use it for image URLs
+  res.setHeader('Content-Type', 'application/octet-stream');
+  res.setHeader('Content-Disposition', `attachment; filename="Editor.bin"`);
+  res.setHeader('X-File-Hash', fileHash);
+  res.setHeader('X-File-Mtime', String(sourceMtime));
+  res.setHeader('X-Timing', JSON.stringify(breakdown));
+  res.setHeader('X-Cache', cacheHit ? 'HIT' : 'MISS');
+
+  logger.info(`[CONVERT] Sent file hash in header: ${fileHash}`);
+
+  // A decrypted document is converted outside the cache and removed once sent
+  // (only its images stay, in the private entry); the browser doesn't keep it
+  // either, so the next open asks for the password again
+  sendFileStream(res, outputPath, {
+    // The cache key covers contents, x2t version and fonts; the mtime is in it
+    // so a revalidated response never carries a stale X-File-Mtime
+    etag: makeETag([fileHash, Math.floor(sourceMtime)]),
+    lastModified: sourceMtime,
+    cacheControl: password ? 'no-store' : 'no-cache',
+    onEnd: (err) => {
+      if (err && err.code !== 'ECONNABORTED') {
+        logger.error(`[CONVERT] Failed to send ${outputPath}: ${err.message}`);
+      }
+      dispose();
+    }
   });
 });
 
-// POST /converter - OnlyOffice Document Server API compatibility endpoint
+// POST /converter - OnlyOffice Document Server conversion API (see convert-api.js)
+// Answers 200 with { endConvert, percent, fileUrl, fileType } or { error: -N }, like Document Server
 app.post('/converter', async (req, res) => {
   try {
-    console.log('[CONVERTER] OnlyOffice Document Server API request received');
-
-    // Parse request body - handle both JWT token and raw payload
-    let payload;
-    if (req.body.token) {
-      // JWT token present - decode without verification (local trusted environment)
-      const token = req.body.token;
-      const parts = token.split('.');
-      if (parts.length !== 3) {
-        return res.status(400).json({ error: -1, message: 'Invalid JWT token format' });
-      }
-      const payloadBase64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
-      const payloadJson = Buffer.from(payloadBase64, 'base64').toString('utf8');
-      payload = JSON.parse(payloadJson);
-      console.log('[CONVERTER] Decoded JWT payload:', { filetype: payload.filetype, outputtype: payload.outputtype });
-    } else {
-      payload = req.body;
-      console.log('[CONVERTER] Using raw payload:', { filetype: payload.filetype, outputtype: payload.outputtype });
-    }
+    res.json(await convertApi.handleRequest(req.body, {
+      authorization: req.get(CONVERTER_JWT_HEADER),
+      trusted: accessControl.hasValidToken(req)
+    }));
+  } catch (error) {
+    logger.error('[CONVERTER] Error:', error);
+    res.json({ error: -1, message: error.message });
+  }
+});
 
-    const { filetype, key, outputtype, title, url: payloadUrl } = payload;
+// Results of /converter, by the random name in their fileUrl
+app.get('/converted/:filename', (req, res) => {
+  const filePath = convertApi.getResultPath(req.params.filename);
+  if (!filePath) {
+    return res.status(404).send('File not found');
+  }
+  sendFileStream(res, filePath);
+});
 
-    if (!filetype || !key || !outputtype) {
-      return res.status(400).json({
-        error: -1,
-        message: 'Missing required fields: filetype, key, outputtype'
-      });
-    }
+// API Endpoint: Export a file to another format
+// GET /api/export?filepath=/abs/report.xlsx&format=pdfa&sheets=0,2&fitToPage=1
+// Options are documented on buildExportOptions (export-formats.js)
+app.get('/api/export', instrumentOperation('export', (req) => req.query.format), async (req, res) => {
+  const { filepath, format: formatName, ...options } = req.query;
 
-    let inputPath = payloadUrl;
-    if (!inputPath) {
-      return res.status(400).json({
-        error: -1,
-        message: 'Missing required field: url'
-      });
-    }
+  if (!filepath || !formatName) {
+    return res.status(400).json({ error: 'filepath and format query parameters are required' });
+  }
 
-    // Handle URLs by extracting the file path
-    // Example: http://host:port/api/onlyoffice/files/absolute/path/to/file.xlsx
-    if (inputPath.startsWith('http://') || inputPath.startsWith('https://')) {
-      const urlObj = new URL(inputPath);
-      const pathMatch = urlObj.pathname.match(/\/api\/onlyoffice\/files\/(.+)/);
-      if (pathMatch) {
-        inputPath = '/' + pathMatch[1].split('/').map(decodeURIComponent).join('/');
-        console.log('[CONVERTER] Extracted file path from URL:', inputPath);
-      } else {
-        return res.status(400).json({
-          error: -1,
-          message: 'Cannot extract file path from URL: ' + inputPath
-        });
-      }
-    }
+  if (!isAbsolutePath(filepath)) {
+    return res.status(400).json({ error: 'filepath must be an absolute path' });
+  }
 
-    console.log(`[CONVERTER] Converting: ${inputPath}`);
-    console.log(`[CONVERTER] Format: ${filetype} → ${outputtype}`);
+  if (!requireAllowedPath(res, filepath)) return;
 
-    if (!fs.existsSync(inputPath)) {
-      console.error('[CONVERTER] Input file not found:', inputPath);
-      return res.status(404).json({
-        error: -1,
-        message: 'Input file not found: ' + inputPath
-      });
-    }
+  if (!fs.existsSync(filepath)) {
+    return res.status(404).json({ error: 'File not found at absolute path' });
+  }
 
-    const formatToCode = getX2TFormatCode(outputtype);
-    if (!formatToCode) {
-      return res.status(400).json({
-        error: -1,
-        message: `Unsupported output format: ${outputtype}`
+  const filename = path.basename(filepath);
+  const password = getDocumentPassword(req);
+
+  let exported;
+  try {
+    exported = await conversion.exportFile(filepath, formatName, options, {
+      password,
+      signal: createClientAbortSignal(res)
+    });
+  } catch (error) {
+    if (error.code === 'EINVALIDOPTION') {
+      return res.status(400).json({ error: 'invalid_option', message: error.message });
+    }
+    if (error.code === 'ABORT_ERR') {
+      logger.info(`[EXPORT] Client disconnected, export cancelled: ${filename}`);
+      return;
+    }
+    if (error.code === 'EPASSWORD') {
+      return res.status(401).json({
+        error: password ? 'invalid_password' : 'password_required',
+        message: error.message
       });
     }
+    const message = (error.details && error.details.trim()) || error.message;
+    logger.error(`[EXPORT] Export failed: ${message}`);
+    return res.status(error.code === 'ETIMEDOUT' ? 504 : 500).json({ error: 'export_failed', message });
+  }
 
-    const outputDir = path.join(__dirname, 'converted');
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
+  const { outputPath, format, multiPage, sheet, dispose } = exported;
+  const baseName = `${path.basename(filename, path.extname(filename))}.${multiPage ? 'zip' : format.ext}`;
+  // A chosen sheet is named like the files a split save writes: report.Sheet2.csv
+  const downloadName = sheet ? getSheetFilePath(baseName, sheet.name) : baseName;
+  res.setHeader('Content-Type', multiPage ? 'application/zip' : format.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${downloadName.replace(/[^\x20-\x7e]|"/g, '_')}"; filename*=UTF-8''${encodeURIComponent(downloadName)}`);
+  res.sendFile(outputPath, (err) => {
+    dispose();
+    if (err && !res.headersSent) {
+      res.status(500).json({ error: 'export_failed', message: err.message });
     }
+  });
+});
 
-    const fileHash = crypto.createHash('md5').update(key + Date.now()).digest('hex');
-    const outputFilename = `${fileHash}.${outputtype}`;
-    const outputPath = path.join(outputDir, outputFilename);
-    const paramsPath = path.join(outputDir, `params_${fileHash}.xml`);
-
-    console.log('[CONVERTER] Output will be:', outputPath);
-
-    // Create XML config for x2t converter
-    const xmlConfig = `<?xml version="1.0" encoding="utf-8"?>
-<TaskQueueDataConvert xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema">
-<m_sKey>converter_${key}</m_sKey>
-<m_sFileFrom>${inputPath}</m_sFileFrom>
-<m_sFileTo>${outputPath}</m_sFileTo>
-<m_sTitle>${title || path.basename(inputPath)}</m_sTitle>
-<m_nFormatTo>${formatToCode}</m_nFormatTo>
-<m_bPaid xsi:nil="true" />
-<m_bEmbeddedFonts xsi:nil="true" />
-<m_bFromChanges>false</m_bFromChanges>
-<m_sFontDir xsi:nil="true" />
-<m_sThemeDir>${path.join(__dirname, 'editors', 'sdkjs', 'slide', 'themes')}</m_sThemeDir>
-<m_sJsonParams>{}</m_sJsonParams>
-<m_nLcid xsi:nil="true" />
-<m_oTimestamp>${new Date().toISOString()}</m_oTimestamp>
-<m_bIsNoBase64 xsi:nil="true" />
-<m_sConvertToOrigin xsi:nil="true" />
-<m_oInputLimits>
-</m_oInputLimits>
-<options>
-<allowNetworkRequest>false</allowNetworkRequest>
-<allowPrivateIP>true</allowPrivateIP>
-</options>
-</TaskQueueDataConvert>
-`;
-
-    fs.writeFileSync(paramsPath, xmlConfig);
-    console.log('[CONVERTER] XML config written');
-
-    const x2tPath = path.join(__dirname, 'converter', 'x2t');
-    const x2t = spawn(x2tPath, [paramsPath]);
-
-    let stdout = '';
-    let stderr = '';
-
-    x2t.stdout.on('data', (data) => {
-      stdout += data.toString();
-    });
-
-    x2t.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
+// Page images for previews, rendered and cached by conversion.renderPageImages
+const THUMBNAIL_DEFAULT_SIZE = 320;
+const THUMBNAIL_MAX_SIZE = 2048;
+const THUMBNAIL_FORMATS = { png: 'image/png', jpg: 'image/jpeg' };
+
+/**
+ * Parse and validate thumbnail query parameters
+ * @param {object} query - Request query
+ * @returns {{width: number, height: number, format: string}|{error: string}} Options, or an error message
+ */
+function parseThumbnailQuery(query) {
+  const format = query.format || 'png';
+  if (typeof format !== 'string' || !Object.hasOwn(THUMBNAIL_FORMATS, format.toLowerCase())) {
+    return { error: 'format must be png or jpg' };
+  }
+  // A single dimension is used for both: x2t fits the page into the box keeping its aspect ratio
+  const width = Number(query.width || query.height || THUMBNAIL_DEFAULT_SIZE);
+  const height = Number(query.height || query.width || THUMBNAIL_DEFAULT_SIZE);
+  if (![width, height].every((n) => Number.isInteger(n) && n >= 16 && n <= THUMBNAIL_MAX_SIZE)) {
+    return { error: `width and height must be integers between 16 and ${THUMBNAIL_MAX_SIZE}` };
+  }
+  return { width, height, format: format.toLowerCase() };
+}
 
-    x2t.on('close', (code) => {
-      console.log(`[CONVERTER] x2t process exited with code ${code}`);
+/**
+ * Send the response for a failed renderPageImages call
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by renderPageImages
+ */
+function sendThumbnailError(res, error) {
+  if (error.code === 'ABORT_ERR') {
+    logger.info('[THUMBNAIL] Client disconnected, render cancelled');
+    return;
+  }
+  if (error.code === 'EPASSWORD') {
+    return res.status(401).json({ error: 'password_required', message: error.message });
+  }
+  const message = (error.details && error.details.trim()) || error.message;
+  logger.error(`[THUMBNAIL] Render failed: ${message}`);
+  res.status(error.code === 'ETIMEDOUT' ? 504 : 500).json({ error: 'render_failed', message });
+}
 
-      try {
-        fs.unlinkSync(paramsPath);
-      } catch (e) {
-        console.warn('[CONVERTER] Failed to delete params file:', e.message);
-      }
+/**
+ * Validate the filepath query parameter shared by the thumbnail endpoints
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {string|null} The file path, or null after an error response was sent
+ */
+function requireExistingFile(req, res) {
+  const filepath = req.query.filepath;
+  if (typeof filepath !== 'string' || !filepath) {
+    res.status(400).json({ error: 'filepath query parameter is required' });
+    return null;
+  }
+  if (!isAbsolutePath(filepath)) {
+    res.status(400).json({ error: 'filepath must be an absolute path' });
+    return null;
+  }
+  if (!requireAllowedPath(res, filepath)) {
+    return null;
+  }
+  if (!fs.existsSync(filepath)) {
+    res.status(404).json({ error: 'File not found at absolute path' });
+    return null;
+  }
+  return filepath;
+}
 
-      if (code !== 0) {
-        console.error('[CONVERTER] Conversion failed:', stderr);
-        return res.status(500).json({
-          error: -1,
-          message: 'Conversion failed',
-          details: stderr
-        });
-      }
+// API Endpoint: Preview image of one page, sheet or slide
+// GET /api/thumbnail?filepath=/abs/deck.pptx&page=3&width=480&format=jpg
+app.get('/api/thumbnail', async (req, res) => {
+  const filepath = requireExistingFile(req, res);
+  if (!filepath) return;
 
-      if (!fs.existsSync(outputPath)) {
-        console.error('[CONVERTER] Output file not created');
-        return res.status(500).json({
-          error: -1,
-          message: 'Output file not created'
-        });
-      }
+  const thumbnailOptions = parseThumbnailQuery(req.query);
+  if (thumbnailOptions.error) {
+    return res.status(400).json({ error: thumbnailOptions.error });
+  }
 
-      const resultUrl = `http://localhost:${PORT}/converted/${outputFilename}`;
-      console.log(`[CONVERTER] Conversion successful: ${resultUrl}`);
+  const page = Number(req.query.page || 1);
+  if (!Number.isInteger(page) || page < 1) {
+    return res.status(400).json({ error: 'page must be a positive integer' });
+  }
 
-      res.json({
-        url: resultUrl,
-        fileType: outputtype,
-        error: 0
-      });
+  let rendered;
+  try {
+    rendered = await conversion.renderPageImages({
+      filepath,
+      ...thumbnailOptions,
+      allPages: page > 1,
+      signal: createClientAbortSignal(res)
     });
-
   } catch (error) {
-    console.error('[CONVERTER] Error:', error);
-    res.status(500).json({
-      error: -1,
-      message: 'Internal server error',
-      details: error.message
-    });
+    return sendThumbnailError(res, error);
   }
-});
-
-app.get('/converted/:filename', (req, res) => {
-  const filename = req.params.filename;
-  const filePath = path.join(__dirname, 'converted', filename);
-
-  console.log(`[CONVERTED] Request for file: ${filename}`);
 
-  if (!fs.existsSync(filePath)) {
-    console.error(`[CONVERTED] File not found: ${filePath}`);
-    return res.status(404).send('File not found');
+  if (rendered.count !== null && page > rendered.count) {
+    rendered.dispose();
+    return res.status(404).json({ error: `page ${page} does not exist`, count: rendered.count });
   }
 
-  const ext = path.extname(filename).toLowerCase();
-  const contentTypes = {
-    '.pdf': 'application/pdf',
-    '.txt': 'text/plain',
-    '.html': 'text/html',
-    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
-  };
+  res.setHeader('Content-Type', THUMBNAIL_FORMATS[thumbnailOptions.format]);
+  sendFileStream(res, path.join(rendered.dir, `${page}.${thumbnailOptions.format}`), {
+    onEnd: () => rendered.dispose()
+  });
+});
 
-  const contentType = contentTypes[ext] || 'application/octet-stream';
-  res.setHeader('Content-Type', contentType);
-  res.setHeader('Access-Control-Allow-Origin', '*');
+// API Endpoint: Preview images of every page or slide
+// GET /api/thumbnails?filepath=/abs/deck.pptx&width=240 -> { count, pages: [{ page, url }] }
+app.get('/api/thumbnails', async (req, res) => {
+  const filepath = requireExistingFile(req, res);
+  if (!filepath) return;
+
+  const thumbnailOptions = parseThumbnailQuery(req.query);
+  if (thumbnailOptions.error) {
+    return res.status(400).json({ error: thumbnailOptions.error });
+  }
 
-  console.log(`[CONVERTED] Serving file: ${filePath} (${contentType})`);
-  res.sendFile(filePath);
+  let rendered;
+  try {
+    rendered = await conversion.renderPageImages({
+      filepath,
+      ...thumbnailOptions,
+      allPages: true,
+      signal: createClientAbortSignal(res)
+    });
+  } catch (error) {
+    return sendThumbnailError(res, error);
+  }
+  // Only URLs are sent; each image is leased again when it is requested
+  rendered.dispose();
+
+  const pages = [];
+  for (let page = 1; page <= rendered.count; page++) {
+    const params = new URLSearchParams({
+      filepath,
+      page: String(page),
+      width: String(thumbnailOptions.width),
+      height: String(thumbnailOptions.height),
+      format: thumbnailOptions.format
+    });
+    pages.push({ page, url: `${BASE_URL}/api/thumbnail?${params.toString()}` });
+  }
+  res.json({ filepath, count: rendered.count, pages });
 });
 
 // API Endpoint: Save binary back to XLSX
 // ONLY supports absolute paths via query parameter
-app.post('/api/save', (req, res) => {
+app.post('/api/save', instrumentOperation('save', getFilepathExtension), async (req, res) => {
+  // An error escaping an async handler would be an unhandled rejection, which ends the process
+  try {
+    await handleSave(req, res);
+  } catch (error) {
+    logger.error(`[SAVE] Save failed: ${error.stack || error.message}`);
+    if (!res.headersSent) {
+      res.status(500).send('Save failed: ' + error.message);
+    }
+  }
+});
+
+/**
+ * Handle POST /api/save
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {Promise<void>} Resolves once the response is sent
+ */
+async function handleSave(req, res) {
   const filepath = req.query.filepath;
   const filehash = req.query.filehash;
 
-  if (!filepath) {
+  if (typeof filepath !== 'string' || !filepath) {
     return res.status(400).json({ error: 'filepath query parameter is required' });
   }
 
@@ -677,173 +1379,768 @@ app.post('/api/save', (req, res) => {
     return res.status(400).json({ error: 'filepath must be an absolute path' });
   }
 
-  console.log(`[SAVE] Requested file: ${filepath}`);
-  console.log(`[SAVE] File hash: ${filehash || 'not provided'}`);
+  if (!requireAllowedPath(res, filepath)) return;
+
+  // The hash names a directory inside the cache; anything else could point x2t elsewhere
+  if (filehash && (typeof filehash !== 'string' || !HASH_PATTERN.test(filehash))) {
+    return res.status(400).json({ error: 'filehash must be an md5 hex digest' });
+  }
+
+  const isPdfChanges = path.extname(filepath).toLowerCase() === '.pdf';
+  if (isPdfChanges && req.query.origin && !requireAllowedPath(res, req.query.origin)) return;
+
+  // Formats x2t cannot write, or that drop formatting, are only saved once the
+  // user chose: format=keep writes the file as it is, format=ooxml writes an
+  // OOXML file next to it (answered as the new path)
+  const savePlan = getSavePlan(path.extname(filepath));
+  if (!savePlan) {
+    if (getFormatForFile(filepath)) {
+      logger.error(`[SAVE] ${path.extname(filepath)} files open read-only and cannot be saved`);
+      return res.status(400).send(`Read-only format: ${path.extname(filepath).slice(1).toLowerCase()} files cannot be saved`);
+    }
+    logger.error(`[SAVE] Unsupported file extension: ${path.extname(filepath)}`);
+    return res.status(400).send('Unsupported file format');
+  }
+  const formatChoice = req.query.format;
+  if (savePlan.needsChoice && formatChoice !== 'ooxml' && !(formatChoice === 'keep' && savePlan.format)) {
+    const format = path.extname(filepath).slice(1).toLowerCase();
+    logger.info(`[SAVE] ${format} needs a format choice before saving`);
+    return res.status(409).json({
+      error: 'format_choice',
+      message: savePlan.format
+        ? `Saving as ${format} loses formatting the editor supports`
+        : `${format} files cannot be written; save as ${savePlan.ooxml.name} instead`,
+      format,
+      canKeepFormat: Boolean(savePlan.format),
+      ooxmlFormat: savePlan.ooxml.ext.slice(1),
+      ooxmlPath: getSiblingPath(filepath, savePlan.ooxml.ext)
+    });
+  }
+
+  // x2t writes only the active sheet of a workbook to CSV/TSV. The editor sends
+  // its sheetCount; a workbook that gained sheets is saved the way the user
+  // chose: sheets=active writes the active sheet, sheets=split one file per
+  // sheet (report.csv, report.Sheet2.csv, ...), format=ooxml an .xlsx alongside
+  const sheetCount = Number.parseInt(req.query.sheetCount, 10) || 1;
+  const multiSheetText = getDialectKind(filepath) === 'table' && sheetCount > 1;
+  const sheetChoice = req.query.sheets;
+  if (multiSheetText && formatChoice !== 'ooxml' && sheetChoice !== 'active' && sheetChoice !== 'split') {
+    const format = path.extname(filepath).slice(1).toLowerCase();
+    logger.info(`[SAVE] ${format} workbook with ${sheetCount} sheets needs a choice before saving`);
+    return res.status(409).json({
+      error: 'sheet_choice',
+      message: `${format.toUpperCase()} files hold a single sheet; only the active one of ${sheetCount} would be saved`,
+      format,
+      sheetCount,
+      ooxmlFormat: 'xlsx',
+      ooxmlPath: getSiblingPath(filepath, '.xlsx')
+    });
+  }
+
+  const ooxml = savePlan.ooxml || (multiSheetText ? { ext: '.xlsx', ...getOutputFormatInfo('.xlsx') } : null);
+  const saveAsOoxml = Boolean(ooxml) && formatChoice === 'ooxml';
+  const splitSheets = multiSheetText && !saveAsOoxml && sheetChoice === 'split';
+  const outputPath = saveAsOoxml ? getSiblingPath(filepath, ooxml.ext) : filepath;
+  const outputFormat = saveAsOoxml ? ooxml : savePlan.format;
+  if (saveAsOoxml && !requireAllowedPath(res, outputPath)) return;
+
+  logger.info(`[SAVE] Requested file: ${filepath}`);
+  logger.info(`[SAVE] File hash: ${filehash || 'not provided'}`);
 
-  const outputDir = path.join(__dirname, 'test', 'output');
-  const outputPath = filepath;
+  // Optimistic concurrency: the client sends the mtime it loaded (X-File-Mtime);
+  // force=1 overwrites anyway after the user chose to in the conflict dialog
+  const expectedMtime = req.query.force === '1' ? undefined : req.query.expectedMtime;
+  try {
+    assertUnmodified(filepath, expectedMtime);
+  } catch (error) {
+    return sendConflict(res, error, expectedMtime);
+  }
 
   // Use hash-specific directory so x2t can find media files
   // x2t looks for media/ relative to input binary location
-  const hashDir = filehash ? path.join(outputDir, filehash) : outputDir;
+  const hashDir = filehash ? cacheStore.getEntryDir(filehash) : CACHE_DIR;
 
   // Ensure parent directory exists
   const parentDir = path.dirname(outputPath);
   if (!fs.existsSync(parentDir)) {
-    console.log(`[SAVE] Creating parent directory: ${parentDir}`);
-    fs.mkdirSync(parentDir, { recursive: true });
+    logger.info(`[SAVE] Creating parent directory: ${parentDir}`);
+    try {
+      fs.mkdirSync(parentDir, { recursive: true });
+    } catch (error) {
+      // e.g. a path running through a file (ENOTDIR, EEXIST)
+      logger.error(`[SAVE] Cannot create ${parentDir}: ${error.message}`);
+      return res.status(400).json({ error: `Cannot create the parent directory: ${error.code || error.message}` });
+    }
   }
 
-  const filename = path.basename(filepath);
+  const filename = path.basename(outputPath);
+
+  logger.info(`[SAVE] Saving file: ${filename}`);
+  logger.info(`[SAVE] Output path: ${outputPath}`);
+  logger.info(`[SAVE] Content-Type: ${req.get('Content-Type')}`);
 
-  console.log(`[SAVE] Saving file: ${filename}`);
-  console.log(`[SAVE] Output path: ${outputPath}`);
-  console.log(`[SAVE] Content-Type: ${req.get('Content-Type')}`);
-  console.log(`[SAVE] Body size: ${req.body.length} bytes`);
+  // The body goes straight to a temp file next to the target: a finished
+  // package is renamed over the original from there, anything else is moved
+  // into the cache entry for x2t
+  const uploadPath = createTempPath(outputPath);
+  let upload;
+  try {
+    upload = await receiveToFile(req, uploadPath, { limit: SAVE_MAX_BYTES });
+  } catch (error) {
+    if (error.code === 'EABORTED') {
+      logger.info('[SAVE] Client disconnected during upload, nothing saved');
+      return;
+    }
+    if (error.code === 'ETOOLARGE') {
+      logger.error(`[SAVE] ${error.message}`);
+      return res.status(413).send('Save failed: ' + error.message);
+    }
+    logger.error(`[SAVE] Failed to receive body: ${error.message}`);
+    return res.status(500).send('Save failed: ' + error.message);
+  }
+  logger.info(`[SAVE] Body size: ${upload.size} bytes`);
 
-  // Debug: Check first few bytes
-  const firstBytes = req.body.slice(0, 20);
-  console.log(`[SAVE] First 20 bytes (hex): ${Buffer.from(firstBytes).toString('hex')}`);
-  console.log(`[SAVE] First 20 bytes (ASCII): ${Buffer.from(firstBytes).toString('ascii').replace(/[^\x20-\x7E]/g, '.')}`);
+  const firstBytes = upload.head;
+  logger.debug(`[SAVE] First 20 bytes (hex): ${firstBytes.toString('hex')}`);
+  logger.debug(`[SAVE] First 20 bytes (ASCII): ${firstBytes.toString('ascii').replace(/[^\x20-\x7E]/g, '.')}`);
 
   // Check if this is an XLSX file (should start with PK - ZIP signature)
-  const isXLSX = isXLSXSignature(req.body);
-  console.log(`[SAVE] Detected format: ${isXLSX ? 'XLSX (ZIP)' : 'Unknown/Binary'}`);
+  const isXLSX = isXLSXSignature(firstBytes);
+  const isPDF = isPDFSignature(firstBytes);
+  logger.info(`[SAVE] Detected format: ${isXLSX ? 'XLSX (ZIP)' : isPDF ? 'PDF' : 'Unknown/Binary'}`);
+
+  // Documents opened with a password are re-encrypted with it, which needs x2t
+  // even when the client already sent a finished package
+  const savePassword = getDocumentPassword(req);
+  if (savePassword) {
+    logger.info('[SAVE] Re-encrypting with the document password');
+  }
 
-  if (isXLSX) {
-    // This is already an XLSX file - just save it directly!
-    console.log('[SAVE] File is already XLSX format, saving directly...');
-    try {
-      fs.writeFileSync(outputPath, req.body);
-      console.log(`[SAVE] Successfully saved XLSX file to ${outputPath}`);
+  // A finished package is only kept as it is when it is what the target holds
+  const isFinishedFile = isPDF ? outputFormat.name === 'PDF' : isXLSX && OOXML_FORMAT_NAMES.includes(outputFormat.name);
 
-      const stats = fs.statSync(outputPath);
-      console.log(`[SAVE] File size: ${stats.size} bytes`);
+  if (isFinishedFile && !savePassword) {
+    // This is already a finished file - just save it directly!
+    logger.info(`[SAVE] File is already ${isPDF ? 'PDF' : 'XLSX'} format, saving directly...`);
+    try {
+      const { size } = commitTempFile(uploadPath, outputPath, {
+        beforeReplace: () => {
+          assertUnmodified(outputPath, expectedMtime);
+          backupBeforeReplace(outputPath);
+        }
+      });
+      fileWatchers.noteWrite(outputPath);
+      logger.info(`[SAVE] Successfully saved ${isPDF ? 'PDF' : 'XLSX'} file to ${outputPath}`);
+      logger.info(`[SAVE] File size: ${size} bytes`);
 
-      res.json({ success: true, path: outputPath, size: stats.size });
+      res.json({ success: true, path: outputPath, size, mtime: fs.statSync(outputPath).mtimeMs });
     } catch (error) {
-      console.error('[SAVE] Failed to save XLSX file:', error);
-      res.status(500).send('Save failed: ' + error.message);
+      if (error.code === 'ECONFLICT') {
+        return sendConflict(res, error, expectedMtime);
+      }
+      logger.error(`[SAVE] Failed to save ${isPDF ? 'PDF' : 'XLSX'} file:`, error);
+      res.status(error.code === 'EVALIDATION' ? 422 : 500).send('Save failed: ' + error.message);
     }
   } else {
-    // This is ONLYOFFICE binary format - convert it to the appropriate output format
-    console.log('[SAVE] File appears to be ONLYOFFICE binary format');
+    // ONLYOFFICE binary format (or a package to encrypt) - convert it to the appropriate output format
+    logger.info(`[SAVE] File appears to be ${isXLSX ? 'an OOXML package' : 'ONLYOFFICE binary format'}`);
+
+    const ext = path.extname(outputPath).toLowerCase();
+    // Split workbooks are converted to XLSX first; each sheet is written from there
+    const { code: formatTo, name: formatName } = splitSheets ? getOutputFormatInfo('.xlsx') : outputFormat;
+    logger.info(`[SAVE] Converting received data to ${formatName}...`);
+
+    // The pdf editor sends only its changes (annotations, form fields); x2t
+    // applies them to origin.pdf, a copy of the current file placed next to them
+    // (after a save-as, ?origin= names the file the changes were made against)
+    const originSource = isPdfChanges && req.query.origin && isAbsolutePath(req.query.origin) ? req.query.origin : outputPath;
+    const pdfWorkDir = path.join(hashDir, 'pdf_save');
+    const originPdfPath = path.join(pdfWorkDir, 'origin.pdf');
+    const changesBinPath = isPdfChanges
+      ? path.join(pdfWorkDir, 'Editor.bin')
+      : path.join(hashDir, isXLSX ? `temp_changes${ext}` : 'temp_changes.bin');
+    const paramsPath = savePassword ? createSecretParamsPath() : path.join(hashDir, 'params_save.xml');
+    // x2t writes next to the target; the original is only replaced once the output checks out
+    const tempOutputPath = createTempPath(outputPath);
 
-    // Determine output format based on file extension
-    const ext = path.extname(filepath).toLowerCase();
-    const formatInfo = getOutputFormatInfo(ext);
+    // Convert the received data (with changes) to the output format
+    logger.info(`[SAVE] Converting received data (with changes) to ${formatName}...`);
+    logger.info(`[SAVE] Converting from: ${changesBinPath}`);
+    logger.info(`[SAVE] Output format: ${formatTo} (${formatName})`);
 
-    if (!formatInfo) {
-      console.error(`[SAVE] Unsupported file extension: ${ext}`);
-      return res.status(400).send('Unsupported file format');
+    // CRITICAL: Use the same fonts directory for save operations
+    const fontDir = FONT_DATA_DIR;
+
+    // Text is written back in the dialect it was read in (picked in the import dialog or sniffed)
+    const textDialect = getDialectKind(outputPath) ? getTextDialect(outputPath) : null;
+    const textOptions = textDialect ? getX2TTextOptions(textDialect, outputPath) : {};
+    if (textDialect) {
+      logger.info(`[SAVE] Writing text as ${JSON.stringify(textDialect)}`);
     }
+    // The XLSX a split workbook is converted to first takes no text settings
+    const x2tText = splitSheets ? {} : textOptions;
+
+    const xmlConfig = generateX2TConfig({
+      inputPath: changesBinPath,
+      outputPath: tempOutputPath,
+      filename,
+      // An XLSX body is the document itself, not editor changes
+      formatFrom: isXLSX ? undefined : (isPdfChanges ? X2T_FORMAT_CANVAS_PDF : X2T_FORMAT_CANVAS),
+      formatTo,
+      fontDir,
+      themeDir: path.join(__dirname, 'editors', 'sdkjs', 'slide', 'themes'),
+      csv: x2tText.csv,
+      lcid: x2tText.lcid,
+      savePassword
+    });
 
-    const { code: formatTo, name: formatName } = formatInfo;
-    console.log(`[SAVE] Converting received data to ${formatName}...`);
+    // Saves are serialized per working directory (never coalesced: each body is
+    // different) so concurrent saves don't share temp_changes.bin/params_save.xml.
+    // A running save is finished even if the client disconnects, so closing the
+    // tab right after saving doesn't lose the save.
+    // The entry holding the media x2t reads is not evicted until the run is over
+    const releaseEntry = filehash ? cacheStore.lease(filehash) : () => {};
+    let result;
+    try {
+      result = await x2tScheduler.run({
+        key: `save:${filehash || 'shared'}`,
+        paramsPath,
+        coalesce: false,
+        abortRunning: false,
+        signal: createClientAbortSignal(res),
+        prepare: () => {
+          // The entry may have been evicted while the document was open
+          fs.mkdirSync(hashDir, { recursive: true });
+          if (isPdfChanges) {
+            fs.mkdirSync(pdfWorkDir, { recursive: true });
+            fs.copyFileSync(originSource, originPdfPath);
+          }
+          // Hand the received binary data to x2t
+          moveFileSync(uploadPath, changesBinPath);
+          logger.info(`[SAVE] Wrote binary data: ${changesBinPath}`);
+          fs.writeFileSync(paramsPath, xmlConfig, { mode: 0o600 });
+        },
+        cleanup: () => {
+          // Clean up temp files
+          try {
+            if (savePassword) {
+              removeSecretParams(paramsPath);
+            } else if (fs.existsSync(paramsPath)) {
+              fs.unlinkSync(paramsPath);
+            }
+            if (fs.existsSync(changesBinPath)) fs.unlinkSync(changesBinPath);
+            removeQuietly(uploadPath);
+            if (isPdfChanges) fs.rmSync(pdfWorkDir, { recursive: true, force: true });
+          } catch (e) {
+            logger.warn('[SAVE] Cleanup warning:', e.message);
+          }
+        }
+      });
+    } catch (error) {
+      removeQuietly(uploadPath);
+      if (error.code === 'ABORT_ERR') {
+        logger.info('[SAVE] Client disconnected before save started, cancelled');
+        return;
+      }
+      removeQuietly(tempOutputPath);
+      logger.error(`[SAVE] Failed to run x2t: ${error.message}`);
+      return res.status(error.code === 'ETIMEDOUT' ? 504 : 500).send('Save failed: ' + error.message);
+    } finally {
+      releaseEntry();
+    }
 
-    const changesBinPath = path.join(hashDir, 'temp_changes.bin');
-    const paramsPath = path.join(hashDir, 'params_save.xml');
+    const { code } = result;
+    logger.info(`[SAVE] x2t exited with code ${code}`);
 
-    // Save the received binary data
-    fs.writeFileSync(changesBinPath, req.body);
-    console.log(`[SAVE] Wrote binary data: ${changesBinPath}`);
+    if (code !== 0) {
+      removeQuietly(tempOutputPath);
+      logger.error('[SAVE] Conversion failed!');
+      return res.status(500).send('Save failed: conversion error');
+    }
 
-    // Convert the received data (with changes) to the output format
-    console.log(`[SAVE] Converting received data (with changes) to ${formatName}...`);
-    console.log(`[SAVE] Converting from: ${changesBinPath}`);
-    console.log(`[SAVE] Output format: ${formatTo} (${formatName})`);
+    if (!fs.existsSync(tempOutputPath)) {
+      logger.error('[SAVE] Output file not created');
+      return res.status(500).send('Save failed: no output file');
+    }
 
-    // CRITICAL: Use the same fonts directory for save operations
-    const fontDir = FONT_DATA_DIR;
+    let outputs = [{ path: outputPath, tempPath: tempOutputPath }];
+    if (splitSheets) {
+      outputs = await writeSheetFiles(res, tempOutputPath, outputPath, textOptions);
+      removeQuietly(tempOutputPath);
+      if (!outputs) return;
+    }
 
-    const xmlConfig = `<?xml version="1.0" encoding="utf-8"?>
-<TaskQueueDataConvert xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema">
-<m_sKey>api_save</m_sKey>
-<m_sFileFrom>${changesBinPath}</m_sFileFrom>
-<m_nFormatFrom>8192</m_nFormatFrom>
-<m_sFileTo>${outputPath}</m_sFileTo>
-<m_sTitle>${filename}</m_sTitle>
-<m_nFormatTo>${formatTo}</m_nFormatTo>${ext === '.csv' ? '\n<m_nCsvTxtEncoding>46</m_nCsvTxtEncoding>\n<m_nCsvDelimiter>4</m_nCsvDelimiter>' : ''}
-<m_bPaid xsi:nil="true" />
-<m_bEmbeddedFonts xsi:nil="true" />
-<m_bFromChanges>false</m_bFromChanges>
-<m_sFontDir>${fontDir}</m_sFontDir>
-<m_sThemeDir>${path.join(__dirname, 'editors', 'sdkjs', 'slide', 'themes')}</m_sThemeDir>
-<m_sJsonParams>{}</m_sJsonParams>
-<m_nLcid xsi:nil="true" />
-<m_oTimestamp>${new Date().toISOString()}</m_oTimestamp>
-<m_bIsNoBase64 xsi:nil="true" />
-<m_sConvertToOrigin xsi:nil="true" />
-<m_oInputLimits>
-</m_oInputLimits>
-<options>
-<allowNetworkRequest>false</allowNetworkRequest>
-<allowPrivateIP>true</allowPrivateIP>
-</options>
-</TaskQueueDataConvert>
-`;
-
-    fs.writeFileSync(paramsPath, xmlConfig);
-
-    const x2tPath = path.join(__dirname, 'converter', 'x2t');
-    const x2t = spawn(x2tPath, [paramsPath]);
-
-    let stdout = '';
-    let stderr = '';
-
-    x2t.on('error', (err) => {
-      console.error(`[SAVE] Failed to start x2t: ${err.message}`);
-    });
+    // x2t always quotes with '"'
+    if (textDialect && textOptions.formatFrom && textDialect.quote !== '"') {
+      for (const output of outputs) {
+        fs.writeFileSync(output.tempPath, requoteText(fs.readFileSync(output.tempPath), textDialect, '"', textDialect.quote));
+      }
+    }
+
+    let size;
+    try {
+      ({ size } = commitTempFile(outputs[0].tempPath, outputPath, {
+        encrypted: Boolean(savePassword),
+        beforeReplace: () => {
+          assertUnmodified(outputPath, expectedMtime);
+          backupBeforeReplace(outputPath);
+        }
+      }));
+    } catch (error) {
+      outputs.slice(1).forEach((output) => removeQuietly(output.tempPath));
+      if (error.code === 'ECONFLICT') {
+        return sendConflict(res, error, expectedMtime);
+      }
+      logger.error(`[SAVE] Converted output rejected, original left untouched: ${error.message}`);
+      return res.status(error.code === 'EVALIDATION' ? 422 : 500).send('Save failed: ' + error.message);
+    }
+
+    fileWatchers.noteWrite(outputPath);
+    logger.info(`[SAVE] Successfully saved to ${outputPath}`);
+    logger.info(`[SAVE] File size: ${size} bytes`);
+
+    // The other sheets of a split workbook are only written once the file itself is
+    for (let i = 1; i < outputs.length; i++) {
+      const output = outputs[i];
+      try {
+        commitTempFile(output.tempPath, output.path, { beforeReplace: () => backupBeforeReplace(output.path) });
+        fileWatchers.noteWrite(output.path);
+        logger.info(`[SAVE] Saved sheet ${output.sheet.name} to ${output.path}`);
+      } catch (error) {
+        outputs.slice(i).forEach((rest) => removeQuietly(rest.tempPath));
+        logger.error(`[SAVE] Failed to save sheet ${output.sheet.name}: ${error.message}`);
+        return res.status(500).send(`Save failed: ${path.basename(outputPath)} was saved, but sheet ${output.sheet.name} was not: ${error.message}`);
+      }
+    }
 
-    x2t.stdout.on('data', (data) => {
-      stdout += data.toString();
+    res.json({
+      success: true,
+      path: outputPath,
+      size,
+      mtime: fs.statSync(outputPath).mtimeMs,
+      ...(splitSheets ? { sheets: outputs.map((output) => ({ name: output.sheet.name, path: output.path })) } : {})
     });
+  }
+}
 
-    x2t.stderr.on('data', (data) => {
-      stderr += data.toString();
+/**
+ * Write each sheet of a workbook saved as CSV/TSV to its own file
+ * @param {object} res - Express response, answered when the sheets cannot be written
+ * @param {string} workbookPath - The saved document as XLSX
+ * @param {string} outputPath - File being saved: it gets the first sheet, the others go next to it
+ * @param {object} textOptions - x2t text settings of the file's dialect
+ * @returns {Promise<Array<{sheet: object, path: string, tempPath: string}>|null>} Temp files to commit,
+ *   the first one for outputPath; null after an error response
+ */
+async function writeSheetFiles(res, workbookPath, outputPath, textOptions) {
+  let outputs = [];
+  try {
+    const sheets = listWorkbookSheets(workbookPath);
+    const paths = getSheetFilePaths(outputPath, sheets);
+    outputs = sheets.map((sheet, i) => ({ sheet, path: paths[i] }));
+    if (!outputs.every((output) => requireAllowedPath(res, output.path))) return null;
+    await conversion.writeSheetsAsText(workbookPath, {
+      sheets: outputs.map((output) => output.sheet.index),
+      getOutputPath: (sheet) => {
+        outputs[sheet.index].tempPath = createTempPath(outputs[sheet.index].path);
+        return outputs[sheet.index].tempPath;
+      },
+      text: textOptions
     });
+  } catch (error) {
+    outputs.forEach((output) => output.tempPath && removeQuietly(output.tempPath));
+    logger.error(`[SAVE] Failed to write sheets: ${error.message}`);
+    res.status(error.code === 'ETIMEDOUT' ? 504 : 500).send('Save failed: ' + error.message);
+    return null;
+  }
+  return outputs;
+}
+
+// API Endpoint: Document Server save callback (the callbackUrl of the DocsAPI pages)
+// POST /api/save/:filename[?filepath=/abs/name] with { key, status, url, changesurl, history, ... }
+// The /edit and /api/document pages edit test/<filename>; integrations name any
+// allowed file with ?filepath= (its name must match). Answers { error: 0 } or { error: 1 }
+app.post('/api/save/:filename', async (req, res) => {
+  const filename = req.params.filename;
+  const named = Boolean(req.query.filepath);
 
-    x2t.on('close', (code) => {
-      console.log(`[SAVE] x2t exited with code ${code}`);
+  try {
+    const filepath = named ? req.query.filepath : path.join(__dirname, 'test', filename);
 
-      // Clean up temp files
-      try {
-        if (fs.existsSync(paramsPath)) fs.unlinkSync(paramsPath);
-        if (fs.existsSync(changesBinPath)) fs.unlinkSync(changesBinPath);
-      } catch (e) {
-        console.warn('[SAVE] Cleanup warning:', e.message);
-      }
+    if (named && (typeof filepath !== 'string' || !isAbsolutePath(filepath) || path.basename(filepath) !== filename)) {
+      return res.status(400).json({ error: 1, message: 'filepath must be an absolute path ending in the file name' });
+    }
+
+    if (!requireAllowedPath(res, filepath, named ? pathPolicy.resolve : testFilesPolicy.resolve)) return;
 
-      if (code !== 0) {
-        console.error('[SAVE] Conversion failed!');
-        return res.status(500).send('Save failed: conversion error');
+    res.json(await callbackHandler.handleCallback(filepath, req.body, {
+      authorization: req.get(CONVERTER_JWT_HEADER),
+      trusted: accessControl.hasValidToken(req)
+    }));
+  } catch (error) {
+    logger.error('[CALLBACK] Error:', error);
+    res.json({ error: 1, message: error.message });
+  }
+});
+
+// Who the local document service reports as the editing user
+const DOCSERVICE_USER = { id: 'local', name: process.env.USER || process.env.USERNAME || 'Local user' };
+
+// API Endpoint: Local document service for the DocsAPI pages
+// POST /api/docservice/save?key=&filetype=xlsx&callbackUrl=&filehash=[&final=1]
+// Stands in for Document Server when the editor saves: the body (what /api/save
+// receives) is converted, served under /converted/ and reported to callbackUrl
+// as a force save (status 6), or as the final save (status 2) with final=1
+app.post('/api/docservice/save', async (req, res) => {
+  const { key, callbackUrl, filehash } = req.query;
+  const fileType = String(req.query.filetype || '').toLowerCase();
+  const formatInfo = getOutputFormatInfo(`.${fileType}`);
+
+  if (typeof key !== 'string' || !key || typeof callbackUrl !== 'string' || !/^https?:\/\//i.test(callbackUrl)) {
+    return res.status(400).json({ error: 1, message: 'key and an http(s) callbackUrl are required' });
+  }
+  if (!formatInfo) {
+    return res.status(400).json({ error: 1, message: `Unsupported filetype: ${fileType}` });
+  }
+  if (filehash && !HASH_PATTERN.test(filehash)) {
+    return res.status(400).json({ error: 1, message: 'filehash must be an md5 hex digest' });
+  }
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oo-docservice-'));
+  const releaseEntry = filehash ? cacheStore.lease(filehash) : () => {};
+  try {
+    const uploadPath = path.join(workDir, 'upload.bin');
+    let upload;
+    try {
+      upload = await receiveToFile(req, uploadPath, { limit: SAVE_MAX_BYTES });
+    } catch (error) {
+      if (error.code === 'EABORTED') {
+        logger.info('[DOCSERVICE] Client disconnected during upload, nothing saved');
+        return;
       }
+      logger.error(`[DOCSERVICE] Failed to receive body: ${error.message}`);
+      return res.status(error.code === 'ETOOLARGE' ? 413 : 500).json({ error: 1, message: error.message });
+    }
 
-      if (!fs.existsSync(outputPath)) {
-        console.error('[SAVE] Output file not created');
-        return res.status(500).send('Save failed: no output file');
+    let resultPath = uploadPath;
+    if (!isXLSXSignature(upload.head) && !isPDFSignature(upload.head)) {
+      // Editor.bin: x2t finds the document's media next to it in the cache entry,
+      // so runs in one entry are serialized with /api/save's
+      const hashDir = filehash ? cacheStore.getEntryDir(filehash) : workDir;
+      const binPath = path.join(hashDir, 'docservice_changes.bin');
+      const paramsPath = path.join(hashDir, 'params_docservice.xml');
+      resultPath = path.join(workDir, `document.${fileType}`);
+      const result = await x2tScheduler.run({
+        key: filehash ? `save:${filehash}` : `docservice:${workDir}`,
+        paramsPath,
+        coalesce: false,
+        abortRunning: false,
+        prepare: () => {
+          fs.mkdirSync(hashDir, { recursive: true });
+          moveFileSync(uploadPath, binPath);
+          fs.writeFileSync(paramsPath, generateX2TConfig({
+            inputPath: binPath,
+            outputPath: resultPath,
+            filename: `${key}.${fileType}`,
+            formatFrom: X2T_FORMAT_CANVAS,
+            formatTo: formatInfo.code,
+            fontDir: FONT_DATA_DIR,
+            themeDir: path.join(__dirname, 'editors', 'sdkjs', 'slide', 'themes'),
+            // Documents saved through the callback have no remembered dialect
+            csv: getDialectKind(resultPath) ? getX2TTextOptions(getDefaultDialect(resultPath), resultPath).csv : undefined
+          }));
+        },
+        cleanup: () => {
+          removeQuietly(paramsPath);
+          removeQuietly(binPath);
+        }
+      });
+      if (result.code !== 0 || !fs.existsSync(resultPath)) {
+        logger.error(`[DOCSERVICE] ${key}: x2t exited with code ${result.code}`);
+        return res.status(500).json({ error: 1, message: 'Conversion failed' });
       }
+    }
 
-      const stats = fs.statSync(outputPath);
-      console.log(`[SAVE] Successfully saved to ${outputPath}`);
-      console.log(`[SAVE] File size: ${stats.size} bytes`);
-      res.json({ success: true, path: outputPath, size: stats.size });
+    const url = convertApi.publishResult(resultPath, fileType);
+    const callback = buildSaveCallback({
+      key,
+      url,
+      fileType,
+      user: DOCSERVICE_USER,
+      serverVersion: packageInfo.version,
+      forceSaveType: req.query.final === '1' ? undefined : FORCE_SAVE_TYPES.BUTTON
     });
+    // Our own callback route takes the launch token like any other API call
+    const headers = callbackUrl.startsWith(`${BASE_URL}/`) ? { [TOKEN_HEADER]: accessControl.token, 'X-Request-Id': req.id } : {};
+
+    logger.info(`[DOCSERVICE] ${key}: status ${callback.status} callback to ${callbackUrl}`);
+    await sendCallback(callbackUrl, callback, { secret: CONVERTER_JWT_SECRET, header: CONVERTER_JWT_HEADER, headers });
+    res.json({ error: 0, success: true, url });
+  } catch (error) {
+    logger.error(`[DOCSERVICE] ${key}: ${error.message}`);
+    res.status(error.code === 'ECALLBACK' ? 502 : 500).json({ error: 1, message: error.message });
+  } finally {
+    releaseEntry();
+    fs.rmSync(workDir, { recursive: true, force: true });
   }
 });
 
+// API Endpoint: Server-sent events for changes to an open file
+// The offline loader subscribes so it can offer reload/overwrite/save-as when
+// another program (or another tab) rewrites the document
+app.get('/api/watch', (req, res) => {
+  const filepath = req.query.filepath;
+
+  if (!filepath) {
+    return res.status(400).json({ error: 'filepath query parameter is required' });
+  }
+
+  if (!isAbsolutePath(filepath)) {
+    return res.status(400).json({ error: 'filepath must be an absolute path' });
+  }
+
+  if (!requireAllowedPath(res, filepath)) return;
+
+  logger.info(`[WATCH] Client subscribed to ${filepath}`);
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  // compression() buffers responses; flush so each event reaches the browser immediately
+  const send = (event) => {
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+    if (res.flush) res.flush();
+  };
+
+  const stats = fs.existsSync(filepath) ? fs.statSync(filepath) : null;
+  send({ type: 'ready', filepath, mtime: stats ? stats.mtimeMs : null });
+
+  const unsubscribe = fileWatchers.subscribe(filepath, send);
+  const heartbeat = setInterval(() => {
+    res.write(': keepalive\n\n');
+    if (res.flush) res.flush();
+  }, 25000);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.info(`[WATCH] Client unsubscribed from ${filepath}`);
+  });
+});
+
+// API Endpoint: List backed-up versions of a file
+// ONLY supports absolute paths via query parameter
+app.get('/api/versions', (req, res) => {
+  const filepath = req.query.filepath;
+
+  if (!filepath) {
+    return res.status(400).json({ error: 'filepath query parameter is required' });
+  }
+
+  if (!isAbsolutePath(filepath)) {
+    return res.status(400).json({ error: 'filepath must be an absolute path' });
+  }
+
+  if (!requireAllowedPath(res, filepath)) return;
+
+  try {
+    const versions = backupStore.list(filepath);
+    logger.info(`[VERSIONS] ${versions.length} versions for ${filepath}`);
+    res.json({ filepath, versions });
+  } catch (err) {
+    logger.error('[VERSIONS] Error listing versions:', err);
+    res.status(500).json({ error: 'Error listing versions' });
+  }
+});
+
+// API Endpoint: Changes zip (changesurl) kept with a version replaced through the save callback
+// GET /api/versions/changes?filepath=/abs/report.docx&id=<version id>
+app.get('/api/versions/changes', (req, res) => {
+  const { filepath, id } = req.query;
+
+  if (!filepath || !id) {
+    return res.status(400).json({ error: 'filepath and id are required' });
+  }
+
+  if (!isAbsolutePath(filepath)) {
+    return res.status(400).json({ error: 'filepath must be an absolute path' });
+  }
+
+  if (!requireAllowedPath(res, filepath)) return;
+
+  const changesPath = backupStore.getChangesPath(filepath, id);
+  if (!changesPath) {
+    return res.status(404).json({ error: 'No changes stored for this version' });
+  }
+  res.setHeader('Content-Type', 'application/zip');
+  sendFileStream(res, changesPath);
+});
+
+// API Endpoint: Restore a backed-up version over the current file
+// Body: { filepath, id }. The current contents are backed up first, so a restore can be undone.
+app.post('/api/versions/restore', (req, res) => {
+  const { filepath, id } = req.body || {};
+
+  if (!filepath || !id) {
+    return res.status(400).json({ error: 'filepath and id are required' });
+  }
+
+  if (!isAbsolutePath(filepath)) {
+    return res.status(400).json({ error: 'filepath must be an absolute path' });
+  }
+
+  if (!requireAllowedPath(res, filepath)) return;
+
+  const versionPath = backupStore.getVersionPath(filepath, id);
+  if (!versionPath) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+
+  logger.info(`[VERSIONS] Restoring ${id} over ${filepath}`);
+
+  const tempPath = createTempPath(filepath);
+  try {
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.copyFileSync(versionPath, tempPath);
+    const { size } = commitTempFile(tempPath, filepath, {
+      beforeReplace: () => backupBeforeReplace(filepath)
+    });
+    fileWatchers.noteWrite(filepath, 'restore');
+    logger.info(`[VERSIONS] Restored ${id} (${size} bytes)`);
+    res.json({ success: true, path: filepath, size, mtime: fs.statSync(filepath).mtimeMs, restoredFrom: id });
+  } catch (err) {
+    removeQuietly(tempPath);
+    logger.error('[VERSIONS] Restore failed:', err);
+    res.status(err.code === 'EVALIDATION' ? 422 : 500).json({ error: 'Restore failed: ' + err.message });
+  }
+});
+
+// Rows shown in the import dialog's preview
+const CSV_PREVIEW_ROWS = 20;
+const CSV_PREVIEW_BYTES = 64 * 1024;
+
+/**
+ * Check the filepath of a dialect request, answering 400/403/404 when it is not usable
+ * @param {object} res - Express response
+ * @param {string} filepath - filepath from the query or body
+ * @returns {boolean} Whether the request may go on
+ */
+function requireTextFile(res, filepath) {
+  if (!filepath) {
+    res.status(400).json({ error: 'filepath is required' });
+    return false;
+  }
+  if (!isAbsolutePath(filepath)) {
+    res.status(400).json({ error: 'filepath must be an absolute path' });
+    return false;
+  }
+  if (!getDialectKind(filepath)) {
+    res.status(400).json({ error: 'Import options only apply to csv, tsv and txt files' });
+    return false;
+  }
+  if (!requireAllowedPath(res, filepath)) return false;
+  if (!fs.existsSync(filepath)) {
+    res.status(404).json({ error: 'File not found at absolute path' });
+    return false;
+  }
+  return true;
+}
+
+// API Endpoint: Import options of a CSV, TSV or TXT file, with a preview
+// GET /api/csv/dialect?filepath=/abs/data.csv[&encoding=windows-1252&delimiter=semicolon&quote='&decimal=,]
+// Answers { dialect, detected, remembered, preview, encodings }: the options given in
+// the query over the remembered (or else detected) dialect, the first rows read with
+// them, and the encodings that can be picked
+app.get('/api/csv/dialect', (req, res) => {
+  const filepath = req.query.filepath;
+  if (!requireTextFile(res, filepath)) return;
+
+  const detected = sniffFileDialect(filepath);
+  const remembered = csvDialects.get(filepath);
+  let dialect;
+  try {
+    dialect = normalizeDialect(req.query, remembered || detected);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const fd = fs.openSync(filepath, 'r');
+  let text;
+  try {
+    const buffer = Buffer.alloc(CSV_PREVIEW_BYTES);
+    text = decodeText(buffer.subarray(0, fs.readSync(fd, buffer, 0, CSV_PREVIEW_BYTES, 0)), dialect.encoding);
+  } finally {
+    fs.closeSync(fd);
+  }
+  const preview = getDialectKind(filepath) === 'table'
+    ? parseRows(text, dialect, CSV_PREVIEW_ROWS)
+    : text.split(/\r\n|\r|\n/).slice(0, CSV_PREVIEW_ROWS).map((line) => [line]);
+
+  res.json({ filepath, dialect, detected, remembered: Boolean(remembered), preview, encodings: Object.keys(TEXT_ENCODINGS) });
+});
+
+// API Endpoint: Remember the import options of a CSV, TSV or TXT file
+// Body: { filepath, encoding, delimiter, quote, decimal }. The file is reopened
+// and saved in this dialect; options left out keep their current value
+app.post('/api/csv/dialect', (req, res) => {
+  const { filepath, ...options } = req.body || {};
+  if (!requireTextFile(res, filepath)) return;
+
+  let dialect;
+  try {
+    dialect = normalizeDialect(options, getTextDialect(filepath));
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    csvDialects.set(filepath, dialect);
+  } catch (err) {
+    logger.error('[CSV] Failed to store import options:', err);
+    return res.status(500).json({ error: 'Failed to store import options' });
+  }
+  logger.info(`[CSV] Import options for ${filepath}: ${JSON.stringify(dialect)}`);
+  res.json({ filepath, dialect });
+});
+
+// API Endpoint: List conversion cache entries, most recently used first
+app.get('/api/cache', (req, res) => {
+  const entries = cacheStore.list();
+  res.json({
+    dir: CACHE_DIR,
+    maxBytes: cacheStore.maxBytes,
+    totalBytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+    entries: entries.map((entry) => ({ ...entry, lastAccess: new Date(entry.lastAccess).toISOString() }))
+  });
+});
+
+// API Endpoint: Drop one cache entry (the document is reconverted on next open)
+app.delete('/api/cache/:hash', (req, res) => {
+  const hash = req.params.hash;
+  if (!HASH_PATTERN.test(hash)) {
+    return res.status(400).json({ error: 'hash must be an md5 hex digest' });
+  }
+  if (!cacheStore.remove(hash)) {
+    return res.status(404).json({ error: 'Cache entry not found' });
+  }
+  logger.info(`[CACHE] Removed entry ${hash}`);
+  res.json({ removed: hash });
+});
+
 // API Endpoint: Load document with simple loader (direct binary loading)
 app.get('/load/:filename', (req, res) => {
   const filename = req.params.filename;
 
-  console.log(`[LOAD] Loading ${filename} with simple loader`);
+  logger.info(`[LOAD] Loading ${filename} with simple loader`);
 
   // Serve the simple-loader.html with filename as query parameter
   const loaderPath = path.join(__dirname, 'editors', 'simple-loader.html');
 
   fs.readFile(loaderPath, 'utf8', (err, html) => {
     if (err) {
-      console.error('[LOAD] Error reading simple-loader.html:', err);
+      logger.error('[LOAD] Error reading simple-loader.html:', err);
       return res.status(500).send('Failed to load editor');
     }
 
@@ -873,26 +2170,58 @@ app.get('/open', (req, res) => {
     return res.status(400).json({ error: 'filepath must be an absolute path' });
   }
 
-  console.log(`[OPEN] Requested file: ${filepath}`);
+  if (!requireAllowedPath(res, filepath)) return;
 
-  const filename = path.basename(filepath);
-  const ext = filename.split('.').pop().toLowerCase();
-  const docType = getDocTypeFromFilename(filename);
+  logger.info(`[OPEN] Requested file: ${filepath}`);
+
+  if (!getFormatForFile(filepath)) {
+    logger.error(`[OPEN] Unsupported file extension: ${path.extname(filepath)}`);
+    return res.status(400).json({ error: 'Unsupported file format' });
+  }
+
+  // Opening a template starts a new document from it, saved next to the
+  // template on first save; ?template=edit edits the template itself
+  const newDocumentExt = req.query.template === 'edit' ? null : getTemplateDocumentExtension(path.extname(filepath));
+  const documentPath = newDocumentExt ? getSiblingPath(filepath, newDocumentExt) : String(filepath);
+  if (newDocumentExt && !requireAllowedPath(res, documentPath)) return;
+
+  const filename = path.basename(documentPath);
+  const format = getFormatForFile(filename);
+  const ext = format.ext.slice(1);
+  const docType = format.docType;
 
   // Build the document URL with proper encoding
   const documentUrl = `http://localhost:${PORT}/api/convert?filepath=${encodeURIComponent(filepath)}`;
 
-  console.log(`[OPEN] Opening ${filename} with offline loader`);
-  console.log(`[OPEN] Document URL: ${documentUrl}`);
+  if (newDocumentExt) {
+    logger.info(`[OPEN] Creating ${filename} from template ${path.basename(filepath)}`);
+  }
+  logger.info(`[OPEN] Opening ${filename} with offline loader`);
+  logger.debug(`[OPEN] Document URL: ${decodeURIComponent(documentUrl)}`);
 
   // Redirect to offline loader with parameters
   const redirectParams = new URLSearchParams({
     url: documentUrl,
     title: filename,
-    filepath: String(filepath),
+    filepath: documentPath,
     filetype: ext,
     doctype: docType,
+    // The loader and the editor send it back (X-Request-Id) so their requests log under this open
+    requestId: req.id,
   });
+  if (newDocumentExt) {
+    redirectParams.set('template', String(filepath));
+  }
+  // Plain PDFs (annotations, AcroForm fields) go to the pdf editor rather than
+  // the document editor's form-filling mode
+  if (docType === 'pdf') {
+    redirectParams.set('isForm', 'false');
+  }
+  // Formats that cannot be saved back (imports such as .xlsb, .pages, .epub,
+  // fixed-layout .xps/.djvu, and diagrams) open read-only
+  if (!isEditableFormat(format)) {
+    redirectParams.set('mode', 'view');
+  }
   if (lang) {
     redirectParams.set('lang', lang);
   }
@@ -905,22 +2234,22 @@ app.get('/raw/:filename', (req, res) => {
   const filename = req.params.filename;
   const filePath = path.join(__dirname, 'test', filename);
 
-  console.log(`[RAW] Serving original file: ${filename}`);
-  console.log(`[RAW] Path: ${filePath}`);
+  if (!requireAllowedPath(res, filePath, testFilesPolicy.resolve)) return;
+
+  logger.info(`[RAW] Serving original file: ${filename}`);
+  logger.info(`[RAW] Path: ${filePath}`);
 
   // Check if file exists
   if (!fs.existsSync(filePath)) {
-    console.error(`[RAW] File not found: ${filePath}`);
+    logger.error(`[RAW] File not found: ${filePath}`);
     return res.status(404).send('File not found');
   }
 
-  // Read and send the original file
-  const fileData = fs.readFileSync(filePath);
-  console.log(`[RAW] Sending ${fileData.length} bytes`);
+  logger.info(`[RAW] Sending ${fs.statSync(filePath).size} bytes`);
 
   res.setHeader('Content-Type', 'application/octet-stream');
   res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-  res.send(fileData);
+  sendFileStream(res, filePath);
 });
 
 // API Endpoint: Open document with offline loader (proper desktop offline mode)
@@ -944,13 +2273,13 @@ app.get('/offline/:filename', (req, res) => {
     mode: 'edit'
   });
 
-  console.log(`[OFFLINE] Opening ${filename} with offline loader`);
-  console.log(`[OFFLINE] File type: ${fileExt}, Document type: ${doctype}`);
-  console.log(`[OFFLINE] Query params: ${queryParams.toString()}`);
+  logger.info(`[OFFLINE] Opening ${filename} with offline loader`);
+  logger.info(`[OFFLINE] File type: ${fileExt}, Document type: ${doctype}`);
+  logger.info(`[OFFLINE] Query params: ${queryParams.toString()}`);
 
   // Redirect to the offline loader HTML with query parameters
   const redirectUrl = `/offline-loader-proper.html?${queryParams.toString()}`;
-  console.log(`[OFFLINE] Redirecting to: ${redirectUrl}`);
+  logger.info(`[OFFLINE] Redirecting to: ${redirectUrl}`);
 
   res.redirect(redirectUrl);
 });
@@ -961,7 +2290,9 @@ app.get('/edit/:filename', (req, res) => {
   const ext = filename.split('.').pop().toLowerCase();
   const docType = getDocTypeFromFilename(filename);
 
-  console.log(`[EDIT] Serving editor for ${filename} (${ext} / ${docType})`);
+  const callbackUrl = `${BASE_URL}/api/save/${encodeURIComponent(filename)}`;
+
+  logger.info(`[EDIT] Serving editor for ${filename} (${ext} / ${docType})`);
 
   res.send(`<!DOCTYPE html>
 <html>
@@ -978,13 +2309,17 @@ app.get('/edit/:filename', (req, res) => {
   <script src="/web-apps/apps/api/documents/api.js"></script>
   <script>
     console.log('[EDITOR] Initializing ONLYOFFICE editor...');
+    var key = "${filename}_" + Date.now();
+    var callbackUrl = "${callbackUrl}";
+    // The editor iframe saves through the local document service (desktop-stub.js)
+    window._ONLYOFFICE_DOCSERVICE = { key: key, fileType: "${ext}", title: "${filename}", callbackUrl: callbackUrl };
     new DocsAPI.DocEditor("placeholder", {
       width: "100%",
       height: "100%",
       documentType: "${docType}",
       document: {
         fileType: "${ext}",
-        key: "${filename}_" + Date.now(),
+        key: key,
         title: "${filename}",
         url: "${BASE_URL}/file/${filename}",
         permissions: {
@@ -995,7 +2330,7 @@ app.get('/edit/:filename', (req, res) => {
       },
       editorConfig: {
         mode: "edit",
-        callbackUrl: "${BASE_URL}/api/save/${filename}",
+        callbackUrl: callbackUrl,
         customization: {
           autosave: false,
           chat: false,
@@ -1020,22 +2355,22 @@ app.get('/file/:filename', (req, res) => {
   const filename = req.params.filename;
   const filePath = path.join(__dirname, 'test', filename);
 
-  console.log(`[FILE] Serving file: ${filename}`);
-  console.log(`[FILE] Path: ${filePath}`);
+  if (!requireAllowedPath(res, filePath, testFilesPolicy.resolve)) return;
+
+  logger.info(`[FILE] Serving file: ${filename}`);
+  logger.info(`[FILE] Path: ${filePath}`);
 
   // Check if file exists
   if (!fs.existsSync(filePath)) {
-    console.error(`[FILE] File not found: ${filePath}`);
+    logger.error(`[FILE] File not found: ${filePath}`);
     return res.status(404).send('File not found');
   }
 
-  // Read and send the file
-  const fileData = fs.readFileSync(filePath);
-  console.log(`[FILE] Sending ${fileData.length} bytes`);
+  logger.info(`[FILE] Sending ${fs.statSync(filePath).size} bytes`);
 
-  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Type', getContentType(path.extname(filename)));
   res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-  res.send(fileData);
+  sendFileStream(res, filePath);
 });
 
 // API Endpoint: Serve test page for loading documents (legacy)
@@ -1044,15 +2379,11 @@ app.get('/api/document/:filename', (req, res) => {
   const fileExt = path.extname(filename).substring(1);
 
   // Determine editor type based on file extension
-  let editorType = 'cell';
-  if (fileExt === 'docx' || fileExt === 'doc') {
-    editorType = 'word';
-  } else if (fileExt === 'pptx' || fileExt === 'ppt') {
-    editorType = 'slide';
-  }
+  const editorType = isSupportedDocument(filename) ? getDocTypeFromFilename(filename) : 'cell';
 
   // Generate a simple key based on filename
   const key = Buffer.from(filename).toString('base64').replace(/[^a-zA-Z0-9]/g, '').substring(0, 20);
+  const callbackUrl = `${BASE_URL}/api/save/${encodeURIComponent(filename)}`;
 
   const html = `<!DOCTYPE html>
 <html>
@@ -1069,24 +2400,25 @@ app.get('/api/document/:filename', (req, res) => {
   <script type="text/javascript" src="/fonts-info.js"></script>
   <script type="text/javascript" src="/web-apps/apps/api/documents/api.js"></script>
   <script type="text/javascript">
+    window._ONLYOFFICE_DOCSERVICE = { key: "${key}", fileType: "${fileExt}", title: "${filename}", callbackUrl: "${callbackUrl}" };
     window.docEditor = new DocsAPI.DocEditor("placeholder", {
       "document": {
         "fileType": "${fileExt}",
         "key": "${key}",
         "title": "${filename}",
-        "url": "${BASE_URL}/api/convert/${filename}"
+        "url": "${BASE_URL}/file/${filename}"
       },
       "documentType": "${editorType}",
       "editorConfig": {
         "mode": "edit",
-        "callbackUrl": "${BASE_URL}/api/save/${filename}"
+        "callbackUrl": "${callbackUrl}"
       },
       "width": "100%",
       "height": "100%"
     });
 
     console.log('Editor configuration:', {
-      url: "${BASE_URL}/api/convert/${filename}",
+      url: "${BASE_URL}/file/${filename}",
       fileType: "${fileExt}",
       documentType: "${editorType}",
       key: "${key}"
@@ -1128,12 +2460,23 @@ app.use((req, res, next) => {
     if (fs.existsSync(filePath)) {
       fs.readFile(filePath, 'utf8', (err, html) => {
         if (err) {
-          console.error('Error reading HTML file:', err);
+          logger.error('Error reading HTML file:', err);
           return next();
         }
 
-        // Inject fonts-info.js, desktop-stub-utils.js, and desktop-stub.js before the first <script> tag
-        const stubScript = '<script src="/fonts-info.js"></script>\n    <script src="/desktop-stub-utils.js"></script>\n    <script src="/desktop-stub.js"></script>\n    ';
+        // Inject the launch token, the request ID (the /open's, via ?requestId=), whether
+        // stub logs should be forwarded to /api/log, then fonts-info.js,
+        // desktop-stub-utils.js and desktop-stub.js, before the first <script> tag
+        const pageGlobals = {
+          OO_EDITORS_TOKEN: accessControl.token,
+          OO_EDITORS_REQUEST_ID: req.id,
+          OO_EDITORS_LOG_BRIDGE: logger.isLevelEnabled('debug')
+        };
+        const globalsJs = Object.keys(pageGlobals)
+          .map((name) => `window.${name} = ${JSON.stringify(pageGlobals[name]).replace(/</g, '\\u003c')};`)
+          .join(' ');
+        const stubScript = `<script>${globalsJs}</script>\n    ` +
+          '<script src="/fonts-info.js"></script>\n    <script src="/desktop-stub-utils.js"></script>\n    <script src="/desktop-stub.js"></script>\n    ';
 
         // Find the first <script> tag and inject before it
         let modifiedHtml = html;
@@ -1142,17 +2485,19 @@ app.use((req, res, next) => {
         if (scriptTagMatch) {
           const insertPosition = scriptTagMatch.index;
           modifiedHtml = html.slice(0, insertPosition) + stubScript + html.slice(insertPosition);
-          console.log(`Injected fonts-info.js + desktop-stub.js into ${req.path}`);
+          logger.debug(`[INJECT] Injected fonts-info.js + desktop-stub.js into ${req.path}`);
         } else {
           // If no script tag found, try to inject before </head>
           const headEndMatch = html.match(/<\/head>/i);
           if (headEndMatch) {
             const insertPosition = headEndMatch.index;
             modifiedHtml = html.slice(0, insertPosition) + '  ' + stubScript + html.slice(insertPosition);
-            console.log(`Injected fonts-info.js + desktop-stub.js into ${req.path} (before </head>)`);
+            logger.debug(`[INJECT] Injected fonts-info.js + desktop-stub.js into ${req.path} (before </head>)`);
           }
         }
 
+        // Images, EventSource and other requests the stub cannot add a header to
+        res.cookie(TOKEN_COOKIE, accessControl.token, { httpOnly: true, sameSite: 'strict', path: '/' });
         res.setHeader('Content-Type', 'text/html');
         res.send(modifiedHtml);
       });
@@ -1179,7 +2524,7 @@ app.get('*/*.wasm', (req, res, next) => {
   const filename = path.basename(req.path);
   if (wasmFiles[filename]) {
     const wasmPath = path.join(__dirname, wasmFiles[filename]);
-    console.log(`[WASM] Redirecting ${req.path} to ${wasmPath}`);
+    logger.info(`[WASM] Redirecting ${req.path} to ${wasmPath}`);
     res.sendFile(wasmPath);
   } else {
     next();
@@ -1206,8 +2551,36 @@ app.use('/static-test', express.static(path.join(__dirname, 'static-test'), {
   }
 }));
 
+/**
+ * Evict cache entries whose source is gone, then enforce the size cap
+ */
+function pruneCache() {
+  try {
+    const { orphans, evicted, expired } = cacheStore.prune();
+    if (orphans.length > 0 || evicted.length > 0 || expired.length > 0) {
+      logger.info(`[CACHE] Pruned ${orphans.length} orphaned and ${evicted.length} least recently used entries, ${expired.length} idle private entries`);
+    }
+  } catch (err) {
+    logger.warn('[CACHE] Prune failed:', err.message);
+  }
+}
+
+buildInfo.set({ version: packageInfo.version, converter: getConverterVersion(X2T_PATH) }, 1);
+
 app.listen(PORT, () => {
-  console.log(`Server running at ${BASE_URL}/`);
-  console.log('Desktop stub injection enabled for all HTML files');
-  console.log(`Static test directory at ${BASE_URL}/static-test/`);
+  logger.info(`Server running at ${BASE_URL}/`);
+  logger.info(`Conversion cache at ${CACHE_DIR}`);
+  if (SECRET_PARAMS_ON_DISK) {
+    logger.warn(`[PASSWORD] No /dev/shm: x2t params holding document passwords are written to ${os.tmpdir()} (0600, removed when x2t exits)`);
+  }
+  if (!process.env.OO_EDITORS_TOKEN) {
+    // Straight to the console: the token is for the operator, not the log file
+    console.log(`API token for this run: ${accessControl.token} (set OO_EDITORS_TOKEN to choose one)`);
+  }
+  pruneCache();
+  setInterval(pruneCache, CACHE_PRUNE_INTERVAL_MS).unref();
+  convertApi.sweep();
+  setInterval(() => convertApi.sweep(), CONVERTER_SWEEP_INTERVAL_MS).unref();
+  logger.info('Desktop stub injection enabled for all HTML files');
+  logger.info(`Static test directory at ${BASE_URL}/static-test/`);
 });
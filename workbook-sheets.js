@@ -0,0 +1,168 @@
+/**
+ * Workbook sheets
+ * Reads the sheet list of an XLSX workbook and picks its active sheet. x2t only
+ * writes the active sheet of a workbook to CSV, so other sheets are written by
+ * making each one active in turn.
+ */
+
+const path = require('path');
+const { extractZipEntries, writeZipEntries } = require('./zip-reader');
+
+// The part x2t (and Excel) writes the workbook to
+const WORKBOOK_PART = 'xl/workbook.xml';
+
+// Characters that cannot appear in file names on Windows, macOS or Linux
+const UNSAFE_FILENAME_CHARS = /[\\/:*?"<>|\x00-\x1f]/g;
+
+/**
+ * @param {string} message - Human readable message
+ * @returns {Error} Error with code 'EINVALIDOPTION'
+ */
+function createSheetError(message) {
+  const error = new Error(message);
+  error.code = 'EINVALIDOPTION';
+  return error;
+}
+
+/**
+ * Decode the XML entities of an attribute value
+ * @param {string} value - Raw attribute value
+ * @returns {string} Decoded value
+ */
+function decodeXmlAttribute(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * List the sheets declared in workbook.xml
+ * @param {string} workbookXml - Contents of xl/workbook.xml
+ * @returns {Array<{index: number, name: string, hidden: boolean}>} Sheets in tab order
+ */
+function parseWorkbookSheets(workbookXml) {
+  const sheets = [];
+  const sheetPattern = /<sheet\b([^>]*)\/?>/g;
+  let match;
+  while ((match = sheetPattern.exec(workbookXml)) !== null) {
+    const name = match[1].match(/\bname="([^"]*)"/);
+    const state = match[1].match(/\bstate="([^"]*)"/);
+    sheets.push({
+      index: sheets.length,
+      name: name ? decodeXmlAttribute(name[1]) : `Sheet${sheets.length + 1}`,
+      hidden: Boolean(state && state[1] !== 'visible')
+    });
+  }
+  return sheets;
+}
+
+/**
+ * Make a sheet the active one in workbook.xml
+ * @param {string} workbookXml - Contents of xl/workbook.xml
+ * @param {number} index - 0-based sheet index
+ * @returns {string} workbook.xml with activeTab set on the first workbook view
+ */
+function setActiveTab(workbookXml, index) {
+  if (/<workbookView\b[^>]*\bactiveTab="/.test(workbookXml)) {
+    return workbookXml.replace(/(<workbookView\b[^>]*\bactiveTab=")[^"]*"/, `$1${index}"`);
+  }
+  if (/<workbookView\b/.test(workbookXml)) {
+    return workbookXml.replace(/<workbookView\b/, `<workbookView activeTab="${index}"`);
+  }
+  return workbookXml.replace(/<sheets\b/, `<bookViews><workbookView activeTab="${index}"/></bookViews><sheets`);
+}
+
+/**
+ * Read the workbook part of an XLSX file
+ * @param {Array<{name: string, data: Buffer}>} entries - Package entries
+ * @param {string} xlsxPath - Path of the package (for the error message)
+ * @returns {object} The workbook.xml entry
+ * @throws {Error} If the package has no workbook part
+ */
+function findWorkbookEntry(entries, xlsxPath) {
+  const entry = entries.find((e) => e.name === WORKBOOK_PART);
+  if (!entry) {
+    throw new Error(`${xlsxPath} has no ${WORKBOOK_PART}`);
+  }
+  return entry;
+}
+
+/**
+ * List the sheets of an XLSX workbook
+ * @param {string} xlsxPath - Path to the workbook
+ * @returns {Array<{index: number, name: string, hidden: boolean}>} Sheets in tab order
+ */
+function listWorkbookSheets(xlsxPath) {
+  const entries = extractZipEntries(xlsxPath);
+  return parseWorkbookSheets(findWorkbookEntry(entries, xlsxPath).data.toString('utf8'));
+}
+
+/**
+ * Write a copy of an XLSX workbook with another sheet active
+ * @param {string} xlsxPath - Path to the workbook
+ * @param {number} index - 0-based index of the sheet to make active
+ * @param {string} destPath - Path of the copy
+ * @returns {{index: number, name: string, hidden: boolean}} The sheet made active
+ * @throws {Error} EINVALIDOPTION when the workbook has no such sheet
+ */
+function writeWithActiveSheet(xlsxPath, index, destPath) {
+  const entries = extractZipEntries(xlsxPath);
+  const workbook = findWorkbookEntry(entries, xlsxPath);
+  const xml = workbook.data.toString('utf8');
+  const sheets = parseWorkbookSheets(xml);
+  if (!Number.isInteger(index) || index < 0 || index >= sheets.length) {
+    throw createSheetError(`sheet ${index} does not exist; the workbook has ${sheets.length} sheet${sheets.length === 1 ? '' : 's'}`);
+  }
+  workbook.data = Buffer.from(setActiveTab(xml, index), 'utf8');
+  writeZipEntries(destPath, entries);
+  return sheets[index];
+}
+
+/**
+ * Path a sheet is saved to when a workbook is split into one file per sheet
+ * @param {string} filepath - File the workbook is saved as (e.g. /data/report.csv)
+ * @param {string} sheetName - Sheet name
+ * @returns {string} /data/report.<sheet name>.csv, with characters file names cannot hold replaced by _
+ */
+function getSheetFilePath(filepath, sheetName) {
+  const ext = path.extname(filepath);
+  const base = path.join(path.dirname(filepath), path.basename(filepath, ext));
+  return `${base}.${sheetName.replace(UNSAFE_FILENAME_CHARS, '_')}${ext}`;
+}
+
+/**
+ * Paths the sheets of a workbook are saved to when it is split into one file per sheet
+ *
+ * Different sheet names can sanitize to the same file name ("a/b" and "a:b"
+ * both give a_b), and case-insensitive file systems treat "Q1" and "q1" as one
+ * file, so a name already taken gets the sheet's tab position: "a_b (2)".
+ *
+ * @param {string} filepath - File the workbook is saved as; it holds the first sheet
+ * @param {Array<{index: number, name: string}>} sheets - Sheets in tab order
+ * @returns {Array<string>} One distinct path per sheet
+ */
+function getSheetFilePaths(filepath, sheets) {
+  const taken = new Set();
+  return sheets.map((sheet, i) => {
+    let candidate = i === 0 ? filepath : getSheetFilePath(filepath, sheet.name);
+    for (let n = sheet.index + 1; taken.has(candidate.toLowerCase()); n++) {
+      candidate = getSheetFilePath(filepath, `${sheet.name} (${n})`);
+    }
+    taken.add(candidate.toLowerCase());
+    return candidate;
+  });
+}
+
+module.exports = {
+  parseWorkbookSheets,
+  setActiveTab,
+  listWorkbookSheets,
+  writeWithActiveSheet,
+  getSheetFilePath,
+  getSheetFilePaths
+};
@@ -0,0 +1,275 @@
+/**
+ * x2t conversion scheduler
+ * Bounded worker pool for converter/x2t with a FIFO queue, per-job timeouts,
+ * coalescing of identical in-flight jobs and cancellation via AbortSignal.
+ */
+
+const { spawn } = require('child_process');
+
+/**
+ * Create an error describing why a job did not produce an exit code
+ * @param {string} message - Human readable message
+ * @param {string} code - Machine readable code (ETIMEDOUT, ABORT_ERR, ...)
+ * @returns {Error} Error with `code` set
+ */
+function createJobError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  if (code === 'ABORT_ERR') {
+    error.name = 'AbortError';
+  }
+  return error;
+}
+
+/**
+ * Create a scheduler that runs x2t jobs through a bounded pool
+ * @param {object} options - Scheduler options
+ * @param {string} options.x2tPath - Path to the x2t binary
+ * @param {number} [options.poolSize=2] - Maximum number of concurrent x2t processes
+ * @param {number} [options.timeoutMs=120000] - Per-job timeout; hung processes are killed
+ * @param {Function} [options.spawnProcess] - spawn implementation (injected by tests)
+ * @param {object} [options.logger=console] - Logger (info/warn/error)
+ * @param {Function} [options.onExit] - Called with { key, code, signal, durationMs, failure } whenever an x2t process ends
+ * @returns {object} Scheduler with run() and getStats()
+ */
+function createX2TScheduler(options) {
+  const {
+    x2tPath,
+    poolSize = 2,
+    timeoutMs = 120000,
+    spawnProcess = spawn,
+    logger = console,
+    onExit
+  } = options;
+
+  const queue = [];
+  const jobsByKey = new Map();
+  const tailsByKey = new Map();
+  let running = 0;
+
+  function settle(job, error, result) {
+    if (job.settled) return;
+    job.settled = true;
+
+    if (jobsByKey.get(job.key) === job) {
+      jobsByKey.delete(job.key);
+    }
+
+    if (job.cleanup) {
+      try {
+        job.cleanup();
+      } catch (e) {
+        logger.warn(`[X2T-POOL] Cleanup failed for ${job.key}:`, e.message);
+      }
+    }
+
+    for (const waiter of job.waiters) {
+      if (error) {
+        waiter.reject(error);
+      } else {
+        waiter.resolve(result);
+      }
+    }
+    job.waiters.clear();
+    job.done();
+  }
+
+  function startJob(job) {
+    running++;
+    job.started = true;
+    const startedAt = Date.now();
+
+    try {
+      if (job.prepare) job.prepare();
+    } catch (e) {
+      running--;
+      settle(job, e);
+      pump();
+      return;
+    }
+
+    let stdout = '';
+    let stderr = '';
+    const child = spawnProcess(x2tPath, [job.paramsPath]);
+    job.child = child;
+
+    job.timer = setTimeout(() => {
+      logger.error(`[X2T-POOL] Job ${job.key} exceeded ${timeoutMs}ms, killing x2t`);
+      job.failure = createJobError(`x2t timed out after ${timeoutMs}ms`, 'ETIMEDOUT');
+      child.kill('SIGKILL');
+    }, timeoutMs);
+
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    child.on('error', (err) => {
+      logger.error(`[X2T-POOL] Failed to start x2t for ${job.key}: ${err.message}`);
+      job.failure = job.failure || err;
+    });
+
+    child.on('close', (code, signal) => {
+      clearTimeout(job.timer);
+      running--;
+      const durationMs = Date.now() - startedAt;
+      if (onExit) {
+        try {
+          onExit({ key: job.key, code, signal, durationMs, failure: job.failure });
+        } catch (e) {
+          logger.warn(`[X2T-POOL] Exit listener failed for ${job.key}:`, e.message);
+        }
+      }
+      if (job.failure) {
+        settle(job, job.failure);
+      } else {
+        settle(job, null, { code, signal, stdout, stderr, durationMs });
+      }
+      pump();
+    });
+  }
+
+  function pump() {
+    while (running < poolSize && queue.length > 0) {
+      startJob(queue.shift());
+    }
+  }
+
+  function cancelJob(job) {
+    if (job.settled) return;
+
+    const queuedIndex = queue.indexOf(job);
+    if (queuedIndex !== -1) {
+      queue.splice(queuedIndex, 1);
+      logger.info(`[X2T-POOL] Cancelled queued job ${job.key}`);
+      settle(job, createJobError('Conversion cancelled', 'ABORT_ERR'));
+      return;
+    }
+
+    if (!job.started) {
+      // Still waiting on an earlier job with the same key
+      settle(job, createJobError('Conversion cancelled', 'ABORT_ERR'));
+      return;
+    }
+
+    if (job.child && job.abortRunning) {
+      logger.info(`[X2T-POOL] Cancelling running job ${job.key}, killing x2t`);
+      job.failure = createJobError('Conversion cancelled', 'ABORT_ERR');
+      job.child.kill('SIGKILL');
+    }
+  }
+
+  function attachWaiter(job, signal) {
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      job.waiters.add(waiter);
+
+      if (!signal) return;
+
+      const onAbort = () => {
+        if (!job.waiters.delete(waiter)) return;
+        reject(createJobError('Conversion cancelled', 'ABORT_ERR'));
+        if (job.waiters.size === 0) {
+          cancelJob(job);
+        }
+      };
+
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Schedule an x2t run
+   *
+   * Jobs sharing a key are either coalesced (the caller joins the in-flight
+   * job and receives the same result) or, with coalesce=false, serialized so
+   * they never touch the same working files at the same time.
+   *
+   * @param {object} spec - Job description
+   * @param {string} spec.key - Dedup/serialization key (usually generateFileHash(filepath))
+   * @param {string} spec.paramsPath - Path of the params XML passed to x2t
+   * @param {Function} [spec.prepare] - Called right before x2t starts (write params/input here)
+   * @param {Function} [spec.cleanup] - Called once the job settles (remove temp files here)
+   * @param {boolean} [spec.coalesce=true] - Join an identical in-flight job instead of queueing
+   * @param {boolean} [spec.abortRunning=true] - Kill x2t when every caller has aborted
+   * @param {AbortSignal} [spec.signal] - Cancels this caller's interest in the job
+   * @returns {Promise<{code: number, signal: string|null, stdout: string, stderr: string, durationMs: number}>}
+   */
+  function run(spec) {
+    const { key, signal, coalesce = true } = spec;
+
+    const existing = jobsByKey.get(key);
+    if (coalesce && existing && existing.coalesce && !existing.settled) {
+      logger.info(`[X2T-POOL] Coalescing with in-flight job ${key}`);
+      return attachWaiter(existing, signal);
+    }
+
+    let done;
+    const job = {
+      key,
+      paramsPath: spec.paramsPath,
+      prepare: spec.prepare,
+      cleanup: spec.cleanup,
+      coalesce,
+      abortRunning: spec.abortRunning !== false,
+      waiters: new Set(),
+      settled: false,
+      started: false,
+      child: null,
+      timer: null,
+      failure: null,
+      done: () => done()
+    };
+    const finished = new Promise((resolve) => { done = resolve; });
+
+    jobsByKey.set(key, job);
+
+    // A job cancelled while waiting settles early, so the tail also waits on
+    // its predecessor to keep later jobs with the same key serialized.
+    const previous = tailsByKey.get(key);
+    const tail = previous ? Promise.all([previous, finished]) : finished;
+    tailsByKey.set(key, tail);
+    tail.then(() => {
+      if (tailsByKey.get(key) === tail) {
+        tailsByKey.delete(key);
+      }
+    });
+
+    const result = attachWaiter(job, signal);
+
+    const enqueue = () => {
+      if (job.settled) return;
+      queue.push(job);
+      pump();
+    };
+
+    if (previous) {
+      previous.then(enqueue);
+    } else {
+      enqueue();
+    }
+
+    return result;
+  }
+
+  /**
+   * Current pool occupancy
+   * @returns {{running: number, queued: number, poolSize: number}}
+   */
+  function getStats() {
+    return { running, queued: queue.length, poolSize };
+  }
+
+  return { run, getStats };
+}
+
+module.exports = {
+  createX2TScheduler
+};
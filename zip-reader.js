@@ -0,0 +1,185 @@
+/**
+ * Minimal ZIP reader and writer
+ * Reads the central directory and extracts stored/deflated entries; enough for
+ * validating OOXML packages and unpacking the page-image archives x2t writes.
+ * Writes deflated archives for repacking an OOXML package after editing a part.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_DIR_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const EOCD_MAX_SEARCH = EOCD_MIN_SIZE + 0xffff;
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_DIR_HEADER_SIZE = 46;
+// Version 2.0 (deflate); bit 11 of the flags marks UTF-8 names
+const ZIP_VERSION = 20;
+const FLAG_UTF8 = 0x0800;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+/**
+ * Read the central directory of a ZIP file
+ * @param {number} fd - Open file descriptor
+ * @returns {Array<object>|null} Entries ({name, method, compressedSize, size, localHeaderOffset}), or null if not a readable ZIP
+ */
+function readCentralDirectory(fd) {
+  const size = fs.fstatSync(fd).size;
+  if (size < EOCD_MIN_SIZE) return null;
+
+  const tailSize = Math.min(size, EOCD_MAX_SEARCH);
+  const tail = Buffer.alloc(tailSize);
+  fs.readSync(fd, tail, 0, tailSize, size - tailSize);
+
+  let eocd = -1;
+  for (let i = tailSize - EOCD_MIN_SIZE; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) return null;
+
+  const entryCount = tail.readUInt16LE(eocd + 10);
+  const dirSize = tail.readUInt32LE(eocd + 12);
+  const dirOffset = tail.readUInt32LE(eocd + 16);
+  if (dirOffset + dirSize > size) return null;
+
+  const dir = Buffer.alloc(dirSize);
+  fs.readSync(fd, dir, 0, dirSize, dirOffset);
+
+  const entries = [];
+  let pos = 0;
+  for (let i = 0; i < entryCount; i++) {
+    if (pos + 46 > dir.length || dir.readUInt32LE(pos) !== CENTRAL_DIR_SIGNATURE) {
+      return null;
+    }
+    const nameLength = dir.readUInt16LE(pos + 28);
+    const extraLength = dir.readUInt16LE(pos + 30);
+    const commentLength = dir.readUInt16LE(pos + 32);
+    entries.push({
+      name: dir.toString('utf8', pos + 46, pos + 46 + nameLength),
+      method: dir.readUInt16LE(pos + 10),
+      compressedSize: dir.readUInt32LE(pos + 20),
+      size: dir.readUInt32LE(pos + 24),
+      localHeaderOffset: dir.readUInt32LE(pos + 42)
+    });
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * List entry names from a ZIP central directory without reading the whole archive
+ * @param {string} filePath - Path to the ZIP file
+ * @returns {Array<string>|null} Entry names, or null if the file is not a readable ZIP
+ */
+function readZipEntryNames(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const entries = readCentralDirectory(fd);
+    return entries ? entries.map((entry) => entry.name) : null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Extract every file entry of a ZIP archive into memory
+ * @param {string} filePath - Path to the ZIP file
+ * @returns {Array<{name: string, data: Buffer}>} Entries in archive order (directories skipped)
+ * @throws {Error} If the file is not a ZIP or uses an unsupported compression method
+ */
+function extractZipEntries(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const entries = readCentralDirectory(fd);
+    if (!entries) {
+      throw new Error(`${filePath} is not a valid ZIP archive`);
+    }
+
+    return entries.filter((entry) => !entry.name.endsWith('/')).map((entry) => {
+      const header = Buffer.alloc(LOCAL_HEADER_SIZE);
+      fs.readSync(fd, header, 0, LOCAL_HEADER_SIZE, entry.localHeaderOffset);
+      if (header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+        throw new Error(`Corrupt local header for ${entry.name}`);
+      }
+      const dataOffset = entry.localHeaderOffset + LOCAL_HEADER_SIZE + header.readUInt16LE(26) + header.readUInt16LE(28);
+      const compressed = Buffer.alloc(entry.compressedSize);
+      fs.readSync(fd, compressed, 0, entry.compressedSize, dataOffset);
+
+      if (entry.method === METHOD_STORED) {
+        return { name: entry.name, data: compressed };
+      }
+      if (entry.method === METHOD_DEFLATED) {
+        return { name: entry.name, data: zlib.inflateRawSync(compressed) };
+      }
+      throw new Error(`Unsupported compression method ${entry.method} for ${entry.name}`);
+    });
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Write entries to a new ZIP archive, deflating each one
+ * @param {string} filePath - Path of the archive to create (overwritten if it exists)
+ * @param {Array<{name: string, data: Buffer}>} entries - Files in archive order
+ */
+function writeZipEntries(filePath, entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const compressed = zlib.deflateRawSync(entry.data);
+    const crc = zlib.crc32(entry.data);
+
+    const local = Buffer.alloc(LOCAL_HEADER_SIZE);
+    local.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+    local.writeUInt16LE(ZIP_VERSION, 4);
+    local.writeUInt16LE(FLAG_UTF8, 6);
+    local.writeUInt16LE(METHOD_DEFLATED, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(entry.data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    localParts.push(local, name, compressed);
+
+    const central = Buffer.alloc(CENTRAL_DIR_HEADER_SIZE);
+    central.writeUInt32LE(CENTRAL_DIR_SIGNATURE, 0);
+    central.writeUInt16LE(ZIP_VERSION, 4);
+    central.writeUInt16LE(ZIP_VERSION, 6);
+    central.writeUInt16LE(FLAG_UTF8, 8);
+    central.writeUInt16LE(METHOD_DEFLATED, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(entry.data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, name);
+
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDir = Buffer.concat(centralParts);
+  const eocd = Buffer.alloc(EOCD_MIN_SIZE);
+  eocd.writeUInt32LE(EOCD_SIGNATURE, 0);
+  eocd.writeUInt16LE(entries.length, 8);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(centralDir.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+
+  fs.writeFileSync(filePath, Buffer.concat([...localParts, centralDir, eocd]));
+}
+
+module.exports = {
+  readZipEntryNames,
+  extractZipEntries,
+  writeZipEntries
+};